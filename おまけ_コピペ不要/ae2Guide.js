@@ -0,0 +1,247 @@
+// ae2Guide.js
+// AE2 (とそのアドオン) のゲーム内ガイド (アイテムにカーソルを置いてG長押し) のページ (assets/<ns>/ae2guide/**/*.md) を翻訳します。
+// ページは YAML のフロントマター + Markdown (<ItemImage> などの独自タグ入り) なので、文章の部分だけを取り出し、
+// 翻訳結果は元の位置に書き戻します (フロントマターのキー、タグ、リンク先、コードはそのまま残す)。
+// 訳したページはガイドの読み込み側 (GuideME / 新しいAE2) が対応している言語フォルダ (ae2guide/_ja_jp/...) に置きます。
+
+const GUIDE_FOLDER = 'ae2guide';
+// 文章の中で翻訳させない部分: 画像、リンクの [ と ](リンク先)、独自タグ/HTMLタグ、HTMLコメント、コード
+const INLINE_PROTECTED_REGEX = /!\[[^\]\n]*\]\([^)\n]*\)|\[(?=[^\]\n]*\]\()|\]\([^)\n]*\)|<!--[\s\S]*?-->|<\/?[A-Za-z][^<>]*>|`[^`\n]*`/g;
+const PLACEHOLDER_REGEX = /\{md:(\d+)\}/g; // 波括弧のプレースホルダは FormatCodeMasker が書式コードとして保護する
+const FENCE_REGEX = /^\s*(`{3,}|~{3,})/;
+const TAG_START_REGEX = /^\s*<\/?[A-Za-z]/;
+const HEADING_REGEX = /^\s*#{1,6}\s+/;
+const LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const BLOCKQUOTE_REGEX = /^\s*(?:>\s?)+/;
+const RULE_REGEX = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const TABLE_SEPARATOR_REGEX = /^\s*\|?[\s:|-]+$/;
+
+/**
+ * 訳したページを置く、リソースパック内のパスを返します。
+ * @param {string} namespace - ガイドのページがあるネームスペース。
+ * @param {string} pagePath - ae2guide 以下のページのパス (言語フォルダなし)。
+ * @param {string} targetLangCode - 翻訳先の言語コード。
+ * @returns {string} 例: assets/ae2/ae2guide/_ja_jp/index.md
+ */
+function localizedPagePath(namespace, pagePath, targetLangCode) {
+    return `assets/${namespace}/${GUIDE_FOLDER}/_${targetLangCode}/${pagePath}`;
+}
+
+// 文章の保護する部分をプレースホルダにする。翻訳する意味のない (文字を含まない) ものはnull
+function maskInline(text) {
+    const tokens = [];
+    const masked = text.replace(INLINE_PROTECTED_REGEX, match => `{md:${tokens.push(match) - 1}}`);
+    return /\p{L}/u.test(masked.replace(PLACEHOLDER_REGEX, '')) ? { text: masked, tokens } : null;
+}
+
+function unmaskInline(translated, tokens) {
+    const seenCounts = new Array(tokens.length).fill(0);
+    let ok = typeof translated === 'string';
+    const text = ok ? translated.replace(PLACEHOLDER_REGEX, (match, index) => {
+        if (Number(index) >= tokens.length) { ok = false; return match; }
+        seenCounts[index]++;
+        return tokens[index];
+    }) : translated;
+    return ok && seenCounts.every(count => count === 1) ? text : null;
+}
+
+// フロントマターの値 ("..." / '...' / 引用符なし) を読む
+function readYamlScalar(raw) {
+    if (raw.startsWith('"') && raw.endsWith('"') && raw.length >= 2) {
+        try { return { value: JSON.parse(raw), quote: '"' }; } catch { return null; }
+    }
+    if (raw.startsWith("'") && raw.endsWith("'") && raw.length >= 2) return { value: raw.slice(1, -1).replace(/''/g, "'"), quote: "'" };
+    if (/^[[{&*!|>%@`]/.test(raw) || /\s#/.test(raw)) return null; // フロー形式やコメント付きの値は触らない
+    return { value: raw, quote: '' };
+}
+
+function writeYamlScalar(value, quote) {
+    if (quote === "'") return `'${value.replace(/'/g, "''")}'`;
+    // 引用符なしで書けない値 (": " や先頭の記号を含む) は二重引用符にする
+    if (quote === '"' || /[:#]\s|[:#]$|^[\s\-?:,[\]{}#&*!|>'"%@`]|\s$|\n/.test(value)) return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * ページを解析し、翻訳する文章を返します。
+ * 翻訳するのはフロントマターの navigation.title と、Markdownの段落/見出し/リストの項目/引用/表のセルです。
+ * コードブロック、タグだけの行 (<Row> や <GameScene ...> など)、HTMLコメントはそのまま残します。
+ * @param {string} content - ページ (.md) の全内容。
+ * @returns {Array<{text: string, tokens: string[], quote: string|null, start: number, end: number}>}
+ *   textは翻訳に送る文字列 (保護する部分は {md:0} などのプレースホルダ)、tokensはプレースホルダの元の文字列、
+ *   quoteはフロントマターの値の引用符 (本文はnull)、start/endは元の内容での位置。
+ */
+function extractGuideTexts(content) {
+    const lines = [];
+    let offset = 0;
+    content.split('\n').forEach(raw => {
+        const text = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+        lines.push({ text, start: offset, end: offset + text.length });
+        offset += raw.length + 1;
+    });
+    const entries = [];
+    const addText = (start, end) => {
+        const slice = content.slice(start, end);
+        const trimmedStart = start + (slice.length - slice.trimStart().length);
+        const trimmedEnd = end - (slice.length - slice.trimEnd().length);
+        if (trimmedStart >= trimmedEnd) return;
+        const masked = maskInline(content.slice(trimmedStart, trimmedEnd));
+        if (masked) entries.push({ ...masked, quote: null, start: trimmedStart, end: trimmedEnd });
+    };
+
+    // フロントマター (--- で囲まれた YAML)。ナビゲーションに表示される navigation.title だけを翻訳する
+    let lineIndex = 0;
+    if (lines.length > 0 && lines[0].text.trim() === '---') {
+        const closeIndex = lines.findIndex((line, index) => index > 0 && /^(?:---|\.\.\.)\s*$/.test(line.text));
+        if (closeIndex > 0) {
+            let inNavigation = false;
+            lines.slice(1, closeIndex).forEach(line => {
+                if (/^\S/.test(line.text)) inNavigation = /^navigation:\s*$/.test(line.text);
+                const match = inNavigation && line.text.match(/^(\s+title:\s*)(\S.*?)\s*$/);
+                const scalar = match && readYamlScalar(match[2]);
+                if (!scalar || !/\p{L}/u.test(scalar.value)) return;
+                const start = line.start + match[1].length;
+                entries.push({ text: scalar.value, tokens: [], quote: scalar.quote, start, end: start + match[2].length });
+            });
+            lineIndex = closeIndex + 1;
+        }
+    }
+
+    let paragraph = null; // 複数行の段落 { start, end }
+    const flush = () => {
+        if (paragraph) addText(paragraph.start, paragraph.end);
+        paragraph = null;
+    };
+    while (lineIndex < lines.length) {
+        const line = lines[lineIndex];
+        const fence = line.text.match(FENCE_REGEX);
+        if (fence) { // コードブロックは閉じるまで丸ごと残す
+            flush();
+            const closeIndex = lines.findIndex((other, index) => index > lineIndex && other.text.trim().startsWith(fence[1]));
+            lineIndex = closeIndex < 0 ? lines.length : closeIndex + 1;
+            continue;
+        }
+        if (line.text.trim() === '' || RULE_REGEX.test(line.text)) { flush(); lineIndex++; continue; }
+        if (/^\s*<!--/.test(line.text)) {
+            flush();
+            const closeIndex = lines.findIndex((other, index) => index >= lineIndex && other.text.includes('-->'));
+            lineIndex = closeIndex < 0 ? lines.length : closeIndex + 1;
+            continue;
+        }
+        if (TAG_START_REGEX.test(line.text)) {
+            // 属性が複数行にまたがるタグ (<GameScene\n  zoom="4"\n>) は閉じるまで残す
+            const tagText = line.text.trimStart();
+            if (!/^<[^<>]*>/.test(tagText)) {
+                flush();
+                const closeIndex = lines.findIndex((other, index) => index > lineIndex && other.text.includes('>'));
+                lineIndex = closeIndex < 0 ? lines.length : closeIndex + 1;
+                continue;
+            }
+            // タグだけの行はブロックとして残す。タグの後に文章が続く行 (<ItemLink id="..." /> は...) は段落として扱う
+            if (!maskInline(line.text)) { flush(); lineIndex++; continue; }
+        }
+        const heading = line.text.match(HEADING_REGEX);
+        if (heading) {
+            flush();
+            addText(line.start + heading[0].length, line.start + line.text.replace(/\s+#+\s*$/, '').length);
+        } else if (/^\s*\|/.test(line.text)) {
+            flush();
+            if (!TABLE_SEPARATOR_REGEX.test(line.text)) {
+                // \| とコードの中の | は区切りではない
+                let cellStart = line.start + line.text.indexOf('|') + 1;
+                let inCode = false;
+                for (let i = cellStart - line.start; i < line.text.length; i++) {
+                    const ch = line.text[i];
+                    if (ch === '`') inCode = !inCode;
+                    else if (ch === '\\') i++;
+                    else if (ch === '|' && !inCode) { addText(cellStart, line.start + i); cellStart = line.start + i + 1; }
+                }
+                addText(cellStart, line.end);
+            }
+        } else if (BLOCKQUOTE_REGEX.test(line.text)) {
+            flush();
+            addText(line.start + line.text.match(BLOCKQUOTE_REGEX)[0].length, line.end);
+        } else if (LIST_ITEM_REGEX.test(line.text)) {
+            flush(); // 項目ごとに1つの文章 (インデントされた続きの行も含む)
+            paragraph = { start: line.start + line.text.match(LIST_ITEM_REGEX)[0].length, end: line.end };
+        } else if (paragraph) {
+            paragraph.end = line.end;
+        } else {
+            paragraph = { start: line.start, end: line.end };
+        }
+        lineIndex++;
+    }
+    flush();
+    return entries;
+}
+
+/**
+ * 取り出した文章を訳で置き換えたページを返します。
+ * プレースホルダが過不足なく戻らなかった文章は原文のまま残します。
+ * @param {string} content - 元のページの内容。
+ * @param {Array<{tokens: string[], quote: string|null, start: number, end: number}>} entries - `extractGuideTexts` の結果。
+ * @param {string[]} translatedTexts - entriesと同じ順序の訳。
+ * @returns {{content: string, keptOriginal: number}} keptOriginalは原文のまま残した文章の数。
+ */
+function applyGuideTranslations(content, entries, translatedTexts) {
+    let result = content;
+    let keptOriginal = 0;
+    entries
+        .map((entry, index) => ({ entry, translated: translatedTexts[index] }))
+        .sort((a, b) => b.entry.start - a.entry.start)
+        .forEach(({ entry, translated }) => {
+            const text = unmaskInline(translated, entry.tokens);
+            if (text === null) { keptOriginal++; return; }
+            const replacement = entry.quote === null ? text : writeYamlScalar(text, entry.quote);
+            result = result.slice(0, entry.start) + replacement + result.slice(entry.end);
+        });
+    return { content: result, keptOriginal };
+}
+
+/**
+ * 翻訳先の言語ごとに、ページを置いた/置けなかった結果を記録します。
+ */
+class GuidePageReport {
+    #pages = []; // { targetLang, namespace, page, jar, status, reason? }
+
+    /**
+     * 1ページ分の結果を記録します。
+     * @param {string} targetLangCode - 翻訳先の言語コード。
+     * @param {{namespace: string, pagePath: string, originalJar: string}} pageInfo - worker.js の ae2_guide_page の情報。
+     * @param {'translated'|'official'|'unplaced'} status - translated: 訳を置いた、official: Modに訳があるので置かなかった、unplaced: 置けなかった。
+     * @param {string} [reason] - 置けなかった理由。
+     */
+    record(targetLangCode, pageInfo, status, reason) {
+        this.#pages.push({ targetLang: targetLangCode, namespace: pageInfo.namespace, page: pageInfo.pagePath, jar: pageInfo.originalJar, status, ...(reason ? { reason } : {}) });
+    }
+
+    get size() {
+        return this.#pages.length;
+    }
+
+    /**
+     * 結果の一覧を返します (JSONとして保存する想定)。
+     * @returns {object}
+     */
+    getReport() {
+        const sorted = [...this.#pages].sort((a, b) => `${a.targetLang}|${a.namespace}|${a.page}`.localeCompare(`${b.targetLang}|${b.namespace}|${b.page}`));
+        return { generatedAt: new Date().toISOString(), unplaced: sorted.filter(page => page.status === 'unplaced'), pages: sorted };
+    }
+
+    /**
+     * 言語ごとの件数と、置けなかったページの一覧を返します。
+     * @returns {string}
+     */
+    formatSummary() {
+        const lines = [];
+        [...new Set(this.#pages.map(page => page.targetLang))].sort().forEach(targetLang => {
+            const pages = this.#pages.filter(page => page.targetLang === targetLang);
+            const count = status => pages.filter(page => page.status === status).length;
+            lines.push(`  ${targetLang}: ${count('translated')} page(s) translated, ${count('official')} already translated by the mod, ${count('unplaced')} could not be placed`);
+            pages.filter(page => page.status === 'unplaced').forEach(page => lines.push(`    - ${page.namespace}:${page.page} (${page.jar}): ${page.reason}`));
+        });
+        return lines.length > 0 ? lines.join('\n') : '  (no AE2 guide pages found)';
+    }
+}
+
+module.exports = { GUIDE_FOLDER, localizedPagePath, extractGuideTexts, applyGuideTranslations, GuidePageReport };
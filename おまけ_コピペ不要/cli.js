@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// cli.js
+// すべての処理をまとめたコマンドラインツール。設定は「既定値 < .env < 設定ファイル < 引数」の順に上書きされます。
+//   node ./cli.js <command> [options]    (node ./cli.js --help で一覧を表示)
+require('dotenv').config();
+const path = require('path');
+const { parseCliArgs, loadOptions, formatOptionsHelp, DEFAULT_CONFIG_PATH } = require('./config');
+const { getMemoryLanguages, listEngines, listTargetLanguages } = require('./translationEngines');
+const TranslationMemory = require('./translationMemory');
+
+const MEMORY_DIRECTORY = path.join(__dirname, '.translation_memory'); // indexModTranslator.js / index.js と共有
+
+const COMMANDS = {
+    mods: {
+        usage: 'mods',
+        description: 'Translate the lang files and Patchouli books in the mods folder into a resource pack',
+        run: async ({ values }) => require('./indexModTranslator').main(await loadOptions('mods', values)),
+    },
+    'pack-files': {
+        usage: 'pack-files',
+        description: 'Translate en_us.json / en_us.local / en_US.lang found anywhere under the modpack folder (kubejs, ftbquests, ...)',
+        run: async ({ values }) => require('./index').runTranslationProcess(await loadOptions('pack-files', values)),
+    },
+    validate: {
+        usage: 'validate [mods|files]',
+        description: 'Check the translated output against the source (placeholders, format codes, glossary)',
+        run: async ({ values, positionals }) => {
+            const { main, PIPELINE_BY_MODE } = require('./indexValidator');
+            const mode = positionals[0] || 'mods';
+            await main(mode, await loadOptions(PIPELINE_BY_MODE[mode] || 'mods', values));
+        },
+    },
+    diff: {
+        usage: 'diff',
+        description: 'Show which keys were added/changed/removed since the last mods run (same as "mods --incremental --dry-run")',
+        run: async ({ values }) => require('./indexModTranslator').main(await loadOptions('mods', { ...values, incremental: true, dryRun: true })),
+    },
+    cache: {
+        usage: 'cache [stats|clear]',
+        description: 'Show translation memory statistics, or delete entries (clear accepts --engine, --model and --target-lang as filters)',
+        run: async ({ values, positionals }) => {
+            const action = positionals[0] || 'stats';
+            if (action === 'stats') {
+                const info = await TranslationMemory.inspect(MEMORY_DIRECTORY);
+                console.log(`[Cache] ${MEMORY_DIRECTORY}: ${info.entries} entr${info.entries === 1 ? 'y' : 'ies'} in ${info.shards} shard(s), ${(info.bytes / 1024).toFixed(1)} KiB`);
+                info.groups.forEach(group => console.log(`  ${group.lang} / ${group.engine} / ${group.model} / PV${group.promptVersion}: ${group.entries}`));
+            } else if (action === 'clear') {
+                // 明示的に指定された引数だけを条件にする (既定値のエンジン/モデルで絞り込まない)
+                const filter = { targetLang: values.targetLang, engine: values.engine, model: values.model };
+                // 翻訳メモリにはエンジンごとの言語の表し方 (OpenAIは "Japanese"、DeepLは "JA") で記録されているので、言語コードごとに変換して消す
+                const langs = values.targetLang === undefined ? [undefined] : values.targetLang.split(',').map(code => code.trim()).filter(Boolean).map(getMemoryLanguages);
+                let removed = 0;
+                for (const lang of langs) removed += await TranslationMemory.clear(MEMORY_DIRECTORY, { lang, engine: values.engine, model: values.model });
+                const conditions = Object.entries(filter).filter(([, value]) => value !== undefined).map(([key, value]) => `${key}=${value}`);
+                console.log(`[Cache] Removed ${removed} entr${removed === 1 ? 'y' : 'ies'}${conditions.length ? ` (${conditions.join(', ')})` : ''}.`);
+            } else {
+                throw new Error(`Unknown cache action "${action}" (use "stats" or "clear")`);
+            }
+        },
+    },
+    stats: {
+        usage: 'stats [mods|files]',
+        description: 'Count files, strings and characters per namespace, and how many are already in the translation memory',
+        run: async ({ values, positionals }) => {
+            const { PIPELINE_BY_MODE } = require('./indexValidator');
+            const mode = positionals[0] || 'mods';
+            await require('./indexStats').main(mode, await loadOptions(PIPELINE_BY_MODE[mode] || 'mods', values));
+        },
+    },
+};
+
+function formatHelp() {
+    return [
+        'Usage: node cli.js <command> [options]',
+        '',
+        'Commands:',
+        ...Object.values(COMMANDS).map(command => `  ${command.usage.padEnd(24)} ${command.description}`),
+        '',
+        'Options:',
+        formatOptionsHelp(),
+        `  ${'-h, --help'.padEnd(34)} Show this help`,
+        '',
+        `Engines: ${listEngines().join(', ')}`,
+        `Target languages: ${listTargetLanguages().join(', ')}`,
+        `Config file: ${DEFAULT_CONFIG_PATH} is read if present (top-level options, plus "mods" / "pack-files" sections).`,
+    ].join('\n');
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseCliArgs(argv);
+    } catch (error) {
+        console.error(`[CLI] ${error.message}\nRun "node cli.js --help" for the list of commands and options.`);
+        process.exit(2);
+    }
+    const [commandName, ...positionals] = parsed.positionals;
+    if (parsed.values.help || !commandName) {
+        console.log(formatHelp());
+        return;
+    }
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.error(`[CLI] Unknown command "${commandName}". Run "node cli.js --help" for the list of commands.`);
+        process.exit(2);
+    }
+    await command.run({ values: parsed.values, positionals });
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`\n[CLI] ${error.message}`);
+    process.exit(1);
+});
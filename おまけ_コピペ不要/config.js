@@ -0,0 +1,207 @@
+// config.js
+// 設定の読み込み。優先順位は「既定値 < .env (環境変数) < プロジェクト設定ファイル < コマンドライン引数」。
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const DEFAULT_CONFIG_PATH = './translator.config.json';
+
+// オプションの定義。flagはコマンドライン引数名 (省略時はキー名そのまま)、envは対応する環境変数 (パイプラインごとに変える場合はオブジェクト)。
+// isPathがtrueのものは、設定ファイルに書いた相対パスを設定ファイルのフォルダ基準で解決する。
+// typeが'object'のものは設定ファイルでのみ指定できる (コマンドライン引数と環境変数はなし)。
+// min/max/integer (数値) と choices (文字列) があるものは、どこで指定された値でも範囲外ならエラーにする。
+const OPTION_DEFINITIONS = {
+    config: { type: 'string', short: 'c', description: 'Project config file (JSON)', isPath: true },
+    input: { type: 'string', short: 'i', env: 'SOURCE_DIRECTORY', description: 'Input folder (mods folder / modpack folder)', isPath: true },
+    output: { type: 'string', short: 'o', env: { mods: 'OUTPUT_DIRECTORY' }, description: 'Output folder', isPath: true },
+    sourceLang: { flag: 'source-lang', type: 'string', default: 'en_us', description: 'Source language code (Minecraft locale)' },
+    targetLang: { flag: 'target-lang', type: 'string', default: 'ja_jp', description: 'Target language code(s), comma-separated (e.g. ja_jp,zh_cn,ko_kr)' },
+    engine: { type: 'string', short: 'e', env: 'TRANSLATION_ENGINE', description: 'Translation engine (openai / deepl / mock)' },
+    model: { type: 'string', short: 'm', env: 'OPENAI_MODEL', default: 'gpt-4o-mini', description: 'Model name (openai engine)' },
+    baseUrl: { flag: 'base-url', type: 'string', env: 'OPENAI_BASE_URL', description: 'OpenAI-compatible server URL, e.g. http://localhost:11434/v1 (openai engine; no API key needed)' },
+    temperature: { type: 'number', env: 'OPENAI_TEMPERATURE', default: 0.1, min: 0, max: 2, description: 'Sampling temperature, 0-2 (openai engine)' },
+    maxTokens: { flag: 'max-tokens', type: 'number', env: 'OPENAI_MAX_TOKENS', min: 1, integer: true, description: 'Max output tokens per request (openai engine; default: server default)' },
+    jsonMode: { flag: 'json-mode', type: 'string', env: 'OPENAI_JSON_MODE', default: 'auto', choices: ['auto', 'true', 'false'], description: 'Send response_format: json_object (openai engine): auto (stop if unsupported) / true / false' },
+    concurrency: { type: 'number', short: 'j', env: 'MAX_WORKERS', default: os.cpus().length, description: 'Number of JAR scanning workers' },
+    nestedJarDepth: { flag: 'nested-jar-depth', type: 'number', default: 2, description: 'How many levels of jars bundled inside mods (META-INF/jarjar, META-INF/jars) to scan; 0 to skip them' },
+    apiConcurrency: { flag: 'api-concurrency', type: 'number', default: 5, description: 'Concurrent API calls (lowered automatically while rate limited)' },
+    apiRetries: { flag: 'api-retries', type: 'number', default: 5, description: 'Retries per API request on rate limits, 5xx and connection errors' },
+    maxBudget: { flag: 'max-budget', type: 'number', description: 'Stop before the estimated API cost (USD) would exceed this amount' },
+    batchSize: { flag: 'batch-size', type: 'number', default: 100, description: 'Texts per API call' },
+    minecraftVersion: { flag: 'minecraft-version', type: 'string', default: '1.20.1', description: 'Minecraft version for pack.mcmeta (pack_format)' },
+    supportedVersions: { flag: 'supported-versions', type: 'string', description: 'Version range the pack supports, e.g. 1.20.1-1.21.1 (supported_formats)' },
+    overlays: { type: 'string', description: 'Folder of version-specific overlays, one subfolder per version range (e.g. 1.21-1.21.4)', isPath: true },
+    packIcon: { flag: 'pack-icon', type: 'string', description: 'Image copied into the pack as pack.png', isPath: true },
+    packDescription: { flag: 'pack-description', type: 'string', description: 'pack.mcmeta description (default: generated)' },
+    zip: { type: 'boolean', default: false, description: 'Also write <output>.zip, ready to drop into resourcepacks' },
+    dryRun: { flag: 'dry-run', type: 'boolean', default: false, description: 'Do not call the API or write translations; only report what would be translated' },
+    logLevel: { flag: 'log-level', type: 'string', env: 'LOG_LEVEL', default: 'info', description: 'Log level: debug (every file and batch) / info / warn / error' },
+    logFormat: { flag: 'log-format', type: 'string', env: 'LOG_FORMAT', default: 'text', description: 'Log format: text / json (one JSON object per line)' },
+    progress: { flag: 'no-progress', type: 'boolean', default: true, negate: true, description: 'Do not redraw the progress line in the terminal (progress is logged every 30s instead)' },
+    incremental: { type: 'boolean', env: 'INCREMENTAL', default: false, description: 'Only translate keys added or changed since the last run' },
+    resume: { type: 'boolean', default: false, description: 'Continue an interrupted run from <output>.journal.jsonl without re-translating finished batches (mods)' },
+    officialLang: { flag: 'no-official-lang', type: 'boolean', default: true, negate: true, description: 'Ignore the translations mods ship themselves and translate every key' },
+    cache: { flag: 'no-cache', type: 'boolean', env: 'CACHE_ENABLED', default: true, negate: true, description: 'Disable the translation memory' },
+    overrides: { type: 'string', env: 'OVERRIDES_DIRECTORY', default: './overrides', description: 'Manual overrides folder', isPath: true },
+    acceptOverrideSources: { flag: 'accept-override-sources', type: 'boolean', env: 'ACCEPT_OVERRIDE_SOURCES', default: false, description: 'Mark overrides whose source changed as reviewed' },
+    glossary: { type: 'string', env: 'GLOSSARY_PATH', default: './glossary.json', description: 'Glossary file', isPath: true },
+    snapshot: { type: 'string', env: 'SOURCE_SNAPSHOT_DIRECTORY', description: 'Source snapshot folder (default: <output>_<source-lang>)', isPath: true },
+    nameIndexPack: { flag: 'name-index-pack', type: 'string', env: 'NAME_INDEX_RESOURCE_PACK', default: './translated_rp_openai', description: 'Translated mod resource pack used for item names (pack-files)', isPath: true },
+    nameIndexSnapshot: { flag: 'name-index-snapshot', type: 'string', env: 'NAME_INDEX_SOURCE_SNAPSHOT', description: 'Source snapshot of the above (default: <name-index-pack>_<source-lang>)', isPath: true },
+    ftbQuests: { flag: 'ftb-quests', type: 'string', default: 'off', description: 'FTB Quests .snbt files (pack-files): off / in-place (translate the .snbt) / lang-keys (rewrite to lang keys)' },
+    questKeyPrefix: { flag: 'quest-key-prefix', type: 'string', default: 'cabin', description: 'Prefix of the lang keys generated by --ftb-quests lang-keys' },
+    mcfunction: { type: 'boolean', default: false, description: 'Also translate tellraw/title/bossbar JSON text in .mcfunction files (pack-files; written like --ftb-quests in-place)' },
+    patchouliPageTypes: { type: 'object', default: {}, description: 'Custom Patchouli page types -> fields to translate, e.g. {"mymod:comparison": ["title", "text", "before"]}' },
+    pricing: { type: 'object', default: {}, description: 'API prices (USD) added to/overriding the defaults, e.g. {"openai": {"my-model": {"input": 0.5, "output": 1.5}}, "deepl": {"deepl": {"characters": 20}}}' },
+    report: { type: 'string', env: 'VALIDATION_REPORT', default: './validation_report.json', description: 'Validation report path (validate)', isPath: true },
+    maxErrors: { flag: 'max-errors', type: 'number', env: 'VALIDATION_MAX_ERRORS', default: 0, description: 'Fail validation above this many errors' },
+};
+
+// パイプラインごとの既定値 (mods: indexModTranslator.js, pack-files: index.js)
+const PIPELINE_DEFAULTS = {
+    mods: { engine: 'openai', input: './mods', output: './translated_rp_openai' },
+    'pack-files': { engine: 'deepl', output: './dist' },
+};
+
+function flagName(key) {
+    return OPTION_DEFINITIONS[key].flag || key;
+}
+
+function convertValue(key, value, origin) {
+    const definition = OPTION_DEFINITIONS[key];
+    if (definition.type === 'number') {
+        const number = Number(value);
+        if (!Number.isFinite(number)) throw new Error(`Invalid number for ${origin}: "${value}"`);
+        if (definition.integer && !Number.isInteger(number)) throw new Error(`Invalid value for ${origin}: "${value}" (expected an integer)`);
+        if (definition.min !== undefined && number < definition.min) throw new Error(`Invalid value for ${origin}: ${number} (minimum ${definition.min})`);
+        if (definition.max !== undefined && number > definition.max) throw new Error(`Invalid value for ${origin}: ${number} (maximum ${definition.max})`);
+        return number;
+    }
+    if (definition.type === 'boolean' && typeof value === 'string') return value === 'true';
+    if (definition.choices) {
+        // 設定ファイルでは "jsonMode": false のようにJSONの真偽値でも書ける
+        if (!definition.choices.includes(String(value))) throw new Error(`Invalid value for ${origin}: "${value}" (use ${definition.choices.join(' / ')})`);
+        return String(value);
+    }
+    return value;
+}
+
+/**
+ * コマンドライン引数を解析します。
+ * @param {string[]} argv - process.argv.slice(2) など。
+ * @returns {{values: object, positionals: string[]}} valuesはOPTION_DEFINITIONSのキーで指定された値のみ。
+ * @throws {Error} 未知のオプションや不正な値の場合。
+ */
+function parseCliArgs(argv) {
+    const parseOptions = {};
+    for (const [key, definition] of Object.entries(OPTION_DEFINITIONS)) {
+        if (definition.type === 'object') continue;
+        parseOptions[flagName(key)] = { type: definition.type === 'boolean' ? 'boolean' : 'string', ...(definition.short ? { short: definition.short } : {}) };
+    }
+    parseOptions.help = { type: 'boolean', short: 'h' };
+    const { values, positionals } = parseArgs({ args: argv, options: parseOptions, allowPositionals: true, strict: true });
+
+    const result = {};
+    for (const key of Object.keys(OPTION_DEFINITIONS)) {
+        const value = values[flagName(key)];
+        if (value === undefined) continue;
+        // --no-cache のような否定のフラグは値を反転する
+        result[key] = OPTION_DEFINITIONS[key].negate ? !value : convertValue(key, value, `--${flagName(key)}`);
+    }
+    if (values.help) result.help = true;
+    return { values: result, positionals };
+}
+
+async function readConfigFile(configPath, explicit) {
+    try {
+        return JSON.parse(await fs.readFile(configPath, 'utf8'));
+    } catch (error) {
+        // 既定の場所にないのは問題ない。明示的に指定されたファイルがない場合はエラー
+        if (error.code === 'ENOENT' && !explicit) return null;
+        throw new Error(`Failed to read config file ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * パイプラインの設定を組み立てます。
+ * @param {'mods'|'pack-files'} pipeline - 対象のパイプライン。
+ * @param {object} [cliValues={}] - `parseCliArgs` が返したvalues。
+ * @returns {Promise<object>} OPTION_DEFINITIONSのキーを持つ設定。パスは絶対パス。targetLangsは翻訳先の言語コードの配列。
+ * @throws {Error} 設定ファイルが読めない、または値が不正な場合。
+ */
+async function loadOptions(pipeline, cliValues = {}) {
+    const options = {};
+    const set = (key, value) => { options[key] = value; };
+
+    // 1. 既定値
+    for (const [key, definition] of Object.entries(OPTION_DEFINITIONS)) {
+        if (definition.default !== undefined) set(key, definition.default);
+    }
+    Object.entries(PIPELINE_DEFAULTS[pipeline] || {}).forEach(([key, value]) => set(key, value));
+
+    // 2. 環境変数 (.env)
+    for (const [key, definition] of Object.entries(OPTION_DEFINITIONS)) {
+        const envName = typeof definition.env === 'object' ? definition.env[pipeline] : definition.env;
+        if (envName && process.env[envName] !== undefined && process.env[envName] !== '') {
+            set(key, convertValue(key, process.env[envName], envName));
+        }
+    }
+
+    // 3. プロジェクト設定ファイル (共通の設定 + パイプライン名のセクション)
+    const configPath = path.resolve(cliValues.config || DEFAULT_CONFIG_PATH);
+    const config = await readConfigFile(configPath, cliValues.config !== undefined);
+    if (config) {
+        const configDir = path.dirname(configPath);
+        const applyConfig = (section, origin) => {
+            for (let [key, value] of Object.entries(section || {})) {
+                if (!OPTION_DEFINITIONS[key]) continue;
+                if (OPTION_DEFINITIONS[key].type === 'object') {
+                    if (typeof value !== 'object' || value === null || Array.isArray(value)) throw new Error(`Invalid value for ${origin}.${key}: expected an object`);
+                    set(key, value);
+                    continue;
+                }
+                if (Array.isArray(value)) value = value.join(','); // "targetLang": ["ja_jp", "zh_cn"] など
+                if (typeof value === 'object' && value !== null) continue;
+                const converted = convertValue(key, value, `${origin}.${key}`);
+                set(key, OPTION_DEFINITIONS[key].isPath ? path.resolve(configDir, converted) : converted);
+            }
+        };
+        applyConfig(config, path.basename(configPath));
+        applyConfig(config[pipeline], `${path.basename(configPath)}.${pipeline}`);
+        options.configPath = configPath;
+    }
+
+    // 4. コマンドライン引数
+    Object.entries(cliValues).forEach(([key, value]) => { if (OPTION_DEFINITIONS[key]) set(key, value); });
+
+    // 相対パスは実行時のフォルダ基準で絶対パスにする
+    for (const [key, definition] of Object.entries(OPTION_DEFINITIONS)) {
+        if (definition.isPath && typeof options[key] === 'string') options[key] = path.resolve(options[key]);
+    }
+    // 他の値から決まる既定値
+    if (options.output && !options.snapshot) options.snapshot = `${options.output}_${options.sourceLang}`;
+    if (!options.nameIndexSnapshot) options.nameIndexSnapshot = `${options.nameIndexPack}_${options.sourceLang}`;
+    options.sourceLang = options.sourceLang.toLowerCase();
+    // 翻訳先は複数指定できる。targetLangは1つだけを扱う処理 (stats など) 用に先頭の言語
+    options.targetLangs = [...new Set(options.targetLang.split(',').map(code => code.trim().toLowerCase()).filter(Boolean))];
+    if (options.targetLangs.length === 0) throw new Error('No target language specified (--target-lang)');
+    options.targetLang = options.targetLangs[0];
+    options.engine = options.engine.toLowerCase();
+    return options;
+}
+
+/**
+ * ヘルプに表示するオプションの一覧を返します。
+ * @returns {string}
+ */
+function formatOptionsHelp() {
+    return Object.entries(OPTION_DEFINITIONS).map(([key, definition]) => {
+        if (definition.type === 'object') return `  ${`    ${key} (config file only)`.padEnd(34)} ${definition.description}`;
+        const names = `${definition.short ? `-${definition.short}, ` : '    '}--${flagName(key)}${definition.type === 'boolean' ? '' : ' <value>'}`;
+        const env = typeof definition.env === 'object' ? Object.values(definition.env).join('/') : definition.env;
+        return `  ${names.padEnd(34)} ${definition.description}${env ? ` [env: ${env}]` : ''}`;
+    }).join('\n');
+}
+
+module.exports = { parseCliArgs, loadOptions, formatOptionsHelp, DEFAULT_CONFIG_PATH };
@@ -0,0 +1,59 @@
+// dryRunTranslator.js
+const TranslationEngine = require('./translationEngine');
+
+/**
+ * ドライラン用の翻訳エンジン。実際のエンジンの代わりに置き、APIに送られるはずだったテキストを記録して原文のまま返します。
+ * 翻訳メモリのスコープは実際のエンジンと同じなので、メモリにある訳はそのまま使われ、「メモリにない分だけ」が記録されます。
+ * 原文のまま返すため翻訳メモリには何も保存されません。
+ * UsageMeter を設定すると、本来のエンジンで送った場合の使用量 (OpenAIはトークン数、DeepLは文字数) の見積もりを記録します。
+ */
+class DryRunTranslator extends TranslationEngine {
+    #engine;
+    #texts = new Set();
+    #batches = 0;
+
+    /**
+     * @param {TranslationEngine} engine - 本来使う翻訳エンジン (スコープの取得にのみ使用し、APIは呼ばない)。
+     */
+    constructor(engine) {
+        super();
+        this.#engine = engine;
+    }
+
+    getMemoryScope() {
+        return this.#engine.getMemoryScope();
+    }
+
+    /**
+     * APIに送られるはずだったテキストを記録します。エンジン共通インターフェースの実装。
+     * @param {string[]} texts - 翻訳するテキスト。
+     * @param {number[]} promptIndices - textsに対応する、結果Mapのキーとして使用するインデックス。
+     * @param {number} [currentSplitDepth=0] - 使用しない。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース (使用量をModごとに分けるために使う)。
+     * @param {Array<import('./textContext').TextContext|null>|null} [contexts=null] - textsに対応する文脈 (プロンプトに含まれる分も見積もる)。
+     * @returns {Promise<Map<number, string>>} 原文をそのまま値とするMap。
+     */
+    async translateBatchInternal(texts, promptIndices, currentSplitDepth = 0, namespaces = null, contexts = null) {
+        this.#batches++;
+        // 予算は確認せず見積もりだけを記録する (実行後に予算と比べて警告する)
+        this.usageMeter?.record(this.#engine.estimateUsage(texts, namespaces, contexts), { texts, namespaces });
+        const resultsMap = new Map();
+        texts.forEach((text, i) => {
+            this.#texts.add(text);
+            resultsMap.set(promptIndices[i], text);
+        });
+        return resultsMap;
+    }
+
+    /**
+     * 記録した内容を返します。
+     * @returns {{batches: number, texts: number, characters: number}} API呼び出し数、ユニークなテキスト数、その合計文字数。
+     */
+    getStats() {
+        let characters = 0;
+        this.#texts.forEach(text => { characters += text.length; });
+        return { batches: this.#batches, texts: this.#texts.size, characters };
+    }
+}
+
+module.exports = DryRunTranslator;
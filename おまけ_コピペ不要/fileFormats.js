@@ -0,0 +1,287 @@
+// fileFormats.js
+// 翻訳するテキストのファイル形式 (アダプター) のレジストリ。
+// 言語ファイル (en_us.json、FancyMenu/Konkrete形式の en_us.local、1.12以前の en_US.lang) と、
+// データパックの .mcfunction の tellraw/title などのJSONテキストコンポーネントを、同じ形で読み書きします。
+//
+// 各アダプターは次を持ちます:
+//   parse(content)                    -> document (ファイル全体。書き戻しに必要な元の書式も含む)
+//   entries(document)                 -> [{ key, value }] (翻訳する文字列。ファイル内の順)
+//   toObject(document)                -> { key: value } (差分/手修正/公式の訳との照合用。同じキーは後勝ち)
+//   serialize(document, translateEntry, { rewrite }) -> string
+//     translateEntry(entry, index) は書き出す文字列を返す。undefined なら翻訳できなかった文字列として形式ごとに扱う
+//     (言語ファイルではキー/行を除き、.mcfunction では原文のまま残す)。
+//     値が変わらない行は元の行をそのまま書く (rewrite: true なら全ての値を書き直す。往復の確認用)
+//   targetFileName(sourceFileName, targetLangCode) (言語ファイルのみ) -> 翻訳先の言語のファイル名
+// 変更しなかった部分を元のまま書き戻せる (往復で失われるものがない) ことを checkRoundTrip で翻訳前に確かめます。
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+// 行に分けます。BOMと行ごとの改行 (\r\n / \n が混ざっていても) を保ち、joinLines で元に戻せるようにする
+function splitLines(content) {
+    const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+    const parts = content.slice(bom.length).split(/(\r?\n)/);
+    return { bom, lines: parts.filter((_, i) => i % 2 === 0), separators: parts.filter((_, i) => i % 2 === 1) };
+}
+
+function joinLines({ bom, separators }, lines) {
+    return bom + lines.map((line, i) => line + (separators[i] ?? '')).join('');
+}
+
+// --- 行ごとの key=value 形式 (.local / .lang) ---
+
+// Forge (1.12以前) の .lang は、この行があるファイルだけ値のエスケープ (\n など) を解釈する
+const PARSE_ESCAPES_MARKER = '#PARSE_ESCAPES';
+const UNESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '\\': '\\', '"': '"', "'": "'" };
+
+function unescapeLangValue(raw) {
+    return raw.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (escape, code) => {
+        if (code.length === 5) return String.fromCharCode(parseInt(code.slice(1), 16));
+        return UNESCAPES[code] ?? escape; // 知らないエスケープはそのまま
+    });
+}
+
+function escapeLangValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+}
+
+/**
+ * key=value の行の形式のアダプターを作ります。
+ * @param {object} options
+ * @param {boolean} options.trimKey - キーの後ろの空白を除くか (.local は除く、.lang はMinecraftと同じく除かない)。
+ * @param {boolean} options.escapes - `#PARSE_ESCAPES` の行があるファイルで値のエスケープを解釈するか (.lang)。
+ */
+function createKeyValueFormat({ trimKey, escapes }) {
+    const parse = (content) => {
+        const { bom, lines: rawLines, separators } = splitLines(content);
+        const lines = rawLines.map((line, index) => {
+            const lineNumber = index + 1;
+            const trimmedLine = line.trim();
+            if (trimmedLine === '') return { type: 'empty', originalLine: line, lineNumber };
+            if (trimmedLine.startsWith('#')) return { type: 'comment', originalLine: line, lineNumber };
+            const separatorIndex = line.indexOf('=');
+            const key = separatorIndex > 0 ? (trimKey ? line.substring(0, separatorIndex).trimEnd() : line.substring(0, separatorIndex)) : '';
+            if (key.trim() === '') return { type: 'other', originalLine: line, lineNumber };
+            return { type: 'kv', key, rawValue: line.substring(separatorIndex + 1), originalLine: line, lineNumber };
+        });
+        const escaped = escapes && lines.some(line => line.type === 'comment' && line.originalLine.trim() === PARSE_ESCAPES_MARKER);
+        lines.forEach(line => { if (line.type === 'kv') line.value = escaped ? unescapeLangValue(line.rawValue) : line.rawValue; });
+        return { bom, separators, escaped, lines };
+    };
+    const entries = document => document.lines.filter(line => line.type === 'kv').map(line => ({ key: line.key, value: line.value }));
+    const encode = (document, value) => document.escaped ? escapeLangValue(value) : value.replace(/\r?\n/g, ' '); // エスケープのないファイルは1行に収める
+    return {
+        parse,
+        entries,
+        toObject: document => Object.fromEntries(entries(document).map(({ key, value }) => [key, value])),
+        serialize(document, translateEntry = entry => entry.value, { rewrite = false } = {}) {
+            let index = 0;
+            const lines = document.lines.map(line => {
+                if (line.type !== 'kv') return line.originalLine;
+                const value = translateEntry({ key: line.key, value: line.value }, index++);
+                if (value === undefined) return ''; // 翻訳できなかった行は空行にする (行数は変えない)
+                if (value === line.value && !rewrite) return line.originalLine;
+                return `${line.key}=${encode(document, value)}`;
+            });
+            return joinLines(document, lines);
+        },
+    };
+}
+
+// --- .mcfunction の JSONテキストコンポーネント ---
+
+// JSONテキストを引数の最後に取るコマンド (execute ... run の後ろも含む)。セレクターの [] の中には空白があってもよい
+const TARGET = String.raw`(?:@[a-z](?:\[[^\]]*\])?|\S+)`;
+const TEXT_COMMAND_REGEX = new RegExp(String.raw`(?:^|\s)(?:tellraw\s+${TARGET}|title\s+${TARGET}\s+(?:title|subtitle|actionbar)|bossbar\s+(?:add\s+\S+|set\s+\S+\s+name))\s+(?=[\[{"])`);
+
+/**
+ * テキストコンポーネントの表示される文字列 (text と、extra / with / show_text のホバーの中) を置き換えた新しいコンポーネントを返します。
+ * translate, keybind, score, selector, nbt などの文字列はゲームが解決するので触りません。
+ * @param {*} component - JSONテキストコンポーネント (文字列/配列/オブジェクト)。
+ * @param {Array<string|number>} segments - ルートからのパス。
+ * @param {function(Array<string|number>, string): string} visit - 空でない文字列ごとに呼ばれ、置き換える文字列を返す。
+ * @returns {*}
+ */
+function mapComponentTexts(component, segments, visit) {
+    if (typeof component === 'string') return isText(component) ? visit(segments, component) : component;
+    if (Array.isArray(component)) return component.map((child, i) => mapComponentTexts(child, [...segments, i], visit));
+    if (typeof component !== 'object' || component === null) return component;
+    const result = { ...component };
+    if (typeof component.text === 'string' && isText(component.text)) result.text = visit([...segments, 'text'], component.text);
+    for (const field of ['extra', 'with']) {
+        if (Array.isArray(component[field])) result[field] = mapComponentTexts(component[field], [...segments, field], visit);
+    }
+    const hoverEvent = component.hoverEvent;
+    if (hoverEvent && hoverEvent.action === 'show_text') {
+        const field = hoverEvent.contents !== undefined ? 'contents' : 'value';
+        result.hoverEvent = { ...hoverEvent, [field]: mapComponentTexts(hoverEvent[field], [...segments, 'hoverEvent', field], visit) };
+    }
+    return result;
+}
+
+const mcfunctionFormat = {
+    parse(content) {
+        const { bom, lines: rawLines, separators } = splitLines(content);
+        const lines = rawLines.map((line, index) => {
+            const parsedLine = { originalLine: line, lineNumber: index + 1 };
+            if (line.trim().startsWith('#')) return parsedLine;
+            const match = line.match(TEXT_COMMAND_REGEX);
+            if (!match) return parsedLine;
+            const jsonStart = match.index + match[0].length;
+            const jsonText = line.slice(jsonStart).trimEnd();
+            try {
+                parsedLine.component = JSON.parse(jsonText);
+            } catch {
+                return parsedLine; // JSONとして読めないもの (SNBTのテキストなど) は翻訳しない
+            }
+            parsedLine.prefix = line.slice(0, jsonStart);
+            parsedLine.suffix = line.slice(jsonStart + jsonText.length);
+            return parsedLine;
+        });
+        return { bom, separators, lines };
+    },
+    entries(document) {
+        const entries = [];
+        document.lines.forEach(line => {
+            if (line.component === undefined) return;
+            mapComponentTexts(line.component, [line.lineNumber], (segments, text) => {
+                entries.push({ key: segments.join('.'), value: text });
+                return text;
+            });
+        });
+        return entries;
+    },
+    toObject(document) {
+        return Object.fromEntries(this.entries(document).map(({ key, value }) => [key, value]));
+    },
+    serialize(document, translateEntry = entry => entry.value, { rewrite = false } = {}) {
+        let index = 0;
+        const lines = document.lines.map(line => {
+            if (line.component === undefined) return line.originalLine;
+            let changed = false;
+            const component = mapComponentTexts(line.component, [line.lineNumber], (segments, text) => {
+                const value = translateEntry({ key: segments.join('.'), value: text }, index++) ?? text; // 翻訳できなかった文字列は原文のまま
+                if (value !== text) changed = true;
+                return value;
+            });
+            return changed || rewrite ? `${line.prefix}${JSON.stringify(component)}${line.suffix}` : line.originalLine;
+        });
+        return joinLines(document, lines);
+    },
+};
+
+// --- 言語ファイルの名前 ---
+
+// en_us.json -> ja_jp.json のように、翻訳先の言語コードの小文字の名前
+const lowerCaseFileName = extension => (sourceFileName, targetLangCode) => `${targetLangCode.toLowerCase()}${extension}`;
+
+const FORMATS = {
+    json: {
+        extension: '.json',
+        parse: content => JSON.parse(content),
+        entries: document => Object.entries(document).filter(([, value]) => typeof value === 'string').map(([key, value]) => ({ key, value })),
+        toObject: document => ({ ...document }),
+        serialize(document, translateEntry = entry => entry.value) {
+            let index = 0;
+            const result = [];
+            Object.entries(document).forEach(([key, value]) => {
+                if (typeof value !== 'string') return result.push([key, value]);
+                const translated = translateEntry({ key, value }, index++);
+                if (translated !== undefined) result.push([key, translated]); // 翻訳できなかったキーは除く
+            });
+            return JSON.stringify(Object.fromEntries(result), null, 2);
+        },
+        targetFileName: lowerCaseFileName('.json'),
+    },
+    local: {
+        extension: '.local',
+        ...createKeyValueFormat({ trimKey: true, escapes: false }),
+        targetFileName: lowerCaseFileName('.local'),
+    },
+    lang: {
+        extension: '.lang',
+        ...createKeyValueFormat({ trimKey: false, escapes: true }),
+        // 1.10以前は en_US.lang のように地域が大文字 (ファイル名の大文字/小文字が区別される)。原文のファイルに合わせる
+        targetFileName(sourceFileName, targetLangCode) {
+            const [language, region = ''] = targetLangCode.toLowerCase().split('_');
+            return /_[A-Z]+\.lang$/.test(sourceFileName) ? `${language}_${region.toUpperCase()}.lang` : `${language}_${region}.lang`;
+        },
+    },
+    mcfunction: {
+        extension: '.mcfunction',
+        ...mcfunctionFormat,
+    },
+};
+
+// 言語ファイルの形式 (同じフォルダに複数ある場合はこの順に優先する)
+const LANG_FILE_FORMATS = ['json', 'local', 'lang'];
+
+/**
+ * 形式のアダプターを返します。
+ * @param {string} formatName - 形式の名前 (json / local / lang / mcfunction)。
+ * @returns {object} アダプター。
+ * @throws {Error} 未知の形式の場合。
+ */
+function getFormat(formatName) {
+    const format = FORMATS[formatName];
+    if (!format) throw new Error(`Unknown file format "${formatName}". Available: ${Object.keys(FORMATS).join(', ')}`);
+    return format;
+}
+
+/**
+ * ファイル名がその言語の言語ファイルなら形式の名前を返します (en_us.json / en_us.local / en_us.lang / en_US.lang など、大文字/小文字は区別しない)。
+ * @param {string} fileName - ファイル名 (パスを含まない)。
+ * @param {string} langCode - 言語コード (例: en_us)。
+ * @returns {string|null} 形式の名前。言語ファイルでなければnull。
+ */
+function langFileFormatOf(fileName, langCode) {
+    const lowerName = fileName.toLowerCase();
+    return LANG_FILE_FORMATS.find(formatName => lowerName === `${langCode.toLowerCase()}${FORMATS[formatName].extension}`) ?? null;
+}
+
+/**
+ * ファイル名の拡張子から形式の名前を返します。
+ * @param {string} fileName - ファイル名またはパス。
+ * @returns {string|null} 形式の名前。対応していない拡張子ならnull。
+ */
+function formatOfFileName(fileName) {
+    const lowerName = fileName.toLowerCase();
+    return Object.keys(FORMATS).find(formatName => lowerName.endsWith(FORMATS[formatName].extension)) ?? null;
+}
+
+/**
+ * ファイルの内容を key -> value のオブジェクトに変換します (JSON.parse / .local の key=value の代わり)。
+ * @param {string} formatName - 形式の名前。
+ * @param {string} content - ファイルの全内容。
+ * @returns {Object<string, string>}
+ * @throws {Error} 内容を解析できない場合。
+ */
+function readEntries(formatName, content) {
+    const format = getFormat(formatName);
+    return format.toObject(format.parse(content));
+}
+
+/**
+ * 解析したファイルを書き戻して、失われるものがないかを確かめます。
+ * 値を変えずに書き戻したものが元の内容と同じ (JSONは同じデータ) で、全ての値を書き直したものを読み直しても同じ文字列が取り出せることを確認します。
+ * @param {string} formatName - 形式の名前。
+ * @param {string} content - ファイルの全内容。
+ * @returns {string|null} 問題があればその説明、なければnull。
+ * @throws {Error} 内容を解析できない場合。
+ */
+function checkRoundTrip(formatName, content) {
+    const format = getFormat(formatName);
+    const document = format.parse(content);
+    const unchanged = format.serialize(document);
+    const sameContent = formatName === 'json' ? JSON.stringify(format.parse(unchanged)) === JSON.stringify(document) : unchanged === content;
+    if (!sameContent) return 'the file changes when written back without translating';
+    const expected = format.entries(document);
+    const actual = format.entries(format.parse(format.serialize(document, undefined, { rewrite: true })));
+    const mismatch = expected.findIndex((entry, i) => !actual[i] || actual[i].key !== entry.key || actual[i].value !== entry.value);
+    if (mismatch !== -1 || actual.length !== expected.length) {
+        const entry = expected[mismatch] ?? actual[expected.length];
+        return `"${entry.key}" does not survive being rewritten`;
+    }
+    return null;
+}
+
+module.exports = { LANG_FILE_FORMATS, getFormat, langFileFormatOf, formatOfFileName, readEntries, checkRoundTrip, isText };
@@ -0,0 +1,166 @@
+// formatCodeMasker.js
+const { log } = require('./logger');
+
+// 翻訳中に壊れてはいけない書式コード。上から順に評価され、最初にマッチしたものが1つのトークンになる。
+// 結合して 'g' だけで使うので、大文字小文字の区別はパターン自身に書く (printf の %S や %D は対象外)。
+const FORMAT_CODE_PATTERNS = {
+    patchouli: /\$\([^)]*\)/,                                  // Patchouli: $(item), $(br), $(l:path), $()
+    printf: /%(?:\d+\$)?[-+0]*\d*(?:\.\d+)?[sdf]|%%/,          // 言語ファイルで使われる printf: %s, %d, %1$s, %.1f, %% ("50%off" の %o などは対象外)
+    sectionCode: /(?:§[0-9a-fk-orxA-FK-ORX])+/,                 // セクション記号の色/装飾コード (連続したものはまとめる)
+    ampersandCode: /(?<![A-Za-z])(?:&[0-9a-fk-orA-FK-OR])+/,   // &記法の色コード (R&D のような単語中の & は対象外。&f4&6 のように数字の後に続くものは対象)
+    brace: /\{[^{}\s][^{}]*\}/,                                // {0}, {@pagebreak}, {image:...} などの波括弧プレースホルダ
+};
+const FORMAT_CODE_REGEX = new RegExp(Object.values(FORMAT_CODE_PATTERNS).map(pattern => pattern.source).join('|'), 'g');
+const COLOR_CODE_RUN_REGEX = new RegExp(`${FORMAT_CODE_PATTERNS.sectionCode.source}|${FORMAT_CODE_PATTERNS.ampersandCode.source}`, 'g');
+
+// センチネルの形式。'bracket' はLLM向け、'xml' はDeepLの tagHandling: 'xml' 向け。
+const SENTINEL_STYLES = {
+    bracket: {
+        create: index => `⟦${index}⟧`,
+        regex: () => /⟦\s*(\d+)\s*⟧/g,
+    },
+    xml: {
+        create: index => `<m i="${index}"/>`,
+        regex: () => /<m\s+i\s*=\s*"(\d+)"\s*\/>/g,
+    },
+};
+
+class FormatCodeMasker {
+    // 種類ごとの書式コードの正規表現 (検証処理などで個別に使う)
+    static PATTERNS = FORMAT_CODE_PATTERNS;
+
+    /**
+     * テキスト中の書式コードを不透明なセンチネルに置き換えます。
+     * @param {string} text - 原文。
+     * @param {object} [options]
+     * @param {'bracket'|'xml'} [options.style='bracket'] - センチネルの形式。
+     * @returns {{masked: string, tokens: string[]}} maskedは置換後のテキスト、tokensはセンチネル番号順の元の書式コード。
+     */
+    static mask(text, { style = 'bracket' } = {}) {
+        const sentinel = FormatCodeMasker.#getStyle(style);
+        const tokens = [];
+        if (typeof text !== 'string') return { masked: text, tokens };
+
+        let masked = '';
+        let lastIndex = 0;
+        for (const match of text.matchAll(FORMAT_CODE_REGEX)) {
+            masked += FormatCodeMasker.#escapePlain(text.substring(lastIndex, match.index), style);
+            masked += sentinel.create(tokens.length);
+            tokens.push(match[0]);
+            lastIndex = match.index + match[0].length;
+        }
+        masked += FormatCodeMasker.#escapePlain(text.substring(lastIndex), style);
+        return { masked, tokens };
+    }
+
+    /**
+     * 翻訳結果のセンチネルを元の書式コードに戻し、全てのコードが過不足なく戻ったかを検証します。
+     * @param {string} translated - 翻訳エンジンから返ってきたテキスト。
+     * @param {string[]} tokens - `mask` が返したトークン配列。
+     * @param {object} [options]
+     * @param {'bracket'|'xml'} [options.style='bracket'] - `mask` で使ったセンチネルの形式。
+     * @returns {{text: string, ok: boolean}} textは復元後のテキスト、okは全てのセンチネルがちょうど1回ずつ現れたか。
+     */
+    static unmask(translated, tokens, { style = 'bracket' } = {}) {
+        const sentinel = FormatCodeMasker.#getStyle(style);
+        if (typeof translated !== 'string') return { text: translated, ok: false };
+
+        const seenCounts = new Array(tokens.length).fill(0);
+        let ok = true;
+        let text = '';
+        let lastIndex = 0;
+        for (const match of translated.matchAll(sentinel.regex())) {
+            const tokenIndex = parseInt(match[1], 10);
+            text += FormatCodeMasker.#unescapePlain(translated.substring(lastIndex, match.index), style);
+            if (tokenIndex < tokens.length) {
+                text += tokens[tokenIndex];
+                seenCounts[tokenIndex]++;
+            } else {
+                ok = false; // 存在しない番号のセンチネルが混入した
+            }
+            lastIndex = match.index + match[0].length;
+        }
+        text += FormatCodeMasker.#unescapePlain(translated.substring(lastIndex), style);
+
+        if (seenCounts.some(count => count !== 1)) ok = false;
+        return { text, ok };
+    }
+
+    /**
+     * テキストに含まれる書式コードを出現順に返します。
+     * @param {string} text - 対象テキスト。
+     * @returns {string[]} 書式コードの配列。
+     */
+    static extractCodes(text) {
+        if (typeof text !== 'string') return [];
+        return [...text.matchAll(FORMAT_CODE_REGEX)].map(match => match[0]);
+    }
+
+    /**
+     * テキストに含まれる § / & の色/装飾コードを、連続したもの (&l&6 など) も1コードずつに分けて出現順に返します。
+     * マスクと同じ条件で判定するので、マスクされないもの (R&D の &D など) は含みません。
+     * @param {string} text - 対象テキスト。
+     * @returns {string[]} 小文字にした色/装飾コードの配列。
+     */
+    static extractColorCodes(text) {
+        if (typeof text !== 'string') return [];
+        return [...text.matchAll(COLOR_CODE_RUN_REGEX)]
+            .flatMap(match => match[0].match(/[§&][0-9a-z]/gi))
+            .map(code => code.toLowerCase());
+    }
+
+    /**
+     * 翻訳関数をマスク付きで実行します。コードが欠けた結果は1回だけ再試行し、それでも駄目なら原文に戻します。
+     * 翻訳関数がundefinedを返したもの (APIリクエストの失敗) は再試行せず、結果もundefinedのままにします。
+     * @param {string[]} texts - 原文の配列。
+     * @param {function(string[]): Promise<Array<string|undefined>>} translateFn - マスク済みテキスト配列を受け取り、同じ順序で翻訳結果を返す関数。
+     * @param {object} [options]
+     * @param {'bracket'|'xml'} [options.style='bracket'] - センチネルの形式。
+     * @param {string} [options.logPrefix='[Masker]'] - ログの接頭辞。
+     * @returns {Promise<Array<string|undefined>>} 書式コードを復元した翻訳結果 (検証に失敗したものは原文、翻訳できなかったものはundefined)。
+     */
+    static async translateMasked(texts, translateFn, { style = 'bracket', logPrefix = '[Masker]' } = {}) {
+        const maskedItems = texts.map(text => FormatCodeMasker.mask(text, { style }));
+        const results = new Array(texts.length);
+        let pending = texts.map((_, i) => i);
+
+        for (let attempt = 0; attempt < 2 && pending.length > 0; attempt++) {
+            const translatedTexts = await translateFn(pending.map(i => maskedItems[i].masked));
+            const stillFailing = [];
+            pending.forEach((textIndex, i) => {
+                if (translatedTexts[i] === undefined) return;
+                const { text, ok } = FormatCodeMasker.unmask(translatedTexts[i], maskedItems[textIndex].tokens, { style });
+                if (ok) results[textIndex] = text;
+                else stillFailing.push(textIndex);
+            });
+            pending = stillFailing;
+        }
+
+        pending.forEach(textIndex => {
+            const original = texts[textIndex];
+            const truncated = original.length > 100 ? original.substring(0, 100) + "..." : original;
+            log.warn(`${logPrefix} Formatting codes were not preserved after retry. Using original text: "${truncated}"`);
+            results[textIndex] = original;
+        });
+        return results;
+    }
+
+    static #getStyle(style) {
+        const sentinel = SENTINEL_STYLES[style];
+        if (!sentinel) throw new Error(`Unknown sentinel style: ${style}`);
+        return sentinel;
+    }
+
+    // xml形式ではDeepLがタグとして解釈しないよう、地の文の記号をエスケープする
+    static #escapePlain(text, style) {
+        if (style !== 'xml') return text;
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    static #unescapePlain(text, style) {
+        if (style !== 'xml') return text;
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    }
+}
+
+module.exports = FormatCodeMasker;
@@ -0,0 +1,125 @@
+// ftbQuests.js
+// FTB Quests のクエストファイル (config/ftbquests/quests/**/*.snbt) から翻訳対象の文字列を取り出し、
+// 訳で置き換える (in-place) か、言語ファイルのキー ({cabin.quest.<ID>.title} など) に書き換えます (lang-keys)。
+const fs = require('fs').promises;
+const path = require('path');
+const FormatCodeMasker = require('./formatCodeMasker');
+const { parseSnbt, replaceSnbtStrings } = require('./snbtFormat');
+
+const QUEST_MODES = ['off', 'in-place', 'lang-keys'];
+const QUEST_TEXT_FIELDS = ['title', 'subtitle', 'description'];
+// このキーのリストの要素を、その種類のオブジェクトとして扱う
+const LIST_KINDS = { quests: 'quest', tasks: 'task', rewards: 'reward', chapter_groups: 'chapter_group' };
+// タイトルしか持たない種類は、既存の言語ファイルと同じく末尾の ".title" を付けない (cabin.task.<ID> など)
+const TITLE_ONLY_KINDS = new Set(['task', 'reward', 'chapter_group', 'reward_table']);
+// 言語ファイルの置き場所 (KubeJSの assets として読み込ませる)
+const QUEST_LANG_DIRECTORY = 'kubejs/assets/ftbquests/lang';
+const QUEST_FILE_REGEX = /(?:^|\/)ftbquests\/quests\/(?!lang\/).+\.snbt$/;
+const FORMAT_CODE_REGEX = new RegExp(Object.values(FormatCodeMasker.PATTERNS).map(pattern => pattern.source).join('|'), 'g');
+
+// ファイルのルートの種類 (chapters/xxx.snbt はチャプター、reward_tables/xxx.snbt は報酬テーブル)
+function rootKind(relativePath) {
+    const normalized = relativePath.replace(/\\/g, '/');
+    if (/\/chapters\/[^/]+\.snbt$/.test(normalized)) return 'chapter';
+    if (/\/reward_tables\/[^/]+\.snbt$/.test(normalized)) return 'reward_table';
+    return null;
+}
+
+/**
+ * 翻訳する意味のある行かを判定します。
+ * 空行、{@pagebreak} や {image:...} だけの行、言語ファイルのキーを参照済みの行、JSONテキストの行は対象外です。
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isTranslatableText(text) {
+    if (typeof text !== 'string') return false;
+    if (/^\s*[[{]/.test(text)) {
+        try {
+            if (typeof JSON.parse(text) === 'object') return false; // ["", {"text": "..."}] のようなJSONテキスト
+        } catch { /* JSONでなければ普通の行 */ }
+    }
+    return /\p{L}/u.test(text.replace(FORMAT_CODE_REGEX, ''));
+}
+
+/**
+ * クエストファイルを解析し、翻訳対象の文字列を返します。
+ * @param {string} relativePath - 入力フォルダからの相対パス (種類の判定とキーの生成に使用)。
+ * @param {string} content - SNBTファイルの全内容。
+ * @param {string} keyPrefix - 生成するキーの接頭辞 (例: cabin)。
+ * @returns {Array<{pathKey: string, langKey: string, text: string, start: number, end: number}>}
+ *   pathKeyはSNBT内のパス (JSON文字列)、langKeyは lang-keys モードで使うキー、start/endは元の内容での位置。
+ * @throws {Error} SNBTの構文が不正な場合。
+ */
+function extractQuestTexts(relativePath, content, keyPrefix) {
+    const { value: root, strings } = parseSnbt(content);
+    const stringsByPath = new Map(strings.map(info => [JSON.stringify(info.path), info]));
+    const fileBase = path.basename(relativePath, '.snbt');
+    const entries = [];
+
+    const addEntry = (pathArray, langKey) => {
+        const pathKey = JSON.stringify(pathArray);
+        const info = stringsByPath.get(pathKey);
+        if (info && isTranslatableText(info.value)) entries.push({ pathKey, langKey, text: info.value, start: info.start, end: info.end });
+    };
+    const visit = (node, pathArray, kind) => {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+        // IDのないオブジェクト (data.snbt など) はファイル名をキーに使う
+        const base = typeof node.id === 'string' ? `${keyPrefix}.${kind}.${node.id}` : `${keyPrefix}.${fileBase}`;
+        if (kind || pathArray.length === 0) {
+            QUEST_TEXT_FIELDS.forEach(field => {
+                const value = node[field];
+                if (typeof value === 'string') {
+                    addEntry([...pathArray, field], field === 'title' && TITLE_ONLY_KINDS.has(kind) ? base : `${base}.${field}`);
+                } else if (Array.isArray(value)) {
+                    // 複数行の場合は翻訳する行だけに1から連番を振る (description1, description2, ...)
+                    let lineNumber = 0;
+                    value.forEach((line, index) => {
+                        if (isTranslatableText(line)) addEntry([...pathArray, field, index], `${base}.${field}${++lineNumber}`);
+                    });
+                }
+            });
+        }
+        Object.entries(node).forEach(([key, child]) => {
+            if (Array.isArray(child) && LIST_KINDS[key]) child.forEach((item, index) => visit(item, [...pathArray, key, index], LIST_KINDS[key]));
+        });
+    };
+    visit(root, [], rootKind(relativePath));
+    return entries;
+}
+
+/**
+ * 入力フォルダ以下のクエストファイル (ftbquests/quests/**\/*.snbt、1.21以降の quests/lang は除く) を探します。
+ * @param {string} folderPath - 検索するフォルダ。
+ * @returns {Promise<string[]>} 絶対パスの配列 (パス順)。
+ */
+async function findQuestFiles(folderPath) {
+    const entries = await fs.readdir(folderPath, { recursive: true, withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile())
+        .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+        .filter(filePath => QUEST_FILE_REGEX.test(path.relative(folderPath, filePath).replace(/\\/g, '/')))
+        .sort();
+}
+
+/**
+ * 取り出した文字列を訳で置き換えたSNBTを返します (in-place モード)。
+ * @param {string} content - 元のSNBTの内容。
+ * @param {Array<{pathKey: string, start: number, end: number}>} entries - `extractQuestTexts` の結果。
+ * @param {Map<string, string>} translations - pathKey -> 訳。訳のない文字列はそのまま。
+ * @returns {string}
+ */
+function applyQuestTranslations(content, entries, translations) {
+    return replaceSnbtStrings(content, entries.filter(entry => translations.has(entry.pathKey)).map(entry => ({ ...entry, value: translations.get(entry.pathKey) })));
+}
+
+/**
+ * 取り出した文字列を言語ファイルのキーの参照 ({cabin.quest.<ID>.title}) に書き換えたSNBTを返します (lang-keys モード)。
+ * @param {string} content - 元のSNBTの内容。
+ * @param {Array<{langKey: string, start: number, end: number}>} entries - `extractQuestTexts` の結果。
+ * @returns {string}
+ */
+function rewriteQuestToLangKeys(content, entries) {
+    return replaceSnbtStrings(content, entries.map(entry => ({ ...entry, value: `{${entry.langKey}}` })));
+}
+
+module.exports = { QUEST_MODES, QUEST_LANG_DIRECTORY, extractQuestTexts, findQuestFiles, applyQuestTranslations, rewriteQuestToLangKeys, isTranslatableText };
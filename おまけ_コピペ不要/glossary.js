@@ -0,0 +1,164 @@
+// glossary.js
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 訳語を言語ごとに書かない (target が文字列の) 用語集の訳語の言語。ファイルの "targetLang" で変更できる
+const DEFAULT_GLOSSARY_LANG = 'ja_jp';
+
+class Glossary {
+    #entries = []; // { source, target, namespaces: string[]|null, doNotTranslate: boolean, matchCase: boolean, regex: RegExp }
+
+    /**
+     * 用語集を作成します。
+     * @param {Array<{source: string, target?: string, namespaces?: string[], doNotTranslate?: boolean, matchCase?: boolean}>} [entries=[]]
+     *   source: 原文の用語、target: 必ず使う訳語、namespaces: この用語を適用するModのネームスペース (省略時は全て)、
+     *   doNotTranslate: trueなら翻訳せず原文のまま残す、matchCase: trueなら大文字小文字まで一致したときだけ適用する。
+     */
+    constructor(entries = []) {
+        entries.forEach((entry, index) => {
+            if (typeof entry.source !== 'string' || entry.source.trim() === '') {
+                throw new Error(`Glossary entry #${index} has no "source".`);
+            }
+            const doNotTranslate = entry.doNotTranslate === true;
+            const matchCase = entry.matchCase === true;
+            if (!doNotTranslate && (typeof entry.target !== 'string' || entry.target === '')) {
+                throw new Error(`Glossary entry "${entry.source}" needs "target" or "doNotTranslate": true.`);
+            }
+            this.#entries.push({
+                source: entry.source,
+                target: doNotTranslate ? entry.source : entry.target,
+                namespaces: Array.isArray(entry.namespaces) && entry.namespaces.length > 0 ? entry.namespaces : null,
+                doNotTranslate,
+                matchCase,
+                regex: Glossary.createTermRegex({ source: entry.source, matchCase }),
+            });
+        });
+        // 長い用語を優先する (Brass Casing と Brass の両方がある場合など)
+        this.#entries.sort((a, b) => b.source.length - a.source.length);
+    }
+
+    /**
+     * 用語にマッチする正規表現を作ります。単語の途中にはマッチさせず、複数形 (Casings など) は同じ用語とみなします。
+     * @param {{source: string, matchCase?: boolean}} term - 用語。
+     * @param {string} [extraFlags=''] - 追加するフラグ ('g' など)。
+     * @returns {RegExp}
+     */
+    static createTermRegex(term, extraFlags = '') {
+        return new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(term.source)}(?:s|es)?(?![A-Za-z0-9])`, (term.matchCase ? '' : 'i') + extraFlags);
+    }
+
+    /**
+     * JSONファイルから用語集を読み込みます。ファイルがなければ空の用語集を返します。
+     * ファイルの形式は `{ "targetLang": "ja_jp", "terms": [ ...エントリ ] }` またはエントリの配列。
+     * エントリの target は訳語の文字列 (ファイルの targetLang 用、既定は ja_jp) か、`{ "ja_jp": "...", "zh_cn": "..." }` のような言語ごとの訳語。
+     * @param {string} filePath - 用語集ファイルのパス。
+     * @param {string} [targetLangCode] - 翻訳先の言語コード。この言語の訳語がない用語は読み込まない (doNotTranslate の用語は全言語で使う)。
+     * @returns {Promise<Glossary>}
+     */
+    static async load(filePath, targetLangCode = DEFAULT_GLOSSARY_LANG) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return new Glossary([]);
+            throw error;
+        }
+        const parsed = JSON.parse(content);
+        const entries = Array.isArray(parsed) ? parsed : (parsed.terms || []);
+        const fileLang = (!Array.isArray(parsed) && parsed.targetLang ? parsed.targetLang : DEFAULT_GLOSSARY_LANG).toLowerCase();
+        const lang = targetLangCode.toLowerCase();
+        return new Glossary(entries.flatMap(entry => {
+            if (entry.doNotTranslate === true) return [entry];
+            const target = typeof entry.target === 'object' && entry.target !== null ? entry.target[lang] : (lang === fileLang ? entry.target : undefined);
+            return target === undefined ? [] : [{ ...entry, target }];
+        }));
+    }
+
+    /**
+     * 用語を追加した新しい用語集を返します。既にある用語 (大文字小文字は区別しない) は追加せず、元の用語集を優先します。
+     * @param {Array<object>} entries - コンストラクタと同じ形式のエントリ。
+     * @returns {Glossary}
+     */
+    extend(entries) {
+        const existingSources = new Set(this.#entries.map(entry => entry.source.toLowerCase()));
+        const currentEntries = this.#entries.map(({ source, target, namespaces, doNotTranslate, matchCase }) => ({ source, target, namespaces, doNotTranslate, matchCase }));
+        return new Glossary([...currentEntries, ...entries.filter(entry => !existingSources.has(entry.source.toLowerCase()))]);
+    }
+
+    get size() {
+        return this.#entries.length;
+    }
+
+    #appliesTo(entry, namespaces) {
+        if (!entry.namespaces) return true;
+        if (!namespaces) return false;
+        return entry.namespaces.some(ns => namespaces.includes(ns));
+    }
+
+    /**
+     * 指定したテキスト群に出てくる用語だけを返します。
+     * @param {string[]} texts - 翻訳するテキスト。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース。nullならネームスペース指定のない用語のみ。
+     * @returns {Array<{source: string, target: string, doNotTranslate: boolean, matchCase: boolean}>}
+     */
+    getRelevantTerms(texts, namespaces = null) {
+        return this.#entries
+            .filter(entry => this.#appliesTo(entry, namespaces) && texts.some(text => typeof text === 'string' && entry.regex.test(text)))
+            .map(({ source, target, doNotTranslate, matchCase }) => ({ source, target, doNotTranslate, matchCase }));
+    }
+
+    /**
+     * 原文に出てくる用語の訳語が翻訳結果に含まれていないものを返します。
+     * @param {string} sourceText - 原文。
+     * @param {string} translatedText - 翻訳結果。
+     * @param {string[]|null} [namespaces=null] - 原文が属するModのネームスペース。
+     * @returns {Array<{source: string, target: string}>} 適用されていない用語。
+     */
+    findViolations(sourceText, translatedText, namespaces = null) {
+        if (typeof sourceText !== 'string' || typeof translatedText !== 'string' || sourceText === translatedText) return [];
+        return this.getRelevantTerms([sourceText], namespaces).filter(term => term.doNotTranslate
+            ? !translatedText.toLowerCase().includes(term.target.toLowerCase())
+            : !translatedText.includes(term.target));
+    }
+
+    /**
+     * OpenAIのプロンプトに埋め込む用語集の説明文を作ります。
+     * @param {Array<{source: string, target: string, doNotTranslate: boolean}>} terms - `getRelevantTerms` の結果。
+     * @returns {string} 用語がなければ空文字。
+     */
+    static formatForPrompt(terms) {
+        if (terms.length === 0) return '';
+        const lines = terms.map(term => term.doNotTranslate
+            ? `- "${term.source}" -> keep as "${term.source}" (do not translate)`
+            : `- "${term.source}" -> "${term.target}"`);
+        return `Glossary: whenever a source term below appears, you MUST render it exactly as given:\n${lines.join('\n')}`;
+    }
+
+    /**
+     * DeepLの用語集に登録するエントリ (原文 -> 訳語) を返します。
+     * @param {string[]|null} [namespaces=null] - 対象のネームスペース。
+     * @returns {Object<string, string>}
+     */
+    toDeepLEntries(namespaces = null) {
+        const entries = {};
+        this.#entries.filter(entry => this.#appliesTo(entry, namespaces)).forEach(entry => {
+            if (entries[entry.source] === undefined) entries[entry.source] = entry.target;
+        });
+        return entries;
+    }
+
+    /**
+     * 登録内容から決まる短いハッシュ (DeepL側の用語集の名前に使い、内容が変わったら作り直す)。
+     * @param {string[]|null} [namespaces=null] - 対象のネームスペース。
+     * @returns {string}
+     */
+    getFingerprint(namespaces = null) {
+        return crypto.createHash('sha256').update(JSON.stringify(this.toDeepLEntries(namespaces))).digest('hex').substring(0, 12);
+    }
+}
+
+module.exports = Glossary;
@@ -0,0 +1,107 @@
+// guideBooks.js
+// JARに入っているガイドブック (Patchouli / Modonomicon) の構成を調べます。
+// i18n: true のPatchouliブックとModonomiconのブックは文章を言語ファイルのキーで持っているので、
+// ブックのJSONは翻訳せず、キーの訳は通常の言語ファイルの翻訳に任せます (ここではキーが言語ファイルにあるかを確認するだけ)。
+// 古い形式の data/<ns>/patchouli_books/ にあるブックの中身はリソースパックからは読み込まれないので、訳を書き出しても使われません。
+const { log } = require('./logger');
+
+// ブックのJSONで文章が入るフィールド (キーを数えるためのもの。翻訳するPatchouliのフィールドは patchouliSchema.js で決める)
+const BOOK_TEXT_FIELDS = new Set(['name', 'title', 'header', 'text', 'advancement_title', 'subtitle', 'description', 'landing_text', 'hover_text']);
+const LANG_KEY_REGEX = /^[a-z0-9_\-]+(?:\.[a-z0-9_\-]+)+$/i; // book.mymod.entry.text のような値
+
+function bookKey(originalJar, namespace, bookId) {
+    return `${originalJar}|${namespace}|${bookId}`;
+}
+
+// JSONの文章のフィールドの値を全て集める
+function collectTextValues(node, values = []) {
+    if (Array.isArray(node)) node.forEach(item => collectTextValues(item, values));
+    else if (node && typeof node === 'object') {
+        Object.entries(node).forEach(([key, value]) => {
+            if (BOOK_TEXT_FIELDS.has(key) && typeof value === 'string' && value.trim() !== '') values.push(value);
+            else collectTextValues(value, values);
+        });
+    }
+    return values;
+}
+
+class GuideBookCatalog {
+    #i18nBooks = new Set(); // bookKey
+    #books = new Map(); // bookKey -> { type, namespace, bookId, originalJar, files, keys: Set, literals }
+
+    /**
+     * @param {object} scanResult - jarScanner.js の `scanJars` の結果。
+     * @param {object[]} [scanResult.bookDefinitionInfos=[]] - Patchouliの book.json (assets/ または data/)。
+     * @param {object[]} [scanResult.patchouliBookInfos=[]] - Patchouliのブックの中身 (原文の言語のフォルダ)。
+     * @param {object[]} [scanResult.modonomiconInfos=[]] - Modonomiconのブック (data/<ns>/modonomicon/books/)。
+     */
+    constructor({ bookDefinitionInfos = [], patchouliBookInfos = [], modonomiconInfos = [] }) {
+        bookDefinitionInfos.forEach(definition => {
+            try {
+                if (JSON.parse(definition.content).i18n !== true) return;
+            } catch (e) { log.warn(`[Books] Ignoring unreadable ${definition.originalPathInJar} (${definition.originalJar}): ${e.message}`); return; }
+            this.#i18nBooks.add(bookKey(definition.originalJar, definition.namespace, definition.bookIdFolder));
+            // book.json の name / landing_text などもキーなので数に含める
+            this.#addFile('patchouli-i18n', definition.originalJar, definition.namespace, definition.bookIdFolder, definition.content, definition.originalPathInJar);
+        });
+        patchouliBookInfos.forEach(bookInfo => {
+            const type = this.isI18nPatchouliBook(bookInfo) ? 'patchouli-i18n' : GuideBookCatalog.isDataFolderBook(bookInfo) ? 'patchouli-data' : 'patchouli';
+            this.#addFile(type, bookInfo.originalJar, bookInfo.namespace, bookInfo.bookIdFolder, type === 'patchouli-i18n' ? bookInfo.content : null, bookInfo.originalPathInJar);
+        });
+        modonomiconInfos.forEach(bookInfo => this.#addFile('modonomicon', bookInfo.originalJar, bookInfo.namespace, bookInfo.bookId, bookInfo.content, bookInfo.originalPathInJar));
+    }
+
+    #addFile(type, originalJar, namespace, bookId, content, originalPathInJar) {
+        const key = bookKey(originalJar, namespace, bookId);
+        if (!this.#books.has(key)) this.#books.set(key, { type, namespace, bookId, originalJar, files: 0, keys: new Set(), literals: 0 });
+        const book = this.#books.get(key);
+        book.files++;
+        if (content === null) return;
+        try {
+            collectTextValues(JSON.parse(content)).forEach(value => {
+                if (LANG_KEY_REGEX.test(value)) book.keys.add(value);
+                else book.literals++;
+            });
+        } catch (e) { log.warn(`[Books] Ignoring unreadable ${originalPathInJar} (${originalJar}): ${e.message}`); }
+    }
+
+    /**
+     * Patchouliのブックの中身が i18n: true のブックのものかを返します (book.json が同じJARにある場合のみ判定可能)。
+     * @param {{originalJar: string, namespace: string, bookIdFolder: string}} bookInfo - worker.js の patchouli_book の情報。
+     * @returns {boolean}
+     */
+    isI18nPatchouliBook(bookInfo) {
+        return this.#i18nBooks.has(bookKey(bookInfo.originalJar, bookInfo.namespace, bookInfo.bookIdFolder));
+    }
+
+    /**
+     * Patchouliのブックの中身が data/ にあるか (リソースパックに訳を置いても読み込まれないか) を返します。
+     * i18n: true のブックは言語ファイルで翻訳されるので、data/ にあっても問題ありません。
+     * @param {{rootFolder: string}} bookInfo - worker.js の patchouli_book の情報。
+     * @returns {boolean}
+     */
+    static isDataFolderBook(bookInfo) {
+        return bookInfo.rootFolder === 'data';
+    }
+
+    /**
+     * ブックごとの種類とファイル数、言語ファイルのキーの有無のサマリーを返します。
+     * @param {Set<string>} sourceLangKeys - 原文の言語ファイルにある全てのキー。
+     * @returns {string}
+     */
+    formatSummary(sourceLangKeys) {
+        const lines = [...this.#books.values()]
+            .sort((a, b) => `${a.namespace}:${a.bookId}`.localeCompare(`${b.namespace}:${b.bookId}`))
+            .map(book => {
+                if (book.type === 'patchouli') return `  ${book.namespace}:${book.bookId} (Patchouli, ${book.originalJar}): ${book.files} file(s) translated as JSON`;
+                if (book.type === 'patchouli-data') return `  ${book.namespace}:${book.bookId} (Patchouli in data/, ${book.originalJar}): ${book.files} file(s) not translated (a resource pack cannot load books under data/)`;
+                const missing = [...book.keys].filter(key => !sourceLangKeys.has(key)).length;
+                const label = book.type === 'modonomicon' ? 'Modonomicon' : 'Patchouli i18n';
+                return `  ${book.namespace}:${book.bookId} (${label}, ${book.originalJar}): ${book.files} file(s), ${book.keys.size - missing} key(s) translated via lang files`
+                    + `${missing > 0 ? `, ${missing} key(s) missing from the lang files` : ''}${book.literals > 0 ? `, ${book.literals} literal text(s) left as is` : ''}`;
+            });
+        return lines.length > 0 ? lines.join('\n') : '  (no guide books found)';
+    }
+}
+
+module.exports = { GuideBookCatalog };
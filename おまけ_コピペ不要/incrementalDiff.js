@@ -0,0 +1,144 @@
+// incrementalDiff.js
+// 前回の原文 (スナップショット) と今回の原文を比較し、翻訳し直す必要のあるキーだけを選び出すヘルパー
+
+/**
+ * 言語ファイル1つ分の差分を計算します。
+ * 原文が前回から変わっておらず、既存の翻訳結果にもあるキーは既存の値 (手修正を含む) をそのまま使います。
+ * 前回の原文がない場合は、既存の翻訳結果にあるキーを全て変更なしとみなします。
+ * @param {Object<string, string>|null} oldSource - 前回の原文 (スナップショット)。
+ * @param {Object<string, string>} newSource - 今回の原文。
+ * @param {Object<string, string>|null} existingTarget - 既存の翻訳結果。
+ * @returns {{keep: Map<string, string>, translate: Set<string>, changes: {added: string[], changed: string[], removed: string[], kept: number}}}
+ */
+function diffLangEntries(oldSource, newSource, existingTarget) {
+    const keep = new Map();
+    const translate = new Set();
+    const changes = { added: [], changed: [], removed: [], kept: 0 };
+    const target = existingTarget || {};
+
+    for (const [key, value] of Object.entries(newSource)) {
+        const hasExisting = Object.prototype.hasOwnProperty.call(target, key);
+        const isNewKey = oldSource ? !Object.prototype.hasOwnProperty.call(oldSource, key) : !hasExisting;
+        const isChanged = oldSource && !isNewKey && oldSource[key] !== value;
+
+        if (isNewKey) {
+            changes.added.push(key);
+            translate.add(key);
+        } else if (isChanged) {
+            changes.changed.push(key);
+            translate.add(key);
+        } else if (hasExisting) {
+            keep.set(key, target[key]);
+            changes.kept++;
+        } else {
+            // 原文は変わっていないが翻訳結果にない (前回失敗した等) ものは翻訳し直す
+            changes.added.push(key);
+            translate.add(key);
+        }
+    }
+    if (oldSource) {
+        changes.removed = Object.keys(oldSource).filter(key => !Object.prototype.hasOwnProperty.call(newSource, key));
+    } else if (existingTarget) {
+        changes.removed = Object.keys(existingTarget).filter(key => !Object.prototype.hasOwnProperty.call(newSource, key));
+    }
+    return { keep, translate, changes };
+}
+
+/**
+ * JSONの全ての文字列を「パス → 値」のMapに平坦化します。パスは JSON.stringify したキー配列。
+ * @param {*} node - 対象のJSON。
+ * @returns {Map<string, string>}
+ */
+function flattenStrings(node) {
+    const result = new Map();
+    const walk = (current, currentPath) => {
+        if (typeof current === 'string') {
+            result.set(JSON.stringify(currentPath), current);
+        } else if (typeof current === 'object' && current !== null) {
+            for (const key of Object.keys(current)) walk(current[key], [...currentPath, Array.isArray(current) ? key.toString() : key]);
+        }
+    };
+    walk(node, []);
+    return result;
+}
+
+/**
+ * PatchouliのJSONファイル1つ分の差分を計算します。
+ * 前回と同じ原文の文字列で、既存の翻訳結果の同じ位置に文字列があるものはそれを再利用します。
+ * @param {object|null} oldSource - 前回の原文JSON。
+ * @param {object} newSource - 今回の原文JSON。
+ * @param {object|null} existingTarget - 既存の翻訳結果JSON。
+ * @returns {{preserved: Map<string, string>, changes: {added: string[], changed: string[], removed: string[], kept: number}}}
+ *   preservedはパス(JSON.stringifyしたキー配列) → 再利用する翻訳。changesのパスは pages.1.text 形式。
+ */
+function diffPatchouliBook(oldSource, newSource, existingTarget) {
+    const newStrings = flattenStrings(newSource);
+    const oldStrings = oldSource ? flattenStrings(oldSource) : null;
+    const targetStrings = existingTarget ? flattenStrings(existingTarget) : new Map();
+    const preserved = new Map();
+    const changes = { added: [], changed: [], removed: [], kept: 0 };
+
+    for (const [pathKey, value] of newStrings) {
+        const isNew = oldStrings ? !oldStrings.has(pathKey) : !targetStrings.has(pathKey);
+        if (isNew || !targetStrings.has(pathKey)) {
+            changes.added.push(pathKey);
+        } else if (oldStrings && oldStrings.get(pathKey) !== value) {
+            changes.changed.push(pathKey);
+        } else {
+            preserved.set(pathKey, targetStrings.get(pathKey));
+            changes.kept++;
+        }
+    }
+    if (oldStrings) changes.removed = [...oldStrings.keys()].filter(pathKey => !newStrings.has(pathKey));
+    // 変更履歴には pages.1.text のような読みやすい形で載せる
+    const toDisplayPath = pathKey => JSON.parse(pathKey).join('.');
+    changes.added = changes.added.map(toDisplayPath);
+    changes.changed = changes.changed.map(toDisplayPath);
+    changes.removed = changes.removed.map(toDisplayPath);
+    return { preserved, changes };
+}
+
+class IncrementalChangelog {
+    #namespaces = new Map(); // namespace -> [{ file, added, changed, removed, kept }]
+
+    /**
+     * 1ファイル分の差分を記録します。
+     * @param {string} namespace - Modのネームスペース。
+     * @param {string} file - 出力ファイルの相対パス。
+     * @param {{added: string[], changed: string[], removed: string[], kept: number}} changes - diff関数の結果。
+     */
+    record(namespace, file, changes) {
+        if (!this.#namespaces.has(namespace)) this.#namespaces.set(namespace, []);
+        this.#namespaces.get(namespace).push({ file, ...changes });
+    }
+
+    /**
+     * ネームスペースごとの変更履歴を返します (JSONとして保存する想定)。
+     * @returns {object}
+     */
+    getReport() {
+        const namespaces = {};
+        [...this.#namespaces.keys()].sort().forEach(namespace => {
+            const files = this.#namespaces.get(namespace).filter(f => f.added.length + f.changed.length + f.removed.length > 0);
+            if (files.length > 0) namespaces[namespace] = files;
+        });
+        return { generatedAt: new Date().toISOString(), namespaces };
+    }
+
+    /**
+     * 変更のあったネームスペースの件数サマリーを返します。
+     * @returns {string}
+     */
+    formatSummary() {
+        const lines = [];
+        [...this.#namespaces.keys()].sort().forEach(namespace => {
+            const files = this.#namespaces.get(namespace);
+            const sum = field => files.reduce((total, f) => total + (Array.isArray(f[field]) ? f[field].length : f[field]), 0);
+            if (sum('added') + sum('changed') + sum('removed') === 0) return;
+            lines.push(`  ${namespace}: +${sum('added')} added, ~${sum('changed')} changed, -${sum('removed')} removed, ${sum('kept')} kept`);
+        });
+        return lines.length > 0 ? lines.join('\n') : '  (no changes)';
+    }
+}
+
+module.exports = { diffLangEntries, diffPatchouliBook, flattenStrings, IncrementalChangelog };
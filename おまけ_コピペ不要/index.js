@@ -3,61 +3,146 @@ require('dotenv').config(); // .env ファイルから環境変数をロード
 
 const fs = require('fs').promises;
 const path = require('path');
-const LangTranslate = require('./langTranslator'); // LangTranslate モジュールをインポート
+const { createTranslator, getEngineInfo } = require('./translationEngines'); // 翻訳エンジンのレジストリ
 const FileSearcher = require('./fileSearcher');   // FileSearcher モジュールをインポート (再帰対応版)
+const { discoverSources } = require('./sourceDiscovery'); // modpack のリソースパックなどの翻訳元
+const TranslationMemory = require('./translationMemory'); // 文字列単位の翻訳メモリ
+const OverrideStore = require('./overrideStore');         // 機械翻訳で上書きしない手修正の訳
+const Glossary = require('./glossary');                   // 訳語を固定する用語集
+const NameIndex = require('./nameIndex');                 // modのアイテム名などの訳をクエストの翻訳にも使う
+const { getFormat, langFileFormatOf, formatOfFileName, checkRoundTrip } = require('./fileFormats'); // 言語ファイル (.json / .local / .lang) と .mcfunction の読み書き
+const { createTextContext } = require('./textContext'); // 原文と一緒に送るキー/ネームスペース/ファイルの種類
+const { parseCliArgs, loadOptions } = require('./config'); // コマンドライン引数/設定ファイル
+const { RequestScheduler, isFatalApiError } = require('./requestScheduler'); // APIリクエストの再試行と同時実行数の調整
+const UsageMeter = require('./usageMeter'); // APIの使用量/料金の集計と予算の上限
+const { log } = require('./logger'); // レベル付きのログと進捗の表示
+const RunReport = require('./runReport'); // ファイルごとの実行結果のレポート
+const { QUEST_MODES, QUEST_LANG_DIRECTORY, extractQuestTexts, findQuestFiles, applyQuestTranslations, rewriteQuestToLangKeys } = require('./ftbQuests'); // FTB Questsの .snbt
 
-// --- 設定項目 ---
-const SOURCE_DIRECTORY = process.env.SOURCE_DIRECTORY;
-const OUTPUT_DIRECTORY = './dist';               // 翻訳結果を保存するルートフォルダ
-const SOURCE_LANG_CODE = 'en_us';          // 翻訳元ファイルの言語コード (例: en_us)
-const TARGET_LANG_CODE = 'ja_jp';          // 翻訳先ファイルの言語コード (例: ja_jp)
-const TARGET_DEEPL_LANG = 'JA';            // DeepL APIに渡すターゲット言語 (例: 'JA', 'DE', 'FR')
-const DEEPL_API_KEY = process.env.DEEPL_API_KEY; // 環境変数からAPIキーを取得
+// --- 設定項目 (フォルダや言語コードなどは config.js のオプションで指定) ---
+const MEMORY_DIRECTORY = path.join(__dirname, '.translation_memory'); // 翻訳メモリの保存先 (indexModTranslator.jsと共有)
+const OVERRIDES_REPORT_PATH = './overrides_report.json'; // 原文が変わった手修正の一覧
+const FAILURES_REPORT_PATH = './translation_failures.json'; // 再試行しても翻訳できなかった原文の一覧
+const USAGE_REPORT_PATH = './usage_report.json'; // エンジン/Modごとの使用トークン数/文字数と料金
+const RUN_REPORT_PATH = './run_report.json'; // ファイルごとのキーの数、翻訳メモリのヒット、翻訳できなかった文字列、エラー、時間
 // ----------------
 
-// 設定に基づいてファイル名を生成
-const sourceJsonFile = `${SOURCE_LANG_CODE}.json`; // 例: en_us.json
-const sourceLocalFile = `${SOURCE_LANG_CODE}.local`; // 例: en_us.local
-const targetJsonFile = `${TARGET_LANG_CODE}.json`; // 例: ja_jp.json
-const targetLocalFile = `${TARGET_LANG_CODE}.local`; // 例: ja_jp.local
-
 // --- メイン実行関数 ---
-async function runTranslationProcess() {
-    console.log("===================================");
-    console.log("   言語ファイル翻訳処理 開始 (再帰検索対応)");
-    console.log("===================================");
+/**
+ * 入力フォルダ内の言語ファイル (en_us.json / en_us.local / en_US.lang) を再帰的に探して翻訳します。
+ * @param {object} options - config.js の `loadOptions('pack-files')` が返す設定。
+ * @returns {Promise<void>}
+ */
+async function runTranslationProcess(options) {
+    const {
+        input: SOURCE_DIRECTORY, output: OUTPUT_DIRECTORY, sourceLang: SOURCE_LANG_CODE, targetLangs: TARGET_LANG_CODES,
+        engine: TRANSLATION_ENGINE, model, baseUrl, temperature, maxTokens, jsonMode, cache: CACHE_ENABLED, dryRun: DRY_RUN,
+        overrides: OVERRIDES_DIRECTORY, acceptOverrideSources: ACCEPT_OVERRIDE_SOURCES, glossary: GLOSSARY_PATH,
+        nameIndexPack: NAME_INDEX_RESOURCE_PACK, nameIndexSnapshot: NAME_INDEX_SOURCE_SNAPSHOT,
+        ftbQuests: FTB_QUESTS_MODE, questKeyPrefix: QUEST_KEY_PREFIX, mcfunction: TRANSLATE_FUNCTIONS,
+        apiConcurrency: MAX_CONCURRENT_API_CALLS, apiRetries: MAX_API_RETRIES, maxBudget: MAX_BUDGET, pricing: PRICING,
+        logLevel: LOG_LEVEL, logFormat: LOG_FORMAT, progress: SHOW_PROGRESS,
+    } = options;
+    try {
+        log.configure({ level: LOG_LEVEL, format: LOG_FORMAT, progress: SHOW_PROGRESS });
+    } catch (logError) {
+        log.error(`[エラー] ${logError.message}`);
+        process.exit(1);
+    }
+    const runReport = new RunReport('pack-files');
+    // 設定に基づいてファイル名を生成
+    const sourceJsonFile = `${SOURCE_LANG_CODE}.json`; // 例: en_us.json (--ftb-quests lang-keys でクエストの原文を集める言語ファイル)
+
+    log.info("===================================");
+    log.info("   言語ファイル翻訳処理 開始 (再帰検索対応)");
+    log.info("===================================");
+    if (!SOURCE_DIRECTORY) {
+        log.error("[エラー] 翻訳元フォルダが指定されていません (--input または .env の SOURCE_DIRECTORY)");
+        process.exit(1);
+    }
+    if (!QUEST_MODES.includes(FTB_QUESTS_MODE)) {
+        log.error(`[エラー] --ftb-quests には ${QUEST_MODES.join(' / ')} のいずれかを指定してください: ${FTB_QUESTS_MODE}`);
+        process.exit(1);
+    }
+    if (options.configPath) log.info(`設定ファイル: ${options.configPath}`);
     // 絶対パスで表示して分かりやすくする
     const absoluteSourceDir = path.resolve(SOURCE_DIRECTORY);
     const absoluteOutputDir = path.resolve(OUTPUT_DIRECTORY);
-    console.log(`翻訳元フォルダ: ${absoluteSourceDir}`);
-    console.log(`出力先フォルダ: ${absoluteOutputDir}`);
-    console.log(`翻訳元言語コード: ${SOURCE_LANG_CODE}`);
-    console.log(`翻訳先言語コード: ${TARGET_LANG_CODE} (DeepL: ${TARGET_DEEPL_LANG})`);
-
-    // 1. APIキーの確認 (変更なし)
-    if (!DEEPL_API_KEY) {
-        console.error("[エラー] DeepL APIキーが環境変数 'DEEPL_API_KEY' に設定されていません。");
-        process.exit(1);
-    }
+    log.info(`翻訳元フォルダ: ${absoluteSourceDir}`);
+    log.info(`出力先フォルダ: ${absoluteOutputDir}`);
+    log.info(`翻訳元言語コード: ${SOURCE_LANG_CODE}`);
+    log.info(`翻訳先言語コード: ${TARGET_LANG_CODES.join(', ')}`);
+    log.info(`FTB Questsのクエストファイル: ${FTB_QUESTS_MODE}${FTB_QUESTS_MODE === 'lang-keys' ? ` (キーの接頭辞: ${QUEST_KEY_PREFIX})` : ''}`);
+    log.info(`.mcfunction の tellraw/title などのテキスト: ${TRANSLATE_FUNCTIONS ? '翻訳する' : '翻訳しない'}`);
+    if (DRY_RUN) log.info("[情報] ドライラン: APIを呼ばず、ファイルも書き込みません");
+
+    // 2.5 翻訳メモリの設定 (同じ原文はAPIに送らない。翻訳先の言語ごとに別々に記録される)
+    const memory = new TranslationMemory(MEMORY_DIRECTORY, { enabled: CACHE_ENABLED, readOnly: DRY_RUN });
+    log.info(`[情報] 翻訳メモリ: ${CACHE_ENABLED ? MEMORY_DIRECTORY : '無効'}`);
 
-    // 2. LangTranslate インスタンスの初期化 (変更なし)
-    let translator;
+    // 1-2. 翻訳先の言語ごとに翻訳エンジンを初期化 (APIキーの確認もここで行う)
+    //      レート制限や一時的なエラーは全言語で共有するスケジューラーが待ってから再試行する
+    //      使用量も全言語でまとめて記録し、予算 (--max-budget) を超える前に止める
+    const requestScheduler = new RequestScheduler({ maxConcurrency: MAX_CONCURRENT_API_CALLS, maxRetries: MAX_API_RETRIES });
+    let usageMeter;
     try {
-        translator = new LangTranslate(DEEPL_API_KEY, TARGET_DEEPL_LANG);
-        console.log("[情報] DeepL Translator の準備完了。");
-    } catch (initError) {
-        console.error("[エラー] DeepL Translatorの初期化に失敗しました:", initError.message);
+        usageMeter = new UsageMeter({ pricing: PRICING, maxBudget: MAX_BUDGET ?? null });
+    } catch (pricingError) {
+        log.error("[エラー] pricing の設定が不正です:", pricingError.message);
         process.exit(1);
     }
+    const locales = []; // { targetLangCode, translator }
+    for (const targetLangCode of TARGET_LANG_CODES) {
+        try {
+            const translator = createTranslator(TRANSLATION_ENGINE, { targetLangCode, model, baseUrl, temperature, maxTokens, jsonMode, dryRun: DRY_RUN });
+            translator.setTranslationMemory(memory);
+            translator.setRequestScheduler(requestScheduler);
+            translator.setUsageMeter(usageMeter);
+            locales.push({ targetLangCode, translator });
+        } catch (initError) {
+            log.error(`[エラー] 翻訳エンジンの初期化に失敗しました (${targetLangCode}):`, initError.message);
+            process.exit(1);
+        }
+    }
+    log.info(`[情報] 翻訳エンジンの準備完了: ${TRANSLATION_ENGINE} (${getEngineInfo(TRANSLATION_ENGINE).description})`);
+    if (MAX_BUDGET !== undefined) {
+        // 料金が分からないモデルでは予算を確認できないので、APIを呼ぶ前に止める
+        const { engine, model: scopeModel } = locales[0].translator.getMemoryScope();
+        if (!usageMeter.getPrice(engine, scopeModel)) {
+            log.error(`[エラー] --max-budget を使うには ${engine}/${scopeModel} の料金が必要です。設定ファイルの pricing に追加してください`);
+            process.exit(1);
+        }
+        log.info(`[情報] 予算: $${MAX_BUDGET} (見積もりの料金がこれを超える前に止めます)`);
+    }
+    const accountUsageBefore = await locales[0].translator.getAccountUsage();
+
+    // 2.6 手修正の訳 (ここにあるキーはAPIに送らず、そのまま出力する)
+    const overrideStore = new OverrideStore(OVERRIDES_DIRECTORY);
+    log.info(`[情報] 手修正の訳: ${overrideStore.directory}`);
+
+    // 2.7 用語集 (DeepLでは用語集機能、OpenAIではプロンプトで訳語を固定する)
+    //     modのアイテム名/ブロック名の訳も用語集に加え、クエストなどの文章でもゲーム内と同じ名前にする
+    for (const { targetLangCode, translator } of locales) {
+        try {
+            const glossary = await Glossary.load(GLOSSARY_PATH, targetLangCode);
+            const nameIndex = await NameIndex.loadFromResourcePack(path.resolve(NAME_INDEX_RESOURCE_PACK), path.resolve(NAME_INDEX_SOURCE_SNAPSHOT), targetLangCode, SOURCE_LANG_CODE);
+            translator.setGlossary(glossary.extend(nameIndex.toGlossaryEntries()));
+            log.info(`[情報] 用語集 (${targetLangCode}): ${glossary.size} 件 (${path.resolve(GLOSSARY_PATH)})`);
+            log.info(`[情報] modのアイテム名 (${targetLangCode}): ${nameIndex.size} 件 (${path.resolve(NAME_INDEX_RESOURCE_PACK)})`);
+        } catch (glossaryError) {
+            log.error(`[エラー] 用語集の読み込みに失敗しました (${GLOSSARY_PATH}):`, glossaryError.message);
+            process.exit(1);
+        }
+    }
 
     // 3. 出力先ルートフォルダの確認と作成 (変更なし、ただし確認のみ)
-    try {
+    if (!DRY_RUN) try {
         // ここではルートフォルダの存在を確認・作成するだけで良い
         // サブフォルダはファイル書き込み直前に作成する
         await fs.mkdir(absoluteOutputDir, { recursive: true });
-        console.log(`[情報] 出力先ルートフォルダを確認/作成しました: ${absoluteOutputDir}`);
+        log.info(`[情報] 出力先ルートフォルダを確認/作成しました: ${absoluteOutputDir}`);
     } catch (dirError) {
-        console.error(`[エラー] 出力先ルートフォルダの作成に失敗しました (${absoluteOutputDir}):`, dirError);
+        log.error(`[エラー] 出力先ルートフォルダの作成に失敗しました (${absoluteOutputDir}):`, dirError);
         process.exit(1);
     }
 
@@ -71,83 +156,276 @@ async function runTranslationProcess() {
         // 出力先ディレクトリのフルパスを構築 (例: './dist/subdir/subsubdir')
         const outputDir = path.join(absoluteOutputDir, relativeDir);
         // 出力先ディレクトリが存在することを確認・作成
-        await fs.mkdir(outputDir, { recursive: true });
+        if (!DRY_RUN) await fs.mkdir(outputDir, { recursive: true });
         // 出力ディレクトリパスを返す
         return outputDir;
     };
 
-    // JSONファイルが見つかった場合の処理 (修正)
-    const handleJsonFile = async (filePath) => {
+    // assets/<ns>/lang/ や data/<ns>/functions/ のようなパスならネームスペースを返す (用語集の適用範囲の判定に使用)
+    const detectNamespaces = (sourceFilePath) => {
+        const relativePath = path.relative(absoluteSourceDir, sourceFilePath).replace(/\\/g, '/');
+        const match = relativePath.match(/(?:^|\/)(?:assets|data)\/([^/]+)\//);
+        return match ? [match[1]] : null;
+    };
+
+    // 実行結果のレポートでファイルを表す名前 (翻訳元フォルダからの相対パス)
+    const reportKeyOf = (sourceFilePath) => path.relative(absoluteSourceDir, sourceFilePath).replace(/\\/g, '/');
+
+    // 1ファイル分の結果をレポートに記録する。ファイルは1つずつ順番に翻訳するので、翻訳メモリのヒット数の増分がそのファイルの分になる
+    const recordFileResult = async (reportKey, translateFile) => {
+        const hitsBefore = memory.getStats().hits;
+        const startedAt = Date.now();
+        const counts = await translateFile(); // { keys, overridden, fallbacks } (エラーの場合はnull)
+        runReport.addTime(reportKey, 'translate', Date.now() - startedAt);
+        if (!counts) return;
+        const cacheHits = memory.getStats().hits - hitsBefore;
+        runReport.countKeys(reportKey, 'cacheHits', cacheHits);
+        runReport.countKeys(reportKey, 'overridden', counts.overridden);
+        runReport.countKeys(reportKey, 'fallbacks', counts.fallbacks);
+        runReport.countKeys(reportKey, 'translated', Math.max(0, counts.keys - cacheHits - counts.fallbacks));
+    };
+
+    // 言語ファイル (.json / .local / .lang) を1つの言語に翻訳する処理 (sourceContent を渡した場合はファイルを読まずにその内容を原文にする)
+    // 戻り値はレポート用のキーの数 ({ keys, overridden, fallbacks })。致命的でないエラーの場合はnull
+    const handleLangFile = async (filePath, formatName, { targetLangCode, translator }, sourceContent = null) => {
         const fileName = path.basename(filePath);
-        console.log(`\n-> JSONファイル処理開始: ${filePath}`); // フルパス表示
+        log.debug(`\n-> ${formatName}ファイル処理開始: ${filePath}`); // フルパス表示
 
         try {
             // 出力先ディレクトリパスを計算し、ディレクトリを作成
             const outputDir = await calculateAndPrepareOutputPath(filePath);
-            // 最終的な出力ファイルパスを生成
-            const outputFilePath = path.join(outputDir, targetJsonFile);
-            console.log(`   翻訳を実行し、結果を ${outputFilePath} に保存します...`);
-
-            const fileContent = await fs.readFile(filePath, 'utf8');
-            const jsonData = JSON.parse(fileContent);
-            const translatedData = await translator.execJSON(jsonData);
-            const outputContent = JSON.stringify(translatedData, null, 2);
-            await fs.writeFile(outputFilePath, outputContent, 'utf8');
-            console.log(`   [成功] JSONファイルの翻訳結果を保存しました: ${outputFilePath}`);
+            // 最終的な出力ファイルパスを生成 (en_US.lang なら ja_JP.lang のように原文のファイル名に合わせる)
+            const format = getFormat(formatName);
+            const outputFilePath = path.join(outputDir, format.targetFileName(fileName, targetLangCode));
+            log.debug(`   翻訳を実行し、結果を ${outputFilePath} に保存します...`);
+
+            const content = sourceContent ?? await fs.readFile(filePath, 'utf8');
+            // 書き戻したときに元のファイルから失われるものがあれば、壊れたファイルを書かないように翻訳しない
+            const roundTripProblem = checkRoundTrip(formatName, content);
+            if (roundTripProblem) throw new Error(`Cannot be written back losslessly as ${formatName}: ${roundTripProblem}`);
+            // 手修正の訳があるキーはAPIに送らず、そのまま書く
+            const document = format.parse(content);
+            const overrides = await overrideStore.getLangOverrides(path.relative(absoluteOutputDir, outputFilePath), format.toObject(document));
+            const result = await translator.execFile(formatName, content, detectNamespaces(filePath), overrides);
+            // 翻訳できなかったキー/行は execFile の結果に含まれない
+            const counts = { keys: result.texts, overridden: format.entries(document).filter(({ key }) => overrides.has(key)).length, fallbacks: result.failed };
+            if (DRY_RUN) return counts;
+            await fs.writeFile(outputFilePath, result.content, 'utf8');
+            await memory.flush(); // ファイル単位で翻訳メモリを保存 (途中で止まっても翻訳済み分は残る)
+            log.debug(`   [成功] ${formatName}ファイルの翻訳結果を保存しました: ${outputFilePath}`);
+            return counts;
         } catch (error) {
-            console.error(`   [エラー] JSONファイル処理中にエラーが発生しました (${fileName}): ${error.message}`);
-            if (error.message === "DeepL Quota Exceeded" || error.message.startsWith("DeepL Authorization Failed")) {
+            log.error(`   [エラー] ${formatName}ファイル処理中にエラーが発生しました (${fileName}): ${error.message}`);
+            if (isFatalApiError(error)) {
                 throw error; // 致命的エラーは再throw
             }
+            runReport.addError(reportKeyOf(filePath), error.message);
+            return null;
         }
     };
 
-    // .localファイルが見つかった場合の処理 (修正)
-    const handleLocalFile = async (filePath) => {
-        const fileName = path.basename(filePath);
-        console.log(`\n-> .localファイル処理開始: ${filePath}`); // フルパス表示
+    // クエストファイル (.snbt) の文字列を1つの言語に翻訳して書き戻す処理 (--ftb-quests in-place。戻り値は handleLangFile と同じ)
+    const handleQuestFile = async ({ relativePath, content, entries }, { targetLangCode, translator }) => {
+        log.debug(`\n-> クエストファイル処理開始: ${relativePath} (${entries.length} 件)`);
+        try {
+            // 言語が複数の場合は同じファイルを上書きしないように言語ごとのフォルダに分ける
+            const outputFilePath = path.join(absoluteOutputDir, TARGET_LANG_CODES.length > 1 ? targetLangCode : '', relativePath);
+            const texts = Object.fromEntries(entries.map(entry => [entry.pathKey, entry.text]));
+            // lang-keys モードで使うキー (クエストの位置と title/subtitle/description などが分かる) を文脈として送る
+            const contexts = Object.fromEntries(entries.map(entry => [entry.pathKey, createTextContext(entry.langKey, 'ftbquests', 'ftbquests')]));
+            const translated = await translator.execJSON(texts, ['ftbquests'], contexts);
+            const outputContent = applyQuestTranslations(content, entries, new Map(Object.entries(translated)));
+            const counts = { keys: entries.length, overridden: 0, fallbacks: entries.filter(entry => !(entry.pathKey in translated)).length };
+            if (DRY_RUN) return counts;
+            await fs.mkdir(path.dirname(outputFilePath), { recursive: true });
+            await fs.writeFile(outputFilePath, outputContent, 'utf8');
+            await memory.flush();
+            log.debug(`   [成功] クエストファイルの翻訳結果を保存しました: ${outputFilePath}`);
+            return counts;
+        } catch (error) {
+            log.error(`   [エラー] クエストファイル処理中にエラーが発生しました (${relativePath}): ${error.message}`);
+            if (isFatalApiError(error)) {
+                throw error; // 致命的エラーは再throw
+            }
+            runReport.addError(reportKeyOf(path.join(absoluteSourceDir, relativePath)), error.message);
+            return null;
+        }
+    };
 
+    // .mcfunction の tellraw/title などのテキストを1つの言語に翻訳して書き戻す処理 (--mcfunction。戻り値は handleLangFile と同じ)
+    const handleFunctionFile = async (filePath, { targetLangCode, translator }, sourceContent) => {
+        const relativePath = path.relative(absoluteSourceDir, filePath);
+        log.debug(`\n-> .mcfunctionファイル処理開始: ${relativePath}`);
         try {
-            // 出力先ディレクトリパスを計算し、ディレクトリを作成
-            const outputDir = await calculateAndPrepareOutputPath(filePath);
-             // 最終的な出力ファイルパスを生成
-            const outputFilePath = path.join(outputDir, targetLocalFile);
-            console.log(`   翻訳を実行し、結果を ${outputFilePath} に保存します...`);
-
-            const fileContent = await fs.readFile(filePath, 'utf8');
-            const translatedContent = await translator.execLOCAL(fileContent);
-            await fs.writeFile(outputFilePath, translatedContent, 'utf8');
-            console.log(`   [成功] .localファイルの翻訳結果を保存しました: ${outputFilePath}`);
+            // 言語ファイルと違って言語ごとのファイルがないので、クエストファイルと同じく言語が複数の場合は言語ごとのフォルダに分ける
+            const outputFilePath = path.join(absoluteOutputDir, TARGET_LANG_CODES.length > 1 ? targetLangCode : '', relativePath);
+            const roundTripProblem = checkRoundTrip('mcfunction', sourceContent);
+            if (roundTripProblem) throw new Error(`Cannot be written back losslessly as mcfunction: ${roundTripProblem}`);
+            // 翻訳できなかったテキストは原文のまま残す
+            const result = await translator.execFile('mcfunction', sourceContent, detectNamespaces(filePath));
+            const counts = { keys: result.texts, overridden: 0, fallbacks: result.failed };
+            if (DRY_RUN) return counts;
+            await fs.mkdir(path.dirname(outputFilePath), { recursive: true });
+            await fs.writeFile(outputFilePath, result.content, 'utf8');
+            await memory.flush();
+            log.debug(`   [成功] .mcfunctionファイルの翻訳結果を保存しました: ${outputFilePath}`);
+            return counts;
         } catch (error) {
-            console.error(`   [エラー] .localファイル処理中にエラーが発生しました (${fileName}): ${error.message}`);
-            if (error.message === "DeepL Quota Exceeded" || error.message.startsWith("DeepL Authorization Failed")) {
+            log.error(`   [エラー] .mcfunctionファイル処理中にエラーが発生しました (${relativePath}): ${error.message}`);
+            if (isFatalApiError(error)) {
                 throw error; // 致命的エラーは再throw
             }
+            runReport.addError(reportKeyOf(filePath), error.message);
+            return null;
         }
     };
     // --- ★★★ コールバック関数の修正ここまで ★★★ ---
 
-    // 5. FileSearcher を実行して処理を開始 (変更なし)
+    // 5. FileSearcher でファイルを一度だけ探し、見つかったファイルを言語ごとに翻訳する
     try {
-        console.log("\n[情報] 指定フォルダ内のファイル検索を開始します (サブフォルダ含む)...");
+        log.info("\n[情報] 指定フォルダ内のファイル検索を開始します (サブフォルダ含む)...");
+        const foundFiles = []; // { filePath, format, sourceContent? }
+        const functionFiles = []; // { filePath, format: 'mcfunction', sourceContent }
         await FileSearcher.search(
             absoluteSourceDir, // 検索開始パスは絶対パスで渡すのが確実
-            sourceJsonFile,
-            sourceLocalFile,
-            handleJsonFile,
-            handleLocalFile
+            fileName => langFileFormatOf(fileName, SOURCE_LANG_CODE) ?? (TRANSLATE_FUNCTIONS && formatOfFileName(fileName) === 'mcfunction' ? 'mcfunction' : null),
+            async (filePath, format) => {
+                if (format !== 'mcfunction') return foundFiles.push({ filePath, format });
+                // テキストを表示するコマンドのないファイル (ほとんどの関数) は出力しない
+                const sourceContent = await fs.readFile(filePath, 'utf8');
+                if (getFormat('mcfunction').entries(getFormat('mcfunction').parse(sourceContent)).length > 0) functionFiles.push({ filePath, format, sourceContent });
+            }
         );
-        console.log("\n===================================");
-        console.log("   言語ファイル翻訳処理 正常終了");
-        console.log("===================================");
+        if (TRANSLATE_FUNCTIONS) log.info(`[情報] テキストを表示する .mcfunction ファイル: ${functionFiles.length} 件`);
+
+        // zip のリソースパックの中の言語ファイルはここでは翻訳できない (翻訳した言語ファイルを置けない) ので、リソースパックを作る mods に任せる
+        try {
+            const { instanceRoot, sources } = await discoverSources(absoluteSourceDir, { exclude: [absoluteOutputDir] });
+            const zipPacks = instanceRoot ? sources.filter(source => source.type === 'zip') : [];
+            if (zipPacks.length > 0) log.info(`[情報] zip のリソースパック ${zipPacks.length} 件 (${zipPacks.map(source => source.name).join(', ')}) の言語ファイルは、cli.js mods -i ${absoluteSourceDir} で作るリソースパックに翻訳されます`);
+        } catch { /* mods フォルダのない入力フォルダでは何もしない */ }
+
+        // 5.5 FTB Quests のクエストファイル (config/ftbquests/quests/**/*.snbt)
+        const questFiles = []; // { relativePath, content, entries }
+        if (FTB_QUESTS_MODE !== 'off') {
+            for (const filePath of await findQuestFiles(absoluteSourceDir)) {
+                const relativePath = path.relative(absoluteSourceDir, filePath);
+                try {
+                    const content = await fs.readFile(filePath, 'utf8');
+                    questFiles.push({ relativePath, content, entries: extractQuestTexts(relativePath, content, QUEST_KEY_PREFIX) });
+                } catch (error) {
+                    log.error(`[エラー] クエストファイルを読み込めませんでした (${relativePath}): ${error.message}`);
+                    runReport.addError(reportKeyOf(filePath), `Failed to read: ${error.message}`);
+                }
+            }
+            log.info(`[情報] クエストファイル: ${questFiles.length} 件 (翻訳する文字列 ${questFiles.reduce((total, questFile) => total + questFile.entries.length, 0)} 件)`);
+        }
+        if (FTB_QUESTS_MODE === 'lang-keys' && questFiles.length > 0) {
+            // クエストの文字列をキーの参照に書き換え、原文は kubejs/assets/ftbquests/lang/en_us.json に集めて普通の言語ファイルとして翻訳する
+            const questLangPath = path.join(absoluteSourceDir, QUEST_LANG_DIRECTORY, sourceJsonFile);
+            const existingLangFile = foundFiles.find(({ filePath }) => path.resolve(filePath) === questLangPath);
+            const questLangEntries = existingLangFile ? JSON.parse(await fs.readFile(questLangPath, 'utf8')) : {};
+            questFiles.forEach(({ relativePath, entries }) => entries.forEach(({ langKey, text }) => {
+                if (questLangEntries[langKey] !== undefined && questLangEntries[langKey] !== text) log.warn(`[警告] ${sourceJsonFile} の ${langKey} を ${relativePath} の原文で上書きします`);
+                questLangEntries[langKey] = text;
+            }));
+            if (existingLangFile) existingLangFile.sourceContent = JSON.stringify(questLangEntries, null, 2);
+            else foundFiles.push({ filePath: questLangPath, format: 'json', sourceContent: JSON.stringify(questLangEntries, null, 2) });
+            if (!DRY_RUN) {
+                for (const { relativePath, content, entries } of questFiles) {
+                    const outputFilePath = path.join(absoluteOutputDir, relativePath);
+                    await fs.mkdir(path.dirname(outputFilePath), { recursive: true });
+                    await fs.writeFile(outputFilePath, rewriteQuestToLangKeys(content, entries), 'utf8');
+                }
+                const questLangOutputPath = path.join(absoluteOutputDir, QUEST_LANG_DIRECTORY, sourceJsonFile);
+                await fs.mkdir(path.dirname(questLangOutputPath), { recursive: true });
+                await fs.writeFile(questLangOutputPath, JSON.stringify(questLangEntries, null, 2), 'utf8');
+                log.info(`[情報] キーに書き換えたクエストファイルと ${questLangOutputPath} を保存しました`);
+            }
+        }
+
+        foundFiles.push(...functionFiles);
+        foundFiles.forEach(({ filePath, format }) => runReport.addFiles(reportKeyOf(filePath), format === 'mcfunction' ? 'function' : 'lang', detectNamespaces(filePath)?.[0] ?? null));
+        if (FTB_QUESTS_MODE === 'in-place') questFiles.forEach(({ relativePath }) => runReport.addFiles(reportKeyOf(path.join(absoluteSourceDir, relativePath)), 'quest', 'ftbquests'));
+
+        const localeSummaries = [];
+        for (const locale of locales) {
+            log.info(`\n[情報] ===== ${locale.targetLangCode} に翻訳します (${foundFiles.length} ファイル) =====`);
+            const statsBefore = memory.getStats();
+            const progress = log.startProgress(`Translating into ${locale.targetLangCode}`, foundFiles.length + (FTB_QUESTS_MODE === 'in-place' ? questFiles.length : 0), 'files');
+            for (const { filePath, format, sourceContent } of foundFiles) {
+                await recordFileResult(reportKeyOf(filePath), () => format === 'mcfunction' ? handleFunctionFile(filePath, locale, sourceContent) : handleLangFile(filePath, format, locale, sourceContent));
+                progress.tick();
+            }
+            if (FTB_QUESTS_MODE === 'in-place') for (const questFile of questFiles) {
+                await recordFileResult(reportKeyOf(path.join(absoluteSourceDir, questFile.relativePath)), () => handleQuestFile(questFile, locale));
+                progress.tick();
+            }
+            progress.finish();
+            const statsAfter = memory.getStats();
+            localeSummaries.push({ locale, hits: statsAfter.hits - statsBefore.hits, stored: statsAfter.stored - statsBefore.stored });
+        }
+        if (!DRY_RUN) {
+            await overrideStore.saveSourcesLock({ acceptChangedSources: ACCEPT_OVERRIDE_SOURCES });
+            await fs.writeFile(OVERRIDES_REPORT_PATH, JSON.stringify(overrideStore.getReport(), null, 2), 'utf8');
+        }
+        log.info(`\n[情報] 手修正の訳${DRY_RUN ? '' : ` (詳細: ${path.resolve(OVERRIDES_REPORT_PATH)})`}:`);
+        log.info(overrideStore.formatSummary());
+        // 再試行しても翻訳できなかった文字列は出力から除いてあるので、一覧を残して次回の実行で翻訳し直せるようにする
+        const failures = locales.flatMap(({ targetLangCode, translator }) => translator.getFailures().map(failure => ({ targetLang: targetLangCode, ...failure })));
+        if (!DRY_RUN) await fs.writeFile(FAILURES_REPORT_PATH, JSON.stringify(failures, null, 2), 'utf8');
+        if (failures.length > 0) {
+            log.warn(`\n[警告] 翻訳できなかった文字列: ${failures.length} 件 (言語ファイルには含めず、クエストファイルでは原文のままです。もう一度実行すると翻訳し直します)${DRY_RUN ? '' : ` (詳細: ${path.resolve(FAILURES_REPORT_PATH)})`}`);
+        }
+        // APIの使用量 (ドライランでは送る予定の文字列からの見積もり)
+        const accountUsageAfter = accountUsageBefore ? await locales[0].translator.getAccountUsage() : null;
+        const accountUsage = accountUsageAfter ? { characters: accountUsageAfter.characters - accountUsageBefore.characters, periodCharacters: accountUsageAfter.characters, periodLimit: accountUsageAfter.limit } : null;
+        if (!DRY_RUN) await fs.writeFile(USAGE_REPORT_PATH, JSON.stringify({ ...usageMeter.getReport(), account: accountUsage }, null, 2), 'utf8');
+        log.info(`\n[情報] ${DRY_RUN ? 'APIの使用量の見積もり' : 'APIの使用量'}${DRY_RUN ? '' : ` (詳細: ${path.resolve(USAGE_REPORT_PATH)})`}:`);
+        log.info(usageMeter.formatSummary());
+        if (accountUsage) log.info(`[情報] DeepLのアカウント: 今回 ${accountUsage.characters} 文字 / 今月 ${accountUsage.periodCharacters} 文字 (上限 ${accountUsage.periodLimit} 文字)`);
+        if (DRY_RUN && MAX_BUDGET !== undefined && usageMeter.spent > MAX_BUDGET) {
+            log.warn(`[警告] 見積もりの料金 ($${usageMeter.spent.toFixed(4)}) が --max-budget ($${MAX_BUDGET}) を超えています。実際の実行では予算を超える前に止まります`);
+        }
+        const memoryStats = memory.getStats();
+        log.info(`\n[情報] 翻訳メモリ: ヒット ${memoryStats.hits} 件 / 新規保存 ${memoryStats.stored} 件`);
+        localeSummaries.forEach(({ locale, hits, stored }) => {
+            if (DRY_RUN) {
+                const dryRunStats = locale.translator.getStats();
+                log.info(`  ${locale.targetLangCode}: ヒット ${hits} 件 / ドライラン: ${dryRunStats.texts} 件 (${dryRunStats.characters} 文字) が ${TRANSLATION_ENGINE} に送られる予定です`);
+            } else {
+                log.info(`  ${locale.targetLangCode}: ヒット ${hits} 件 / 新規保存 ${stored} 件`);
+            }
+        });
+        // ファイルごとの結果 (終わりの表示では、エラーと翻訳できなかった文字列があったファイルだけを出す)
+        runReport.finish('completed');
+        if (!DRY_RUN) await fs.writeFile(RUN_REPORT_PATH, JSON.stringify(runReport.getReport(), null, 2), 'utf8');
+        log.info(`\n[情報] 実行結果${DRY_RUN ? '' : ` (詳細: ${path.resolve(RUN_REPORT_PATH)})`}:`);
+        log.info(runReport.formatSummary());
+        const totals = runReport.getTotals();
+        log.info("\n===================================");
+        log.info(`   言語ファイル翻訳処理 正常終了${totals.errors + totals.keys.fallbacks > 0 ? ` (エラー ${totals.errors} 件 / 翻訳できなかった文字列 ${totals.keys.fallbacks} 件)` : ''}`);
+        log.info("===================================");
     } catch (error) {
-        console.error("\n===================================");
-        console.error("   言語ファイル翻訳処理 異常終了");
-        console.error("===================================");
-        console.error("[致命的エラー]:", error.message);
+        log.clearProgress();
+        log.error("\n===================================");
+        log.error("   言語ファイル翻訳処理 異常終了");
+        log.error("===================================");
+        log.error("[致命的エラー]:", error.message);
+        log.error(`[情報] 止まるまでのAPIの使用量:\n${usageMeter.formatSummary()}`);
+        runReport.finish('aborted', error.message);
+        if (!DRY_RUN) await fs.writeFile(RUN_REPORT_PATH, JSON.stringify(runReport.getReport(), null, 2), 'utf8').catch(() => {});
+        await memory.flush(); // 致命的エラーでも翻訳済みの文字列は保存しておく
         process.exit(1);
     }
 }
 
-// --- スクリプトの実行 ---
-runTranslationProcess();
\ No newline at end of file
+// --- スクリプトの実行 (node index.js [options] で直接実行した場合) ---
+if (require.main === module) {
+    (async () => runTranslationProcess(await loadOptions('pack-files', parseCliArgs(process.argv.slice(2)).values)))().catch(error => {
+        log.error("[致命的エラー]:", error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { runTranslationProcess };
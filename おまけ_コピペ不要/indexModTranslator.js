@@ -2,315 +2,593 @@
 require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
-const os =require('os');
-const crypto = require('crypto'); // キャッシュキー生成用
-const { Worker } = require('worker_threads');
-const OpenAITranslator = require('./openaiTranslator'); // OpenAI対応版のTranslator
+const { createTranslator, getEngineInfo } = require('./translationEngines'); // 翻訳エンジンのレジストリ
+const TranslationMemory = require('./translationMemory'); // 文字列単位の翻訳メモリ
+const { getFormat, readEntries, checkRoundTrip, isText } = require('./fileFormats'); // 言語ファイルの形式 (.json / .local / .lang) の読み書き
+const { diffLangEntries, diffPatchouliBook, IncrementalChangelog } = require('./incrementalDiff'); // 差分翻訳用
+const OverrideStore = require('./overrideStore'); // 機械翻訳で上書きしない手修正の訳
+const Glossary = require('./glossary'); // 訳語を固定する用語集
+const NameIndex = require('./nameIndex'); // アイテム名などの訳を文章の翻訳にも使う
+const { createTextContext, mergeTextContexts, splitIntoContextBatches } = require('./textContext'); // 原文と一緒に送るキー/ネームスペース/ファイルの種類
+const { OfficialTranslations, OfficialCoverageReport } = require('./officialLang'); // Modが同梱している公式の訳
+const RunJournal = require('./runJournal'); // 翻訳し終わったバッチの記録 (中断した実行の再開用)
+const { RequestScheduler, isFatalApiError } = require('./requestScheduler'); // APIリクエストの再試行と同時実行数の調整
+const UsageMeter = require('./usageMeter'); // APIの使用量/料金の集計と予算の上限
+const { GuideBookCatalog } = require('./guideBooks'); // Patchouli (i18n) / Modonomicon のブックの判定
+const PatchouliSchema = require('./patchouliSchema'); // Patchouliのページの種類ごとの翻訳するフィールド
+const { localizedPagePath, extractGuideTexts, applyGuideTranslations, GuidePageReport } = require('./ae2Guide'); // AE2のガイドのページ (Markdown)
+const { scanSources, jarLabel } = require('./jarScanner'); // ワーカーでJAR/リソースパックから翻訳対象を抽出
+const { discoverSources, resolveEffectiveFiles } = require('./sourceDiscovery'); // 翻訳元のソースと重ね順
+const { parseCliArgs, loadOptions } = require('./config'); // コマンドライン引数/設定ファイル
+const { createPackMeta, loadOverlays, formatCredits, finalizeResourcePack, zipResourcePack } = require('./resourcePack'); // pack.mcmeta/zipの作成
+const { log } = require('./logger'); // レベル付きのログと進捗の表示
+const RunReport = require('./runReport'); // Modごとの実行結果のレポート
 // p-limit は main 関数内で動的にインポート
 
-// --- Configuration ---
-const MODS_DIRECTORY = process.env.SOURCE_DIRECTORY || './mods';
-const OUTPUT_RESOURCE_PACK_DIR = process.env.OUTPUT_DIRECTORY || './translated_rp_openai';
-const CACHE_DIRECTORY = path.join(__dirname, '.translation_cache_v3'); // キャッシュ用フォルダ
-const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false'; // デフォルトでキャッシュ有効
-const PROMPT_VERSION = "1.1"; // プロンプトを変更したらここを更新してキャッシュを無効化
-
-const TARGET_LANG_CODE_RP = 'ja_jp';          // リソースパック内の言語コード (ファイル名用)
-const TARGET_OPENAI_LANG_NAME = 'Japanese'; // OpenAIプロンプト用の言語名
-const OPENAI_MODEL = 'gpt-4o-mini';          // 使用するOpenAIモデル
-const MINECRAFT_VERSION = '1.20.1';        // pack.mcmeta生成用
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-const MAX_CONCURRENT_WORKERS = parseInt(process.env.MAX_WORKERS || os.cpus().length, 10);
-const MAX_TEXTS_PER_BATCH = 100; // 1回のOpenAI API呼び出しに含める最大テキスト数
+// --- Configuration (入力/出力フォルダや言語などは config.js のオプションで指定) ---
+const MEMORY_DIRECTORY = path.join(__dirname, '.translation_memory'); // 翻訳メモリ用フォルダ (index.jsと共有)
+const CHANGELOG_PATH = './incremental_changelog.json'; // 差分モードで書き出すModごとの変更履歴
+const OVERRIDES_REPORT_PATH = './overrides_report.json'; // 原文が変わった手修正の一覧
+const OFFICIAL_LANG_REPORT_PATH = './official_lang_report.json'; // Modごとの公式の訳/機械翻訳で埋めたキーの数
+const AE2_GUIDE_REPORT_PATH = './ae2guide_report.json'; // AE2のガイドのページを置いた/置けなかった結果
+const FAILURES_REPORT_PATH = './translation_failures.json'; // 再試行しても翻訳できなかった原文の一覧
+const USAGE_REPORT_PATH = './usage_report.json'; // エンジン/Modごとの使用トークン数/文字数と料金
+const RUN_REPORT_PATH = './run_report.json'; // Mod (JAR) ごとのファイル数、キーの数、翻訳メモリのヒット、英語のままのキー、エラー、時間
 const MAX_CONCURRENT_WRITES = 15; // 同時に実行するファイル書き込みの最大数
-const MAX_CONCURRENT_API_CALLS = 5; // 同時に実行するOpenAI API呼び出しの最大数
 // ---------------------
 
-// Pack Format Calculation
-const PACK_FORMAT_MAP = {
-    "1.20.1": 15, "1.19.4": 13, "1.18.2": 9, "1.17.1": 7, "1.16.5": 6,
-};
-const PACK_FORMAT = PACK_FORMAT_MAP[MINECRAFT_VERSION] || 15;
-
-// Target Filenames for regular lang files
-const targetJsonFilename = `${TARGET_LANG_CODE_RP}.json`;
-const targetLocalFilename = `${TARGET_LANG_CODE_RP}.local`;
-
-// --- Helper Function for .local Parsing ---
-function parseLocalContent(localContent) {
-    const lines = localContent.split(/\r?\n/);
-    const parsed = [];
-    lines.forEach((line, index) => {
-        const trimmedLine = line.trim();
-        const lineNumber = index + 1;
-        if (trimmedLine === '') parsed.push({ type: 'empty', originalLine: line, lineNumber });
-        else if (trimmedLine.startsWith('#')) parsed.push({ type: 'comment', originalLine: line, lineNumber });
-        else {
-            const separatorIndex = line.indexOf('=');
-            if (separatorIndex > 0) {
-                const key = line.substring(0, separatorIndex).trimEnd();
-                const value = line.substring(separatorIndex + 1);
-                if (key.trim() !== '') parsed.push({ type: 'kv', key, value, originalLine: line, lineNumber });
-                else parsed.push({ type: 'other', originalLine: line, lineNumber });
-            } else parsed.push({ type: 'other', originalLine: line, lineNumber });
-        }
-    });
-    return parsed;
-}
-
-// --- Helper Function for .local Reconstruction ---
-function reconstructLocal(parsedData) {
-     return parsedData.map(item => {
-        if (item.type === 'kv') {
-            const valueToUse = item.translatedValue !== undefined ? item.translatedValue : item.value;
-            return `${item.key}=${valueToUse}`;
-        } else { return item.originalLine; }
-    }).join('\n');
-}
-
-// --- Cache Helper Functions ---
-function getCacheKey(fileInfo, targetLangCode, promptVer = PROMPT_VERSION) {
-    const keyString = `${fileInfo.originalJar}-${fileInfo.originalPathInJar}-${targetLangCode}-${promptVer}`;
-    return crypto.createHash('md5').update(keyString).digest('hex');
-}
-
-async function readFromCache(cacheKey) {
-    if (!CACHE_ENABLED) return null;
-    const cacheFilePath = path.join(CACHE_DIRECTORY, `${cacheKey}.json`); // Cache content as JSON string
-    try {
-        const cachedData = await fs.readFile(cacheFilePath, 'utf8');
-        return JSON.parse(cachedData); // Returns the stored object or string
-    } catch (error) {
-        if (error.code !== 'ENOENT') console.warn(`[Cache] Error reading cache for key ${cacheKey}:`, error.message);
-        return null;
-    }
-}
-
-async function writeToCache(cacheKey, dataToCache) {
-    if (!CACHE_ENABLED) return;
-    const cacheFilePath = path.join(CACHE_DIRECTORY, `${cacheKey}.json`);
-    try {
-        await fs.mkdir(path.dirname(cacheFilePath), { recursive: true });
-        await fs.writeFile(cacheFilePath, JSON.stringify(dataToCache, null, 2), 'utf8'); // Store as pretty JSON
-        // console.log(`[Cache] SAVED key ${cacheKey}`);
-    } catch (error) {
-        console.warn(`[Cache] Error writing cache for key ${cacheKey}:`, error.message);
-    }
+// --- Helper Function for Incremental Mode ---
+async function readFileIfExists(filePath) {
+    try { return await fs.readFile(filePath, 'utf8'); }
+    catch (error) { if (error.code === 'ENOENT') return null; throw error; }
 }
 
 // --- Main Execution Function ---
-async function main() {
+/**
+ * modsフォルダのJARから翻訳リソースパックを作成します。
+ * @param {object} options - config.js の `loadOptions('mods')` が返す設定。
+ * @returns {Promise<void>}
+ */
+async function main(options) {
     const pLimit = (await import('p-limit')).default;
+    const {
+        input: MODS_DIRECTORY, output: OUTPUT_RESOURCE_PACK_DIR, engine: TRANSLATION_ENGINE, model: OPENAI_MODEL,
+        baseUrl: OPENAI_BASE_URL, temperature: OPENAI_TEMPERATURE, maxTokens: OPENAI_MAX_TOKENS, jsonMode: OPENAI_JSON_MODE,
+        cache: CACHE_ENABLED, officialLang: USE_OFFICIAL_LANG, incremental: INCREMENTAL_MODE, resume: RESUME_RUN, snapshot: SOURCE_SNAPSHOT_DIR, dryRun: DRY_RUN,
+        overrides: OVERRIDES_DIRECTORY, acceptOverrideSources: ACCEPT_OVERRIDE_SOURCES, glossary: GLOSSARY_PATH,
+        sourceLang: SOURCE_LANG_CODE, targetLangs: TARGET_LANG_CODES, minecraftVersion: MINECRAFT_VERSION,
+        concurrency: MAX_CONCURRENT_WORKERS, nestedJarDepth: NESTED_JAR_DEPTH, batchSize: MAX_TEXTS_PER_BATCH, apiConcurrency: MAX_CONCURRENT_API_CALLS, apiRetries: MAX_API_RETRIES, maxBudget: MAX_BUDGET, pricing: PRICING,
+        supportedVersions: SUPPORTED_VERSIONS, overlays: OVERLAYS_DIRECTORY, packIcon: PACK_ICON, packDescription: PACK_DESCRIPTION, zip: ZIP_OUTPUT,
+        logLevel: LOG_LEVEL, logFormat: LOG_FORMAT, progress: SHOW_PROGRESS,
+    } = options;
+    try {
+        log.configure({ level: LOG_LEVEL, format: LOG_FORMAT, progress: SHOW_PROGRESS });
+    } catch (e) { log.error(`[Main] ${e.message}`); process.exit(1); }
+    const runReport = new RunReport('mods');
 
-    console.log("==================================================");
-    console.log(" Minecraft Mod Translation (OpenAI + Cache + Workers)");
-    console.log("==================================================");
-    console.log(`Model: ${OPENAI_MODEL}, Target: ${TARGET_OPENAI_LANG_NAME}, PromptVer: ${PROMPT_VERSION}`);
-    console.log(`Cache Enabled: ${CACHE_ENABLED}, Dir: ${CACHE_DIRECTORY}`);
+    log.info("==================================================");
+    log.info(" Minecraft Mod Translation (Memory + Workers)");
+    log.info("==================================================");
     const startTime = Date.now();
 
-    if (!OPENAI_API_KEY) { console.error("[Main Error] OPENAI_API_KEY is not set in .env"); process.exit(1); }
-    if (!MODS_DIRECTORY) { console.error("[Main Error] SOURCE_DIRECTORY is not set in .env"); process.exit(1); }
+    if (!MODS_DIRECTORY) { log.error("[Main Error] Input folder is not set (--input or SOURCE_DIRECTORY)"); process.exit(1); }
+    if (options.configPath) log.info(`[Main] Config file: ${options.configPath}`);
 
-    let translator;
+    // 翻訳先の言語ごとにエンジンと用語集を用意する (JARの読み込みは全言語で1回だけ)
+    const memory = new TranslationMemory(MEMORY_DIRECTORY, { enabled: CACHE_ENABLED, readOnly: DRY_RUN });
+    // APIリクエストは全言語で1つのスケジューラーを通し、レート制限を受けたら全体の同時実行数を下げる
+    const requestScheduler = new RequestScheduler({ maxConcurrency: MAX_CONCURRENT_API_CALLS, maxRetries: MAX_API_RETRIES });
+    // 使用量も全言語で1つにまとめ、予算 (--max-budget) は全体にかける
+    let usageMeter;
     try {
-        translator = new OpenAITranslator(OPENAI_API_KEY, TARGET_OPENAI_LANG_NAME, OPENAI_MODEL);
-        console.log("[Main] OpenAI Translator initialized.");
-    } catch (e) { console.error("[Main] Failed to initialize Translator:", e.message); process.exit(1); }
+        usageMeter = new UsageMeter({ pricing: PRICING, maxBudget: MAX_BUDGET ?? null });
+    } catch (e) { log.error(`[Main] Invalid pricing:`, e.message); process.exit(1); }
+    const locales = []; // { targetLangCode, translator, glossary }
+    for (const targetLangCode of TARGET_LANG_CODES) {
+        let translator;
+        try {
+            translator = createTranslator(TRANSLATION_ENGINE, {
+                targetLangCode, model: OPENAI_MODEL, dryRun: DRY_RUN,
+                baseUrl: OPENAI_BASE_URL, temperature: OPENAI_TEMPERATURE, maxTokens: OPENAI_MAX_TOKENS, jsonMode: OPENAI_JSON_MODE,
+            });
+        } catch (e) { log.error(`[Main] Failed to initialize Translator for ${targetLangCode}:`, e.message); process.exit(1); }
+        translator.setTranslationMemory(memory);
+        translator.setRequestScheduler(requestScheduler);
+        translator.setUsageMeter(usageMeter);
+        let glossary;
+        try {
+            glossary = await Glossary.load(GLOSSARY_PATH, targetLangCode);
+            translator.setGlossary(glossary);
+        } catch (e) { log.error(`[Main] Failed to load glossary ${GLOSSARY_PATH}:`, e.message); process.exit(1); }
+        locales.push({ targetLangCode, translator, glossary });
+    }
+    const memoryScope = locales[0].translator.getMemoryScope();
+    log.info(`[Main] Translation engine initialized: ${TRANSLATION_ENGINE} (${getEngineInfo(TRANSLATION_ENGINE).description})${DRY_RUN ? ' [dry run: no API calls, no files written]' : ''}`);
+    log.info(`Engine: ${memoryScope.engine}, Model: ${memoryScope.model}, Source: ${SOURCE_LANG_CODE}, Target: ${TARGET_LANG_CODES.join(', ')}, PromptVer: ${memoryScope.promptVersion}`);
+    log.info(`Translation Memory Enabled: ${CACHE_ENABLED}, Dir: ${MEMORY_DIRECTORY}`);
+    log.info(`Incremental Mode: ${INCREMENTAL_MODE}, Source Snapshot: ${path.resolve(SOURCE_SNAPSHOT_DIR)}`);
+    log.info(`Use translations shipped by mods: ${USE_OFFICIAL_LANG}`);
+    if (MAX_BUDGET !== undefined) {
+        // 料金が分からないモデルでは予算を確認できないので、APIを呼ぶ前に止める
+        if (!usageMeter.getPrice(memoryScope.engine, memoryScope.model)) {
+            log.error(`[Main] --max-budget needs the price of ${memoryScope.engine}/${memoryScope.model}; add it to pricing in the config file.`);
+            process.exit(1);
+        }
+        log.info(`[Main] Budget: $${MAX_BUDGET} (the run stops before the estimated cost would exceed it)`);
+    }
+    const accountUsageBefore = await locales[0].translator.getAccountUsage();
+    locales.forEach(({ targetLangCode, glossary }) => log.info(`[Main] Glossary loaded for ${targetLangCode}: ${glossary.size} term(s) from ${path.resolve(GLOSSARY_PATH)}`));
 
-    const absoluteOutputDir = path.resolve(OUTPUT_RESOURCE_PACK_DIR);
+    // pack.mcmeta の内容はAPIを呼ぶ前に確定させる (バージョンの指定ミスで翻訳が無駄にならないように)
+    const packDescription = PACK_DESCRIPTION || `Mod Translations (${TARGET_LANG_CODES.join(', ')}) [${memoryScope.model}, PV${memoryScope.promptVersion}]`;
+    let overlays, packMeta;
+    try {
+        overlays = OVERLAYS_DIRECTORY ? await loadOverlays(OVERLAYS_DIRECTORY) : [];
+        packMeta = createPackMeta({ description: packDescription, minecraftVersion: MINECRAFT_VERSION, supportedVersions: SUPPORTED_VERSIONS, overlays });
+        if (PACK_ICON) await fs.access(PACK_ICON);
+        log.info(`[Main] pack_format: ${packMeta.pack.pack_format}${packMeta.pack.supported_formats ? `, supported_formats: ${JSON.stringify(packMeta.pack.supported_formats)}` : ''}, overlays: ${overlays.length}`);
+    } catch (e) { log.error(`[Main] Invalid resource pack settings:`, e.message); process.exit(1); }
+    let patchouliSchema;
     try {
+        patchouliSchema = new PatchouliSchema(options.patchouliPageTypes);
+    } catch (e) { log.error(`[Main] Invalid patchouliPageTypes:`, e.message); process.exit(1); }
+
+    const absoluteOutputDir = path.resolve(OUTPUT_RESOURCE_PACK_DIR);
+    if (!DRY_RUN) try {
         await fs.mkdir(absoluteOutputDir, { recursive: true });
-        const packMeta = { pack: { pack_format: PACK_FORMAT, description: `Mod Translations (${TARGET_LANG_CODE_RP}) [${OPENAI_MODEL}, PV${PROMPT_VERSION}]` } };
-        await fs.writeFile(path.join(absoluteOutputDir, 'pack.mcmeta'), JSON.stringify(packMeta, null, 2), 'utf8');
-        console.log(`[Main] Output directory and pack.mcmeta prepared: ${absoluteOutputDir}`);
-    } catch (e) { console.error(`[Main] Failed to prepare output directory:`, e); process.exit(1); }
-
-    if (CACHE_ENABLED) {
-        try { await fs.mkdir(CACHE_DIRECTORY, { recursive: true }); console.log(`[Cache] Cache directory ensured: ${CACHE_DIRECTORY}`); }
-        catch (e) { console.warn(`[Cache] Could not create cache directory: ${e.message}`); }
-    }
+        log.info(`[Main] Output directory prepared: ${absoluteOutputDir}`);
+    } catch (e) { log.error(`[Main] Failed to prepare output directory:`, e); process.exit(1); }
 
-    let modFiles = [];
+    // 入力がインスタンス (modpack) のフォルダなら、mods/ のJARに加えて KubeJS の assets やリソースパックも翻訳元にする
+    // (出力先を resourcepacks/ に置いている場合でも、前回の出力や原文のスナップショット、ジャーナルは翻訳元にしない)
+    let sources = [];
     const absoluteModsDir = path.resolve(MODS_DIRECTORY);
+    const runJournalPath = `${absoluteOutputDir}.journal.jsonl`;
     try {
-        const entries = await fs.readdir(absoluteModsDir, { withFileTypes: true });
-        modFiles = entries.filter(d => d.isFile() && d.name.toLowerCase().endsWith('.jar')).map(d => path.join(absoluteModsDir, d.name));
-        console.log(`[Main] Found ${modFiles.length} JAR files in ${absoluteModsDir}.`);
-    } catch (e) { console.error(`[Main] Failed to read mods directory:`, e); process.exit(1); }
-    if (modFiles.length === 0) { console.log("[Main] No JAR files found. Exiting."); return; }
-
-    const workerLimit = pLimit(MAX_CONCURRENT_WORKERS);
-    const langFileInfos = [];
-    const patchouliBookInfos = [];
-    console.log(`[Main] Starting worker tasks (concurrency: ${MAX_CONCURRENT_WORKERS})...`);
-    const workerPromises = modFiles.map(jarPath => workerLimit(() => new Promise((resolve, reject) => {
-        const worker = new Worker(path.resolve('./worker.js'), { workerData: { jarPath } });
-        worker.on('message', msg => {
-            if (msg.type === 'data') msg.payload.forEach(fi => fi.fileType === 'patchouli_book' ? patchouliBookInfos.push(fi) : langFileInfos.push(fi));
-            else if (msg.type === 'error') console.error(`[Worker Error][${path.basename(jarPath)}] ${msg.error}`);
-        });
-        worker.on('error', reject);
-        worker.on('exit', code => { if (code !== 0) console.warn(`Worker for ${path.basename(jarPath)} exited code ${code}`); resolve(); });
-    })));
-    try { await Promise.all(workerPromises); console.log("[Main] All workers finished JAR processing."); }
-    catch (e) { console.error("[Main] Critical worker error:", e); process.exit(1); }
+        let instanceRoot;
+        ({ instanceRoot, sources } = await discoverSources(absoluteModsDir, { exclude: [absoluteOutputDir, `${absoluteOutputDir}.zip`, path.resolve(SOURCE_SNAPSHOT_DIR), runJournalPath] }));
+        const jarCount = sources.filter(source => source.type === 'jar').length;
+        log.info(`[Main] Found ${jarCount} JAR files in ${instanceRoot ? path.join(instanceRoot, 'mods') : absoluteModsDir}.`);
+        if (instanceRoot && sources.length > jarCount) {
+            log.info(`[Sources] Resource sources stacked above the mods (bottom to top): ${sources.filter(source => source.type !== 'jar').map(source => source.name).join(', ')}`);
+        }
+    } catch (e) { log.error(`[Main] Failed to read mods directory:`, e); process.exit(1); }
+    if (sources.length === 0) { log.info("[Main] No JAR files or resource packs found. Exiting."); return; }
+
+    // 翻訳し終わったバッチはその場でジャーナルに追記し、Quota超過などで止まっても --resume で続きから再開できるようにする
+    const runJournal = new RunJournal(runJournalPath, { enabled: !DRY_RUN });
+    try {
+        const resumed = await runJournal.start({ resume: RESUME_RUN, run: { input: absoluteModsDir, engine: TRANSLATION_ENGINE, model: OPENAI_MODEL, sourceLang: SOURCE_LANG_CODE, targetLangs: TARGET_LANG_CODES } });
+        if (resumed) log.info(`[Journal] Resuming from ${runJournal.path}: ${runJournal.size} text(s) translated before the interruption will not be sent again.`);
+    } catch (e) { log.error(`[Main] Failed to start the run journal:`, e.message); process.exit(1); }
+    locales.forEach(({ translator }) => translator.setRunJournal(runJournal));
+    const abortRun = async (message) => {
+        log.clearProgress();
+        log.error(message);
+        log.error(`[Usage] API usage before stopping:\n${usageMeter.formatSummary()}`);
+        await memory.flush();
+        if (runJournal.enabled) log.error(`[Journal] Translations finished so far are kept in ${runJournal.path}. Run again with --resume to continue without re-translating them.`);
+        runReport.finish('aborted', message);
+        if (!DRY_RUN) await fs.writeFile(RUN_REPORT_PATH, JSON.stringify(runReport.getReport(), null, 2), 'utf8').catch(() => {});
+        process.exit(1);
+    };
+
+    let langFileInfos = [];
+    let patchouliBookInfos = [];
+    let officialLangInfos = [];
+    let bookDefinitionInfos = [];
+    let modonomiconInfos = [];
+    let ae2GuideInfos = [];
+    log.info(`[Main] Starting worker tasks (concurrency: ${MAX_CONCURRENT_WORKERS})...`);
+    const scanProgress = log.startProgress('Scanning sources', sources.length, 'sources');
+    const onSourceScanned = (sourceName, { durationMs, errors, nestedJars }) => {
+        runReport.addTime(sourceName, 'scan', durationMs);
+        errors.forEach(error => runReport.addError(sourceName, error));
+        nestedJars.forEach(nestedJar => runReport.addNestedJar(sourceName, nestedJar.path, nestedJar.version));
+        scanProgress.tick();
+    };
+    let scanResult;
+    try {
+        scanResult = await scanSources(sources, MAX_CONCURRENT_WORKERS, SOURCE_LANG_CODE, USE_OFFICIAL_LANG ? TARGET_LANG_CODES : [], { maxNestedDepth: NESTED_JAR_DEPTH, onSourceScanned });
+        scanProgress.finish();
+        log.info("[Main] All workers finished JAR processing.");
+    }
+    catch (e) { log.clearProgress(); log.error("[Main] Critical worker error:", e); process.exit(1); }
+    const recordFiles = (kind, fileInfos) => fileInfos.forEach(fileInfo => {
+        runReport.addFiles(fileInfo.originalJar, kind, fileInfo.namespace);
+        if (fileInfo.nestedJar) runReport.addNestedFiles(fileInfo.originalJar, fileInfo.nestedJar, kind);
+    });
+    recordFiles('lang', scanResult.langFileInfos);
+    recordFiles('patchouli', scanResult.patchouliBookInfos);
+    recordFiles('modonomicon', scanResult.modonomiconInfos);
+    recordFiles('ae2Guide', scanResult.ae2GuideInfos.filter(pageInfo => pageInfo.langCode === null));
+    recordFiles('official', [...scanResult.officialLangInfos, ...scanResult.ae2GuideInfos.filter(pageInfo => pageInfo.langCode !== null)]);
+    // 同じ言語ファイルが複数のソースにあればキーごとに上のソースの原文を使い、ブックなどは上のソースのファイルで置き換える
+    const effective = resolveEffectiveFiles(scanResult);
+    ({ langFileInfos, patchouliBookInfos, officialLangInfos, bookDefinitionInfos, modonomiconInfos, ae2GuideInfos } = effective.scanResult);
+    if (effective.merged > 0) log.info(`[Sources] Merged ${effective.merged} lang file(s) into the same lang files of lower sources (the upper source's text wins for each key).`);
+    if (effective.replaced > 0) log.info(`[Sources] ${effective.replaced} book/guide file(s) were replaced by the same file in a higher source.`);
     const jarProcessingEndTime = Date.now();
-    console.log(`[Main] JAR processing took ${((jarProcessingEndTime - startTime) / 1000).toFixed(2)}s.`);
-    console.log(`[Main] Collected ${langFileInfos.length} regular lang file(s) and ${patchouliBookInfos.length} Patchouli book file(s).`);
+    log.info(`[Main] JAR processing took ${((jarProcessingEndTime - startTime) / 1000).toFixed(2)}s.`);
+    // AE2のガイドは原文のページだけを翻訳し、Modが翻訳先の言語フォルダに訳を同梱しているページはそのまま使わせる
+    const ae2GuidePages = ae2GuideInfos.filter(pageInfo => pageInfo.langCode === null);
+    const officialGuidePages = new Set(ae2GuideInfos.filter(pageInfo => pageInfo.langCode !== null).map(pageInfo => `${pageInfo.langCode}|${pageInfo.namespace}|${pageInfo.pagePath}`));
+    log.info(`[Main] Collected ${langFileInfos.length} regular lang file(s), ${patchouliBookInfos.length} Patchouli book file(s) and ${ae2GuidePages.length} AE2 guide page(s).`);
+    // i18n: true のPatchouliブックとModonomiconのブックは文章が言語ファイルのキーなので、JSONは翻訳せずに言語ファイルの翻訳に任せる
+    const guideBooks = new GuideBookCatalog({ bookDefinitionInfos, patchouliBookInfos, modonomiconInfos });
+    const i18nBookFileCount = patchouliBookInfos.filter(bookInfo => guideBooks.isI18nPatchouliBook(bookInfo)).length;
+    patchouliBookInfos = patchouliBookInfos.filter(bookInfo => !guideBooks.isI18nPatchouliBook(bookInfo));
+    // data/ にある古い形式のブックの中身は、訳をリソースパックに書いても読み込まれないので翻訳しない
+    const dataFolderBookInfos = patchouliBookInfos.filter(bookInfo => GuideBookCatalog.isDataFolderBook(bookInfo));
+    patchouliBookInfos = patchouliBookInfos.filter(bookInfo => !GuideBookCatalog.isDataFolderBook(bookInfo));
+    if (dataFolderBookInfos.length > 0) {
+        const books = [...new Set(dataFolderBookInfos.map(bookInfo => `${bookInfo.namespace}:${bookInfo.bookIdFolder} (${jarLabel(bookInfo)})`))];
+        log.warn(`[Books] Skipping ${dataFolderBookInfos.length} Patchouli book file(s) under data/: a resource pack cannot load them, so they are not translated. Books: ${books.join(', ')}`);
+    }
+    const sourceLangKeys = new Set();
+    langFileInfos.forEach(fileInfo => {
+        try {
+            Object.keys(readEntries(fileInfo.format, fileInfo.content)).forEach(key => sourceLangKeys.add(key));
+        } catch { /* 読めないファイルは翻訳時に警告する */ }
+    });
+    log.info(`[Books] Guide books (${i18nBookFileCount} i18n Patchouli file(s) and ${modonomiconInfos.length} Modonomicon file(s) are translated via lang files):`);
+    log.info(guideBooks.formatSummary(sourceLangKeys));
+    const officialTranslations = new OfficialTranslations(officialLangInfos);
+    if (USE_OFFICIAL_LANG) log.info(`[Main] Found ${officialTranslations.size} lang file(s) shipped by mods in the target language(s); only their missing keys will be translated.`);
 
     // --- Prepare data for writing ---
     const filesToWrite = []; // { outputPath: string, finalContent: string, outputDirToCreate: string }
-
-    // --- Process Regular Lang Files ---
-    const individualLangTextsToTranslate = [];
-    const langFileReconstructionData = new Map(); // fileInfoIndex -> { type, data, namespace, originalPathInJar }
-
-    if (langFileInfos.length > 0) {
-        console.log("[Main] Processing regular lang files (checking cache)...");
-        for (let fileIndex = 0; fileIndex < langFileInfos.length; fileIndex++) {
-            const fileInfo = langFileInfos[fileIndex];
-            const cacheKey = getCacheKey(fileInfo, TARGET_LANG_CODE_RP);
-            const cachedFinalContent = await readFromCache(cacheKey);
-
-            const targetFilename = fileInfo.isJson ? targetJsonFilename : targetLocalFilename;
-            const relativeDir = path.dirname(fileInfo.originalPathInJar);
-            const outputDir = path.join(absoluteOutputDir, relativeDir);
-            const outputPath = path.join(outputDir, targetFilename);
-
-            if (cachedFinalContent !== null) {
-                console.log(`  [Cache HIT] Lang: ${fileInfo.originalPathInJar}`);
-                filesToWrite.push({ outputPath, finalContent: cachedFinalContent, outputDirToCreate: outputDir });
-                langFileReconstructionData.set(fileIndex, { type: 'cached' }); // Mark as cached
-            } else {
-                console.log(`  [Cache MISS] Lang: ${fileInfo.originalPathInJar}`);
+    const absoluteSnapshotDir = path.resolve(SOURCE_SNAPSHOT_DIR);
+    const changelog = new IncrementalChangelog();
+    const overrideStore = new OverrideStore(OVERRIDES_DIRECTORY);
+    const officialCoverage = new OfficialCoverageReport();
+    const guidePageReport = new GuidePageReport();
+    // 今回翻訳した原文をスナップショットとして保存し、次回の差分モードの比較元にする (言語が複数でも1回だけ)
+    const snapshotPaths = new Set();
+    const pushSourceSnapshot = (fileInfo) => {
+        const snapshotPath = path.join(absoluteSnapshotDir, fileInfo.originalPathInJar);
+        if (snapshotPaths.has(snapshotPath)) return;
+        snapshotPaths.add(snapshotPath);
+        filesToWrite.push({ outputPath: snapshotPath, finalContent: fileInfo.content, outputDirToCreate: path.dirname(snapshotPath) });
+    };
+
+    /**
+     * 抽出済みの言語ファイルとPatchouliブックを1つの言語に翻訳し、書き込むファイルを filesToWrite に追加します。
+     * @param {{targetLangCode: string, translator: object, glossary: Glossary}} locale - 翻訳先の言語と、その言語用のエンジン/用語集。
+     * @returns {Promise<void>}
+     */
+    const translateLocale = async ({ targetLangCode: TARGET_LANG_CODE_RP, translator, glossary }) => {
+        const memoryScope = translator.getMemoryScope();
+
+        // --- Process Regular Lang Files ---
+        const individualLangTextsToTranslate = []; // { text, originalFileIndex, originalKey }
+        const langFileReconstructionData = new Map(); // fileInfoIndex -> { format, document, fixed, outputPath } (読めなかったファイルは { type: 'error' })
+
+        if (langFileInfos.length > 0) {
+            log.info("[Main] Parsing regular lang files...");
+            for (let fileIndex = 0; fileIndex < langFileInfos.length; fileIndex++) {
+                const fileInfo = langFileInfos[fileIndex];
+                const format = getFormat(fileInfo.format);
+                const outputPath = path.join(absoluteOutputDir, path.dirname(fileInfo.originalPathInJar), format.targetFileName(path.posix.basename(fileInfo.originalPathInJar), TARGET_LANG_CODE_RP));
                 try {
                     if (!fileInfo.content) throw new Error("Missing content");
-                    if (fileInfo.isJson) {
-                        const jsonData = JSON.parse(fileInfo.content);
-                        langFileReconstructionData.set(fileIndex, { type: 'json', data: jsonData, namespace: fileInfo.namespace, originalPathInJar: fileInfo.originalPathInJar });
-                        Object.entries(jsonData).forEach(([key, value]) => {
-                            if (typeof value === 'string' && value.trim() !== '') {
-                                individualLangTextsToTranslate.push({ text: value, originalFileIndex: fileIndex, originalKey: key });
-                            }
-                        });
-                    } else { // .local
-                        const parsedLines = parseLocalContent(fileInfo.content);
-                        langFileReconstructionData.set(fileIndex, { type: 'local', data: parsedLines, namespace: fileInfo.namespace, originalPathInJar: fileInfo.originalPathInJar });
-                        parsedLines.forEach((lineData) => {
-                            if (lineData.type === 'kv' && typeof lineData.value === 'string' && lineData.value.trim() !== '') {
-                                individualLangTextsToTranslate.push({ text: lineData.value, originalFileIndex: fileIndex, originalLineNumber: lineData.lineNumber });
-                            }
-                        });
+                    // 書き戻したときに元のファイルから失われるものがあれば、壊れたファイルを書かないように翻訳しない
+                    const roundTripProblem = checkRoundTrip(fileInfo.format, fileInfo.content);
+                    if (roundTripProblem) throw new Error(`Cannot be written back losslessly as ${fileInfo.format}: ${roundTripProblem}`);
+                    const document = format.parse(fileInfo.content);
+                    const newSource = format.toObject(document);
+                    let diff = null;
+                    if (INCREMENTAL_MODE) {
+                        const parse = content => content === null ? null : readEntries(fileInfo.format, content);
+                        const oldSource = parse(await readFileIfExists(path.join(absoluteSnapshotDir, fileInfo.originalPathInJar)));
+                        const existingTarget = parse(await readFileIfExists(outputPath));
+                        diff = diffLangEntries(oldSource, newSource, existingTarget);
+                        changelog.record(fileInfo.namespace, path.relative(absoluteOutputDir, outputPath), diff.changes);
                     }
-                } catch (e) { console.warn(`[Main] Error parsing lang file ${fileInfo.originalPathInJar}: ${e.message}`); langFileReconstructionData.set(fileIndex, { type: 'error' });}
+                    // 手修正の訳があるキーはAPIに送らない
+                    const overrides = await overrideStore.getLangOverrides(path.relative(absoluteOutputDir, outputPath), newSource);
+                    // Mod自身の訳があるキーもAPIに送らない (手修正の訳の方が優先)
+                    const official = officialTranslations.get(fileInfo, TARGET_LANG_CODE_RP);
+                    const counts = { official: 0, overridden: 0, machine: 0 };
+                    let kept = 0; // 差分モードで既存の訳を残したキー
+                    const countEntry = (key, value) => {
+                        if (overrides.has(key)) counts.overridden++;
+                        else if (official.has(key)) counts.official++;
+                        else if (typeof value === 'string' && value.trim() !== '') counts.machine++;
+                    };
+                    // 手修正/公式の訳/差分モードで残す訳はキーごとに決まった訳 (fixed) として書き、それ以外の文字列を翻訳する
+                    const fixed = new Map(); // key -> 訳
+                    langFileReconstructionData.set(fileIndex, { format, document, fixed, outputPath });
+                    format.entries(document).forEach(({ key, value }) => {
+                        countEntry(key, value);
+                        if (overrides.has(key)) fixed.set(key, overrides.get(key));
+                        else if (official.has(key)) fixed.set(key, official.get(key));
+                        else if (diff && diff.keep.has(key)) { fixed.set(key, diff.keep.get(key)); kept++; }
+                        else if (isText(value)) {
+                            individualLangTextsToTranslate.push({ text: value, originalFileIndex: fileIndex, originalKey: key });
+                        }
+                    });
+                    officialCoverage.record(fileInfo.namespace, TARGET_LANG_CODE_RP, path.relative(absoluteOutputDir, outputPath), counts);
+                    runReport.countKeys(fileInfo.originalJar, 'official', counts.official);
+                    runReport.countKeys(fileInfo.originalJar, 'overridden', counts.overridden);
+                    runReport.countKeys(fileInfo.originalJar, 'kept', kept);
+                    pushSourceSnapshot(fileInfo);
+                } catch (e) {
+                    log.warn(`[Main] Error parsing lang file ${fileInfo.originalPathInJar}: ${e.message}`);
+                    langFileReconstructionData.set(fileIndex, { type: 'error' });
+                    runReport.addError(fileInfo.originalJar, `Failed to parse ${fileInfo.originalPathInJar}: ${e.message}`);
+                }
             }
-        }
-        console.log(`[Main] Extracted ${individualLangTextsToTranslate.length} individual lang texts for API translation.`);
-
-        if (individualLangTextsToTranslate.length > 0) {
-            const langTextBatches = []; let currentBatchTexts = []; let currentBatchIndices = [];
-            individualLangTextsToTranslate.forEach((textInfo, index) => {
-                currentBatchTexts.push(textInfo.text); currentBatchIndices.push(index);
-                if (currentBatchTexts.length >= MAX_TEXTS_PER_BATCH) {
-                    langTextBatches.push({ texts: currentBatchTexts, indices: currentBatchIndices });
-                    currentBatchTexts = []; currentBatchIndices = [];
+
+            // 同じ原文は (Mod をまたいでも) 1回だけ翻訳する
+            const namespacesByText = new Map(); // source text -> Set of namespaces (用語集の適用範囲の判定に使用)
+            const jarsByText = new Map(); // source text -> Set of JAR names (実行結果のレポートで翻訳の時間を按分する)
+            const nameTexts = new Set(); // アイテム名/ブロック名などのキーに使われている原文
+            const contextByText = new Map(); // source text -> 文脈 (最初に出てきたModと、使われているキー)
+            individualLangTextsToTranslate.forEach(textInfo => {
+                if (!namespacesByText.has(textInfo.text)) { namespacesByText.set(textInfo.text, new Set()); jarsByText.set(textInfo.text, new Set()); }
+                namespacesByText.get(textInfo.text).add(langFileInfos[textInfo.originalFileIndex].namespace);
+                contextByText.set(textInfo.text, mergeTextContexts(contextByText.get(textInfo.text), createTextContext(textInfo.originalKey, langFileInfos[textInfo.originalFileIndex].namespace, 'lang')));
+                jarsByText.get(textInfo.text).add(langFileInfos[textInfo.originalFileIndex].originalJar);
+                if (NameIndex.isNameKey(textInfo.originalKey)) nameTexts.add(textInfo.text);
+            });
+            const uniqueLangTexts = [...namespacesByText.keys()];
+            const translatedLangTextMap = new Map(); // source text -> translated text
+            const apiTranslatedTexts = new Set(); // 今回APIで翻訳した原文 (レポートで翻訳メモリのヒットと区別する)
+            const restoredTexts = new Set(); // ジャーナルから戻した原文
+            const { hits, misses } = await memory.partition(uniqueLangTexts, memoryScope);
+            hits.forEach((translatedText, i) => translatedLangTextMap.set(uniqueLangTexts[i], translatedText));
+            // 用語集の訳語が使われていないもの (用語集を後から追加した場合など) は翻訳し直す
+            const violatesGlossary = (text, currentGlossary) => translatedLangTextMap.has(text)
+                && currentGlossary.findViolations(text, translatedLangTextMap.get(text), [...namespacesByText.get(text)]).length > 0;
+            const missTexts = new Set(misses.map(i => uniqueLangTexts[i]));
+            log.info(`[Main] Extracted ${individualLangTextsToTranslate.length} lang texts (${uniqueLangTexts.length} unique, ${hits.size} found in translation memory).`);
+
+            const apiLimit = pLimit(MAX_CONCURRENT_API_CALLS);
+            const translateLangTexts = async (allTexts, label) => {
+                // 翻訳メモリにあっても用語集に合わずに翻訳し直すものは、古い訳をメモリから消す (新しい訳が保存されなかった場合も次の実行で使われない)
+                for (const text of allTexts) {
+                    if (!missTexts.has(text)) await memory.invalidate(text, memoryScope);
                 }
+                // 中断した実行を再開した場合、前回翻訳し終わったテキストはジャーナルの訳を使う
+                const texts = [];
+                for (const text of allTexts) {
+                    const journaled = runJournal.get(text, memoryScope);
+                    if (journaled === undefined) { texts.push(text); continue; }
+                    translatedLangTextMap.set(text, journaled);
+                    restoredTexts.add(text);
+                    if (journaled !== text) await memory.store(text, journaled, memoryScope);
+                }
+                if (texts.length < allTexts.length) log.info(`[Journal] ${allTexts.length - texts.length} ${label} restored from the run journal.`);
+                if (texts.length === 0) return;
+                // 同じModの、同じキーの接頭辞 (block.create など) の文字列が同じバッチに入るように並べる
+                const langTextBatches = splitIntoContextBatches(texts, contextByText, MAX_TEXTS_PER_BATCH);
+                log.info(`[Main] Split ${texts.length} ${label} into ${langTextBatches.length} API batches.`);
+                let fatalApiError = false;
+                const batchProgress = log.startProgress(`Translating ${label} (${TARGET_LANG_CODE_RP})`, langTextBatches.length, 'batches');
+                const langTranslationPromises = langTextBatches.map(({ texts: batchTexts, promptIndices, contexts: batchContexts }, i) => apiLimit(async () => {
+                    if (fatalApiError) return;
+                    log.debug(`[Main] Translating ${label} batch ${i + 1}/${langTextBatches.length} (${batchTexts.length} texts)...`);
+                    const startedAt = Date.now();
+                    try {
+                        const batchNamespaces = [...new Set(batchTexts.flatMap(text => [...namespacesByText.get(text)]))];
+                        const internalResultMap = await translator.translateBatchInternal(batchTexts, promptIndices, 0, batchNamespaces, batchContexts);
+                        // 翻訳できなかったテキストは translatedLangTextMap に入れない (出力ではキーごと除く)
+                        batchTexts.forEach((text, idx) => { if (!internalResultMap.has(idx)) translator.recordFailure(text, 'No translation was returned'); });
+                        for (const [pIdx, txt] of internalResultMap) {
+                            const sourceText = batchTexts[pIdx];
+                            translatedLangTextMap.set(sourceText, txt);
+                            apiTranslatedTexts.add(sourceText);
+                            // 原文のまま返ってきたものはフォールバックと区別できないためメモリに保存しない
+                            if (txt !== sourceText) await memory.store(sourceText, txt, memoryScope);
+                        }
+                        await runJournal.record([...internalResultMap].map(([pIdx, txt]) => [batchTexts[pIdx], txt]), memoryScope);
+                    } catch (e) {
+                        log.error(`[Main] Lang batch ${i + 1} failed: ${e.message}`);
+                        if (isFatalApiError(e)) { fatalApiError = true; throw e; }
+                        batchTexts.forEach(text => translator.recordFailure(text, e.message));
+                        new Set(batchTexts.flatMap(text => [...jarsByText.get(text)])).forEach(jar => runReport.addError(jar, `${label} batch failed (${TARGET_LANG_CODE_RP}): ${e.message}`));
+                    } finally {
+                        // バッチにかかった時間を、テキストが属するModで按分する
+                        const share = (Date.now() - startedAt) / batchTexts.length;
+                        batchTexts.forEach(text => {
+                            const jars = jarsByText.get(text);
+                            jars.forEach(jar => runReport.addTime(jar, 'translate', share / jars.size));
+                        });
+                        batchProgress.tick();
+                    }
+                }));
+                try { await Promise.all(langTranslationPromises); } catch (e) { await abortRun("[Main] Fatal API error during lang translation."); }
+                batchProgress.finish();
+                await memory.flush();
+            };
+
+            // 複数のModの原文をまとめて送るので、使用量は原文ごとのネームスペースで分ける
+            usageMeter.setTextNamespaces(namespacesByText);
+
+            // 1. アイテム名などの名前を先に翻訳する
+            const nameTextsForApi = uniqueLangTexts.filter(text => nameTexts.has(text) && (missTexts.has(text) || violatesGlossary(text, glossary)));
+            await translateLangTexts(nameTextsForApi, 'name texts');
+
+            // 2. 名前の訳から索引を作り、説明文やPonderなどの文章では同じ訳名を使わせる
+            const nameIndex = new NameIndex();
+            langFileReconstructionData.forEach((reconData, fileIndex) => {
+                if (reconData.type === 'error') return;
+                const sourceEntries = reconData.format.toObject(reconData.document);
+                // 手修正や差分モードで残した訳はそのまま、それ以外のキーは今回翻訳した訳を使う
+                const translatedEntries = {};
+                Object.entries(sourceEntries).forEach(([key, value]) => {
+                    translatedEntries[key] = reconData.fixed.has(key) ? reconData.fixed.get(key) : (translatedLangTextMap.get(value) ?? value);
+                });
+                nameIndex.addLangFile(sourceEntries, translatedEntries);
             });
-            if (currentBatchTexts.length > 0) langTextBatches.push({ texts: currentBatchTexts, indices: currentBatchIndices });
-            console.log(`[Main] Split lang texts into ${langTextBatches.length} API batches.`);
+            const termGlossary = glossary.extend(nameIndex.toGlossaryEntries());
+            translator.setGlossary(termGlossary);
+            log.info(`[Main] Name index: ${nameIndex.size} item/block name(s), ${nameIndex.getConflicts().length} with conflicting translations.`);
+
+            // 3. 文章を翻訳する (翻訳メモリの訳でも今の訳名が使われていなければ翻訳し直す)
+            const proseTextsForApi = uniqueLangTexts.filter(text => !nameTexts.has(text) && (missTexts.has(text) || violatesGlossary(text, termGlossary)));
+            await translateLangTexts(proseTextsForApi, 'prose texts');
+            if (nameTextsForApi.length + proseTextsForApi.length > 0) log.info("[Main] Lang text API translation finished.");
+            usageMeter.setTextNamespaces(null);
+
+            individualLangTextsToTranslate.forEach((textInfo) => {
+                const jar = langFileInfos[textInfo.originalFileIndex].originalJar;
+                if (!translatedLangTextMap.has(textInfo.text)) runReport.countKeys(jar, 'fallbacks');
+                else if (apiTranslatedTexts.has(textInfo.text)) runReport.countKeys(jar, 'translated');
+                else if (restoredTexts.has(textInfo.text)) runReport.countKeys(jar, 'restored');
+                else runReport.countKeys(jar, 'cacheHits');
+            });
+
+            // Reconstruct and add to filesToWrite
+            // 翻訳できなかったテキストは原文のまま出力せず、キー (.local / .lang では行) ごと除く。ゲーム側では翻訳元の言語が使われ、次回の実行で翻訳し直される
+            for (const reconData of langFileReconstructionData.values()) {
+                if (reconData.type === 'error') continue;
+                const finalContent = reconData.format.serialize(reconData.document, ({ key, value }) => {
+                    if (reconData.fixed.has(key)) return reconData.fixed.get(key);
+                    return isText(value) ? translatedLangTextMap.get(value) : value;
+                });
+                filesToWrite.push({ outputPath: reconData.outputPath, finalContent, outputDirToCreate: path.dirname(reconData.outputPath) });
+            }
+        }
 
-            const apiLimit = pLimit(MAX_CONCURRENT_API_CALLS); let fatalApiError = false;
-            const translatedLangTextMap = new Map(); // index in individualLangTextsToTranslate -> translated_text
+        // --- Translate Patchouli Books (翻訳メモリはTranslator側で参照) ---
+        if (patchouliBookInfos.length > 0) {
+            log.info(`\n[Main] Processing ${patchouliBookInfos.length} Patchouli book files...`);
+            const patchouliApiLimit = pLimit(MAX_CONCURRENT_API_CALLS);
+            let fatalPatchouliError = false;
+            const bookProgress = log.startProgress(`Translating Patchouli books (${TARGET_LANG_CODE_RP})`, patchouliBookInfos.length, 'files');
+
+            const patchouliPromises = patchouliBookInfos.map((bookInfo) => patchouliApiLimit(async () => {
+                if (fatalPatchouliError) return;
+                const startedAt = Date.now();
+                const outputDir = path.join(absoluteOutputDir, bookInfo.rootFolder, bookInfo.namespace, 'patchouli_books', bookInfo.bookIdFolder, TARGET_LANG_CODE_RP);
+                const outputFilePath = path.join(outputDir, bookInfo.pathAndFilenameUnderSourceLang); // Filename from worker
+                const outputDirForThisFile = path.dirname(outputFilePath); // path.dirname to get the actual directory for mkdir
 
-            const langTranslationPromises = langTextBatches.map((batch, i) => apiLimit(async () => {
-                if (fatalApiError) return;
-                console.log(`[Main] Translating lang batch ${i + 1}/${langTextBatches.length} (${batch.texts.length} texts)...`);
                 try {
-                    const promptIndices = batch.texts.map((_, idx) => idx);
-                    const internalResultMap = await translator.translateBatchInternal(batch.texts, promptIndices, 0);
-                    internalResultMap.forEach((txt, pIdx) => translatedLangTextMap.set(batch.indices[pIdx], txt));
-                } catch (e) {
-                    console.error(`[Main] Lang batch ${i + 1} failed: ${e.message}`);
-                    if (e.message.includes("Quota Exceeded")||e.message.includes("Authorization Failed")){fatalApiError=true; throw e;}
+                    const jsonData = JSON.parse(bookInfo.content);
+                    let preservedTranslations = new Map();
+                    if (INCREMENTAL_MODE) {
+                        const oldSourceContent = await readFileIfExists(path.join(absoluteSnapshotDir, bookInfo.originalPathInJar));
+                        const existingTargetContent = await readFileIfExists(outputFilePath);
+                        const diff = diffPatchouliBook(oldSourceContent === null ? null : JSON.parse(oldSourceContent), jsonData, existingTargetContent === null ? null : JSON.parse(existingTargetContent));
+                        preservedTranslations = diff.preserved;
+                        changelog.record(bookInfo.namespace, path.relative(absoluteOutputDir, outputFilePath), diff.changes);
+                    }
+                    // 手修正の訳は既存の訳よりも優先し、APIにも送らない
+                    const overrides = await overrideStore.getPatchouliOverrides(path.relative(absoluteOutputDir, outputFilePath), jsonData);
+                    overrides.forEach((value, pathKey) => preservedTranslations.set(pathKey, value));
+                    const translatedBookJson = await translator.translatePatchouliBookObject(jsonData, preservedTranslations, [bookInfo.namespace], {
+                        schema: patchouliSchema, fileKind: PatchouliSchema.fileKind(bookInfo.pathAndFilenameUnderSourceLang),
+                    });
+                    // 翻訳対象外のフィールドに対する上書きもここで反映する
+                    overrides.forEach((value, pathKey) => {
+                        const pathArray = JSON.parse(pathKey);
+                        const parent = pathArray.slice(0, -1).reduce((node, key) => node?.[key], translatedBookJson);
+                        if (parent && typeof parent === 'object') parent[pathArray[pathArray.length - 1]] = value;
+                    });
+                    const finalContent = JSON.stringify(translatedBookJson, null, 2);
+                    filesToWrite.push({ outputPath: outputFilePath, finalContent, outputDirToCreate: outputDirForThisFile });
+                    pushSourceSnapshot(bookInfo);
+                } catch (error) {
+                    log.error(`  [Error] Failed to translate Patchouli book ${bookInfo.originalPathInJar}: ${error.message}`);
+                    runReport.addError(bookInfo.originalJar, `Failed to translate ${bookInfo.originalPathInJar} (${TARGET_LANG_CODE_RP}): ${error.message}`);
+                    if (isFatalApiError(error)) {
+                        fatalPatchouliError = true; throw error;
+                    }
+                    // Non-fatal, write original content if possible
+                    filesToWrite.push({ outputPath: outputFilePath, finalContent: bookInfo.content, outputDirToCreate: outputDirForThisFile });
+                } finally {
+                    runReport.addTime(bookInfo.originalJar, 'translate', Date.now() - startedAt);
+                    bookProgress.tick();
                 }
             }));
-            try { await Promise.all(langTranslationPromises); } catch (e) { console.error("[Main] Fatal API error during lang translation."); process.exit(1); }
-            console.log("[Main] Lang text API translation finished.");
+            try { await Promise.all(patchouliPromises); } catch(e) { await abortRun("[Main] Fatal API error during Patchouli translation."); }
+            bookProgress.finish();
+            await memory.flush();
+            log.info("[Main] Patchouli book translation finished.");
+        }
 
-            // Reconstruct and add to filesToWrite
-            individualLangTextsToTranslate.forEach((textInfo, index) => {
-                const translatedText = translatedLangTextMap.get(index) ?? textInfo.text;
-                const reconData = langFileReconstructionData.get(textInfo.originalFileIndex);
-                if (reconData && reconData.type !== 'error' && reconData.type !== 'cached') {
-                    if (reconData.type === 'json' && textInfo.originalKey) reconData.data[textInfo.originalKey] = translatedText;
-                    else if (reconData.type === 'local') {
-                        const lineToUpdate = reconData.data.find(l => l.lineNumber === textInfo.originalLineNumber && l.type === 'kv');
-                        if (lineToUpdate) lineToUpdate.translatedValue = translatedText;
-                    }
+        // --- Translate AE2 Guide Pages (assets/<ns>/ae2guide/**/*.md -> ae2guide/_<lang>/) ---
+        if (ae2GuidePages.length > 0) {
+            log.info(`\n[Main] Processing ${ae2GuidePages.length} AE2 guide pages...`);
+            const guideApiLimit = pLimit(MAX_CONCURRENT_API_CALLS);
+            let fatalGuideError = false;
+            const placedPages = new Map(); // 出力先 -> JAR名 (同じページを複数のJARが持っている場合は最初のものだけ置ける)
+            const pageProgress = log.startProgress(`Translating AE2 guide pages (${TARGET_LANG_CODE_RP})`, ae2GuidePages.length, 'pages');
+
+            const guidePromises = ae2GuidePages.map((pageInfo) => guideApiLimit(async () => {
+                if (fatalGuideError) return;
+                if (officialGuidePages.has(`${TARGET_LANG_CODE_RP}|${pageInfo.namespace}|${pageInfo.pagePath}`)) {
+                    guidePageReport.record(TARGET_LANG_CODE_RP, pageInfo, 'official');
+                    pageProgress.tick();
+                    return;
                 }
-            });
+                const relativePath = localizedPagePath(pageInfo.namespace, pageInfo.pagePath, TARGET_LANG_CODE_RP);
+                if (placedPages.has(relativePath)) {
+                    guidePageReport.record(TARGET_LANG_CODE_RP, pageInfo, 'unplaced', `the same page is already placed from ${placedPages.get(relativePath)}`);
+                    pageProgress.tick();
+                    return;
+                }
+                placedPages.set(relativePath, pageInfo.originalJar);
+                const outputFilePath = path.join(absoluteOutputDir, relativePath);
 
-            for (const [fileIndex, reconData] of langFileReconstructionData.entries()) {
-                if (reconData && reconData.type !== 'error' && reconData.type !== 'cached') {
-                    const fileInfo = langFileInfos[fileIndex];
-                    const targetFilename = reconData.type === 'json' ? targetJsonFilename : targetLocalFilename;
-                    const relativeDir = path.dirname(reconData.originalPathInJar);
-                    const outputDir = path.join(absoluteOutputDir, relativeDir);
-                    const outputPath = path.join(outputDir, targetFilename);
-                    const finalContent = reconData.type === 'json' ? JSON.stringify(reconData.data, null, 2) : reconstructLocal(reconData.data);
-                    filesToWrite.push({ outputPath, finalContent, outputDirToCreate: outputDir });
-                    await writeToCache(getCacheKey(fileInfo, TARGET_LANG_CODE_RP), finalContent);
+                const startedAt = Date.now();
+                try {
+                    const entries = extractGuideTexts(pageInfo.content);
+                    const contexts = entries.map(() => createTextContext(pageInfo.pagePath, pageInfo.namespace, 'ae2guide'));
+                    const translatedTexts = await translator.translateTextsBatch(entries.map(entry => entry.text), [pageInfo.namespace], contexts);
+                    const { content, keptOriginal } = applyGuideTranslations(pageInfo.content, entries, translatedTexts);
+                    if (keptOriginal > 0) log.warn(`  [Warn] ${keptOriginal} text(s) in ${pageInfo.originalPathInJar} could not be translated or lost tags/links in translation, and were left in the original language.`);
+                    filesToWrite.push({ outputPath: outputFilePath, finalContent: content, outputDirToCreate: path.dirname(outputFilePath) });
+                    guidePageReport.record(TARGET_LANG_CODE_RP, pageInfo, 'translated');
+                    runReport.countKeys(pageInfo.originalJar, 'translated', entries.length - keptOriginal);
+                    runReport.countKeys(pageInfo.originalJar, 'fallbacks', keptOriginal);
+                } catch (error) {
+                    log.error(`  [Error] Failed to translate AE2 guide page ${pageInfo.originalPathInJar}: ${error.message}`);
+                    guidePageReport.record(TARGET_LANG_CODE_RP, pageInfo, 'unplaced', `translation failed: ${error.message}`);
+                    runReport.addError(pageInfo.originalJar, `Failed to translate ${pageInfo.originalPathInJar} (${TARGET_LANG_CODE_RP}): ${error.message}`);
+                    if (isFatalApiError(error)) {
+                        fatalGuideError = true; throw error;
+                    }
+                } finally {
+                    runReport.addTime(pageInfo.originalJar, 'translate', Date.now() - startedAt);
+                    pageProgress.tick();
                 }
-            }
+            }));
+            try { await Promise.all(guidePromises); } catch(e) { await abortRun("[Main] Fatal API error during AE2 guide translation."); }
+            pageProgress.finish();
+            await memory.flush();
+            log.info("[Main] AE2 guide translation finished.");
         }
+    };
+
+    const localeSummaries = [];
+    for (const locale of locales) {
+        log.info(`\n[Main] ===== Translating into ${locale.targetLangCode} =====`);
+        const statsBefore = memory.getStats();
+        await translateLocale(locale);
+        const statsAfter = memory.getStats();
+        localeSummaries.push({
+            targetLangCode: locale.targetLangCode,
+            hits: statsAfter.hits - statsBefore.hits,
+            stored: statsAfter.stored - statsBefore.stored,
+            dryRun: DRY_RUN ? locale.translator.getStats() : null,
+        });
     }
-
-    // --- Translate Patchouli Books (キャッシュ対応) ---
-    if (patchouliBookInfos.length > 0) {
-        console.log(`\n[Main] Processing ${patchouliBookInfos.length} Patchouli book files (checking cache)...`);
-        const patchouliApiLimit = pLimit(MAX_CONCURRENT_API_CALLS);
-        let fatalPatchouliError = false;
-
-        const patchouliPromises = patchouliBookInfos.map((bookInfo, index) => patchouliApiLimit(async () => {
-            if (fatalPatchouliError) return;
-            const cacheKey = getCacheKey(bookInfo, TARGET_LANG_CODE_RP, translator.getSystemPromptString());
-            const cachedTranslatedObject = await readFromCache(cacheKey);
-
-            const outputDir = path.join(absoluteOutputDir, 'assets', bookInfo.namespace, 'patchouli_books', bookInfo.bookIdFolder, TARGET_LANG_CODE_RP);
-            const outputFilePath = path.join(outputDir, bookInfo.pathAndFilenameUnderSourceLang); // Filename from worker
-            const outputDirForThisFile = path.dirname(outputFilePath); // path.dirname to get the actual directory for mkdir
-
-            if (cachedTranslatedObject !== null) {
-                console.log(`  [Cache HIT] Patchouli: ${bookInfo.originalPathInJar}`);
-                filesToWrite.push({ outputPath: outputFilePath, finalContent: JSON.stringify(cachedTranslatedObject, null, 2), outputDirToCreate: outputDirForThisFile });
-                return;
-            }
-
-            console.log(`  [Cache MISS] Translating Patchouli book: ${bookInfo.originalPathInJar}`);
-            try {
-                const jsonData = JSON.parse(bookInfo.content);
-                const translatedBookJson = await translator.translatePatchouliBookObject(jsonData);
-                const finalContent = JSON.stringify(translatedBookJson, null, 2);
-                filesToWrite.push({ outputPath: outputFilePath, finalContent, outputDirToCreate: outputDirForThisFile });
-                await writeToCache(cacheKey, translatedBookJson); // Cache the translated object
-            } catch (error) {
-                console.error(`  [Error] Failed to translate Patchouli book ${bookInfo.originalPathInJar}: ${error.message}`);
-                if (error.message.includes("Quota Exceeded") || error.message.includes("Authorization Failed")) {
-                    fatalPatchouliError = true; throw error;
-                }
-                // Non-fatal, write original content if possible
-                filesToWrite.push({ outputPath: outputFilePath, finalContent: bookInfo.content, outputDirToCreate: outputDirForThisFile });
-            }
-        }));
-        try { await Promise.all(patchouliPromises); } catch(e) { console.error("[Main] Fatal API error during Patchouli translation."); process.exit(1); }
-        console.log("[Main] Patchouli book translation/cache check finished.");
+    const unknownPageTypes = patchouliSchema.getUnknownPageTypes();
+    if (unknownPageTypes.length > 0) {
+        log.warn(`[Main] Unregistered Patchouli page types (only title/text translated; add them to patchouliPageTypes in the config file): ${unknownPageTypes.join(', ')}`);
     }
 
+    const failuresByLocale = locales.map(({ targetLangCode, translator }) => ({ targetLangCode, failures: translator.getFailures() }));
+
     // --- Write All Files ---
-    if (filesToWrite.length > 0) {
-        console.log(`[Main] Writing ${filesToWrite.length} processed files...`);
+    if (DRY_RUN) {
+        log.info(`[Main] Dry run: ${filesToWrite.length} file(s) would be written.`);
+    } else if (filesToWrite.length > 0) {
+        log.info(`[Main] Writing ${filesToWrite.length} processed files...`);
         const writeStartTime = Date.now();
         const writeLimit = pLimit(MAX_CONCURRENT_WRITES);
         let totalFilesWritten = 0;
@@ -320,27 +598,124 @@ async function main() {
                 await fs.mkdir(writeInfo.outputDirToCreate, { recursive: true });
                 await fs.writeFile(writeInfo.outputPath, writeInfo.finalContent, 'utf8');
                 totalFilesWritten++;
-            } catch (e) { console.error(`[Main] Failed to write file to ${writeInfo.outputPath}: ${e.message}`); }
+            } catch (e) { log.error(`[Main] Failed to write file to ${writeInfo.outputPath}: ${e.message}`); }
         }));
 
         try { await Promise.all(allWritePromises); }
-        catch (finalWriteError) { console.error("[Main] Error during aggregated file write operations:", finalWriteError); }
+        catch (finalWriteError) { log.error("[Main] Error during aggregated file write operations:", finalWriteError); }
         const writeEndTime = Date.now();
-        console.log(`[Main] All file writing complete (${totalFilesWritten} files written) in ${((writeEndTime - writeStartTime) / 1000).toFixed(2)}s.`);
+        log.info(`[Main] All file writing complete (${totalFilesWritten} files written) in ${((writeEndTime - writeStartTime) / 1000).toFixed(2)}s.`);
     } else {
-        console.log("[Main] No files to write.");
+        log.info("[Main] No files to write.");
+    }
+
+    // --- Finalize Resource Pack (pack.mcmeta, overlays, pack.png, credits, zip) ---
+    if (!DRY_RUN) {
+        const modsByNamespace = new Map(); // namespace -> Set of JAR names
+        [...langFileInfos, ...patchouliBookInfos, ...ae2GuidePages].forEach(fileInfo => {
+            if (!modsByNamespace.has(fileInfo.namespace)) modsByNamespace.set(fileInfo.namespace, new Set());
+            modsByNamespace.get(fileInfo.namespace).add(jarLabel(fileInfo));
+        });
+        const credits = formatCredits({ title: packDescription, targetLangCodes: TARGET_LANG_CODES, scope: memoryScope, minecraftVersion: MINECRAFT_VERSION, supportedVersions: SUPPORTED_VERSIONS, modsByNamespace });
+        try {
+            await finalizeResourcePack(absoluteOutputDir, { packMeta, overlays, packIcon: PACK_ICON, credits });
+            log.info(`[Main] pack.mcmeta${overlays.length > 0 ? `, ${overlays.length} overlay(s)` : ''}${PACK_ICON ? ', pack.png' : ''} and credits written.`);
+            if (ZIP_OUTPUT) {
+                const zipPath = `${absoluteOutputDir}.zip`;
+                await zipResourcePack(absoluteOutputDir, zipPath);
+                log.info(`[Main] Resource pack zip written: ${zipPath}`);
+            }
+        } catch (e) { await abortRun(`[Main] Failed to finalize resource pack: ${e.message}`); }
     }
+    // ここまで来れば全ての訳はファイルと翻訳メモリにあるので、ジャーナルは不要
+    await runJournal.complete();
+
+    // --- Manual Overrides Report ---
+    if (!DRY_RUN) {
+        await overrideStore.saveSourcesLock({ acceptChangedSources: ACCEPT_OVERRIDE_SOURCES });
+        await fs.writeFile(OVERRIDES_REPORT_PATH, JSON.stringify(overrideStore.getReport(), null, 2), 'utf8');
+    }
+    log.info(`\n[Overrides] Manual overrides from ${overrideStore.directory}${DRY_RUN ? '' : ` (details: ${path.resolve(OVERRIDES_REPORT_PATH)})`}:`);
+    log.info(overrideStore.formatSummary());
+
+    // --- Official Translations Report ---
+    if (USE_OFFICIAL_LANG) {
+        if (!DRY_RUN) await fs.writeFile(OFFICIAL_LANG_REPORT_PATH, JSON.stringify(officialCoverage.getReport(), null, 2), 'utf8');
+        log.info(`\n[Official] Mods that ship their own translation${DRY_RUN ? '' : ` (details: ${path.resolve(OFFICIAL_LANG_REPORT_PATH)})`}:`);
+        log.info(officialCoverage.formatSummary());
+    }
+
+    // --- AE2 Guide Report ---
+    if (guidePageReport.size > 0) {
+        if (!DRY_RUN) await fs.writeFile(AE2_GUIDE_REPORT_PATH, JSON.stringify(guidePageReport.getReport(), null, 2), 'utf8');
+        log.info(`\n[AE2Guide] AE2 guide pages${DRY_RUN ? '' : ` (details: ${path.resolve(AE2_GUIDE_REPORT_PATH)})`}:`);
+        log.info(guidePageReport.formatSummary());
+    }
+
+    // --- API Usage Report ---
+    const accountUsageAfter = accountUsageBefore ? await locales[0].translator.getAccountUsage() : null;
+    const accountUsage = accountUsageAfter ? { characters: accountUsageAfter.characters - accountUsageBefore.characters, periodCharacters: accountUsageAfter.characters, periodLimit: accountUsageAfter.limit } : null;
+    if (!DRY_RUN) await fs.writeFile(USAGE_REPORT_PATH, JSON.stringify({ ...usageMeter.getReport(), account: accountUsage }, null, 2), 'utf8');
+    log.info(`\n[Usage] ${DRY_RUN ? 'Estimated API usage of the texts that would be sent' : 'API usage'}${DRY_RUN ? '' : ` (details: ${path.resolve(USAGE_REPORT_PATH)})`}:`);
+    log.info(usageMeter.formatSummary());
+    if (accountUsage) log.info(`[Usage] DeepL account: ${accountUsage.characters} character(s) billed during this run, ${accountUsage.periodCharacters}/${accountUsage.periodLimit} in the current billing period.`);
+    if (DRY_RUN && MAX_BUDGET !== undefined && usageMeter.spent > MAX_BUDGET) {
+        log.warn(`[Usage] The estimated cost ($${usageMeter.spent.toFixed(4)}) exceeds --max-budget $${MAX_BUDGET}; a real run would stop before exceeding it (use --resume to continue later).`);
+    }
+
+    // --- Translation Failures Report ---
+    const schedulerStats = requestScheduler.getStats();
+    if (schedulerStats.requests > 0) log.info(`\n[Scheduler] API requests: ${schedulerStats.requests}, retried: ${schedulerStats.retries}, rate limited: ${schedulerStats.rateLimited}, failed: ${schedulerStats.failed}`);
+    if (!DRY_RUN) {
+        const failuresReport = failuresByLocale.flatMap(({ targetLangCode, failures }) => failures.map(failure => ({ targetLang: targetLangCode, ...failure })));
+        await fs.writeFile(FAILURES_REPORT_PATH, JSON.stringify(failuresReport, null, 2), 'utf8');
+    }
+    if (failuresByLocale.some(({ failures }) => failures.length > 0)) {
+        log.warn(`\n[Failures] Texts that could not be translated after retries${DRY_RUN ? '' : ` (details: ${path.resolve(FAILURES_REPORT_PATH)})`}:`);
+        failuresByLocale.forEach(({ targetLangCode, failures }) => log.warn(`  ${targetLangCode}: ${failures.length}`));
+        log.warn("[Failures] Their lang keys were left out of the pack, so the next run translates them again (Patchouli/AE2 guide texts keep the original text; run without --incremental to retry those).");
+    }
+
+    if (INCREMENTAL_MODE) {
+        if (!DRY_RUN) await fs.writeFile(CHANGELOG_PATH, JSON.stringify(changelog.getReport(), null, 2), 'utf8');
+        log.info(`\n[Incremental] Changes per mod${DRY_RUN ? '' : ` (details: ${path.resolve(CHANGELOG_PATH)})`}:`);
+        log.info(changelog.formatSummary());
+    }
+
+    // --- Run Report ---
+    runReport.finish('completed');
+    if (!DRY_RUN) await fs.writeFile(RUN_REPORT_PATH, JSON.stringify(runReport.getReport(), null, 2), 'utf8');
+    log.info(`\n[Report] Per-mod results${DRY_RUN ? '' : ` (details: ${path.resolve(RUN_REPORT_PATH)})`}:`);
+    log.info(runReport.formatSummary());
+
+    // --- Per-locale Summary ---
+    log.info(`\n[Main] Per-locale summary:`);
+    localeSummaries.forEach(({ targetLangCode, hits, stored, dryRun }) => {
+        const apiSummary = dryRun
+            ? `${dryRun.texts} unique text(s) (${dryRun.characters} characters) in ${dryRun.batches} API call(s) would be sent to ${TRANSLATION_ENGINE}`
+            : `${stored} new translation(s) stored`;
+        log.info(`  ${targetLangCode}: memory hits ${hits}, ${apiSummary}`);
+    });
 
     // --- Final Timing & Log ---
+    const memoryStats = memory.getStats();
+    log.info(`[Memory] Hits: ${memoryStats.hits}, Misses: ${memoryStats.misses}, Stored: ${memoryStats.stored}`);
+    if (runJournal.restored > 0) log.info(`[Journal] ${runJournal.restored} text(s) were restored from the run journal instead of being translated again.`);
     const mainEndTime = Date.now();
-    console.log("\n=============================================");
-    console.log(` Resource Pack Creation Finished (Total Time: ${((mainEndTime - startTime) / 1000).toFixed(2)}s)`);
-    console.log("=============================================");
-    console.log(`Output located at: ${path.resolve(OUTPUT_RESOURCE_PACK_DIR)}`);
+    log.info("\n=============================================");
+    const runTotals = runReport.getTotals();
+    log.info(` Resource Pack Creation Finished (Total Time: ${((mainEndTime - startTime) / 1000).toFixed(2)}s)`);
+    log.info(` Errors: ${runTotals.errors}, keys left in the source language: ${runTotals.keys.fallbacks}`);
+    log.info("=============================================");
+    log.info(`Output located at: ${path.resolve(OUTPUT_RESOURCE_PACK_DIR)}`);
+}
+
+// --- Run Main Function (node indexModTranslator.js [options] で直接実行した場合) ---
+if (require.main === module) {
+    (async () => main(await loadOptions('mods', parseCliArgs(process.argv.slice(2)).values)))().catch(err => {
+        log.error("\n[Main] Unhandled error during execution:", err);
+        process.exit(1);
+    });
 }
 
-// --- Run Main Function ---
-main().catch(err => {
-    console.error("\n[Main] Unhandled error during execution:", err);
-    process.exit(1);
-});
\ No newline at end of file
+module.exports = { main };
@@ -0,0 +1,123 @@
+// indexStats.js
+// 翻訳前の原文をネームスペースごとに集計します (ファイル数、文字列数、文字数、翻訳メモリにある割合)。APIは呼びません。
+//   node ./indexStats.js mods   ... modsフォルダのJAR内のen_usを集計 (デフォルト)
+//   node ./indexStats.js files  ... SOURCE_DIRECTORY内のen_us.json / en_us.local / en_US.langを集計
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const TranslationMemory = require('./translationMemory');
+const FileSearcher = require('./fileSearcher');
+const { createTranslator } = require('./translationEngines');
+const { langFileFormatOf, readEntries } = require('./fileFormats');
+const { listJarFiles, scanJars } = require('./jarScanner');
+const { parseCliArgs, loadOptions } = require('./config');
+const { PIPELINE_BY_MODE } = require('./indexValidator');
+const { log } = require('./logger');
+
+const MEMORY_DIRECTORY = path.join(__dirname, '.translation_memory'); // indexModTranslator.js / index.js と共有
+
+class SourceStats {
+    #namespaces = new Map(); // namespace -> { langFiles, patchouliFiles, strings, characters }
+    #uniqueTexts = new Set();
+
+    #get(namespace) {
+        if (!this.#namespaces.has(namespace)) this.#namespaces.set(namespace, { langFiles: 0, patchouliFiles: 0, strings: 0, characters: 0 });
+        return this.#namespaces.get(namespace);
+    }
+
+    addLangFile(namespace, entries) {
+        const stats = this.#get(namespace);
+        stats.langFiles++;
+        Object.values(entries).forEach(value => {
+            if (typeof value !== 'string' || value.trim() === '') return;
+            stats.strings++;
+            stats.characters += value.length;
+            this.#uniqueTexts.add(value);
+        });
+    }
+
+    addPatchouliFile(namespace) {
+        this.#get(namespace).patchouliFiles++;
+    }
+
+    get uniqueTexts() {
+        return [...this.#uniqueTexts];
+    }
+
+    formatSummary() {
+        const totals = { langFiles: 0, patchouliFiles: 0, strings: 0, characters: 0 };
+        const lines = [...this.#namespaces.keys()].sort().map(namespace => {
+            const stats = this.#namespaces.get(namespace);
+            Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+            return `  ${namespace}: ${stats.langFiles} lang file(s), ${stats.strings} string(s), ${stats.characters} character(s), ${stats.patchouliFiles} Patchouli file(s)`;
+        });
+        lines.push(`  TOTAL: ${this.#namespaces.size} namespace(s), ${totals.langFiles} lang file(s), ${totals.strings} string(s) (${this.#uniqueTexts.size} unique), ${totals.characters} character(s), ${totals.patchouliFiles} Patchouli file(s)`);
+        return lines.join('\n');
+    }
+}
+
+async function collectMods(stats, { input, sourceLang, concurrency, nestedJarDepth }) {
+    const jarPaths = await listJarFiles(input);
+    log.info(`[Stats] Scanning ${jarPaths.length} JAR files in ${path.resolve(input)}...`);
+    const { langFileInfos, patchouliBookInfos } = await scanJars(jarPaths, concurrency, sourceLang, [], { maxNestedDepth: nestedJarDepth });
+    langFileInfos.forEach(fileInfo => {
+        try {
+            stats.addLangFile(fileInfo.namespace, readEntries(fileInfo.format, fileInfo.content));
+        } catch (e) { log.warn(`[Stats] Skipping ${fileInfo.originalPathInJar} (${fileInfo.originalJar}): ${e.message}`); }
+    });
+    patchouliBookInfos.forEach(bookInfo => stats.addPatchouliFile(bookInfo.namespace));
+}
+
+async function collectFiles(stats, { input, sourceLang }) {
+    if (!input) throw new Error('Input folder is not set (--input or SOURCE_DIRECTORY)');
+    const absoluteSourceDir = path.resolve(input);
+    const handle = async (sourcePath, format) => {
+        const relativeDir = path.dirname(path.relative(absoluteSourceDir, sourcePath));
+        const assetsMatch = relativeDir.replace(/\\/g, '/').match(/(?:^|\/)assets\/([^/]+)\/lang$/);
+        const content = await fs.readFile(sourcePath, 'utf8');
+        stats.addLangFile(assetsMatch ? assetsMatch[1] : relativeDir, readEntries(format, content));
+    };
+    await FileSearcher.search(absoluteSourceDir, fileName => langFileFormatOf(fileName, sourceLang), handle);
+}
+
+/**
+ * 原文を集計して表示します。翻訳メモリの割合は、指定したエンジン/モデル/翻訳先言語のスコープで数えます。
+ * @param {'mods'|'files'} mode - 集計対象 (indexModTranslator.js の入力 / index.js の入力)。
+ * @param {object} options - config.js の `loadOptions` が返す設定。
+ * @returns {Promise<void>}
+ */
+async function main(mode, options) {
+    try {
+        log.configure({ level: options.logLevel, format: options.logFormat, progress: options.progress });
+    } catch (e) { log.error(`[Stats] ${e.message}`); process.exit(1); }
+    log.info("==================================================");
+    log.info(` Source Statistics (mode: ${mode}, source: ${options.sourceLang})`);
+    log.info("==================================================");
+
+    const stats = new SourceStats();
+    if (mode === 'mods') await collectMods(stats, options);
+    else if (mode === 'files') await collectFiles(stats, options);
+    else { log.error(`[Stats] Unknown mode: ${mode} (use "mods" or "files")`); process.exit(1); }
+    log.info("\n[Stats] Summary per namespace:");
+    log.info(stats.formatSummary());
+
+    // スコープを得るためだけにエンジンを作る (ドライランなのでAPIキー不要)
+    const scope = createTranslator(options.engine, { targetLangCode: options.targetLang, model: options.model, dryRun: true }).getMemoryScope();
+    const uniqueTexts = stats.uniqueTexts;
+    const { hits } = await new TranslationMemory(MEMORY_DIRECTORY).partition(uniqueTexts, scope);
+    const coverage = uniqueTexts.length > 0 ? (hits.size / uniqueTexts.length * 100).toFixed(1) : '0.0';
+    log.info(`\n[Stats] Translation memory (${scope.engine}/${scope.model} -> ${scope.targetLang}): ${hits.size}/${uniqueTexts.length} unique string(s) already translated (${coverage}%).`);
+}
+
+if (require.main === module) {
+    (async () => {
+        const { values, positionals } = parseCliArgs(process.argv.slice(2));
+        const mode = positionals[0] || 'mods';
+        await main(mode, await loadOptions(PIPELINE_BY_MODE[mode] || 'mods', values));
+    })().catch(err => {
+        log.error("\n[Stats] Unhandled error during execution:", err);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,146 @@
+// indexValidator.js
+// indexModTranslator.js / index.js が書き出した翻訳結果を原文と比較して検証します。
+//   node ./indexValidator.js mods   ... JAR/KubeJS/リソースパック内のen_us (重ねた結果) とリソースパックのja_jpを比較 (デフォルト)
+//   node ./indexValidator.js files  ... SOURCE_DIRECTORY内のen_usとdist内のja_jpを比較
+// 入力/出力フォルダや言語コードは config.js のオプション (--input, --output, --target-lang など) で指定します。
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const LangValidator = require('./langValidator');
+const Glossary = require('./glossary');
+const FileSearcher = require('./fileSearcher');
+const { getFormat, langFileFormatOf, readEntries } = require('./fileFormats');
+const { scanSources, jarLabel } = require('./jarScanner');
+const { discoverSources, resolveEffectiveFiles } = require('./sourceDiscovery');
+const { GuideBookCatalog } = require('./guideBooks');
+const { localizedPagePath, extractGuideTexts } = require('./ae2Guide');
+const { parseCliArgs, loadOptions } = require('./config');
+const { log } = require('./logger');
+
+// 検証モード -> 検証する出力を作ったパイプライン (設定の既定値に使う)
+const PIPELINE_BY_MODE = { mods: 'mods', files: 'pack-files' };
+
+async function readTranslated(filePath, format) {
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return readEntries(format, content);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// AE2のガイドのページは、翻訳に送る文章を出現順に並べたものを言語ファイルのように比較する
+const guidePageEntries = content => Object.fromEntries(extractGuideTexts(content).map((entry, i) => [`text[${i}]`, entry.text]));
+
+async function validateMods(validator, { input, output, snapshot, sourceLang, targetLang: TARGET_LANG_CODE, officialLang, concurrency, nestedJarDepth }) {
+    const absoluteOutputDir = path.resolve(output);
+    // 翻訳と同じ翻訳元 (インスタンスのフォルダならKubeJSやリソースパックも) を同じ重ね順で読み、実際に翻訳された原文と比較する
+    const { sources } = await discoverSources(path.resolve(input), { exclude: [absoluteOutputDir, `${absoluteOutputDir}.zip`, path.resolve(snapshot), `${absoluteOutputDir}.journal.jsonl`] });
+    log.info(`[Validate] Scanning ${sources.length} source(s) in ${path.resolve(input)}...`);
+    const { scanResult } = resolveEffectiveFiles(await scanSources(sources, concurrency, sourceLang, officialLang ? [TARGET_LANG_CODE] : [], { maxNestedDepth: nestedJarDepth }));
+    const { langFileInfos, patchouliBookInfos, bookDefinitionInfos, ae2GuideInfos } = scanResult;
+    // i18n: true のブックは翻訳結果を書き出さない (言語ファイルの方で検証される)。data/ にあるブックもリソースパックでは読み込まれないので翻訳しない
+    const guideBooks = new GuideBookCatalog({ bookDefinitionInfos });
+
+    for (const fileInfo of langFileInfos) {
+        const targetFilename = getFormat(fileInfo.format).targetFileName(path.posix.basename(fileInfo.originalPathInJar), TARGET_LANG_CODE);
+        const translatedPath = path.join(absoluteOutputDir, path.dirname(fileInfo.originalPathInJar), targetFilename);
+        try {
+            const sourceEntries = readEntries(fileInfo.format, fileInfo.content);
+            const translatedEntries = await readTranslated(translatedPath, fileInfo.format);
+            validator.validateLangFile(fileInfo.namespace, path.relative(absoluteOutputDir, translatedPath), sourceEntries, translatedEntries);
+        } catch (e) { log.warn(`[Validate] Skipping ${fileInfo.originalPathInJar} (${jarLabel(fileInfo)}): ${e.message}`); }
+    }
+
+    for (const bookInfo of patchouliBookInfos.filter(info => !guideBooks.isI18nPatchouliBook(info) && !GuideBookCatalog.isDataFolderBook(info))) {
+        const translatedPath = path.join(absoluteOutputDir, bookInfo.rootFolder, bookInfo.namespace, 'patchouli_books', bookInfo.bookIdFolder, TARGET_LANG_CODE, bookInfo.pathAndFilenameUnderSourceLang);
+        try {
+            const translatedJson = await readTranslated(translatedPath, 'json');
+            validator.validatePatchouliFile(bookInfo.namespace, path.relative(absoluteOutputDir, translatedPath), JSON.parse(bookInfo.content), translatedJson);
+        } catch (e) { log.warn(`[Validate] Skipping ${bookInfo.originalPathInJar} (${jarLabel(bookInfo)}): ${e.message}`); }
+    }
+
+    // Modが翻訳先の言語のページを同梱しているものは翻訳されないので検証しない
+    const officialGuidePages = new Set(ae2GuideInfos.filter(pageInfo => pageInfo.langCode !== null).map(pageInfo => `${pageInfo.namespace}|${pageInfo.pagePath}`));
+    for (const pageInfo of ae2GuideInfos.filter(info => info.langCode === null && !officialGuidePages.has(`${info.namespace}|${info.pagePath}`))) {
+        const translatedPath = path.join(absoluteOutputDir, localizedPagePath(pageInfo.namespace, pageInfo.pagePath, TARGET_LANG_CODE));
+        try {
+            const translatedContent = await fs.readFile(translatedPath, 'utf8').catch(error => { if (error.code === 'ENOENT') return null; throw error; });
+            validator.validateLangFile(pageInfo.namespace, path.relative(absoluteOutputDir, translatedPath), guidePageEntries(pageInfo.content), translatedContent === null ? null : guidePageEntries(translatedContent));
+        } catch (e) { log.warn(`[Validate] Skipping ${pageInfo.originalPathInJar} (${jarLabel(pageInfo)}): ${e.message}`); }
+    }
+}
+
+async function validateFiles(validator, { input, output, sourceLang: SOURCE_LANG_CODE, targetLang: TARGET_LANG_CODE }) {
+    if (!input) throw new Error('Input folder is not set (--input or SOURCE_DIRECTORY)');
+    const absoluteSourceDir = path.resolve(input);
+    const absoluteOutputDir = path.resolve(output);
+    const handle = async (sourcePath, format) => {
+        const relativeDir = path.dirname(path.relative(absoluteSourceDir, sourcePath));
+        const translatedPath = path.join(absoluteOutputDir, relativeDir, getFormat(format).targetFileName(path.basename(sourcePath), TARGET_LANG_CODE));
+        const sourceContent = await fs.readFile(sourcePath, 'utf8');
+        const sourceEntries = readEntries(format, sourceContent);
+        // フォルダ構成からネームスペースを推定 (assets/<ns>/lang/ ならその<ns>、それ以外は相対フォルダ)
+        const assetsMatch = relativeDir.replace(/\\/g, '/').match(/(?:^|\/)assets\/([^/]+)\/lang$/);
+        const namespace = assetsMatch ? assetsMatch[1] : relativeDir;
+        validator.validateLangFile(namespace, path.relative(absoluteOutputDir, translatedPath), sourceEntries, await readTranslated(translatedPath, format));
+    };
+    await FileSearcher.search(absoluteSourceDir, fileName => langFileFormatOf(fileName, SOURCE_LANG_CODE), handle);
+}
+
+/**
+ * 翻訳結果を検証してレポートを書き出します。エラー数が maxErrors を超えた場合は終了コード1で終了します。
+ * 翻訳先が複数の場合は言語ごとに検証し、レポートも言語ごとに分けます (validation_report.zh_cn.json など)。
+ * @param {'mods'|'files'} mode - 検証対象 (indexModTranslator.js の出力 / index.js の出力)。
+ * @param {object} options - config.js の `loadOptions` が返す設定 (modeに対応するパイプラインのもの)。
+ * @returns {Promise<void>}
+ */
+async function main(mode, options) {
+    const { targetLangs: TARGET_LANG_CODES, report: REPORT_PATH, maxErrors: MAX_ERRORS, logLevel: LOG_LEVEL, logFormat: LOG_FORMAT, progress: SHOW_PROGRESS } = options;
+    try {
+        log.configure({ level: LOG_LEVEL, format: LOG_FORMAT, progress: SHOW_PROGRESS });
+    } catch (e) { log.error(`[Validate] ${e.message}`); process.exit(1); }
+    log.info("==================================================");
+    log.info(` Translation Validation (mode: ${mode}, target: ${TARGET_LANG_CODES.join(', ')})`);
+    log.info("==================================================");
+    if (mode !== 'mods' && mode !== 'files') { log.error(`[Validate] Unknown mode: ${mode} (use "mods" or "files")`); process.exit(1); }
+
+    let failed = false;
+    for (const targetLang of TARGET_LANG_CODES) {
+        const glossary = await Glossary.load(options.glossary, targetLang);
+        const validator = new LangValidator(targetLang, { glossary: glossary.size > 0 ? glossary : null });
+        const localeOptions = { ...options, targetLang };
+        if (mode === 'mods') await validateMods(validator, localeOptions);
+        else await validateFiles(validator, localeOptions);
+
+        const parsedReportPath = path.parse(REPORT_PATH);
+        const reportPath = TARGET_LANG_CODES.length > 1 ? path.join(parsedReportPath.dir, `${parsedReportPath.name}.${targetLang}${parsedReportPath.ext}`) : REPORT_PATH;
+        await fs.writeFile(reportPath, JSON.stringify(validator.getReport(), null, 2), 'utf8');
+        log.info(`\n[Validate] Summary per namespace (${targetLang}):`);
+        log.info(validator.formatSummary());
+        log.info(`\n[Validate] Report written to ${path.resolve(reportPath)}`);
+
+        if (validator.exceedsThreshold(MAX_ERRORS)) {
+            log.error(`[Validate] FAILED (${targetLang}): ${validator.getTotals().errors} error(s) exceed the threshold (${MAX_ERRORS}).`);
+            failed = true;
+        } else {
+            log.info(`[Validate] PASSED (${targetLang}) (errors: ${validator.getTotals().errors}, threshold: ${MAX_ERRORS}).`);
+        }
+    }
+    if (failed) process.exit(1);
+}
+
+if (require.main === module) {
+    (async () => {
+        const { values, positionals } = parseCliArgs(process.argv.slice(2));
+        const mode = positionals[0] || 'mods';
+        await main(mode, await loadOptions(PIPELINE_BY_MODE[mode] || 'mods', values));
+    })().catch(err => {
+        log.error("\n[Validate] Unhandled error during execution:", err);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, PIPELINE_BY_MODE };
+
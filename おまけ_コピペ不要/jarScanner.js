@@ -0,0 +1,130 @@
+// jarScanner.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { log } = require('./logger');
+
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+
+/**
+ * フォルダ直下の .jar ファイルの一覧を返します。
+ * @param {string} modsDirectory - modsフォルダのパス。
+ * @returns {Promise<string[]>} JARファイルの絶対パスの配列。
+ */
+async function listJarFiles(modsDirectory) {
+    const absoluteModsDir = path.resolve(modsDirectory);
+    const entries = await fs.readdir(absoluteModsDir, { withFileTypes: true });
+    return entries.filter(d => d.isFile() && d.name.toLowerCase().endsWith('.jar')).map(d => path.join(absoluteModsDir, d.name));
+}
+
+/**
+ * ファイルがあったJARの表示名を返します。ネストしたJARでは "outer.jar!/META-INF/jarjar/inner.jar" の形になります。
+ * @param {{originalJar: string, nestedJar?: string|null}} fileInfo - worker.js が返したファイル情報。
+ * @returns {string}
+ */
+function jarLabel(fileInfo) {
+    return fileInfo.nestedJar ? `${fileInfo.originalJar}!/${fileInfo.nestedJar}` : fileInfo.originalJar;
+}
+
+function nestingDepth(fileInfo) {
+    return fileInfo.nestedJar ? fileInfo.nestedJar.split('!/').length : 0;
+}
+
+/**
+ * 同じライブラリを複数のModが同梱している (または単体でもmodsフォルダにある) 場合に、Modに同梱されたJAR (jar-in-jar) の方のファイルを除きます。
+ * 同梱されたJARのファイルは、すでに残したファイルと同じパスで、JARのModのIDとバージョンが同じか内容が同じ場合に重複とみなします。
+ * modsフォルダ直下のJAR (とリソースパック) のファイルは、同じパス/バージョンでも別のModのものなので除きません。
+ * 浅いネストのJARのものを残します (同じ深さならJAR名の順。ワーカーの終わる順には依らない)。
+ * @param {object[]} fileInfos - worker.js が返したファイル情報。
+ * @returns {{kept: object[], skipped: number}}
+ */
+function dedupeFileInfos(fileInfos) {
+    const sorted = [...fileInfos].sort((a, b) => (nestingDepth(a) - nestingDepth(b)) || a.originalJar.localeCompare(b.originalJar) || (a.nestedJar || '').localeCompare(b.nestedJar || ''));
+    const keptByKey = new Map();
+    const kept = [];
+    sorted.forEach(fileInfo => {
+        const pathKey = `${fileInfo.fileType}|${fileInfo.originalPathInJar}`;
+        const keys = [`${pathKey}|sha1:${crypto.createHash('sha1').update(fileInfo.content).digest('hex')}`];
+        if (fileInfo.jarModId && fileInfo.jarVersion) keys.push(`${pathKey}|mod:${fileInfo.jarModId}@${fileInfo.jarVersion}`);
+        const duplicateKey = fileInfo.nestedJar ? keys.find(key => keptByKey.has(key)) : undefined;
+        if (duplicateKey) {
+            log.debug(`[Jars] Skipping ${fileInfo.originalPathInJar} in ${jarLabel(fileInfo)} (same ${duplicateKey.includes('|mod:') ? 'mod id/version' : 'content'} as ${jarLabel(keptByKey.get(duplicateKey))})`);
+            return;
+        }
+        keys.forEach(key => { if (!keptByKey.has(key)) keptByKey.set(key, fileInfo); });
+        kept.push(fileInfo);
+    });
+    return { kept, skipped: fileInfos.length - kept.length };
+}
+
+/**
+ * worker.js を使ってソース (JAR、リソースパックのzip/フォルダ) から言語ファイルとPatchouliブックを抽出します。
+ * Modに同梱されたJAR (META-INF/jarjar/、META-INF/jars/) の中も maxNestedDepth の深さまで探し、そのファイル情報には nestedJar (JARの中のパス) が付きます。
+ * ファイル情報の originalJar はソースの名前、sourcePriority はソースの重ね順です。
+ * @param {{type: 'jar'|'zip'|'directory', path: string, name: string, priority: number}[]} sources - sourceDiscovery.js の `discoverSources` が返したソース。
+ * @param {number} maxConcurrentWorkers - 同時に動かすワーカー数。
+ * @param {string} [sourceLangCode='en_us'] - 抽出する原文の言語コード。
+ * @param {string[]} [targetLangCodes=[]] - Modが同梱している訳 (公式の訳) も抽出する翻訳先の言語コード。
+ * @param {object} [options]
+ * @param {number} [options.maxNestedDepth=2] - ネストしたJARを何段目まで開くか (0なら開かない)。
+ * @param {function(string, {durationMs: number, errors: string[], nestedJars: {path: string, version: string|null}[]}): void} [options.onSourceScanned] -
+ *   ソースを1つ読み終わるたびに、ソースの名前とかかった時間、読めなかったファイルなどのエラー、中にあったネストしたJARを受け取る (進捗の表示と実行結果のレポート用)。
+ * @returns {Promise<{langFileInfos: object[], patchouliBookInfos: object[], officialLangInfos: object[], bookDefinitionInfos: object[], modonomiconInfos: object[], ae2GuideInfos: object[]}>}
+ *   worker.jsが返したファイル情報 (bookDefinitionInfos はPatchouliの book.json、modonomiconInfos はModonomiconのブックのJSON、
+ *   ae2GuideInfos はAE2のガイドのページ (原文と、翻訳先の言語の公式の訳))。
+ * @throws {Error} ワーカー自体が異常終了した場合。
+ */
+async function scanSources(sources, maxConcurrentWorkers, sourceLangCode = 'en_us', targetLangCodes = [], { maxNestedDepth = 2, onSourceScanned = null } = {}) {
+    const pLimit = (await import('p-limit')).default;
+    const workerLimit = pLimit(maxConcurrentWorkers);
+    const fileInfos = [];
+    const workerPromises = sources.map(source => workerLimit(() => new Promise((resolve, reject) => {
+        const sourceName = source.name;
+        const startedAt = Date.now();
+        const errors = [];
+        const nestedJars = [];
+        const worker = new Worker(WORKER_SCRIPT, { workerData: { source, sourceLangCode, targetLangCodes, maxNestedDepth } });
+        worker.on('message', msg => {
+            if (msg.type === 'data') fileInfos.push(...msg.payload);
+            else if (msg.type === 'nested_jar') nestedJars.push({ path: msg.nestedJar, version: msg.version });
+            else if (msg.type === 'error') { log.error(`[Worker Error][${sourceName}] ${msg.error}`); errors.push(msg.error); }
+        });
+        worker.on('error', reject);
+        worker.on('exit', code => {
+            if (code !== 0) { log.warn(`Worker for ${sourceName} exited code ${code}`); errors.push(`Worker exited with code ${code}`); }
+            if (onSourceScanned) onSourceScanned(sourceName, { durationMs: Date.now() - startedAt, errors, nestedJars });
+            resolve();
+        });
+    })));
+    await Promise.all(workerPromises);
+
+    const { kept, skipped } = dedupeFileInfos(fileInfos);
+    const nestedFileCount = kept.filter(fileInfo => fileInfo.nestedJar).length;
+    if (nestedFileCount > 0) log.info(`[Jars] ${nestedFileCount} file(s) found in jars bundled inside mods (jar-in-jar).`);
+    if (skipped > 0) log.info(`[Jars] Skipped ${skipped} duplicate file(s) of jars bundled more than once (same mod id and version, or the same content).`);
+    const langFileInfos = [];
+    const patchouliBookInfos = [];
+    const officialLangInfos = [];
+    const bookDefinitionInfos = [];
+    const modonomiconInfos = [];
+    const ae2GuideInfos = [];
+    const infosByType = {
+        lang_file: langFileInfos, patchouli_book: patchouliBookInfos, official_lang: officialLangInfos,
+        patchouli_book_definition: bookDefinitionInfos, modonomicon_book: modonomiconInfos, ae2_guide_page: ae2GuideInfos,
+    };
+    kept.forEach(fileInfo => infosByType[fileInfo.fileType].push(fileInfo));
+    return { langFileInfos, patchouliBookInfos, officialLangInfos, bookDefinitionInfos, modonomiconInfos, ae2GuideInfos };
+}
+
+/**
+ * JARファイル群を `scanSources` で読みます (modsフォルダのJARだけを対象にする stats / validate 用)。
+ * @param {string[]} jarPaths - 対象のJARファイルのパス。
+ * @param {...*} args - `scanSources` の残りの引数。
+ * @returns {Promise<object>} `scanSources` の結果。
+ */
+async function scanJars(jarPaths, ...args) {
+    return scanSources(jarPaths.map(jarPath => ({ type: 'jar', path: jarPath, name: path.basename(jarPath), priority: 0 })), ...args);
+}
+
+module.exports = { listJarFiles, scanSources, scanJars, jarLabel, dedupeFileInfos };
@@ -0,0 +1,67 @@
+// jsonRepair.js
+// response_format (JSONモード) に対応していないローカルLLMサーバーの出力から、JSONオブジェクトを取り出して修復するヘルパー
+
+/**
+ * 文字列リテラル内の生の改行/タブをエスケープします (ローカルLLMがよく出力する壊れたJSON)。
+ * @param {string} text - JSONらしき文字列。
+ * @returns {string}
+ */
+function escapeControlCharsInStrings(text) {
+    let result = '';
+    let inString = false;
+    let escaped = false;
+    for (const char of text) {
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            else if (char === '\n') { result += '\\n'; continue; }
+            else if (char === '\r') { result += '\\r'; continue; }
+            else if (char === '\t') { result += '\\t'; continue; }
+        } else if (char === '"') {
+            inString = true;
+        }
+        result += char;
+    }
+    return result;
+}
+
+/**
+ * モデルの自由形式の出力からJSONオブジェクトを取り出してパースします。
+ * 推論モデルの <think> ブロック、```json のコードブロック、前後の説明文、末尾のカンマ、文字列中の生の改行を許容します。
+ * @param {string} text - モデルの出力。
+ * @returns {object} パースしたJSONオブジェクト。
+ * @throws {SyntaxError} JSONオブジェクトが見つからない、または修復できない場合。途中で切れた出力の場合は JSON.parse と同じメッセージ。
+ */
+function parseJsonLoose(text) {
+    try {
+        return JSON.parse(text);
+    } catch (originalError) {
+        let candidate = text
+            .replace(/<think>[\s\S]*?<\/think>/gi, '')
+            .replace(/```(?:json)?/gi, '');
+        const start = candidate.indexOf('{');
+        if (start === -1) throw new SyntaxError('No JSON object found in response');
+        const end = candidate.lastIndexOf('}');
+        // 閉じ括弧がなければ途中で切れている。切り出さずにそのままパースして元のエラー (Unterminated string など) を出す
+        candidate = end > start ? candidate.substring(start, end + 1) : candidate.substring(start);
+
+        let firstError = null;
+        const repairs = [
+            json => json,
+            json => json.replace(/,\s*([}\]])/g, '$1'),
+            json => escapeControlCharsInStrings(json.replace(/,\s*([}\]])/g, '$1')),
+        ];
+        for (const repair of repairs) {
+            try {
+                const parsed = JSON.parse(repair(candidate));
+                if (typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) return parsed;
+            } catch (error) {
+                if (!firstError) firstError = error;
+            }
+        }
+        throw firstError || originalError;
+    }
+}
+
+module.exports = { parseJsonLoose };
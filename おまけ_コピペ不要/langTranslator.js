@@ -1,10 +1,24 @@
 // langTranslator.js
 // deepl-node ライブラリをインポート
 const deepl = require('deepl-node');
-
-class LangTranslate {
+// 書式コード (%s, §a, &6, $(item) など) をXMLタグに置き換えて保護する
+const FormatCodeMasker = require('./formatCodeMasker');
+// 翻訳エンジン共通の基底クラス (翻訳メモリ/用語集/実行のジャーナルを使った言語ファイルやPatchouliブックの翻訳など)
+const TranslationEngine = require('./translationEngine');
+// レート制限/一時的なエラーの再試行 (バックオフと同時実行数の調整)
+const { RequestFailedError, isFatalApiError } = require('./requestScheduler');
+// キー/ネームスペース/ファイルの種類を context パラメーターの文章にする
+const { describeTextContext } = require('./textContext');
+// ログの出力 (レベルとJSON形式)
+const { log } = require('./logger');
+
+class LangTranslate extends TranslationEngine {
     // DeepL Translatorインスタンスを保持するプライベートプロパティ
     #deeplTranslator = null;
+    // ネームスペースごとに作成したDeepL側の用語集ID
+    #deeplGlossaryIds = new Map(); // namespaceKey -> Promise<string|null>
+    // DeepLへの送信オプションを変更したらここを更新して翻訳メモリを無効化
+    static PROMPT_VERSION = '3';
 
     /**
      * @param {string} apiKey DeepL APIキー
@@ -13,6 +27,7 @@ class LangTranslate {
      * @param {number} [requestDelayMs=150] リクエスト間の待機時間(ms)。0で使用しない。レート制限対策。
      */
     constructor(apiKey, targetLang = 'JA', sourceLang = null, requestDelayMs = 150) {
+        super();
         if (!apiKey) {
             throw new Error('DeepL API Key is required.');
         }
@@ -26,269 +41,196 @@ class LangTranslate {
         // deepl-node の Translator インスタンスを作成
         try {
             // new deepl.Translator(authKey, options) optionsでプロキシ等も設定可能
-            this.#deeplTranslator = new deepl.Translator(apiKey);
-            console.log("DeepL Translator initialized successfully.");
+            // 再試行はライブラリではなく RequestScheduler で行う (Quota超過とレート制限を区別し、同時実行数も調整するため)
+            this.#deeplTranslator = new deepl.Translator(apiKey, { maxRetries: 0 });
+            log.info("DeepL Translator initialized successfully.");
             // 必要であればここで疎通確認 (例: 非同期で this.#deeplTranslator.getUsage() を呼び出すなど)
         } catch (error) {
-            console.error("Failed to initialize DeepL Translator:", error);
+            log.error("Failed to initialize DeepL Translator:", error);
             // 初期化失敗時はエラーをスローして、インスタンス生成が失敗したことを明確にする
             throw new Error(`Failed to initialize DeepL Translator: ${error.message}`);
         }
     }
 
     /**
-     * 単一のテキストを deepl-node を使用して翻訳します。(内部メソッド)
-     * @param {string} text 翻訳するテキスト
-     * @returns {Promise<string>} 翻訳後のテキスト、またはエラー時は元のテキスト
-     * @private
+     * 用語集を設定します。設定後はDeepLの用語集機能を使って訳語を固定します。
+     * DeepLの用語集は翻訳元言語の指定が必須なため、sourceLangがnullの場合は 'en' として扱います。
+     * @param {import('./glossary')|null} glossary Glossaryインスタンス。nullで無効化。
      */
-    async _translateText(text) {
-        // 文字列でない場合や空文字の場合はそのまま返す
-        if (typeof text !== 'string' || text.trim() === '') {
-            return text;
-        }
-
-        // Translatorが正しく初期化されているか確認 (コンストラクタでエラー処理済みだが念のため)
-        if (!this.#deeplTranslator) {
-             throw new Error("DeepL Translator not initialized correctly.");
-        }
-
-        try {
-            // deepl-node の translateText メソッドを使用
-            // 第2引数は sourceLang (null可), 第3引数は targetLang
-            // 第4引数にオプションオブジェクトを渡せる (例: { formality: 'less', tagHandling: 'xml' })
-            const result = await this.#deeplTranslator.translateText(
-                text,
-                this.sourceLang, // nullを渡すと自動検出
-                this.targetLang
-                // --- 必要ならオプションを追加 ---
-                // {
-                //    // Minecraftの書式 (%s など) を保護したい場合は、事前にカスタムタグで囲み、
-                //    // 以下のオプションを使うことを検討 (例: <keep>%s</keep>)
-                //    // tagHandling: 'xml',
-                //    // ignoreTags: ['keep']
-
-                //    // 文体を指定する場合 (一部言語のみ対応)
-                //    // formality: 'default' | 'more' | 'less' | 'prefer_more' | 'prefer_less'
-                // }
-                // -----------------------------
-            );
-
-            // result オブジェクトの text プロパティに翻訳結果が入っている
-            return result.text;
-
-        } catch (error) {
-             // deepl-node が投げるエラーをハンドリング
-            if (error instanceof deepl.QuotaExceededError) {
-                // API利用上限超過エラー
-                console.error("DeepL API quota exceeded. Translation stopped.");
-                // Quota超過は回復不能なため、エラーを再スローして処理を中断させる
-                throw new Error("DeepL Quota Exceeded");
-            } else if (error instanceof deepl.AuthorizationError) {
-                 // 認証エラー (APIキー間違いなど)
-                 console.error("DeepL Authorization Error. Check your API Key.");
-                 // 認証エラーも致命的なのでエラーを再スロー
-                 throw new Error("DeepL Authorization Failed. Check API Key.");
-            } else if (error instanceof deepl.RateLimitExceededError || error instanceof deepl.TooManyRequestsError) {
-                 // レート制限超過エラー (429 Too Many Requests 含む)
-                 console.warn("DeepL rate limit exceeded. Consider increasing requestDelayMs.");
-                 // エラーはスローせず、元のテキストを返して処理を続行させる
-                 // (呼び出し側でリトライするなどの対策が必要な場合がある)
-                 return text;
-            } else if (error instanceof deepl.ConnectionError) {
-                 // 接続エラー (タイムアウト、DNS解決失敗など)
-                 console.error(`DeepL Connection Error translating "${text}": ${error.message}`);
-                 // 接続エラーの場合も元のテキストを返す (一時的な問題の可能性があるため)
-                 return text;
-            } else if (error instanceof deepl.DeepLError) {
-                 // その他のDeepL関連エラー (API側の問題など)
-                 console.error(`DeepL API Error translating "${text}": ${error.message}`, error);
-                 // 元のテキストを返す
-                 return text;
-            } else {
-                 // DeepL以外の予期せぬエラー (コード内のバグなど)
-                 console.error(`Unexpected error translating "${text}":`, error);
-                 // 予期せぬエラーは調査が必要なため、再スローする方が良い場合もある
-                 // throw error;
-                 // ここでは安全策として元のテキストを返す
-                 return text;
-            }
-        }
+    setGlossary(glossary) {
+        super.setGlossary(glossary);
+        this.#deeplGlossaryIds.clear();
     }
 
     /**
-     * .local ファイルの内容を解析します。 (内部メソッド)
-     * コメント (`#`), 空行, `キー=値` 形式を認識します。
-     * @param {string} localContent .local ファイルの全内容
-     * @returns {Array<object>} 解析結果の配列。各要素は行を表すオブジェクト
-     * (type: 'empty'|'comment'|'kv'|'other', originalLine, lineNumber, key?, value?)
+     * 指定したネームスペース用のDeepL用語集のIDを返します。同じ内容の用語集がDeepL側にあれば再利用します。(内部メソッド)
+     * @param {string[]|null} namespaces 対象のネームスペース
+     * @returns {Promise<string|null>} 用語集ID。用語がない、または作成に失敗した場合はnull
      * @private
      */
-    _parseLocal(localContent) {
-        const lines = localContent.split(/\r?\n/); // Windows(CRLF)とUnix(LF)の改行に対応
-        const parsed = [];
-        lines.forEach((line, index) => {
-            const trimmedLine = line.trim();
-            const lineNumber = index + 1; // 1始まりの行番号
-
-            if (trimmedLine === '') {
-                // 空行
-                parsed.push({ type: 'empty', originalLine: line, lineNumber: lineNumber });
-            } else if (trimmedLine.startsWith('#')) {
-                // コメント行
-                parsed.push({ type: 'comment', originalLine: line, lineNumber: lineNumber });
-            } else {
-                const separatorIndex = line.indexOf('=');
-                // '='があり、かつ行頭ではない場合のみ key=value として認識
-                if (separatorIndex > 0) {
-                    const key = line.substring(0, separatorIndex).trimEnd(); // キーの後方空白削除
-                    const value = line.substring(separatorIndex + 1); // 値はそのまま
-                    // キーが空白文字のみでないことを確認
-                    if (key.trim() !== '') {
-                       parsed.push({ type: 'kv', key: key, value: value, originalLine: line, lineNumber: lineNumber });
-                    } else {
-                        // キーが空または空白文字のみの場合は無効な行として扱う
-                        console.warn(`Skipping line ${lineNumber} with empty key: "${line}"`);
-                        parsed.push({ type: 'other', originalLine: line, lineNumber: lineNumber });
-                    }
-                } else {
-                    // '='がない、または行頭にある行は 'other' としてそのまま保持
-                     console.warn(`Skipping line ${lineNumber} without valid 'key=value' format: "${line}"`);
-                    parsed.push({ type: 'other', originalLine: line, lineNumber: lineNumber });
+    _getDeepLGlossaryId(namespaces) {
+        if (!this.glossary || this.glossary.size === 0) return Promise.resolve(null);
+        const namespaceKey = namespaces ? [...namespaces].sort().join(',') : '';
+        if (!this.#deeplGlossaryIds.has(namespaceKey)) {
+            this.#deeplGlossaryIds.set(namespaceKey, (async () => {
+                const entries = this.glossary.toDeepLEntries(namespaces);
+                if (Object.keys(entries).length === 0) return null;
+                const sourceLang = (this.sourceLang || 'en').split('-')[0].toLowerCase();
+                const targetLang = this.targetLang.split('-')[0].toLowerCase();
+                // 内容のハッシュを名前に入れ、用語集を編集したときだけ新しく作る
+                const name = `minecraft-translator-${sourceLang}-${targetLang}-${this.glossary.getFingerprint(namespaces)}`;
+                try {
+                    const existing = (await this.#deeplTranslator.listGlossaries()).find(info => info.name === name && info.ready);
+                    if (existing) return existing.glossaryId;
+                    const created = await this.#deeplTranslator.createGlossary(name, sourceLang, targetLang, new deepl.GlossaryEntries({ entries }));
+                    log.info(`DeepL glossary created: ${name} (${created.entryCount} entries)`);
+                    return created.glossaryId;
+                } catch (error) {
+                    log.warn(`Failed to prepare DeepL glossary ${name}: ${error.message}. Translating without glossary.`);
+                    return null;
                 }
-            }
-        });
-        return parsed;
+            })());
+        }
+        return this.#deeplGlossaryIds.get(namespaceKey);
     }
 
     /**
-     * 解析/翻訳されたデータから .local ファイル形式の文字列を再構築します。(内部メソッド)
-     * @param {Array<object>} parsedData `_parseLocal` で解析され、翻訳処理が適用されたデータ配列
-     * @returns {string} 再構築された .local ファイルの内容文字列
-     * @private
+     * 翻訳メモリのキーに使うスコープを返します。
+     * @returns {{targetLang: string, engine: string, model: string, promptVersion: string}}
      */
-    _reconstructLocal(parsedData) {
-         return parsedData.map(item => {
-            // キー・バリューペアの場合
-            if (item.type === 'kv') {
-                // 翻訳された値 (translatedValue) があればそれを使用し、
-                // なければ (エラー発生時など) 元の値 (value) を使用する
-                const valueToUse = item.translatedValue !== undefined ? item.translatedValue : item.value;
-                return `${item.key}=${valueToUse}`; // キーと値を結合
-            } else {
-                // コメント、空行、その他の行は originalLine をそのまま返す
-                return item.originalLine;
-            }
-        }).join('\n'); // 改行コードは LF (\n) に統一して出力
+    getMemoryScope() {
+        return { targetLang: this.targetLang, engine: 'deepl', model: 'deepl', promptVersion: LangTranslate.PROMPT_VERSION };
     }
 
     /**
-     * JSONデータを翻訳します。
-     * @param {object} jsonData 翻訳対象のJSONオブジェクト (キーが文字列、値が文字列のものを翻訳)
-     * @returns {Promise<object>} 翻訳後のJSONオブジェクト (キー構造は維持)
+     * 単一のテキストをDeepLで翻訳します。翻訳メモリは参照しません。(内部メソッド)
+     * レート制限 (429)、サーバーエラー (5xx)、接続エラーは RequestScheduler が待ってから再試行します。
+     * @param {string} text 翻訳するテキスト
+     * @param {string[]|null} [namespaces=null] テキストが属するModのネームスペース (用語集の適用範囲の判定に使用)
+     * @param {import('./textContext').TextContext|null} [context=null] テキストの文脈 (DeepLの context パラメーターで送る。翻訳も課金もされない)
+     * @returns {Promise<string>} 翻訳後のテキスト (書式コードの検証に失敗した場合は元のテキスト)
+     * @throws {FatalApiError} Quota超過/認証エラー/予算超過の場合
+     * @throws {RequestFailedError} 再試行しても翻訳できなかった場合 (失敗として記録済み)
+     * @private
      */
-    async execJSON(jsonData) {
-        // 入力値の基本的な型チェック
-        if (typeof jsonData !== 'object' || jsonData === null) {
-            throw new Error('Input jsonData must be a non-null object for execJSON().');
-        }
-
-        const keys = Object.keys(jsonData);
-        const totalKeys = keys.length;
-        console.log(`Executing JSON translation for ${totalKeys} keys to ${this.targetLang}...`);
-        const translatedData = {}; // 翻訳結果を格納する新しいオブジェクト
-        let processedKeys = 0;
-
-        // オブジェクトのキーを順番に処理 (逐次処理)
-        for (const key of keys) {
-            const originalValue = jsonData[key];
-            // 値が翻訳対象となる文字列 (空でない) の場合のみ翻訳を実行
-            if (typeof originalValue === 'string' && originalValue.trim() !== '') {
-                try {
-                    // 内部の翻訳メソッドを呼び出し
-                    translatedData[key] = await this._translateText(originalValue);
-                    // リクエスト間の待機 (レート制限対策)
-                    if (this.requestDelayMs > 0) {
-                        await new Promise(resolve => setTimeout(resolve, this.requestDelayMs));
-                    }
-                } catch (error) {
-                    // _translateText内でQuota超過/認証エラーがthrowされた場合、ここでキャッチして再throw
-                    if (error.message === "DeepL Quota Exceeded" || error.message === "DeepL Authorization Failed. Check API Key.") {
-                        throw error;
+    async _requestTranslation(text, namespaces = null, context = null) {
+        const glossaryId = await this._getDeepLGlossaryId(namespaces);
+        const contextText = describeTextContext(context);
+        try {
+            // 書式コードを <m i="0"/> のような自己終了タグに置き換え、DeepLにはXMLとして扱わせる。
+            // 翻訳後にタグが過不足なく戻らなかった場合は1回だけ再翻訳し、それでも駄目なら原文を使う。
+            const [translatedText] = await FormatCodeMasker.translateMasked([text], async ([maskedText]) => {
+                // 予算 (--max-budget) を超える場合は、送る前に "Budget Exceeded" を投げて止める
+                const estimate = { engine: 'deepl', model: 'deepl', characters: maskedText.length };
+                const reserved = this.usageMeter ? this.usageMeter.reserve(estimate) : 0;
+                // deepl-node の translateText メソッドを使用
+                // 第2引数は sourceLang (null可), 第3引数は targetLang, 第4引数にオプションオブジェクト
+                const result = await this.requestScheduler.run(() => this.#deeplTranslator.translateText(
+                    maskedText,
+                    // nullを渡すと自動検出。用語集を使う場合は翻訳元言語の指定が必須
+                    glossaryId ? (this.sourceLang || 'en') : this.sourceLang,
+                    this.targetLang,
+                    {
+                        tagHandling: 'xml',
+                        ...(glossaryId ? { glossary: glossaryId } : {}),
+                        // どのModのどのキーの文字列か (名詞か動詞かなどの判断に使われる)
+                        ...(contextText ? { context: contextText } : {}),
+                        // 文体を指定する場合 (一部言語のみ対応)
+                        // formality: 'default' | 'more' | 'less' | 'prefer_more' | 'prefer_less'
                     }
-                    // その他のエラー (_translateTextが元の値を返した場合など) はログは内部で出力済み
-                    // ここでは元の値をそのまま結果オブジェクトに入れる
-                    translatedData[key] = originalValue;
-                }
-            } else {
-                // 文字列でない、または空の文字列はそのままコピー
-                translatedData[key] = originalValue;
-            }
-            processedKeys++;
-            // 定期的に進捗状況をコンソールに出力
-            if (processedKeys % 50 === 0 || processedKeys === totalKeys) {
-                 console.log(`Processed ${processedKeys}/${totalKeys} JSON keys...`);
+                ), { classifyError: LangTranslate._classifyError, label: 'DeepL request' }).catch(error => {
+                    this.usageMeter?.release(reserved);
+                    throw error;
+                });
+                // DeepLが返した課金対象の文字数を記録する
+                this.usageMeter?.record({ ...estimate, characters: result.billedCharacters ?? estimate.characters }, { texts: [text], namespaces, reserved });
+                // result オブジェクトの text プロパティに翻訳結果が入っている
+                return [result.text];
+            }, { style: 'xml', logPrefix: '[LangTranslate]' });
+            return translatedText;
+
+        } catch (error) {
+            if (error instanceof RequestFailedError) {
+                // 再試行しても翻訳できなかった。原文で埋めずに失敗として記録する
+                log.error(`DeepL failed to translate "${text}": ${error.message}`);
+                this.recordFailure(text, error.message);
             }
+            // Quota超過/認証エラー (RequestSchedulerが致命的なエラーとして投げたもの) もそのまま投げる
+            throw error;
         }
-        console.log('JSON translation finished.');
-        return translatedData; // 翻訳結果のオブジェクトを返す
     }
 
     /**
-     * .local ファイルの内容文字列を翻訳します。
-     * @param {string} localContent 翻訳対象の .local ファイルの内容全体 (単一の文字列)
-     * @returns {Promise<string>} 翻訳後の .local ファイルの内容文字列
+     * DeepLのアカウントの今月の使用文字数と上限を返します。
+     * @returns {Promise<{characters: number, limit: number|null}|null>} 取得できなければnull。
      */
-    async execLOCAL(localContent) {
-        // 入力値の型チェック
-        if (typeof localContent !== 'string') {
-            throw new Error('Input localContent must be a string for execLOCAL().');
+    async getAccountUsage() {
+        try {
+            const usage = await this.#deeplTranslator.getUsage();
+            return usage.character ? { characters: usage.character.count, limit: usage.character.limit } : null;
+        } catch (error) {
+            log.warn(`Failed to get DeepL usage: ${error.message}`);
+            return null;
         }
+    }
 
-        console.log("Parsing .local content...");
-        // まず .local ファイルの内容を解析して、行ごとのオブジェクト配列に変換
-        const parsedData = this._parseLocal(localContent);
-
-        // 翻訳対象となるキー・バリューペアの数をカウント
-        const itemsToTranslate = parsedData.filter(item => item.type === 'kv' && typeof item.value === 'string' && item.value.trim() !== '');
-        const totalItems = itemsToTranslate.length;
-        console.log(`Starting translation of ${totalItems} key-value pairs from .local content to ${this.targetLang}...`);
-        let processedItems = 0;
+    /**
+     * deepl-node のエラーを RequestScheduler 用に分類します。(内部メソッド)
+     * @param {Error} error deepl-node が投げたエラー
+     * @returns {{kind: string, message?: string}}
+     * @private
+     */
+    static _classifyError(error) {
+        if (error instanceof deepl.QuotaExceededError) {
+            // API利用上限超過エラー。回復不能なため処理を中断させる
+            log.error("DeepL API quota exceeded. Translation stopped.");
+            return { kind: 'fatal', message: "DeepL Quota Exceeded" };
+        } else if (error instanceof deepl.AuthorizationError) {
+            // 認証エラー (APIキー間違いなど) も致命的
+            log.error("DeepL Authorization Error. Check your API Key.");
+            return { kind: 'fatal', message: "DeepL Authorization Failed. Check API Key." };
+        } else if (error instanceof deepl.TooManyRequestsError) {
+            // レート制限超過エラー (429 Too Many Requests)。待ってから再試行する
+            return { kind: 'rateLimit' };
+        } else if (error instanceof deepl.ConnectionError) {
+            // 接続エラー (タイムアウト、DNS解決失敗など)。一時的な問題の可能性があるため再試行する
+            return { kind: 'transient' };
+        } else if (error instanceof deepl.DeepLError && /^(Service unavailable|Unexpected status code: 5\d\d)/.test(error.message)) {
+            // サーバー側のエラー (503, 5xx) も再試行する
+            return { kind: 'transient' };
+        }
+        // その他のDeepL関連エラー (不正なリクエストなど) やDeepL以外の予期せぬエラーは再試行しない
+        return { kind: 'failed' };
+    }
 
-        // 解析されたデータ (行オブジェクトの配列) を順番に処理
-        for (const item of parsedData) {
-            // item.type が 'kv' で、value が翻訳可能な文字列の場合のみ処理
-            if (item.type === 'kv' && typeof item.value === 'string' && item.value.trim() !== '') {
-                try {
-                    // 内部の翻訳メソッドを呼び出し、結果を item オブジェクトに新しいプロパティとして格納
-                    item.translatedValue = await this._translateText(item.value);
-                    processedItems++;
-                    // 定期的に進捗状況をコンソールに出力
-                    if (processedItems % 50 === 0 || processedItems === totalItems) {
-                        console.log(`Processed ${processedItems}/${totalItems} .local items...`);
-                    }
-                     // リクエスト間の待機 (レート制限対策)
-                     if (this.requestDelayMs > 0) {
-                         await new Promise(resolve => setTimeout(resolve, this.requestDelayMs));
-                     }
-                } catch (error) {
-                     // _translateText内でQuota超過/認証エラーがthrowされた場合、ここでキャッチして再throw
-                    if (error.message === "DeepL Quota Exceeded" || error.message === "DeepL Authorization Failed. Check API Key.") {
-                        throw error;
-                    }
-                    // その他のエラー (_translateTextが元の値を返した場合など) はログは内部で出力済み
-                    // item.translatedValue は未定義のままとなり、_reconstructLocalで元の値が使われる
-                    console.error(`Skipping translation for key "${item.key}" on line ${item.lineNumber} due to error.`);
-                }
+    /**
+     * 複数のテキストを1つずつ順番に翻訳します。エンジン共通インターフェースの実装。
+     * 翻訳メモリ、用語集に合わない訳の削除、実行のジャーナルは基底クラスの `translateTextsBatch` (`execJSON` などから呼ばれる) が扱います。
+     * @param {string[]} texts 翻訳するテキスト
+     * @param {number[]} promptIndices textsに対応する、結果Mapのキーとして使用するインデックス
+     * @param {number} [currentSplitDepth=0] DeepLでは使用しない
+     * @param {string[]|null} [namespaces=null] テキストが属するModのネームスペース (用語集の適用範囲の判定に使用)
+     * @param {Array<import('./textContext').TextContext|null>|null} [contexts=null] textsに対応する文脈 (DeepLの context パラメーターで送る)
+     * @returns {Promise<Map<number, string>>} インデックスをキー、翻訳/元テキストを値とするMap (翻訳できなかったものは含まない)
+     * @throws {FatalApiError} Quota超過/認証エラー/予算超過の場合
+     */
+    async translateBatchInternal(texts, promptIndices, currentSplitDepth = 0, namespaces = null, contexts = null) {
+        const resultsMap = new Map();
+        for (let i = 0; i < texts.length; i++) {
+            try {
+                resultsMap.set(promptIndices[i], await this._requestTranslation(texts[i], namespaces, contexts?.[i] ?? null));
+            } catch (error) {
+                // Quota超過/認証エラー/予算超過は実行全体を止める
+                if (isFatalApiError(error)) throw error;
+                // その他のエラーはこのテキストだけを失敗にする (再試行しても駄目だったものは _requestTranslation で記録済み)
+                if (!(error instanceof RequestFailedError)) this.recordFailure(texts[i], error.message);
+            }
+            // リクエスト間の待機 (レート制限対策)
+            if (this.requestDelayMs > 0 && i < texts.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, this.requestDelayMs));
             }
-             // kvタイプでない行や、valueが空文字などの場合は、このループでは何もしない
         }
-
-        console.log("Reconstructing translated .local content...");
-        // 翻訳結果を含む解析データから、最終的な .local ファイルの内容文字列を再構築
-        const translatedLocalContent = this._reconstructLocal(parsedData);
-        console.log('.local content translation finished.');
-        return translatedLocalContent; // 翻訳後の文字列を返す
+        return resultsMap;
     }
 }
 
@@ -0,0 +1,269 @@
+// langValidator.js
+const FormatCodeMasker = require('./formatCodeMasker');
+
+// 翻訳先ロケールごとに「翻訳済みなら含まれているはずの文字種」と「混入してはいけない文字種」
+const SCRIPT_RULES = {
+    ja_jp: { expected: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u, forbidden: /\p{Script=Hangul}/u },
+    zh_cn: { expected: /\p{Script=Han}/u, forbidden: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u },
+    zh_tw: { expected: /\p{Script=Han}/u, forbidden: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u },
+    ko_kr: { expected: /\p{Script=Hangul}/u, forbidden: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+    ru_ru: { expected: /\p{Script=Cyrillic}/u, forbidden: null },
+    uk_ua: { expected: /\p{Script=Cyrillic}/u, forbidden: null },
+};
+
+// 問題の種類と重大度。error はリリースを止める対象、warning は目視確認の対象。
+const ISSUE_TYPES = {
+    placeholder_count: 'error',          // %s などのプレースホルダの数が違う
+    placeholder_order: 'warning',        // 位置指定のない %s などの並び順が違う
+    format_code_lost: 'error',           // § / & の色コードが増減した
+    patchouli_macro_unbalanced: 'error', // $( に対応する ) がない
+    patchouli_macro_mismatch: 'error',   // $(...) の種類/数が違う
+    untranslated: 'warning',             // 英語のまま
+    wrong_script: 'warning',             // 翻訳先言語の文字種になっていない
+    glossary_not_applied: 'warning',     // 用語集の訳語が使われていない
+    key_dropped: 'error',                // 原文にあるキーが翻訳結果にない
+    key_added: 'error',                  // 原文にないキーが翻訳結果にある (キー名が変えられた)
+    file_missing: 'error',               // 翻訳結果のファイル自体がない
+};
+
+// 識別子/リソースロケーション/数値など、翻訳されなくて当然の値
+const IDENTIFIER_LIKE_REGEX = /^(?:[a-z0-9_.\-]+:[a-z0-9_.\-/]+|[a-z0-9_\-]+(?:\.[a-z0-9_\-]+)+|[-+]?\d+(?:\.\d+)?|true|false)$/;
+
+function matchAllCodes(text, pattern) {
+    if (typeof text !== 'string') return [];
+    return [...text.matchAll(new RegExp(pattern.source, 'g'))].map(match => match[0]);
+}
+
+function sameMultiset(a, b) {
+    if (a.length !== b.length) return false;
+    const sortedA = [...a].sort();
+    const sortedB = [...b].sort();
+    return sortedA.every((value, i) => value === sortedB[i]);
+}
+
+function truncate(text, maxLength = 100) {
+    if (typeof text !== 'string') return text;
+    return text.length > maxLength ? text.substring(0, maxLength) + "..." : text;
+}
+
+class LangValidator {
+    #targetLang;
+    #scriptRule;
+    #glossary;
+    #issues = [];
+    #namespaces = new Map(); // namespace -> { files, valuesChecked, errors, warnings, byType }
+
+    static ISSUE_TYPES = ISSUE_TYPES;
+
+    /**
+     * 翻訳結果を原文 (en_us) と比較して問題を集計するバリデータを作成します。
+     * @param {string} [targetLang='ja_jp'] - 翻訳先のMinecraft言語コード。文字種チェックに使用。
+     * @param {object} [options]
+     * @param {import('./glossary')|null} [options.glossary=null] - 指定すると訳語が用語集どおりかも検証する。
+     */
+    constructor(targetLang = 'ja_jp', { glossary = null } = {}) {
+        this.#targetLang = targetLang.toLowerCase();
+        this.#scriptRule = SCRIPT_RULES[this.#targetLang] || null;
+        this.#glossary = glossary;
+    }
+
+    #namespaceStats(namespace) {
+        if (!this.#namespaces.has(namespace)) {
+            this.#namespaces.set(namespace, { files: 0, valuesChecked: 0, errors: 0, warnings: 0, byType: {} });
+        }
+        return this.#namespaces.get(namespace);
+    }
+
+    #addIssue(namespace, file, key, type, message, sourceValue, translatedValue) {
+        const severity = ISSUE_TYPES[type];
+        const stats = this.#namespaceStats(namespace);
+        if (severity === 'error') stats.errors++;
+        else stats.warnings++;
+        stats.byType[type] = (stats.byType[type] || 0) + 1;
+        this.#issues.push({ namespace, file, key, type, severity, message, source: truncate(sourceValue), translated: truncate(translatedValue) });
+    }
+
+    /**
+     * 1つの値を検証します。
+     * @param {string} namespace - Modのネームスペース。
+     * @param {string} file - レポートに載せるファイルの識別子 (パスなど)。
+     * @param {string} key - 言語キー、またはPatchouliのJSONパス。
+     * @param {string} sourceValue - 原文。
+     * @param {string} translatedValue - 翻訳結果。
+     */
+    validateValue(namespace, file, key, sourceValue, translatedValue) {
+        this.#namespaceStats(namespace).valuesChecked++;
+        if (typeof sourceValue !== 'string' || typeof translatedValue !== 'string') return;
+        const patterns = FormatCodeMasker.PATTERNS;
+
+        // printf形式のプレースホルダ
+        const sourcePlaceholders = matchAllCodes(sourceValue, patterns.printf);
+        const translatedPlaceholders = matchAllCodes(translatedValue, patterns.printf);
+        if (!sameMultiset(sourcePlaceholders, translatedPlaceholders)) {
+            this.#addIssue(namespace, file, key, 'placeholder_count', `Placeholders differ: [${sourcePlaceholders.join(', ')}] -> [${translatedPlaceholders.join(', ')}]`, sourceValue, translatedValue);
+        } else {
+            // 位置指定 (%1$s) のないものは順番が変わると意味が変わる
+            const unpositioned = list => list.filter(code => !/^%\d+\$/.test(code) && code !== '%%');
+            const sourceOrder = unpositioned(sourcePlaceholders);
+            const translatedOrder = unpositioned(translatedPlaceholders);
+            if (sourceOrder.some((code, i) => code !== translatedOrder[i])) {
+                this.#addIssue(namespace, file, key, 'placeholder_order', `Placeholder order changed: [${sourceOrder.join(', ')}] -> [${translatedOrder.join(', ')}]`, sourceValue, translatedValue);
+            }
+        }
+
+        // § / & の色コード
+        const sourceColors = FormatCodeMasker.extractColorCodes(sourceValue);
+        const translatedColors = FormatCodeMasker.extractColorCodes(translatedValue);
+        if (!sameMultiset(sourceColors, translatedColors)) {
+            this.#addIssue(namespace, file, key, 'format_code_lost', `Color/format codes differ: [${sourceColors.join(' ')}] -> [${translatedColors.join(' ')}]`, sourceValue, translatedValue);
+        }
+
+        // Patchouli の $() マクロ
+        const openCount = (translatedValue.match(/\$\(/g) || []).length;
+        const translatedMacros = matchAllCodes(translatedValue, patterns.patchouli);
+        if (openCount !== translatedMacros.length) {
+            this.#addIssue(namespace, file, key, 'patchouli_macro_unbalanced', `${openCount - translatedMacros.length} unclosed $( macro(s)`, sourceValue, translatedValue);
+        } else if (!sameMultiset(matchAllCodes(sourceValue, patterns.patchouli), translatedMacros)) {
+            this.#addIssue(namespace, file, key, 'patchouli_macro_mismatch', 'Patchouli $() macros differ from source', sourceValue, translatedValue);
+        }
+
+        // 英語のまま / 文字種違い
+        const stripCodes = text => text.replace(new RegExp(Object.values(patterns).map(p => p.source).join('|'), 'g'), ' ').trim();
+        const sourcePlain = stripCodes(sourceValue);
+        const translatedPlain = stripCodes(translatedValue);
+        const hasWords = /[A-Za-z]{3,}/.test(sourcePlain) && !IDENTIFIER_LIKE_REGEX.test(sourceValue.trim());
+        if (translatedValue === sourceValue) {
+            if (hasWords) this.#addIssue(namespace, file, key, 'untranslated', 'Value is identical to the source', sourceValue, translatedValue);
+        } else if (this.#scriptRule && /\p{L}/u.test(translatedPlain)) {
+            if (this.#scriptRule.forbidden && this.#scriptRule.forbidden.test(translatedPlain)) {
+                this.#addIssue(namespace, file, key, 'wrong_script', `Contains characters of a script not used in ${this.#targetLang}`, sourceValue, translatedValue);
+            } else if (hasWords && !this.#scriptRule.expected.test(translatedPlain)) {
+                this.#addIssue(namespace, file, key, 'wrong_script', `Contains no ${this.#targetLang} characters`, sourceValue, translatedValue);
+            }
+        }
+
+        // 用語集
+        if (this.#glossary) {
+            const violations = this.#glossary.findViolations(sourceValue, translatedValue, [namespace]);
+            if (violations.length > 0) {
+                this.#addIssue(namespace, file, key, 'glossary_not_applied', `Glossary terms not applied: ${violations.map(term => `"${term.source}" -> "${term.target}"`).join(', ')}`, sourceValue, translatedValue);
+            }
+        }
+    }
+
+    /**
+     * 言語ファイル (key -> value) 単位で検証します。キーの欠落/追加も検出します。
+     * @param {string} namespace - Modのネームスペース。
+     * @param {string} file - レポートに載せるファイルの識別子。
+     * @param {Object<string, string>} sourceEntries - 原文の key -> value。
+     * @param {Object<string, string>|null} translatedEntries - 翻訳結果の key -> value。nullならファイルがない扱い。
+     */
+    validateLangFile(namespace, file, sourceEntries, translatedEntries) {
+        this.#namespaceStats(namespace).files++;
+        if (translatedEntries === null) {
+            this.#addIssue(namespace, file, null, 'file_missing', 'Translated file not found', null, null);
+            return;
+        }
+        for (const [key, sourceValue] of Object.entries(sourceEntries)) {
+            if (!Object.prototype.hasOwnProperty.call(translatedEntries, key)) {
+                this.#addIssue(namespace, file, key, 'key_dropped', 'Key is missing from the translation', sourceValue, null);
+                continue;
+            }
+            this.validateValue(namespace, file, key, sourceValue, translatedEntries[key]);
+        }
+        for (const key of Object.keys(translatedEntries)) {
+            if (!Object.prototype.hasOwnProperty.call(sourceEntries, key)) {
+                this.#addIssue(namespace, file, key, 'key_added', 'Key does not exist in the source', null, translatedEntries[key]);
+            }
+        }
+    }
+
+    /**
+     * PatchouliのJSONを同じパスの文字列どうしで比較して検証します。
+     * @param {string} namespace - Modのネームスペース。
+     * @param {string} file - レポートに載せるファイルの識別子。
+     * @param {object} sourceJson - 原文のJSON。
+     * @param {object|null} translatedJson - 翻訳結果のJSON。nullならファイルがない扱い。
+     */
+    validatePatchouliFile(namespace, file, sourceJson, translatedJson) {
+        this.#namespaceStats(namespace).files++;
+        if (translatedJson === null) {
+            this.#addIssue(namespace, file, null, 'file_missing', 'Translated file not found', null, null);
+            return;
+        }
+        const walk = (sourceNode, translatedNode, currentPath) => {
+            if (typeof sourceNode === 'string') {
+                if (typeof translatedNode !== 'string') {
+                    this.#addIssue(namespace, file, currentPath, 'key_dropped', 'String is missing from the translation', sourceNode, null);
+                } else if (!IDENTIFIER_LIKE_REGEX.test(sourceNode.trim())) {
+                    this.validateValue(namespace, file, currentPath, sourceNode, translatedNode);
+                }
+                return;
+            }
+            if (typeof sourceNode !== 'object' || sourceNode === null) return;
+            for (const key of Object.keys(sourceNode)) {
+                const childTranslated = translatedNode && typeof translatedNode === 'object' ? translatedNode[key] : undefined;
+                walk(sourceNode[key], childTranslated, currentPath ? `${currentPath}.${key}` : key);
+            }
+        };
+        walk(sourceJson, translatedJson, '');
+    }
+
+    /**
+     * エラー件数がしきい値を超えているかを返します。
+     * @param {number} maxErrors - 許容するエラー件数。
+     * @returns {boolean}
+     */
+    exceedsThreshold(maxErrors) {
+        return this.getTotals().errors > maxErrors;
+    }
+
+    /**
+     * 全体の集計を返します。
+     * @returns {{namespaces: number, files: number, valuesChecked: number, errors: number, warnings: number}}
+     */
+    getTotals() {
+        const totals = { namespaces: this.#namespaces.size, files: 0, valuesChecked: 0, errors: 0, warnings: 0 };
+        for (const stats of this.#namespaces.values()) {
+            totals.files += stats.files;
+            totals.valuesChecked += stats.valuesChecked;
+            totals.errors += stats.errors;
+            totals.warnings += stats.warnings;
+        }
+        return totals;
+    }
+
+    /**
+     * 機械可読なレポートを返します (JSONとして保存する想定)。
+     * @returns {object}
+     */
+    getReport() {
+        const namespaces = {};
+        [...this.#namespaces.keys()].sort().forEach(namespace => { namespaces[namespace] = this.#namespaces.get(namespace); });
+        return {
+            targetLang: this.#targetLang,
+            generatedAt: new Date().toISOString(),
+            totals: this.getTotals(),
+            namespaces,
+            issues: this.#issues,
+        };
+    }
+
+    /**
+     * ネームスペースごとの人間向けサマリーを返します。
+     * @returns {string}
+     */
+    formatSummary() {
+        const lines = [];
+        [...this.#namespaces.keys()].sort().forEach(namespace => {
+            const stats = this.#namespaces.get(namespace);
+            const types = Object.entries(stats.byType).map(([type, count]) => `${type}=${count}`).join(', ');
+            lines.push(`  ${namespace}: ${stats.files} file(s), ${stats.valuesChecked} value(s), ${stats.errors} error(s), ${stats.warnings} warning(s)${types ? ` [${types}]` : ''}`);
+        });
+        const totals = this.getTotals();
+        lines.push(`  TOTAL: ${totals.namespaces} namespace(s), ${totals.files} file(s), ${totals.valuesChecked} value(s), ${totals.errors} error(s), ${totals.warnings} warning(s)`);
+        return lines.join('\n');
+    }
+}
+
+module.exports = LangValidator;
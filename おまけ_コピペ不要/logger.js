@@ -0,0 +1,228 @@
+// logger.js
+// パイプライン共通のログ出力。レベル (debug / info / warn / error) で絞り込み、JSON Lines でも出力できます。
+// ファイルごと/バッチごとの細かいログは debug にし、普段は進捗の1行 (JARの読み込み数、バッチの完了数、残り時間) だけを表示します。
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+// 端末でないとき (ファイルへのリダイレクトやCI) に進捗をログとして出す間隔
+const PROGRESS_LOG_INTERVAL_MS = 30000;
+// 端末の進捗行を書き直す最短の間隔
+const PROGRESS_REDRAW_INTERVAL_MS = 100;
+
+/**
+ * 経過時間を "1m05s" のような短い表記にします。
+ * @param {number} ms - ミリ秒。
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * 1つの処理 (JARの読み込み、APIのバッチなど) の進捗。`Logger#startProgress` で作ります。
+ */
+class Progress {
+    #label;
+    #unit;
+    #total;
+    #done = 0;
+    #startedAt = Date.now();
+    #onUpdate;
+
+    /**
+     * @param {string} label - 処理の名前 (例: "Scanning JARs")。
+     * @param {number} total - 全体の数。
+     * @param {string} unit - 数の単位 (例: "jars")。
+     * @param {function(Progress, boolean): void} onUpdate - 進んだとき/終わったときに呼ばれる (2番目の引数は終わったか)。
+     */
+    constructor(label, total, unit, onUpdate) {
+        this.#label = label;
+        this.#total = total;
+        this.#unit = unit;
+        this.#onUpdate = onUpdate;
+    }
+
+    get done() {
+        return this.#done;
+    }
+
+    get total() {
+        return this.#total;
+    }
+
+    /** これまでの速さから見積もった残り時間 (ミリ秒)。まだ見積もれなければnull。 */
+    get etaMs() {
+        if (this.#done === 0 || this.#done >= this.#total) return null;
+        return (Date.now() - this.#startedAt) / this.#done * (this.#total - this.#done);
+    }
+
+    /**
+     * 進んだ数を加えます。
+     * @param {number} [count=1]
+     */
+    tick(count = 1) {
+        this.#done += count;
+        this.#onUpdate(this, false);
+    }
+
+    /**
+     * 全体の数を増やします (処理の途中で対象が増えた場合)。
+     * @param {number} count
+     */
+    addTotal(count) {
+        this.#total += count;
+        this.#onUpdate(this, false);
+    }
+
+    /** 処理が終わったときに呼びます。 */
+    finish() {
+        this.#onUpdate(this, true);
+    }
+
+    /** 進捗行に表示する文字列。 */
+    format() {
+        const percent = this.#total > 0 ? Math.floor(this.#done / this.#total * 100) : 100;
+        const eta = this.etaMs;
+        return `${this.#label}: ${this.#done}/${this.#total} ${this.#unit} (${percent}%)${eta !== null ? `, ETA ${formatDuration(eta)}` : ''}, elapsed ${formatDuration(Date.now() - this.#startedAt)}`;
+    }
+
+    /** JSON形式のログに入れる値。 */
+    toJSON() {
+        const eta = this.etaMs;
+        return { label: this.#label, unit: this.#unit, done: this.#done, total: this.#total, etaSeconds: eta === null ? null : Math.round(eta / 1000) };
+    }
+}
+
+class Logger {
+    #level = LEVELS.info;
+    #format = 'text';
+    #liveProgress = true;
+    #progress = null; // 表示中の Progress
+    #progressShown = false; // 端末に進捗行が出ているか
+    #lastRedraw = 0;
+    #lastProgressLog = 0;
+
+    /**
+     * ログの出し方を設定します。
+     * @param {object} [options]
+     * @param {'debug'|'info'|'warn'|'error'} [options.level='info'] - これより低いレベルのログは出さない。
+     * @param {'text'|'json'} [options.format='text'] - text: これまで通りの表示、json: 1行に1つのJSONオブジェクト。
+     * @param {boolean} [options.progress=true] - 端末では進捗を1行で書き換えて表示する (falseなら、または端末でなければ一定間隔でログに出す)。
+     * @throws {Error} levelやformatが不正な場合。
+     */
+    configure({ level = 'info', format = 'text', progress = true } = {}) {
+        if (!(level in LEVELS)) throw new Error(`Invalid log level "${level}" (use ${Object.keys(LEVELS).join(' / ')})`);
+        if (!FORMATS.includes(format)) throw new Error(`Invalid log format "${format}" (use ${FORMATS.join(' / ')})`);
+        this.#level = LEVELS[level];
+        this.#format = format;
+        this.#liveProgress = progress;
+    }
+
+    get format() {
+        return this.#format;
+    }
+
+    /** @param {...*} args - console.log と同じ引数。 */
+    debug(...args) {
+        this.#write('debug', args);
+    }
+
+    /** @param {...*} args - console.log と同じ引数。 */
+    info(...args) {
+        this.#write('info', args);
+    }
+
+    /** @param {...*} args - console.warn と同じ引数。 */
+    warn(...args) {
+        this.#write('warn', args);
+    }
+
+    /** @param {...*} args - console.error と同じ引数。 */
+    error(...args) {
+        this.#write('error', args);
+    }
+
+    /**
+     * 進捗の表示を始めます。前の進捗が表示中なら、それは終わったものとして置き換えます。
+     * @param {string} label - 処理の名前。
+     * @param {number} total - 全体の数。
+     * @param {string} [unit='items'] - 数の単位。
+     * @returns {Progress}
+     */
+    startProgress(label, total, unit = 'items') {
+        if (this.#progress) this.#progress.finish();
+        const progress = new Progress(label, total, unit, (updated, finished) => this.#onProgress(updated, finished));
+        this.#progress = progress;
+        this.#lastProgressLog = Date.now();
+        this.#onProgress(progress, false);
+        return progress;
+    }
+
+    /**
+     * 表示中の進捗を、終わったことをログに出さずに消します (致命的なエラーで止まる場合など)。
+     */
+    clearProgress() {
+        this.#clearProgressLine();
+        this.#progress = null;
+    }
+
+    // 端末に進捗行を出せるか (JSONのときや、出力をファイルに書いているときは出さない)
+    get #isLive() {
+        return this.#liveProgress && this.#format === 'text' && Boolean(process.stderr.isTTY);
+    }
+
+    #onProgress(progress, finished) {
+        if (progress !== this.#progress) return;
+        if (finished) {
+            this.#clearProgressLine();
+            this.#progress = null;
+            this.#write('info', [`[Progress] ${progress.format()}`], { progress: progress.toJSON() });
+            return;
+        }
+        const now = Date.now();
+        if (this.#isLive) {
+            if (now - this.#lastRedraw < PROGRESS_REDRAW_INTERVAL_MS && progress.done < progress.total) return;
+            this.#lastRedraw = now;
+            this.#drawProgressLine();
+        } else if (now - this.#lastProgressLog >= PROGRESS_LOG_INTERVAL_MS) {
+            this.#lastProgressLog = now;
+            this.#write('info', [`[Progress] ${progress.format()}`], { progress: progress.toJSON() });
+        }
+    }
+
+    #drawProgressLine() {
+        const columns = process.stderr.columns || 120;
+        process.stderr.write(`\r\x1b[K${this.#progress.format().slice(0, columns - 1)}`);
+        this.#progressShown = true;
+    }
+
+    #clearProgressLine() {
+        if (!this.#progressShown) return;
+        process.stderr.write('\r\x1b[K');
+        this.#progressShown = false;
+    }
+
+    #write(level, args, fields = null) {
+        if (LEVELS[level] < this.#level) return;
+        // 進捗行の上にログを出し、進捗行は最後の行に描き直す
+        this.#clearProgressLine();
+        if (this.#format === 'json') {
+            const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+            stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, msg: util.format(...args), ...(fields || {}) })}\n`);
+        } else {
+            const method = level === 'warn' ? 'warn' : level === 'error' ? 'error' : 'log';
+            console[method](...args);
+        }
+        if (this.#progress && this.#isLive) this.#drawProgressLine();
+    }
+}
+
+// パイプライン全体で共有するロガー
+const log = new Logger();
+
+module.exports = { Logger, Progress, log, formatDuration, LOG_LEVELS: Object.keys(LEVELS), LOG_FORMATS: FORMATS };
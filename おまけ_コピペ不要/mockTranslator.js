@@ -0,0 +1,76 @@
+// mockTranslator.js
+const FormatCodeMasker = require('./formatCodeMasker');
+const TranslationEngine = require('./translationEngine');
+const Glossary = require('./glossary');
+
+// 疑似ローカライズ: 英字を全角にして【】で囲む (どこが翻訳されたか、書式コードが残ったかが一目で分かる)
+const toFullWidth = text => text.replace(/[A-Za-z0-9]/g, char => String.fromCharCode(char.charCodeAt(0) + 0xFEE0));
+
+/**
+ * APIを使わないオフラインの翻訳エンジン。結果は入力だけで決まるので、APIキーなしでパイプライン全体を動かして確認できます。
+ * 書式コードは本物のエンジンと同じくセンチネルで保護し、用語集の訳語も適用します。
+ */
+class MockTranslator extends TranslationEngine {
+    static PROMPT_VERSION = '1';
+    #targetLang;
+
+    /**
+     * @param {string} [targetLang='ja_jp'] - 翻訳先の言語コード (翻訳メモリのスコープにのみ使用)。
+     */
+    constructor(targetLang = 'ja_jp') {
+        super();
+        this.#targetLang = targetLang;
+    }
+
+    /**
+     * 翻訳メモリのキーに使うスコープを返します。
+     * @returns {{targetLang: string, engine: string, model: string, promptVersion: string}}
+     */
+    getMemoryScope() {
+        return { targetLang: this.#targetLang, engine: 'mock', model: 'pseudo', promptVersion: MockTranslator.PROMPT_VERSION };
+    }
+
+    /**
+     * 1つのテキストを疑似翻訳します。
+     * @param {string} text - 原文。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース (用語集の適用範囲の判定に使用)。
+     * @returns {string} 疑似翻訳したテキスト。
+     */
+    pseudoTranslate(text, namespaces = null) {
+        if (typeof text !== 'string' || text.trim() === '') return text;
+        const { masked, tokens } = FormatCodeMasker.mask(text);
+        // 用語集の訳語は疑似翻訳せずにそのまま入れる
+        const terms = this.glossary ? this.glossary.getRelevantTerms([text], namespaces) : [];
+        const pieces = [masked];
+        terms.forEach(term => {
+            const termRegex = Glossary.createTermRegex(term, 'g');
+            for (let i = 0; i < pieces.length; i += 2) {
+                const parts = pieces[i].split(termRegex);
+                const expanded = parts.flatMap((part, index) => index === 0 ? [part] : [term.target, part]);
+                pieces.splice(i, 1, ...expanded);
+                i += expanded.length - 1;
+            }
+        });
+        // 偶数番目が地の文、奇数番目が用語集の訳語。センチネル (⟦0⟧) は全角にしない
+        const translated = pieces.map((piece, index) => index % 2 === 1 ? piece
+            : piece.split(/(⟦\d+⟧)/).map(part => /^⟦\d+⟧$/.test(part) ? part : toFullWidth(part)).join('')).join('');
+        return FormatCodeMasker.unmask(`【${translated}】`, tokens).text;
+    }
+
+    /**
+     * テキストをまとめて疑似翻訳します。エンジン共通インターフェースの実装。
+     * @param {string[]} texts - 翻訳するテキスト。
+     * @param {number[]} promptIndices - textsに対応する、結果Mapのキーとして使用するインデックス。
+     * @param {number} [currentSplitDepth=0] - 使用しない。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース。
+     * @param {Array<object|null>|null} [contexts=null] - 使用しない (疑似翻訳は文脈で変わらない)。
+     * @returns {Promise<Map<number, string>>}
+     */
+    async translateBatchInternal(texts, promptIndices, currentSplitDepth = 0, namespaces = null, contexts = null) {
+        const resultsMap = new Map();
+        texts.forEach((text, i) => resultsMap.set(promptIndices[i], this.pseudoTranslate(text, namespaces)));
+        return resultsMap;
+    }
+}
+
+module.exports = MockTranslator;
@@ -0,0 +1,118 @@
+// nameIndex.js
+const fs = require('fs').promises;
+const path = require('path');
+const FormatCodeMasker = require('./formatCodeMasker');
+const { getFormat, langFileFormatOf, readEntries } = require('./fileFormats');
+const { log } = require('./logger');
+
+// ゲーム内で名前として表示されるキー (item.create.brass_casing など。.tooltip などの説明文は対象外)
+const NAME_KEY_REGEX = /^(?:item|block|entity|fluid|effect|enchantment)\.[^.]+\.[^.]+$/;
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * 言語ファイルのアイテム名/ブロック名などから「英語名 → ゲーム内の訳名」の索引を作ります。
+ * クエストやPatchouliの文章中に出てくるアイテム名を、ツールチップと同じ訳に揃えるために使います。
+ */
+class NameIndex {
+    #names = new Map(); // 英語名 -> Map<訳名, 出現数>
+
+    /**
+     * 名前として扱うキーかどうかを返します。
+     * @param {string} key - 言語ファイルのキー。
+     * @returns {boolean}
+     */
+    static isNameKey(key) {
+        return NAME_KEY_REGEX.test(key);
+    }
+
+    static #isUsableName(text) {
+        return typeof text === 'string' && text.trim() === text && text.length >= 2 && text.length <= MAX_NAME_LENGTH
+            && !text.includes('\n') && FormatCodeMasker.extractCodes(text).length === 0;
+    }
+
+    /**
+     * 言語ファイル1つ分の名前を登録します。
+     * @param {Object<string, string>} sourceEntries - 原文 (en_us) の key -> value。
+     * @param {Object<string, string>} translatedEntries - 翻訳結果の key -> value。
+     */
+    addLangFile(sourceEntries, translatedEntries) {
+        for (const [key, source] of Object.entries(sourceEntries)) {
+            if (!NameIndex.isNameKey(key)) continue;
+            const translated = translatedEntries[key];
+            // 英語のまま (未翻訳や翻訳失敗) のものは登録しない
+            if (!NameIndex.#isUsableName(source) || !NameIndex.#isUsableName(translated) || translated === source) continue;
+            if (!this.#names.has(source)) this.#names.set(source, new Map());
+            const translations = this.#names.get(source);
+            translations.set(translated, (translations.get(translated) || 0) + 1);
+        }
+    }
+
+    /**
+     * indexModTranslator.js が出力したリソースパックと原文のスナップショットから索引を作ります。
+     * どちらかがなければ空の索引を返します。
+     * @param {string} translatedPackDir - 翻訳済みリソースパックのフォルダ (例: translated_rp_openai)。
+     * @param {string} sourceSnapshotDir - 原文のスナップショットのフォルダ (例: translated_rp_openai_en_us)。
+     * @param {string} [targetLangCode='ja_jp'] - 翻訳済みファイルの言語コード。
+     * @param {string} [sourceLangCode='en_us'] - 原文の言語コード。
+     * @returns {Promise<NameIndex>}
+     */
+    static async loadFromResourcePack(translatedPackDir, sourceSnapshotDir, targetLangCode = 'ja_jp', sourceLangCode = 'en_us') {
+        const index = new NameIndex();
+        let namespaces;
+        try {
+            namespaces = await fs.readdir(path.join(sourceSnapshotDir, 'assets'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return index;
+            throw error;
+        }
+        for (const namespace of namespaces) {
+            const langDir = path.join('assets', namespace, 'lang');
+            const read = async (filePath) => {
+                try { return await fs.readFile(filePath, 'utf8'); }
+                catch (error) { if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null; throw error; }
+            };
+            let fileNames;
+            try { fileNames = await fs.readdir(path.join(sourceSnapshotDir, langDir)); }
+            catch (error) { if (error.code === 'ENOENT' || error.code === 'ENOTDIR') continue; throw error; }
+            for (const fileName of fileNames) {
+                const format = langFileFormatOf(fileName, sourceLangCode);
+                if (!format) continue;
+                const translatedContent = await read(path.join(translatedPackDir, langDir, getFormat(format).targetFileName(fileName, targetLangCode)));
+                if (translatedContent === null) continue;
+                try {
+                    index.addLangFile(readEntries(format, await read(path.join(sourceSnapshotDir, langDir, fileName))), readEntries(format, translatedContent));
+                } catch (error) {
+                    log.warn(`[NameIndex] Skipping ${namespace}/lang/${fileName}: ${error.message}`);
+                }
+            }
+        }
+        return index;
+    }
+
+    get size() {
+        return this.#names.size;
+    }
+
+    /**
+     * 同じ英語名に複数の訳がある名前の一覧を返します。
+     * @returns {Array<{source: string, translations: string[]}>}
+     */
+    getConflicts() {
+        return [...this.#names].filter(([, translations]) => translations.size > 1)
+            .map(([source, translations]) => ({ source, translations: [...translations.keys()] }));
+    }
+
+    /**
+     * 用語集 (Glossary.extend) に追加するエントリを返します。訳が割れている名前は一番多い訳を使います。
+     * 文中の普通の単語 (light, time など) に反応しないよう、大文字小文字まで一致したときだけ適用します。
+     * @returns {Array<{source: string, target: string, matchCase: boolean}>}
+     */
+    toGlossaryEntries() {
+        return [...this.#names].map(([source, translations]) => {
+            const [target] = [...translations].reduce((best, current) => current[1] > best[1] ? current : best);
+            return { source, target, matchCase: true };
+        });
+    }
+}
+
+module.exports = NameIndex;
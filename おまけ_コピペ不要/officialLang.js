@@ -0,0 +1,110 @@
+// officialLang.js
+// Mod自身が同梱している翻訳先言語のファイル (公式の訳、一部だけのことが多い) を扱います。
+// 公式の訳があるキーはそのまま使い、足りないキーだけを機械翻訳で埋めます。
+const path = require('path');
+const { LANG_FILE_FORMATS, readEntries } = require('./fileFormats');
+const { log } = require('./logger');
+
+function fileKey(originalJar, langDir, targetLangCode) {
+    return `${originalJar}|${langDir}|${targetLangCode.toLowerCase()}`;
+}
+
+class OfficialTranslations {
+    #files = new Map(); // "jar|assets/<ns>/lang|<lang>" -> fileInfo (worker.js の official_lang)
+    #parsed = new Map(); // 同じキー -> Map(key -> value)
+
+    /**
+     * @param {object[]} officialLangInfos - worker.js が返した official_lang のファイル情報。
+     */
+    constructor(officialLangInfos = []) {
+        officialLangInfos.forEach(fileInfo => {
+            const key = fileKey(fileInfo.originalJar, path.posix.dirname(fileInfo.originalPathInJar), fileInfo.targetLangCode);
+            // 同じフォルダに複数の形式がある場合は .json > .local > .lang の順に使う
+            const current = this.#files.get(key);
+            if (!current || LANG_FILE_FORMATS.indexOf(fileInfo.format) < LANG_FILE_FORMATS.indexOf(current.format)) this.#files.set(key, fileInfo);
+        });
+    }
+
+    get size() {
+        return this.#files.size;
+    }
+
+    /**
+     * 原文の言語ファイルに対応する公式の訳を返します。
+     * @param {object} sourceFileInfo - worker.js が返した原文の言語ファイルの情報。
+     * @param {string} targetLangCode - 翻訳先の言語コード。
+     * @returns {Map<string, string>} キー -> 公式の訳。公式の訳がない、または読めない場合は空。
+     */
+    get(sourceFileInfo, targetLangCode) {
+        const key = fileKey(sourceFileInfo.originalJar, path.posix.dirname(sourceFileInfo.originalPathInJar), targetLangCode);
+        if (!this.#parsed.has(key)) {
+            const entries = new Map();
+            const fileInfo = this.#files.get(key);
+            if (fileInfo) {
+                try {
+                    const data = readEntries(fileInfo.format, fileInfo.content);
+                    Object.entries(data).forEach(([entryKey, value]) => {
+                        if (typeof value === 'string' && value.trim() !== '') entries.set(entryKey, value);
+                    });
+                } catch (e) { log.warn(`[Official] Ignoring unreadable ${fileInfo.originalPathInJar} (${fileInfo.originalJar}): ${e.message}`); }
+            }
+            this.#parsed.set(key, entries);
+        }
+        return this.#parsed.get(key);
+    }
+}
+
+class OfficialCoverageReport {
+    #namespaces = new Map(); // namespace -> [{ file, targetLang, official, overridden, machine }]
+
+    /**
+     * 1ファイル分の内訳を記録します。
+     * @param {string} namespace - Modのネームスペース。
+     * @param {string} targetLangCode - 翻訳先の言語コード。
+     * @param {string} file - 出力ファイルの相対パス。
+     * @param {{official: number, overridden: number, machine: number}} counts - 公式の訳 / 手修正 / 機械翻訳で埋めたキーの数。
+     */
+    record(namespace, targetLangCode, file, counts) {
+        if (!this.#namespaces.has(namespace)) this.#namespaces.set(namespace, []);
+        this.#namespaces.get(namespace).push({ file, targetLang: targetLangCode, ...counts });
+    }
+
+    #totals(namespace) {
+        const totals = new Map(); // targetLang -> { official, overridden, machine }
+        this.#namespaces.get(namespace).forEach(({ targetLang, official, overridden, machine }) => {
+            const current = totals.get(targetLang) || { official: 0, overridden: 0, machine: 0 };
+            totals.set(targetLang, { official: current.official + official, overridden: current.overridden + overridden, machine: current.machine + machine });
+        });
+        return totals;
+    }
+
+    /**
+     * 公式の訳があったネームスペースごとの内訳を返します (JSONとして保存する想定)。
+     * @returns {object}
+     */
+    getReport() {
+        const namespaces = {};
+        [...this.#namespaces.keys()].sort().forEach(namespace => {
+            const files = this.#namespaces.get(namespace);
+            if (files.some(f => f.official > 0)) namespaces[namespace] = { totals: Object.fromEntries(this.#totals(namespace)), files };
+        });
+        return { generatedAt: new Date().toISOString(), namespaces };
+    }
+
+    /**
+     * 公式の訳があったネームスペースの件数サマリーを返します。
+     * @returns {string}
+     */
+    formatSummary() {
+        const lines = [];
+        [...this.#namespaces.keys()].sort().forEach(namespace => {
+            this.#totals(namespace).forEach(({ official, overridden, machine }, targetLang) => {
+                if (official === 0) return;
+                lines.push(`  ${namespace} (${targetLang}): ${official} official, ${machine} machine-filled${overridden > 0 ? `, ${overridden} overridden` : ''}`);
+            });
+        });
+        return lines.length > 0 ? lines.join('\n') : '  (no mod ships its own translation)';
+    }
+}
+
+module.exports = { OfficialTranslations, OfficialCoverageReport };
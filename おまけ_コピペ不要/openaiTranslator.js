@@ -1,34 +1,67 @@
 // openaiTranslator.js
 const { OpenAI } = require('openai');
+const FormatCodeMasker = require('./formatCodeMasker');
+const Glossary = require('./glossary');
+const TranslationEngine = require('./translationEngine');
+const { parseJsonLoose } = require('./jsonRepair');
+const { toPromptValue } = require('./textContext');
+const { RequestFailedError, parseRetryAfter } = require('./requestScheduler');
+const UsageMeter = require('./usageMeter');
+const { log } = require('./logger');
 
-class OpenAITranslator {
+class OpenAITranslator extends TranslationEngine {
     #openaiClient = null;
     #modelName = "gpt-4o-mini"; // デフォルトモデル
     #targetLanguage = "Japanese"; // デフォルト言語
     #requestDelayMs = 50; // API呼び出し間の遅延（主にバッチ分割時に使用）
+    #temperature = 0.1;
+    #maxTokens = null; // nullならサーバーのデフォルト
+    #jsonMode = 'auto'; // 'auto': response_formatを送り、非対応のサーバーならやめる / true: 常に送る / false: 送らない
+    #sendResponseFormat = true;
     static #MAX_SPLIT_DEPTH = 2; // バッチ分割の最大再帰深度 (0は分割なし, 1は1回分割で計2回試行, 2は2回分割で計4回試行)
+    static PROMPT_VERSION = "1.3"; // プロンプトを変更したらここを更新して翻訳メモリを無効化
 
     /**
      * OpenAITranslatorのインスタンスを作成します。
      * @param {string} apiKey - OpenAI APIキー。
      * @param {string} [targetLanguage="Japanese"] - 翻訳先の言語名 (プロンプトで使用)。
-     * @param {string} [model="gpt-4o-mini"] - 使用するOpenAIモデル名。
+     * @param {string} [model="gpt-4o-mini"] - 使用するモデル名。
+     * @param {object} [options]
+     * @param {string} [options.baseURL] - OpenAI互換サーバーのURL (例: http://localhost:11434/v1)。指定した場合はAPIキーを省略できる。
+     * @param {number} [options.temperature=0.1] - 生成時のtemperature。
+     * @param {number|null} [options.maxTokens=null] - 最大出力トークン数。nullならサーバーのデフォルト。
+     * @param {'auto'|boolean} [options.jsonMode='auto'] - response_format: json_object を送るか。'auto'なら非対応のサーバーで自動的にやめる。
      * @throws {Error} APIキーがない場合やクライアント初期化に失敗した場合。
      */
-    constructor(apiKey, targetLanguage = "Japanese", model = "gpt-4o-mini") {
-        if (!apiKey) {
+    constructor(apiKey, targetLanguage = "Japanese", model = "gpt-4o-mini", { baseURL, temperature = 0.1, maxTokens = null, jsonMode = 'auto' } = {}) {
+        super();
+        if (!apiKey && !baseURL) {
             throw new Error('OpenAI API Key is required.');
         }
         try {
-            this.#openaiClient = new OpenAI({ apiKey });
+            // ローカルのサーバーはAPIキーを見ないことが多いが、SDKは空のキーを受け付けないためダミーを渡す
+            // 再試行はSDKではなく RequestScheduler で行う (レート制限とQuota超過を区別し、同時実行数も調整するため)
+            this.#openaiClient = new OpenAI({ apiKey: apiKey || 'not-needed', maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
             this.#targetLanguage = targetLanguage;
             this.#modelName = model;
+            this.#temperature = temperature;
+            this.#maxTokens = maxTokens;
+            this.#jsonMode = jsonMode;
+            this.#sendResponseFormat = jsonMode !== false;
         } catch (error) {
-            console.error("[Translator] Failed to initialize OpenAI client:", error);
+            log.error("[Translator] Failed to initialize OpenAI client:", error);
             throw new Error(`Failed to initialize OpenAI client: ${error.message}`);
         }
     }
 
+    /**
+     * 翻訳メモリのキーに使うスコープを返します。
+     * @returns {{targetLang: string, engine: string, model: string, promptVersion: string}}
+     */
+    getMemoryScope() {
+        return { targetLang: this.#targetLanguage, engine: 'openai', model: this.#modelName, promptVersion: OpenAITranslator.PROMPT_VERSION };
+    }
+
     /**
      * OpenAIに渡すシステムプロンプトを生成します。
      * @returns {string} システムプロンプト文字列。
@@ -38,11 +71,31 @@ class OpenAITranslator {
         const targetLangEmphasis = this.#targetLanguage.toUpperCase();
         return `You are an expert translation assistant for Minecraft mods. Your **SOLE task** is to translate text accurately into **${targetLangEmphasis}**. You **MUST** translate into **${targetLangEmphasis} ONLY**. Do not use any other language like French, German, etc.
 
-Translate the text values in the provided JSON object according to these KEY RULES:
+Each value in the provided JSON object is either the text itself or an object whose "text" is the text to translate. The other fields of such an object are context only and must NOT be translated or returned: "keys" are the language file keys or positions where the text is used (e.g. "block.create.mechanical_press" means the text is a block name, a noun; "key.create.press" means it is a keybind action, a verb), "mod" is the mod's namespace and "kind" is the type of file (lang, patchouli_entry, ftbquests, mcfunction, ...). Use them to choose the right part of speech, terminology and register.
+
+Translate the texts according to these KEY RULES:
 1.  Maintain the original meaning, style, and tone precisely in the **${targetLangEmphasis}** translation. Do not add extraneous commentary or explanations.
-2.  CRITICAL: Preserve any special formatting codes (like %s, %d, %1$s, §0-9, §a-f, §k-o, §r, and Patchouli codes like $(item), $(br), $(li), $(#RRGGBB), $() or any text within $()) exactly as they appear in the original text. **DO NOT** translate them or add/remove spaces around them.
-3.  CRITICAL: If a text value looks like a technical identifier, key, placeholder, number, boolean, or a path/resource location (e.g., "item.minecraft.diamond", "naturesaura:ancient_sapling", "key.categories.inventory", "true", "false", "1.5", "config.value.option"), return it **COMPLETELY UNCHANGED**.
-4.  Output Format: Return **ONLY** a single valid JSON object mapping the original index keys (provided as strings) to the translated strings (which **MUST be in ${targetLangEmphasis}**, or the unchanged original string if rule 2 or 3 applies). Ensure the output JSON is complete, syntactically correct, and contains entries for all original index keys. Do not wrap the JSON in markdown code blocks or add any text outside the JSON object itself. Ensure all translated strings are correctly encoded for JSON.`;
+2.  CRITICAL: Formatting codes have been replaced with placeholder tokens such as ⟦0⟧, ⟦1⟧. Keep every placeholder token exactly once in the translation, unchanged, placed where it belongs grammatically. **DO NOT** translate, renumber, drop or duplicate them. Likewise preserve any remaining special formatting codes (like %s, %d, %1$s, §a, &6, $(item), $(br)) exactly as they appear in the original text.
+3.  CRITICAL: If a text looks like a technical identifier, key, placeholder, number, boolean, or a path/resource location (e.g., "item.minecraft.diamond", "naturesaura:ancient_sapling", "key.categories.inventory", "true", "false", "1.5", "config.value.option"), return it **COMPLETELY UNCHANGED**.
+4.  Output Format: Return **ONLY** a single valid JSON object mapping the original index keys (provided as strings) to the translated strings as plain string values, never objects (which **MUST be in ${targetLangEmphasis}**, or the unchanged original string if rule 2 or 3 applies). Ensure the output JSON is complete, syntactically correct, and contains entries for all original index keys. Do not wrap the JSON in markdown code blocks or add any text outside the JSON object itself. Ensure all translated strings are correctly encoded for JSON.`;
+    }
+
+    /**
+     * OpenAIに渡すユーザープロンプトを生成します。
+     * @param {string[]} texts - 翻訳するテキスト (マスク済み)。
+     * @param {number[]} promptIndices - textsに対応する、プロンプト内でキーとして使用するインデックス。
+     * @param {string} [glossaryPrompt=''] - 追加する用語集の説明。
+     * @param {Map<string, import('./textContext').TextContext>} [contexts] - マスク済みテキスト -> 文脈。文脈があるテキストは {text, keys, mod, kind} として送る。
+     * @returns {string} ユーザープロンプト文字列。
+     * @private
+     */
+    #createUserPrompt(texts, promptIndices, glossaryPrompt = '', contexts = new Map()) {
+        const jsonInput = {};
+        promptIndices.forEach((promptIndex, i) => {
+            jsonInput[promptIndex.toString()] = toPromptValue(texts[i], contexts.get(texts[i]));
+        });
+        const glossarySection = glossaryPrompt ? `${glossaryPrompt}\n\n` : '';
+        return `${glossarySection}Translate the values in this JSON object according to the rules:\n${JSON.stringify(jsonInput)}`;
     }
 
     /**
@@ -53,261 +106,232 @@ Translate the text values in the provided JSON object according to these KEY RUL
         return this.#createSystemPrompt();
     }
 
+    /**
+     * テキストを1回のリクエストで送った場合のトークン数を、実際に送るプロンプトから見積もります。
+     * @param {string[]} texts - 1回のリクエストで送るテキスト。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース (用語集の適用範囲の判定に使用)。
+     * @param {Array<import('./textContext').TextContext|null>|null} [contexts=null] - textsに対応する文脈。
+     * @returns {{engine: string, model: string, promptTokens: number, completionTokens: number}}
+     */
+    estimateUsage(texts, namespaces = null, contexts = null) {
+        const glossaryPrompt = this.glossary ? Glossary.formatForPrompt(this.glossary.getRelevantTerms(texts, namespaces)) : '';
+        const maskedTexts = texts.map(text => FormatCodeMasker.mask(text).masked);
+        const userPrompt = this.#createUserPrompt(maskedTexts, maskedTexts.map((_, i) => i), glossaryPrompt, OpenAITranslator.#contextsByMaskedText(texts, contexts));
+        return { engine: 'openai', model: this.#modelName, ...UsageMeter.estimateOpenAIUsage([this.#createSystemPrompt(), userPrompt], maskedTexts) };
+    }
+
+    /**
+     * 書式コードをセンチネルに置き換えてからバッチ翻訳を実行し、翻訳後に元に戻します。
+     * 書式コードが過不足なく戻らなかったテキストは1回だけ再翻訳し、それでも駄目なら元のテキストを返します。
+     * 再試行してもAPIから訳が得られなかったテキストは結果に含めず、`recordFailure` で記録します。
+     * @param {string[]} textsForThisAPICall - 現在のAPI呼び出し対象のテキスト配列。
+     * @param {number[]} promptIndicesForThisAPICall - textsForThisAPICallに対応する、結果Mapのキーとして使用するインデックス。
+     * @param {number} [currentSplitDepth=0] - バッチ分割の再帰深度の初期値。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース (用語集の適用範囲の判定に使用)。
+     * @param {Array<import('./textContext').TextContext|null>|null} [contexts=null] - textsに対応する文脈 (キー、ネームスペース、ファイルの種類)。
+     * @returns {Promise<Map<number, string>>} プロンプトインデックスをキー、翻訳/元テキストを値とするMap。
+     * @throws {FatalApiError} 致命的なAPIエラー（認証、Quota超過など）の場合。
+     */
+    async translateBatchInternal(textsForThisAPICall, promptIndicesForThisAPICall, currentSplitDepth = 0, namespaces = null, contexts = null) {
+        if (!Array.isArray(textsForThisAPICall) || textsForThisAPICall.length === 0) {
+            return new Map();
+        }
+        // このバッチに出てくる用語だけをプロンプトに入れる
+        const batch = {
+            glossaryPrompt: this.glossary ? Glossary.formatForPrompt(this.glossary.getRelevantTerms(textsForThisAPICall, namespaces)) : '',
+            failureReasons: new Map(), // マスク済みテキスト -> 翻訳できなかった理由
+            sourceTexts: new Map(textsForThisAPICall.map(text => [FormatCodeMasker.mask(text).masked, text])), // マスク済みテキスト -> 原文 (使用量の記録用)
+            // 分割/再翻訳でテキストの並びが変わっても文脈が付いていくよう、マスク済みテキストで引く
+            contexts: OpenAITranslator.#contextsByMaskedText(textsForThisAPICall, contexts),
+            namespaces,
+        };
+        const translatedTexts = await FormatCodeMasker.translateMasked(textsForThisAPICall, async (maskedTexts) => {
+            const localIndices = maskedTexts.map((_, i) => i);
+            const resultMap = await this.#requestBatch(maskedTexts, localIndices, currentSplitDepth, batch);
+            return localIndices.map(i => resultMap.get(i));
+        }, { logPrefix: '[Translator]' });
+
+        const resultsMap = new Map();
+        promptIndicesForThisAPICall.forEach((promptIndex, i) => {
+            if (translatedTexts[i] !== undefined) { resultsMap.set(promptIndex, translatedTexts[i]); return; }
+            const text = textsForThisAPICall[i];
+            this.recordFailure(text, batch.failureReasons.get(FormatCodeMasker.mask(text).masked) ?? 'No translation was returned');
+        });
+        return resultsMap;
+    }
+
     /**
      * 内部メソッド: OpenAI APIを呼び出して実際のバッチ翻訳を実行します。
-     * JSONパースエラー時には再帰的にバッチを分割して再試行します。
+     * JSONパースエラー時には再帰的にバッチを分割して再試行します。レート制限や一時的なエラーの再試行は RequestScheduler が行います。
      * @param {string[]} textsForThisAPICall - 現在のAPI呼び出し対象のテキスト配列。
      * @param {number[]} promptIndicesForThisAPICall - textsForThisAPICallに対応する、OpenAIプロンプト内でキーとして使用するインデックス（通常は0から始まる連番）。
-     * @param {number} [currentSplitDepth=0] - 現在のバッチ分割の再帰深度。
-     * @returns {Promise<Map<number, string>>} プロンプトインデックスをキー、翻訳/元テキストを値とするMap。
-     * @throws {Error} 致命的なAPIエラー（認証、Quota超過など）または最大分割深度でも解決しないパースエラーの場合。
+     * @param {number} currentSplitDepth - 現在のバッチ分割の再帰深度。
+     * @param {object} batch - translateBatchInternal の1回の呼び出しで共有する情報。
+     * @param {string} batch.glossaryPrompt - ユーザープロンプトに追加する用語集の説明。
+     * @param {Map<string, string>} batch.failureReasons - 訳が得られなかったテキスト -> 理由 を書き込むMap。
+     * @param {Map<string, string>} batch.sourceTexts - マスク済みテキスト -> 原文 (使用量をModごとに分けるために使う)。
+     * @param {Map<string, import('./textContext').TextContext>} batch.contexts - マスク済みテキスト -> 文脈。
+     * @param {string[]|null} batch.namespaces - テキストが属するModのネームスペース。
+     * @returns {Promise<Map<number, string>>} プロンプトインデックスをキー、翻訳テキストを値とするMap (訳が得られなかったものは含まない)。
+     * @throws {FatalApiError} 致命的なAPIエラー（認証、Quota超過、予算超過など）の場合。
      * @private
      */
-    async translateBatchInternal(textsForThisAPICall, promptIndicesForThisAPICall, currentSplitDepth = 0) {
+    async #requestBatch(textsForThisAPICall, promptIndicesForThisAPICall, currentSplitDepth, batch) {
         if (!this.#openaiClient) throw new Error("OpenAI client not initialized.");
         if (!Array.isArray(textsForThisAPICall) || textsForThisAPICall.length === 0) {
             return new Map();
         }
 
         const resultsMap = new Map();
-        const jsonInput = {};
-        promptIndicesForThisAPICall.forEach((promptIndex, i) => {
-            jsonInput[promptIndex.toString()] = textsForThisAPICall[i];
-        });
-        const jsonInputString = JSON.stringify(jsonInput);
+        const markFailed = (reason) => {
+            textsForThisAPICall.forEach(text => batch.failureReasons.set(text, reason));
+            return resultsMap;
+        };
         const systemPrompt = this.#createSystemPrompt();
-        const userPrompt = `Translate the values in this JSON object according to the rules:\n${jsonInputString}`;
+        const userPrompt = this.#createUserPrompt(textsForThisAPICall, promptIndicesForThisAPICall, batch.glossaryPrompt, batch.contexts);
 
         // 分割再試行時は初回の遅延をスキップする場合もあるが、ここでは一律適用
         if (this.#requestDelayMs > 0) {
              await new Promise(resolve => setTimeout(resolve, this.#requestDelayMs));
         }
 
+        // 予算 (--max-budget) を超える場合は、送る前に "Budget Exceeded" を投げて止める
+        const estimate = { engine: 'openai', model: this.#modelName, ...UsageMeter.estimateOpenAIUsage([systemPrompt, userPrompt], textsForThisAPICall) };
+        const reserved = this.usageMeter ? this.usageMeter.reserve(estimate) : 0;
+        let completion;
         try {
-            // console.log(`[Translator DEBUG] Sending batch size ${textsForThisAPICall.length}, depth ${currentSplitDepth}, prompt indices: ${promptIndicesForThisAPICall.join(',')}`);
-            const completion = await this.#openaiClient.chat.completions.create({
-                 model: this.#modelName,
-                 messages: [{ role: "system", content: systemPrompt }, { role: "user", content: userPrompt }],
-                 temperature: 0.1,
-                 response_format: { type: "json_object" },
-                 // max_tokens: 8000 // 必要に応じて最大出力トークン数を設定
+            completion = await this.requestScheduler.run(() => this.#createCompletion(systemPrompt, userPrompt), {
+                classifyError: OpenAITranslator.#classifyError,
+                label: `OpenAI batch (size ${textsForThisAPICall.length}, depth ${currentSplitDepth})`,
             });
-            const responseContent = completion.choices[0]?.message?.content;
-            if (!responseContent) throw new Error("OpenAI response content is empty.");
+        } catch (error) {
+            this.usageMeter?.release(reserved);
+            // 致命的なエラー (認証、Quota超過) はそのまま投げ、それ以外はこのバッチのテキストを失敗として扱う
+            if (!(error instanceof RequestFailedError)) throw error;
+            log.error(`[Translator] Error during OpenAI API call (batch size ${textsForThisAPICall.length}, depth ${currentSplitDepth}): ${error.message}`);
+            return markFailed(error.message);
+        }
+        // APIが返した実際のトークン数を記録する (usage を返さない互換サーバーでは見積もりを使う)
+        this.usageMeter?.record({
+            engine: 'openai', model: this.#modelName,
+            promptTokens: completion.usage?.prompt_tokens ?? estimate.promptTokens,
+            completionTokens: completion.usage?.completion_tokens ?? estimate.completionTokens,
+        }, { texts: textsForThisAPICall.map(text => batch.sourceTexts.get(text) ?? text), namespaces: batch.namespaces, reserved });
+        const responseContent = completion.choices[0]?.message?.content;
+        if (!responseContent) {
+            log.error(`[Translator] OpenAI response content is empty (batch size ${textsForThisAPICall.length}, depth ${currentSplitDepth}).`);
+            return markFailed("OpenAI response content is empty.");
+        }
 
-            let translatedJson;
-            try {
-                 translatedJson = JSON.parse(responseContent);
-            } catch (parseError) {
-                if (textsForThisAPICall.length > 1 && currentSplitDepth < OpenAITranslator.#MAX_SPLIT_DEPTH &&
-                    (parseError.message.includes("Unterminated string") || parseError.message.includes("Unexpected end of JSON input") || parseError.message.toLowerCase().includes("unexpected token"))) {
+        let translatedJson;
+        try {
+             // JSONモードに対応していないサーバーは説明文やコードブロック付きで返すことがあるため、取り出して修復する
+             translatedJson = parseJsonLoose(responseContent);
+        } catch (parseError) {
+            if (textsForThisAPICall.length > 1 && currentSplitDepth < OpenAITranslator.#MAX_SPLIT_DEPTH &&
+                (parseError.message.includes("Unterminated string") || parseError.message.includes("Unexpected end of JSON input") || parseError.message.toLowerCase().includes("unexpected token") || parseError.message.includes("No JSON object"))) {
 
-                    console.warn(`[Translator] OpenAI response JSON parsing failed (likely truncated). Splitting batch (current size: ${textsForThisAPICall.length}, depth: ${currentSplitDepth + 1}).`);
-                    const midPoint = Math.ceil(textsForThisAPICall.length / 2);
+                log.warn(`[Translator] OpenAI response JSON parsing failed (likely truncated). Splitting batch (current size: ${textsForThisAPICall.length}, depth: ${currentSplitDepth + 1}).`);
+                const midPoint = Math.ceil(textsForThisAPICall.length / 2);
 
-                    const firstHalfTexts = textsForThisAPICall.slice(0, midPoint);
-                    const firstHalfPromptIndices = promptIndicesForThisAPICall.slice(0, midPoint);
+                const firstHalfTexts = textsForThisAPICall.slice(0, midPoint);
+                const firstHalfPromptIndices = promptIndicesForThisAPICall.slice(0, midPoint);
 
-                    const secondHalfTexts = textsForThisAPICall.slice(midPoint);
-                    const secondHalfPromptIndices = promptIndicesForThisAPICall.slice(midPoint);
-                    
-                    // 再帰呼び出し
-                    // console.log(`[Translator DEBUG] Recursing 1st half, size ${firstHalfTexts.length}, indices ${firstHalfPromptIndices.join(',')}`);
-                    const firstHalfResults = await this.translateBatchInternal(firstHalfTexts, firstHalfPromptIndices, currentSplitDepth + 1);
-                    
-                    if (this.#requestDelayMs > 0) await new Promise(resolve => setTimeout(resolve, this.#requestDelayMs)); // 分割後のAPIコール間にも遅延
-                    
-                    // console.log(`[Translator DEBUG] Recursing 2nd half, size ${secondHalfTexts.length}, indices ${secondHalfPromptIndices.join(',')}`);
-                    const secondHalfResults = await this.translateBatchInternal(secondHalfTexts, secondHalfPromptIndices, currentSplitDepth + 1);
+                const secondHalfTexts = textsForThisAPICall.slice(midPoint);
+                const secondHalfPromptIndices = promptIndicesForThisAPICall.slice(midPoint);
+                
+                // 再帰呼び出し
+                const firstHalfResults = await this.#requestBatch(firstHalfTexts, firstHalfPromptIndices, currentSplitDepth + 1, batch);
+                
+                if (this.#requestDelayMs > 0) await new Promise(resolve => setTimeout(resolve, this.#requestDelayMs)); // 分割後のAPIコール間にも遅延
+                
+                const secondHalfResults = await this.#requestBatch(secondHalfTexts, secondHalfPromptIndices, currentSplitDepth + 1, batch);
 
-                    return new Map([...firstHalfResults, ...secondHalfResults]);
-                } else {
-                    console.error(`[Translator] Failed to parse OpenAI JSON response (batch size ${textsForThisAPICall.length}, depth ${currentSplitDepth}, cannot split further or not a truncation error):`, responseContent);
-                    throw new Error(`Failed to parse OpenAI JSON response after ${currentSplitDepth} splits: ${parseError.message}`);
-                }
+                return new Map([...firstHalfResults, ...secondHalfResults]);
             }
-
-            promptIndicesForThisAPICall.forEach((promptIndex, i) => {
-                const key = promptIndex.toString();
-                const originalText = textsForThisAPICall[i];
-                if (translatedJson.hasOwnProperty(key) && typeof translatedJson[key] === 'string') {
-                    resultsMap.set(promptIndex, translatedJson[key]);
-                } else {
-                    const maxLogLength = 100;
-                    const truncatedOriginalText = originalText.length > maxLogLength ? originalText.substring(0, maxLogLength) + "..." : originalText;
-                    console.warn(`[Translator] Missing or invalid translation for prompt index ${promptIndex}. Using original text: "${truncatedOriginalText}"`);
-                    resultsMap.set(promptIndex, originalText);
-                }
-            });
-            return resultsMap;
-
-        } catch (error) {
-            console.error(`[Translator] Error during OpenAI API call (batch size ${textsForThisAPICall.length}, depth ${currentSplitDepth}): ${error.message}`);
-             if (error instanceof OpenAI.APIError) {
-                 if (error.status === 401) throw new Error("OpenAI Authorization Failed. Check API Key.");
-                 if (error.status === 429) throw new Error("OpenAI Rate Limit or Quota Exceeded.");
-             }
-             // 致命的でないAPIエラーや上記以外のエラーの場合、このバッチのテキストは元のテキストでフォールバック
-             console.warn("[Translator] API error occurred, returning original texts for this batch attempt.");
-             promptIndicesForThisAPICall.forEach((promptIndex, i) => {
-                 resultsMap.set(promptIndex, textsForThisAPICall[i]);
-             });
-             return resultsMap;
+            log.error(`[Translator] Failed to parse OpenAI JSON response (batch size ${textsForThisAPICall.length}, depth ${currentSplitDepth}, cannot split further or not a truncation error):`, responseContent);
+            return markFailed(`Failed to parse OpenAI JSON response after ${currentSplitDepth} splits: ${parseError.message}`);
         }
+
+        promptIndicesForThisAPICall.forEach((promptIndex, i) => {
+            const key = promptIndex.toString();
+            const originalText = textsForThisAPICall[i];
+            // 文脈付きで送ったテキストを {text: ...} の形で返してくるモデルもあるので、その text も受け付ける
+            const value = translatedJson.hasOwnProperty(key) ? translatedJson[key] : undefined;
+            const translatedText = typeof value === 'string' ? value : (typeof value?.text === 'string' ? value.text : undefined);
+            if (translatedText !== undefined) {
+                resultsMap.set(promptIndex, translatedText);
+            } else {
+                const maxLogLength = 100;
+                const truncatedOriginalText = originalText.length > maxLogLength ? originalText.substring(0, maxLogLength) + "..." : originalText;
+                log.warn(`[Translator] Missing or invalid translation for prompt index ${promptIndex}: "${truncatedOriginalText}"`);
+                batch.failureReasons.set(originalText, "Missing or invalid in the OpenAI response");
+            }
+        });
+        return resultsMap;
     }
 
     /**
-     * 公開メソッド: テキストの配列を受け取り、翻訳（または元のテキスト）を含む配列を返します。
-     * 内部で空文字列を除外し、translateBatchInternalを呼び出します。
-     * @param {string[]} texts - 翻訳する元のテキスト配列（空文字列を含む可能性あり）。
-     * @returns {Promise<string[]>} 翻訳結果（または元のテキスト）を含む完全な配列。
+     * textsに対応する文脈を、マスク済みテキストから引けるMapにします。
+     * @param {string[]} texts - 原文。
+     * @param {Array<import('./textContext').TextContext|null>|null} contexts - textsに対応する文脈。
+     * @returns {Map<string, import('./textContext').TextContext>}
+     * @private
      */
-     async translateTextsBatch(texts) {
-         if (!Array.isArray(texts) || texts.length === 0) return [];
-
-         const originalIndices = [];
-         const textsToTranslate = texts.filter((text, index) => {
-             if (typeof text === 'string' && text.trim() !== '') {
-                 originalIndices.push(index);
-                 return true;
-             }
-             return false;
-         });
-
-         const finalResults = [...texts]; // 元の配列のコピーで初期化
-
-         if (textsToTranslate.length > 0) {
-             // translateBatchInternal に渡すのは、textsToTranslate 内での 0 から始まるインデックス
-             const promptIndicesForApi = textsToTranslate.map((_, idx) => idx);
-             const translatedMapFromApi = await this.translateBatchInternal(textsToTranslate, promptIndicesForApi, 0);
-
-             // translateBatchInternal から返された Map (キーは promptIndex) を使って
-             // finalResults の正しい位置 (originalIndex) に結果をマッピングする
-             translatedMapFromApi.forEach((translatedText, promptIndexFromApi) => {
-                 // promptIndexFromApi (0..N-1) から、元の texts 配列でのインデックス (originalIndex) を取得
-                 const originalIndexInFullArray = originalIndices[promptIndexFromApi];
-                 finalResults[originalIndexInFullArray] = translatedText;
-             });
-         }
-         return finalResults;
-     }
+    static #contextsByMaskedText(texts, contexts) {
+        const map = new Map();
+        if (!contexts) return map;
+        texts.forEach((text, i) => { if (contexts[i]) map.set(FormatCodeMasker.mask(text).masked, contexts[i]); });
+        return map;
+    }
 
     /**
-     * PatchouliブックのJSONオブジェクトを受け取り、翻訳可能な文字列を翻訳して新しいオブジェクトを返します。
-     * @param {object} bookJsonData - パース済みのPatchouliブックのJSONオブジェクト。
-     * @returns {Promise<object>} 翻訳された文字列を含む新しいJSONオブジェクト。
-     * @throws {Error} 致命的なAPIエラーの場合。
+     * Chat Completions APIを1回呼び出します (RequestScheduler から再試行のたびに呼ばれる)。
+     * @param {string} systemPrompt
+     * @param {string} userPrompt
+     * @returns {Promise<object>} APIのレスポンス。
+     * @private
      */
-    async translatePatchouliBookObject(bookJsonData) {
-        if (typeof bookJsonData !== 'object' || bookJsonData === null) {
-            console.warn("[Translator] translatePatchouliBookObject: Input is not a valid object.");
-            return bookJsonData;
-        }
-
-        const translatableKeys = ['name', 'title', 'header', 'text', 'advancement_title', 'subtitle', 'description'];
-        const extractedItems = []; // { path: string[], originalText: string }
-
-        function extractStrings(obj, currentPath = []) {
-            if (typeof obj !== 'object' || obj === null) return;
-            for (const key in obj) {
-                if (obj.hasOwnProperty(key)) {
-                    const value = obj[key];
-                    const newPath = [...currentPath, key];
-                    if (translatableKeys.includes(key) && typeof value === 'string' && value.trim() !== '') {
-                        extractedItems.push({ path: newPath, originalText: value });
-                    } else if (Array.isArray(value)) {
-                        value.forEach((item, index) => {
-                            extractStrings(item, [...newPath, index.toString()]);
-                        });
-                    } else if (typeof value === 'object') {
-                        extractStrings(value, newPath);
-                    }
-                }
-            }
-        }
-        extractStrings(bookJsonData);
-
-        if (extractedItems.length === 0) {
-            return JSON.parse(JSON.stringify(bookJsonData));
-        }
-
-        const originalTextsArray = extractedItems.map(item => item.originalText);
-        console.log(`[Translator] translatePatchouliBookObject: Translating ${originalTextsArray.length} strings...`);
-        const translatedTextsArray = await this.translateTextsBatch(originalTextsArray); // ここで全体のバッチ処理を呼び出す
-
-        const translatedBookJson = JSON.parse(JSON.stringify(bookJsonData));
-        function setValueByPath(obj, pathArray, value) {
-            let current = obj;
-            for (let i = 0; i < pathArray.length - 1; i++) {
-                current = current[pathArray[i]];
-                if (typeof current !== 'object' || current === null) return;
+    async #createCompletion(systemPrompt, userPrompt) {
+        try {
+            return await this.#openaiClient.chat.completions.create({
+                 model: this.#modelName,
+                 messages: [{ role: "system", content: systemPrompt }, { role: "user", content: userPrompt }],
+                 temperature: this.#temperature,
+                 ...(this.#sendResponseFormat ? { response_format: { type: "json_object" } } : {}),
+                 ...(this.#maxTokens ? { max_tokens: this.#maxTokens } : {}),
+            });
+        } catch (error) {
+            // response_format に対応していないOpenAI互換サーバー。以降は送らずにやり直す
+            if (error instanceof OpenAI.APIError && (error.status === 400 || error.status === 422) && this.#jsonMode === 'auto' && this.#sendResponseFormat && /response_format|json_object|json mode/i.test(error.message)) {
+                log.warn("[Translator] Server does not support response_format: json_object. Retrying without JSON mode.");
+                this.#sendResponseFormat = false;
+                return this.#createCompletion(systemPrompt, userPrompt);
             }
-            current[pathArray[pathArray.length - 1]] = value;
+            throw error;
         }
-        extractedItems.forEach((item, index) => {
-            setValueByPath(translatedBookJson, item.path, translatedTextsArray[index]);
-        });
-        return translatedBookJson;
     }
 
-    // --- execJSON (ローカルファイル処理用) ---
-    async execJSON(jsonData) {
-        if (typeof jsonData !== 'object' || jsonData === null) {
-            return jsonData;
-        }
-        const keysToTranslate = [];
-        const textsToTranslate = [];
-        Object.keys(jsonData).forEach((key) => {
-            const value = jsonData[key];
-            if (typeof value === 'string' && value.trim() !== '') {
-                textsToTranslate.push(value);
-                keysToTranslate.push(key);
-            }
-        });
-        if (textsToTranslate.length === 0) {
-            return { ...jsonData };
+    /**
+     * APIのエラーを RequestScheduler 用に分類します。
+     * 429でも insufficient_quota (残高/Quotaの不足) は待っても直らないので致命的なエラーにし、それ以外の429はレート制限として待ってから再試行します。
+     * @param {Error} error
+     * @returns {{kind: string, message?: string, retryAfterMs?: number|null}}
+     * @private
+     */
+    static #classifyError(error) {
+        if (error instanceof OpenAI.APIConnectionError) return { kind: 'transient' }; // タイムアウトを含む
+        if (!(error instanceof OpenAI.APIError)) return { kind: 'failed' };
+        // retry-after-ms はOpenAI独自のヘッダー (あれば retry-after より優先する)
+        const retryAfterMsHeader = parseFloat(error.headers?.['retry-after-ms']);
+        const retryAfterMs = Number.isNaN(retryAfterMsHeader) ? parseRetryAfter(error.headers?.['retry-after']) : retryAfterMsHeader;
+        if (error.status === 401 || error.status === 403) return { kind: 'fatal', message: "OpenAI Authorization Failed. Check API Key." };
+        if (error.status === 429) {
+            if (error.code === 'insufficient_quota' || error.type === 'insufficient_quota') return { kind: 'fatal', message: "OpenAI Quota Exceeded (insufficient_quota)." };
+            return { kind: 'rateLimit', retryAfterMs };
         }
-        const translatedTexts = await this.translateTextsBatch(textsToTranslate);
-        const translatedData = { ...jsonData };
-        translatedTexts.forEach((translatedText, index) => {
-             const originalJsonKey = keysToTranslate[index];
-             if (originalJsonKey !== undefined) {
-                 translatedData[originalJsonKey] = translatedText;
-             }
-        });
-        return translatedData;
-    }
-
-    // --- execLOCAL (ローカルファイル処理用) ---
-    // .localファイル解析・再構築ヘルパー (プライベートメソッドにしても良い)
-    #parseLocal(localContent) {
-        const lines = localContent.split(/\r?\n/); const parsed = [];
-        lines.forEach((l, i) => { const t = l.trim(), n = i + 1; if (t === '') parsed.push({ type: 'e', o: l, l: n }); else if (t.startsWith('#')) parsed.push({ type: 'c', o: l, l: n }); else { const s = l.indexOf('='); if (s > 0) { const k = l.substring(0, s).trimEnd(), v = l.substring(s + 1); if (k.trim() !== '') parsed.push({ type: 'kv', k, v, o: l, l: n }); else parsed.push({ type: 'o', o: l, l: n }); } else parsed.push({ type: 'o', o: l, l: n }); } });
-        return parsed;
-    }
-    #reconstructLocal(parsedData) {
-        return parsedData.map(i => { if (i.type === 'kv') return `${i.k}=${i.tV !== undefined ? i.tV : i.v}`; return i.o; }).join('\n');
-    }
-
-    async execLOCAL(localContent) {
-        if (typeof localContent !== 'string') return localContent;
-        const parsedData = this.#parseLocal(localContent);
-        const textsToTranslate = []; const indicesToUpdate = [];
-        parsedData.forEach((item, index) => {
-            if (item.type === 'kv' && typeof item.value === 'string' && item.value.trim() !== '') { // 'value'プロパティを参照
-                textsToTranslate.push(item.value); // 'value'プロパティを参照
-                indicesToUpdate.push(index);
-            }
-        });
-        if (textsToTranslate.length === 0) return localContent;
-        const translatedTexts = await this.translateTextsBatch(textsToTranslate);
-        translatedTexts.forEach((translatedText, batchIndex) => {
-             const originalParsedIndex = indicesToUpdate[batchIndex];
-             if (originalParsedIndex !== undefined && parsedData[originalParsedIndex]) {
-                 parsedData[originalParsedIndex].translatedValue = translatedText; // 'translatedValue'プロパティに設定
-             }
-        });
-        return this.#reconstructLocal(parsedData);
+        if (error.status === 408 || error.status === 409 || error.status >= 500) return { kind: 'transient', retryAfterMs };
+        return { kind: 'failed' };
     }
 }
 
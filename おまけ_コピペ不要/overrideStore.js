@@ -0,0 +1,166 @@
+// overrideStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const { formatOfFileName, readEntries } = require('./fileFormats');
+const { flattenStrings } = require('./incrementalDiff');
+const { log } = require('./logger');
+
+const SOURCES_LOCK_FILENAME = '.sources.json'; // 上書きを書いた時点の原文の記録
+
+/**
+ * 手修正した訳 (上書き) を管理します。
+ * 上書きファイルは出力先と同じ相対パスに置きます (例: overrides/assets/create/lang/ja_jp.json)。
+ * 中身は上書きしたいキーだけを書いた言語ファイル、またはPatchouliのJSONと同じ構造の部分的なJSONです。
+ */
+class OverrideStore {
+    #directory;
+    #files = new Map(); // relativePath -> Promise<object|null>
+    #sourcesLock = null; // relativePath -> { key -> en_us source }
+    #stale = [];    // 上書きを書いた後に原文が変わったもの
+    #orphaned = []; // 原文からキーが消えたもの
+    #appliedCount = 0;
+
+    /**
+     * @param {string} directory - 上書きファイルを置くフォルダ。
+     */
+    constructor(directory) {
+        this.#directory = path.resolve(directory);
+    }
+
+    get directory() {
+        return this.#directory;
+    }
+
+    async #readFile(relativePath, parse) {
+        relativePath = OverrideStore.#normalize(relativePath);
+        if (!this.#files.has(relativePath)) {
+            const loading = fs.readFile(path.join(this.#directory, relativePath), 'utf8')
+                .then(parse)
+                .catch(error => {
+                    if (error.code !== 'ENOENT') log.warn(`[Overrides] Error reading ${relativePath}: ${error.message}`);
+                    return null;
+                });
+            this.#files.set(relativePath, loading);
+        }
+        return this.#files.get(relativePath);
+    }
+
+    // OSに関係なく同じキーで記録されるよう区切り文字を / に揃える
+    static #normalize(relativePath) {
+        return relativePath.replace(/\\/g, '/');
+    }
+
+    async #loadSourcesLock() {
+        if (this.#sourcesLock === null) {
+            try {
+                this.#sourcesLock = JSON.parse(await fs.readFile(path.join(this.#directory, SOURCES_LOCK_FILENAME), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') log.warn(`[Overrides] Error reading ${SOURCES_LOCK_FILENAME}: ${error.message}`);
+                this.#sourcesLock = {};
+            }
+        }
+        return this.#sourcesLock;
+    }
+
+    /**
+     * 上書きの原文を記録し、前回記録した原文から変わっていれば要確認として記録します。
+     */
+    async #checkSource(relativePath, key, currentSource) {
+        const lock = await this.#loadSourcesLock();
+        if (!lock[relativePath]) lock[relativePath] = {};
+        const recordedSource = lock[relativePath][key];
+        if (recordedSource === undefined) {
+            lock[relativePath][key] = currentSource;
+        } else if (recordedSource !== currentSource) {
+            this.#stale.push({ file: relativePath, key, recordedSource, currentSource });
+        }
+    }
+
+    /**
+     * 言語ファイル1つ分の上書きを取得します。原文にないキーの上書きは適用せずに報告します。
+     * @param {string} relativePath - 出力先ルートからの相対パス (例: assets/create/lang/ja_jp.json)。
+     * @param {Object<string, string>} sourceEntries - 今回の原文の key -> value。
+     * @returns {Promise<Map<string, string>>} 適用する上書き (key -> 訳)。
+     */
+    async getLangOverrides(relativePath, sourceEntries) {
+        relativePath = OverrideStore.#normalize(relativePath);
+        const overrides = await this.#readFile(relativePath, content => readEntries(formatOfFileName(relativePath), content));
+        const result = new Map();
+        if (!overrides) return result;
+        for (const [key, value] of Object.entries(overrides)) {
+            if (typeof value !== 'string') continue;
+            if (!Object.prototype.hasOwnProperty.call(sourceEntries, key)) {
+                this.#orphaned.push({ file: relativePath, key });
+                continue;
+            }
+            await this.#checkSource(relativePath, key, sourceEntries[key]);
+            result.set(key, value);
+        }
+        this.#appliedCount += result.size;
+        return result;
+    }
+
+    /**
+     * PatchouliのJSONファイル1つ分の上書きを取得します。
+     * @param {string} relativePath - 出力先ルートからの相対パス。
+     * @param {object} sourceJson - 今回の原文JSON。
+     * @returns {Promise<Map<string, string>>} 適用する上書き。キーはJSON.stringifyしたパス配列。
+     */
+    async getPatchouliOverrides(relativePath, sourceJson) {
+        relativePath = OverrideStore.#normalize(relativePath);
+        const overrides = await this.#readFile(relativePath, content => JSON.parse(content));
+        const result = new Map();
+        if (!overrides) return result;
+        const sourceStrings = flattenStrings(sourceJson);
+        for (const [pathKey, value] of flattenStrings(overrides)) {
+            const displayKey = JSON.parse(pathKey).join('.');
+            if (!sourceStrings.has(pathKey)) {
+                this.#orphaned.push({ file: relativePath, key: displayKey });
+                continue;
+            }
+            await this.#checkSource(relativePath, displayKey, sourceStrings.get(pathKey));
+            result.set(pathKey, value);
+        }
+        this.#appliedCount += result.size;
+        return result;
+    }
+
+    /**
+     * 原文の記録を保存します。
+     * @param {object} [options]
+     * @param {boolean} [options.acceptChangedSources=false] - trueなら要確認の上書きを確認済みとして現在の原文で記録し直す。
+     * @returns {Promise<void>}
+     */
+    async saveSourcesLock({ acceptChangedSources = false } = {}) {
+        const lock = await this.#loadSourcesLock();
+        if (Object.keys(lock).length === 0) return;
+        if (acceptChangedSources) {
+            this.#stale.forEach(({ file, key, currentSource }) => { lock[file][key] = currentSource; });
+        }
+        await fs.mkdir(this.#directory, { recursive: true });
+        await fs.writeFile(path.join(this.#directory, SOURCES_LOCK_FILENAME), JSON.stringify(lock, null, 2), 'utf8');
+    }
+
+    /**
+     * 要確認の上書きの一覧を返します (JSONとして保存する想定)。
+     * @returns {{applied: number, stale: object[], orphaned: object[]}}
+     */
+    getReport() {
+        return { generatedAt: new Date().toISOString(), applied: this.#appliedCount, stale: this.#stale, orphaned: this.#orphaned };
+    }
+
+    /**
+     * 人間向けのサマリーを返します。
+     * @returns {string}
+     */
+    formatSummary() {
+        const lines = [`  Applied: ${this.#appliedCount}, Source changed since override: ${this.#stale.length}, Key no longer in source: ${this.#orphaned.length}`];
+        this.#stale.forEach(({ file, key, recordedSource, currentSource }) => {
+            lines.push(`  [CHANGED] ${file} ${key}: "${recordedSource}" -> "${currentSource}"`);
+        });
+        this.#orphaned.forEach(({ file, key }) => lines.push(`  [ORPHANED] ${file} ${key}`));
+        return lines.join('\n');
+    }
+}
+
+module.exports = OverrideStore;
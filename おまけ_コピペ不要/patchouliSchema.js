@@ -0,0 +1,126 @@
+// patchouliSchema.js
+// Patchouli のブックの構成 (カテゴリー / エントリー / ページの種類) に沿って、翻訳する文字列のフィールドを決めます。
+// book.json は言語フォルダの外にあって翻訳の対象にならないので、ここでは扱いません。
+// Modが独自に追加したページの種類 (テンプレート) は、設定ファイルの patchouliPageTypes で追加できます。
+
+// リソースロケーション (minecraft:stone) や言語ファイルのキー (book.mymod.entry.name) のような値は翻訳しない
+const IDENTIFIER_REGEX = /^(?:[a-z0-9_.\-]+:[a-z0-9_.\-/]+|[a-z0-9_\-]+(?:\.[a-z0-9_\-]+)+)$/;
+
+// ファイルの種類ごとのフィールド
+const FILE_FIELDS = {
+    category: ['name', 'description'],
+    entry: ['name'],
+    template: [], // テンプレートの文章は使う側のページから渡される
+};
+
+// ページの種類ごとのフィールド (Patchouli標準のページ。"patchouli:" は省略)
+const PAGE_FIELDS = {
+    text: ['title', 'text'],
+    image: ['title', 'text'],
+    crafting: ['title', 'text'],
+    smelting: ['title', 'text'],
+    smoking: ['title', 'text'],
+    blasting: ['title', 'text'],
+    campfire_cooking: ['title', 'text'],
+    stonecutting: ['title', 'text'],
+    smithing: ['title', 'text'],
+    multiblock: ['name', 'text'],
+    entity: ['name', 'text'],
+    spotlight: ['title', 'text'],
+    link: ['title', 'text', 'link_text'],
+    relations: ['title', 'text'],
+    quest: ['title', 'text'],
+    empty: [],
+};
+// 登録されていない種類 (Mod独自のテンプレートなど) は、ほとんどのページにある title と text だけを翻訳する
+const DEFAULT_PAGE_FIELDS = ['title', 'text'];
+
+function normalizePageType(type) {
+    return typeof type === 'string' ? type.toLowerCase().replace(/^patchouli:/, '') : '';
+}
+
+class PatchouliSchema {
+    #pageFields;
+    #unknownPageTypes = new Set();
+
+    /**
+     * @param {Object<string, string[]>} [customPageTypes={}] - 追加/上書きするページの種類 -> 翻訳するフィールド。
+     *   例: { "mymod:comparison": ["title", "text", "before", "after"] }
+     * @throws {Error} フィールドの指定が文字列の配列でない場合。
+     */
+    constructor(customPageTypes = {}) {
+        this.#pageFields = new Map(Object.entries(PAGE_FIELDS));
+        Object.entries(customPageTypes || {}).forEach(([type, fields]) => {
+            if (!Array.isArray(fields) || !fields.every(field => typeof field === 'string')) {
+                throw new Error(`Patchouli page type "${type}" must map to an array of field names`);
+            }
+            this.#pageFields.set(normalizePageType(type), fields);
+        });
+    }
+
+    /**
+     * ブックの言語フォルダ内のパスからファイルの種類を返します。
+     * @param {string} pathUnderLang - 例: entries/basics/intro.json、categories/basics.json
+     * @returns {'category'|'entry'|'template'}
+     */
+    static fileKind(pathUnderLang) {
+        const topFolder = pathUnderLang.replace(/\\/g, '/').split('/')[0];
+        if (topFolder === 'categories') return 'category';
+        if (topFolder === 'templates') return 'template';
+        return 'entry';
+    }
+
+    /**
+     * リソースロケーションや言語ファイルのキーのような値かを返します。
+     * @param {string} text
+     * @returns {boolean}
+     */
+    static isIdentifier(text) {
+        return IDENTIFIER_REGEX.test(text.trim());
+    }
+
+    /**
+     * 翻訳する文字列を取り出します。
+     * @param {object} json - ブックのJSON。
+     * @param {'category'|'entry'|'template'} fileKind - ファイルの種類 (`PatchouliSchema.fileKind` で判定)。
+     * @param {object} [options]
+     * @param {boolean} [options.skipIdentifiers=true] - リソースロケーションや言語ファイルのキーのような値を除くか。
+     * @returns {Array<{path: string[], text: string}>} pathはルートからのキーの配列 (配列の添字も文字列)。
+     */
+    extract(json, fileKind, { skipIdentifiers = true } = {}) {
+        const items = [];
+        if (!json || typeof json !== 'object') return items;
+        const addFields = (node, fields, basePath) => {
+            fields.forEach(field => {
+                const value = node[field];
+                const candidates = typeof value === 'string' ? [[[...basePath, field], value]]
+                    : Array.isArray(value) ? value.map((line, index) => [[...basePath, field, String(index)], line]) : [];
+                candidates.forEach(([path, text]) => {
+                    if (typeof text !== 'string' || text.trim() === '') return;
+                    if (skipIdentifiers && PatchouliSchema.isIdentifier(text)) return;
+                    items.push({ path, text });
+                });
+            });
+        };
+        addFields(json, FILE_FIELDS[fileKind] || [], []);
+        if (fileKind === 'entry' && Array.isArray(json.pages)) {
+            json.pages.forEach((page, index) => {
+                if (!page || typeof page !== 'object') return;
+                const type = normalizePageType(page.type);
+                if (!this.#pageFields.has(type)) this.#unknownPageTypes.add(type);
+                addFields(page, this.#pageFields.get(type) || DEFAULT_PAGE_FIELDS, ['pages', String(index)]);
+            });
+        }
+        return items;
+    }
+
+    /**
+     * これまでに見つかった、登録されていないページの種類 (title と text だけを翻訳したもの) を返します。
+     * @returns {string[]}
+     */
+    getUnknownPageTypes() {
+        return [...this.#unknownPageTypes].sort();
+    }
+}
+
+module.exports = PatchouliSchema;
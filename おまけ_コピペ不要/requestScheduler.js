@@ -0,0 +1,200 @@
+// requestScheduler.js
+// 翻訳APIへのリクエストを実行する共通のスケジューラー。
+// 一時的なエラー (429のレート制限、5xx、接続エラー) は指数バックオフ + ジッターで再試行し (Retry-After があればそれ以上待つ)、
+// レート制限を受けたら同時実行数を半分に下げ、成功が続いたら1つずつ戻します。
+// Quota超過や認証エラーのように再試行しても直らないエラーはすぐに投げます。
+const { log } = require('./logger');
+
+// 同時実行数を1つ戻すまでに必要な連続成功数
+const SUCCESSES_PER_INCREASE = 10;
+
+/**
+ * 再試行しても翻訳できなかったリクエストのエラー。呼び出し側はこのリクエストのテキストを「失敗」として記録します。
+ */
+class RequestFailedError extends Error {
+    /**
+     * @param {string} message
+     * @param {Error} cause - 最後に発生した元のエラー。
+     * @param {number} attempts - 試行した回数。
+     */
+    constructor(message, cause, attempts) {
+        super(message, { cause });
+        this.name = 'RequestFailedError';
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * 待っても再試行しても直らないエラー (Quota超過、認証エラー、--max-budget の予算超過)。呼び出し側は実行全体を止めます。
+ */
+class FatalApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [options]
+     * @param {Error} [options.cause] - 元のエラー。
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'FatalApiError';
+    }
+}
+
+/**
+ * 実行全体を止めるべきエラーかを返します。
+ * @param {unknown} error - catchしたエラー。
+ * @returns {boolean}
+ */
+function isFatalApiError(error) {
+    return error instanceof FatalApiError;
+}
+
+/**
+ * Retry-After ヘッダーの値 (秒数またはHTTP日付) をミリ秒にします。
+ * @param {string|null|undefined} value - ヘッダーの値。
+ * @returns {number|null} 待つ時間 (ミリ秒)。読めなければnull。
+ */
+function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RequestScheduler {
+    #maxConcurrency;
+    #concurrency;
+    #active = 0;
+    #waiting = []; // 空きを待っている resolve 関数
+    #maxRetries;
+    #baseDelayMs;
+    #maxDelayMs;
+    #random;
+    #logPrefix;
+    #successStreak = 0;
+    #stats = { requests: 0, retries: 0, rateLimited: 0, failed: 0 };
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxConcurrency=5] - 同時に実行するリクエストの上限 (--api-concurrency)。レート制限中はこれより下がる。
+     * @param {number} [options.maxRetries=5] - 1リクエストの再試行の上限。
+     * @param {number} [options.baseDelayMs=1000] - 1回目の再試行までの待ち時間の基準 (2回目以降は倍々)。
+     * @param {number} [options.maxDelayMs=60000] - 待ち時間の上限 (Retry-After はこれを超えても従う)。
+     * @param {function(): number} [options.random=Math.random] - ジッター用の乱数 (0以上1未満)。
+     * @param {string} [options.logPrefix='[Scheduler]'] - ログの接頭辞。
+     */
+    constructor({ maxConcurrency = 5, maxRetries = 5, baseDelayMs = 1000, maxDelayMs = 60000, random = Math.random, logPrefix = '[Scheduler]' } = {}) {
+        this.#maxConcurrency = Math.max(1, Math.floor(maxConcurrency));
+        this.#concurrency = this.#maxConcurrency;
+        this.#maxRetries = maxRetries;
+        this.#baseDelayMs = baseDelayMs;
+        this.#maxDelayMs = maxDelayMs;
+        this.#random = random;
+        this.#logPrefix = logPrefix;
+    }
+
+    /** 現在の同時実行数の上限。 */
+    get concurrency() {
+        return this.#concurrency;
+    }
+
+    /**
+     * リクエストを実行します。失敗した場合は classifyError の結果に従って再試行します。
+     * @template T
+     * @param {function(): Promise<T>} request - APIを1回呼ぶ関数 (再試行のたびに呼ばれる)。
+     * @param {object} options
+     * @param {function(Error): {kind: 'fatal'|'rateLimit'|'transient'|'failed', message?: string, retryAfterMs?: number|null}} options.classifyError
+     *   エラーの分類。fatal: すぐに FatalApiError として投げる (messageがあればそれをメッセージにする)、rateLimit: 同時実行数を下げて再試行、
+     *   transient: そのまま再試行、failed: 再試行しない。retryAfterMsはサーバーが指定した待ち時間。
+     * @param {string} [options.label='request'] - ログに出すリクエストの説明。
+     * @returns {Promise<T>} requestの結果。
+     * @throws {FatalApiError} fatalに分類されたエラー。
+     * @throws {RequestFailedError} failedに分類された、または再試行の上限に達した場合。
+     */
+    async run(request, { classifyError, label = 'request' }) {
+        for (let attempt = 1; ; attempt++) {
+            await this.#acquire();
+            this.#stats.requests++;
+            let error = null;
+            let result;
+            try {
+                result = await request();
+            } catch (e) {
+                error = e;
+            } finally {
+                this.#release();
+            }
+            if (!error) {
+                this.#onSuccess();
+                return result;
+            }
+
+            const { kind, message, retryAfterMs = null } = classifyError(error);
+            if (kind === 'fatal') throw new FatalApiError(message || error.message, { cause: error });
+            if (kind === 'failed' || attempt > this.#maxRetries) {
+                this.#stats.failed++;
+                throw new RequestFailedError(`${label} failed after ${attempt} attempt(s): ${error.message}`, error, attempt);
+            }
+            if (kind === 'rateLimit') this.#onRateLimit();
+            const delayMs = this.#retryDelay(attempt, retryAfterMs);
+            this.#stats.retries++;
+            log.warn(`${this.#logPrefix} ${label}: ${error.message} -> retry ${attempt}/${this.#maxRetries} in ${(delayMs / 1000).toFixed(1)}s (concurrency ${this.#concurrency}/${this.#maxConcurrency})`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+
+    /**
+     * 実行の統計を返します。
+     * @returns {{requests: number, retries: number, rateLimited: number, failed: number, concurrency: number}}
+     */
+    getStats() {
+        return { ...this.#stats, concurrency: this.#concurrency };
+    }
+
+    // 指数バックオフ (base * 2^(attempt-1)、上限あり) の50〜100%をランダムに待つ。Retry-After があればそれより短くはしない
+    #retryDelay(attempt, retryAfterMs) {
+        const exponential = Math.min(this.#maxDelayMs, this.#baseDelayMs * 2 ** (attempt - 1));
+        const jittered = exponential * (0.5 + this.#random() / 2);
+        return Math.round(retryAfterMs !== null ? Math.max(retryAfterMs, jittered) : jittered);
+    }
+
+    #acquire() {
+        if (this.#active < this.#concurrency) {
+            this.#active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.#waiting.push(resolve));
+    }
+
+    #release() {
+        this.#active--;
+        this.#dispatch();
+    }
+
+    #dispatch() {
+        while (this.#active < this.#concurrency && this.#waiting.length > 0) {
+            this.#active++;
+            this.#waiting.shift()();
+        }
+    }
+
+    #onSuccess() {
+        if (this.#concurrency >= this.#maxConcurrency) return;
+        if (++this.#successStreak < SUCCESSES_PER_INCREASE) return;
+        this.#successStreak = 0;
+        this.#concurrency++;
+        log.info(`${this.#logPrefix} Requests are succeeding again; concurrency raised to ${this.#concurrency}/${this.#maxConcurrency}.`);
+        this.#dispatch();
+    }
+
+    #onRateLimit() {
+        this.#stats.rateLimited++;
+        this.#successStreak = 0;
+        const lowered = Math.max(1, Math.floor(this.#concurrency / 2));
+        if (lowered === this.#concurrency) return;
+        this.#concurrency = lowered;
+        log.warn(`${this.#logPrefix} Rate limited; concurrency lowered to ${this.#concurrency}/${this.#maxConcurrency}.`);
+    }
+}
+
+module.exports = { RequestScheduler, RequestFailedError, FatalApiError, isFatalApiError, parseRetryAfter };
@@ -0,0 +1,194 @@
+// resourcePack.js
+// リソースパックの仕上げ (pack.mcmeta、バージョン別のオーバーレイ、pack.png、クレジット、zip化)
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+// Minecraftのバージョン範囲 -> リソースパックの pack_format
+const PACK_FORMATS = [
+    { from: '1.6.1', to: '1.8.9', format: 1 },
+    { from: '1.9', to: '1.10.2', format: 2 },
+    { from: '1.11', to: '1.12.2', format: 3 },
+    { from: '1.13', to: '1.14.4', format: 4 },
+    { from: '1.15', to: '1.16.1', format: 5 },
+    { from: '1.16.2', to: '1.16.5', format: 6 },
+    { from: '1.17', to: '1.17.1', format: 7 },
+    { from: '1.18', to: '1.18.2', format: 8 },
+    { from: '1.19', to: '1.19.2', format: 9 },
+    { from: '1.19.3', to: '1.19.3', format: 12 },
+    { from: '1.19.4', to: '1.19.4', format: 13 },
+    { from: '1.20', to: '1.20.1', format: 15 },
+    { from: '1.20.2', to: '1.20.2', format: 18 },
+    { from: '1.20.3', to: '1.20.4', format: 22 },
+    { from: '1.20.5', to: '1.20.6', format: 32 },
+    { from: '1.21', to: '1.21.1', format: 34 },
+    { from: '1.21.2', to: '1.21.3', format: 42 },
+    { from: '1.21.4', to: '1.21.4', format: 46 },
+    { from: '1.21.5', to: '1.21.5', format: 55 },
+    { from: '1.21.6', to: '1.21.6', format: 63 },
+    { from: '1.21.7', to: '1.21.8', format: 64 },
+    { from: '1.21.9', to: '1.21.10', format: 69 },
+];
+const SUPPORTED_FORMATS_SINCE = 18; // supported_formats を読むのは 1.20.2 (18) 以降
+const MIN_MAX_FORMAT_SINCE = 65;    // min_format / max_format が必須になったのは pack_format 65 (1.21.9のスナップショット) 以降。リリース版では 1.21.9 (69) から
+const CREDITS_FILENAME = 'credits.txt';
+
+function compareVersions(a, b) {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Minecraftのバージョンに対応するリソースパックの pack_format を返します。
+ * @param {string} version - Minecraftのバージョン (例: 1.20.1)。
+ * @returns {number}
+ * @throws {Error} 表にないバージョンの場合。
+ */
+function getPackFormat(version) {
+    if (!/^\d+(?:\.\d+)+$/.test(version)) throw new Error(`Invalid Minecraft version "${version}"`);
+    const entry = PACK_FORMATS.find(({ from, to }) => compareVersions(version, from) >= 0 && compareVersions(version, to) <= 0);
+    if (!entry) throw new Error(`Unknown pack_format for Minecraft ${version} (known: ${PACK_FORMATS[0].from} - ${PACK_FORMATS[PACK_FORMATS.length - 1].to})`);
+    return entry.format;
+}
+
+/**
+ * "1.20.1-1.21.1" のようなバージョン範囲を pack_format の範囲にします。単独のバージョンも可。
+ * @param {string} range - バージョン範囲。
+ * @returns {[number, number]} [最小, 最大] の pack_format。
+ * @throws {Error} 範囲が不正、または表にないバージョンの場合。
+ */
+function versionRangeToFormats(range) {
+    const [from, to = from] = range.split('-').map(version => version.trim());
+    const formats = [getPackFormat(from), getPackFormat(to)];
+    if (formats[0] > formats[1]) throw new Error(`Invalid version range "${range}" (${from} is newer than ${to})`);
+    return formats;
+}
+
+// 新しい形式 (1.21.9以降) を読むバージョンも含む範囲なら min_format / max_format も書く
+function formatRangeFields([min, max]) {
+    return max >= MIN_MAX_FORMAT_SINCE ? { min_format: min, max_format: max } : {};
+}
+
+/**
+ * pack.mcmeta の内容を作ります。
+ * pack_format は minecraftVersion のもの、supportedVersions を指定した場合は supported_formats (と min_format / max_format) も書きます。
+ * supportedVersions がなくても、min_format / max_format が必須のバージョン (1.21.9以降) では pack_format だけの範囲で書きます。
+ * @param {object} params
+ * @param {string} params.description - パックの説明。
+ * @param {string} params.minecraftVersion - 主に対象とするMinecraftのバージョン。
+ * @param {string} [params.supportedVersions] - 対応するバージョン範囲 (例: 1.20.1-1.21.1)。
+ * @param {Array<{directory: string, formats: [number, number]}>} [params.overlays=[]] - `loadOverlays` の結果。
+ * @returns {object}
+ * @throws {Error} 表にないバージョンの場合。
+ */
+function createPackMeta({ description, minecraftVersion, supportedVersions, overlays = [] }) {
+    const packFormat = getPackFormat(minecraftVersion);
+    const pack = { pack_format: packFormat, description };
+    if (supportedVersions) {
+        const formats = versionRangeToFormats(supportedVersions);
+        if (packFormat < formats[0] || packFormat > formats[1]) {
+            throw new Error(`Minecraft ${minecraftVersion} is outside the supported versions ${supportedVersions}`);
+        }
+        if (formats[1] >= SUPPORTED_FORMATS_SINCE) pack.supported_formats = formats;
+        Object.assign(pack, formatRangeFields(formats));
+    } else {
+        Object.assign(pack, formatRangeFields([packFormat, packFormat]));
+    }
+    const packMeta = { pack };
+    if (overlays.length > 0) {
+        packMeta.overlays = { entries: overlays.map(({ directory, formats }) => ({ formats, ...formatRangeFields(formats), directory })) };
+    }
+    return packMeta;
+}
+
+/**
+ * オーバーレイのフォルダを読み込みます。サブフォルダ名をバージョン範囲として扱います (例: overlays/1.21-1.21.4/assets/...)。
+ * @param {string} overlaysDir - オーバーレイを置いたフォルダ。なければ空配列。
+ * @returns {Promise<Array<{sourceDir: string, directory: string, versions: string, formats: [number, number]}>>}
+ *   directory はパック内のフォルダ名 (例: overlay_1_21-1_21_4)。
+ * @throws {Error} サブフォルダ名がバージョン範囲として読めない場合。
+ */
+async function loadOverlays(overlaysDir) {
+    let entries;
+    try {
+        entries = await fs.readdir(overlaysDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return entries.filter(entry => entry.isDirectory()).map(entry => ({
+        sourceDir: path.join(overlaysDir, entry.name),
+        directory: `overlay_${entry.name.replace(/\./g, '_')}`,
+        versions: entry.name,
+        formats: versionRangeToFormats(entry.name),
+    }));
+}
+
+/**
+ * 翻訳したModの一覧などを書いたクレジットの文章を作ります。
+ * @param {object} params
+ * @param {string} params.title - パックの説明 (1行目)。
+ * @param {string[]} params.targetLangCodes - 翻訳先の言語コード。
+ * @param {{engine: string, model: string, promptVersion: string}} params.scope - 翻訳に使ったエンジン。
+ * @param {string} params.minecraftVersion - 主に対象とするMinecraftのバージョン。
+ * @param {string} [params.supportedVersions] - 対応するバージョン範囲。
+ * @param {Map<string, Set<string>>} params.modsByNamespace - ネームスペース -> 含まれていたJAR名。
+ * @returns {string}
+ */
+function formatCredits({ title, targetLangCodes, scope, minecraftVersion, supportedVersions, modsByNamespace }) {
+    const lines = [
+        title,
+        '',
+        `Languages: ${targetLangCodes.join(', ')}`,
+        `Translated with: ${scope.engine} / ${scope.model} (prompt v${scope.promptVersion})`,
+        `Minecraft: ${minecraftVersion}${supportedVersions ? ` (supports ${supportedVersions})` : ''}`,
+        `Generated: ${new Date().toISOString()}`,
+        '',
+        `Translated mods (${modsByNamespace.size}):`,
+        ...[...modsByNamespace.keys()].sort().map(namespace => `  ${namespace} (${[...modsByNamespace.get(namespace)].sort().join(', ')})`),
+        '',
+        'All original texts belong to their respective mod authors. These translations are machine-generated',
+        'and may contain mistakes; manual fixes are welcome.',
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 翻訳結果のフォルダを配布できるリソースパックに仕上げます (pack.mcmeta、オーバーレイ、pack.png、クレジット)。
+ * @param {string} packDir - リソースパックのフォルダ。
+ * @param {object} params
+ * @param {object} params.packMeta - `createPackMeta` の結果。
+ * @param {Array<{sourceDir: string, directory: string}>} [params.overlays=[]] - `loadOverlays` の結果。
+ * @param {string|null} [params.packIcon=null] - pack.png にコピーする画像。
+ * @param {string|null} [params.credits=null] - credits.txt に書く文章。
+ * @returns {Promise<void>}
+ */
+async function finalizeResourcePack(packDir, { packMeta, overlays = [], packIcon = null, credits = null }) {
+    await fs.mkdir(packDir, { recursive: true });
+    await fs.writeFile(path.join(packDir, 'pack.mcmeta'), JSON.stringify(packMeta, null, 2), 'utf8');
+    for (const overlay of overlays) {
+        await fs.cp(overlay.sourceDir, path.join(packDir, overlay.directory), { recursive: true });
+    }
+    if (packIcon) await fs.copyFile(packIcon, path.join(packDir, 'pack.png'));
+    if (credits !== null) await fs.writeFile(path.join(packDir, CREDITS_FILENAME), credits, 'utf8');
+}
+
+/**
+ * リソースパックのフォルダをzipにします。zipの直下に pack.mcmeta が来るので、そのまま resourcepacks フォルダに置けます。
+ * @param {string} packDir - リソースパックのフォルダ。
+ * @param {string} zipPath - 書き出すzipのパス。
+ * @returns {Promise<void>}
+ */
+async function zipResourcePack(packDir, zipPath) {
+    const zip = new AdmZip();
+    zip.addLocalFolder(packDir);
+    await fs.mkdir(path.dirname(zipPath), { recursive: true });
+    await fs.writeFile(zipPath, zip.toBuffer());
+}
+
+module.exports = { getPackFormat, versionRangeToFormats, createPackMeta, loadOverlays, formatCredits, finalizeResourcePack, zipResourcePack };
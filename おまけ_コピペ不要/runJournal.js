@@ -0,0 +1,150 @@
+// runJournal.js
+const fs = require('fs').promises;
+const TranslationMemory = require('./translationMemory');
+const { log } = require('./logger');
+
+const JOURNAL_VERSION = 1;
+
+class RunJournal {
+    #path;
+    #enabled;
+    #entries = new Map(); // TranslationMemory.createKey -> 訳
+    #appending = Promise.resolve(); // 追記を1つずつ順番に行う
+    #restored = 0;
+
+    /**
+     * 1回の実行で翻訳し終わったバッチを、その場で1行ずつ追記していくジャーナルを作成します。
+     * Quota超過やプロセスの強制終了で実行が止まっても、次の実行を `--resume` で始めればジャーナルにある訳を使い、
+     * 翻訳し終わったテキストはAPIに送りません。実行が最後まで終わったらジャーナルは削除します。
+     * @param {string} journalPath - ジャーナルのファイル (JSON Lines)。
+     * @param {object} [options]
+     * @param {boolean} [options.enabled=true] - falseの場合、参照も記録も行わない (ドライラン用)。
+     */
+    constructor(journalPath, { enabled = true } = {}) {
+        this.#path = journalPath;
+        this.#enabled = enabled;
+    }
+
+    get path() {
+        return this.#path;
+    }
+
+    get enabled() {
+        return this.#enabled;
+    }
+
+    /** ジャーナルにある訳の数。 */
+    get size() {
+        return this.#entries.size;
+    }
+
+    /** `get` でジャーナルから戻した訳の数。 */
+    get restored() {
+        return this.#restored;
+    }
+
+    /**
+     * ジャーナルを開始します。resumeがtrueなら前回のジャーナルを読み込んで続きから追記し、falseなら新しく作り直します。
+     * @param {object} [options]
+     * @param {boolean} [options.resume=false] - 前回のジャーナルを使うか。
+     * @param {object} [options.run={}] - 実行の条件 (入力/出力フォルダ、言語など)。前回と違う場合は警告を出す。
+     * @returns {Promise<boolean>} 前回のジャーナルを読み込んだか (resumeでもファイルがなければfalse)。
+     * @throws {Error} ジャーナルの読み書きに失敗した場合。
+     */
+    async start({ resume = false, run = {} } = {}) {
+        if (!this.#enabled) return false;
+        if (resume) {
+            let content = null;
+            try {
+                content = await fs.readFile(this.#path, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw new Error(`Failed to read run journal ${this.#path}: ${error.message}`);
+            }
+            const lines = content === null ? [] : this.#load(content, run);
+            if (lines.length > 0) {
+                // 書き込み中に止まった行を残したまま追記すると、次の行がその断片に繋がって読めなくなるので、読めた行だけで書き直す
+                const intact = `${lines.join('\n')}\n`;
+                if (intact !== content) await fs.writeFile(this.#path, intact, 'utf8');
+                return true;
+            }
+            if (content !== null) log.warn(`[Journal] The run journal ${this.#path} has no readable header; starting a new run.`);
+            else log.warn(`[Journal] No run journal found at ${this.#path}; starting a new run.`);
+        } else if (await fs.access(this.#path).then(() => true, () => false)) {
+            log.warn(`[Journal] Discarding the journal of an interrupted run (${this.#path}); use --resume to continue it instead.`);
+        }
+        await fs.writeFile(this.#path, `${JSON.stringify({ version: JOURNAL_VERSION, startedAt: new Date().toISOString(), run })}\n`, 'utf8');
+        return false;
+    }
+
+    // ジャーナルを読み込み、読めた行 (書き込み中に止まった最後の行を除いたもの) を返す
+    #load(content, run) {
+        const lines = content.split('\n').filter(line => line.trim() !== '');
+        const intactLines = [];
+        lines.forEach((line, index) => {
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                // 書き込み中に止まった最後の行は捨てる (そのバッチは翻訳し直しになる)
+                if (index === lines.length - 1) {
+                    log.warn(`[Journal] Dropping the incomplete last line of ${this.#path} (written when the run was interrupted).`);
+                    return;
+                }
+                throw new Error(`Run journal ${this.#path} is corrupted at line ${index + 1}`);
+            }
+            intactLines.push(line);
+            if (index === 0) {
+                if (record.version !== JOURNAL_VERSION) throw new Error(`Unsupported run journal version in ${this.#path}: ${record.version}`);
+                if (JSON.stringify(record.run) !== JSON.stringify(run)) {
+                    log.warn(`[Journal] The journal was written by a run with different settings (${JSON.stringify(record.run)}); its translations are still used for matching texts.`);
+                }
+                return;
+            }
+            const [targetLang, engine, model, promptVersion] = record.scope;
+            record.pairs.forEach(([sourceText, translatedText]) => {
+                this.#entries.set(TranslationMemory.createKey(sourceText, { targetLang, engine, model, promptVersion }), translatedText);
+            });
+        });
+        return intactLines;
+    }
+
+    /**
+     * ジャーナルにある訳を返します。
+     * @param {string} sourceText - 原文。
+     * @param {object} scope - TranslationMemory と同じスコープ。
+     * @returns {string|undefined} 訳。ジャーナルになければundefined。
+     */
+    get(sourceText, scope) {
+        if (!this.#enabled) return undefined;
+        const translated = this.#entries.get(TranslationMemory.createKey(sourceText, scope));
+        if (translated !== undefined) this.#restored++;
+        return translated;
+    }
+
+    /**
+     * 翻訳し終わった1バッチ分の訳をジャーナルに追記します。書き込みが終わるまで待つので、resolveした時点でディスクに残っています。
+     * @param {Array<[string, string]>} pairs - [原文, 訳] の配列 (原文のまま返ってきたものも含める)。
+     * @param {object} scope - TranslationMemory と同じスコープ。
+     * @returns {Promise<void>}
+     */
+    async record(pairs, scope) {
+        if (!this.#enabled || pairs.length === 0) return;
+        pairs.forEach(([sourceText, translatedText]) => this.#entries.set(TranslationMemory.createKey(sourceText, scope), translatedText));
+        const line = `${JSON.stringify({ scope: [scope.targetLang, scope.engine, scope.model, scope.promptVersion], pairs })}\n`;
+        const appending = this.#appending.then(() => fs.appendFile(this.#path, line, 'utf8'));
+        this.#appending = appending.catch(() => {});
+        await appending;
+    }
+
+    /**
+     * 実行が最後まで終わったときに呼び、ジャーナルを削除します。
+     * @returns {Promise<void>}
+     */
+    async complete() {
+        if (!this.#enabled) return;
+        await this.#appending;
+        await fs.rm(this.#path, { force: true });
+    }
+}
+
+module.exports = RunJournal;
@@ -0,0 +1,176 @@
+// runReport.js
+const { formatDuration } = require('./logger');
+
+// 問題のあったModをサマリーに出す最大数 (全てはレポートのファイルにある)
+const SUMMARY_MOD_LIMIT = 15;
+// Modごとに残すエラーの最大数
+const MAX_ERRORS_PER_MOD = 50;
+
+// キーの数え方。translated: APIで翻訳した、cacheHits: 翻訳メモリにあった、restored: 中断した実行のジャーナルにあった、
+// official: Modが同梱している訳を使った、overridden: 手修正の訳を使った、kept: 差分モードで既存の訳を残した、
+// fallbacks: 翻訳できず原文 (英語) のまま/キーごと除いた (ゲームでは英語で表示される)
+const KEY_COUNTS = ['translated', 'cacheHits', 'restored', 'official', 'overridden', 'kept', 'fallbacks'];
+
+function emptyEntry() {
+    return { namespaces: new Set(), files: {}, nestedJars: {}, keys: Object.fromEntries(KEY_COUNTS.map(name => [name, 0])), errors: [], errorCount: 0, timeMs: { scan: 0, translate: 0 } };
+}
+
+class RunReport {
+    #pipeline;
+    #startedAt = new Date();
+    #finishedAt = null;
+    #status = 'running';
+    #fatalError = null;
+    #mods = new Map(); // Mod (JAR名、pack-filesではファイルのパス) -> entry
+
+    /**
+     * 1回の実行の結果を、Mod (JAR) ごとにまとめたレポートを作成します。
+     * @param {'mods'|'pack-files'} pipeline - パイプライン名。
+     */
+    constructor(pipeline) {
+        this.#pipeline = pipeline;
+    }
+
+    #entry(mod) {
+        if (!this.#mods.has(mod)) this.#mods.set(mod, emptyEntry());
+        return this.#mods.get(mod);
+    }
+
+    /**
+     * 見つけたファイルの数を記録します。
+     * @param {string} mod - Mod (JAR名など)。
+     * @param {string} kind - ファイルの種類 (lang, patchouli, ae2Guide, official など)。
+     * @param {string|null} [namespace=null] - ファイルのネームスペース。
+     * @param {number} [count=1]
+     */
+    addFiles(mod, kind, namespace = null, count = 1) {
+        const entry = this.#entry(mod);
+        entry.files[kind] = (entry.files[kind] || 0) + count;
+        if (namespace) entry.namespaces.add(namespace);
+    }
+
+    /**
+     * Modに同梱されていたJAR (jar-in-jar) を記録します。そのJARにあったファイルは Mod と、このJARの両方に数えます (`addNestedFiles`)。
+     * @param {string} mod - 外側のJAR名。
+     * @param {string} nestedJar - JARの中でのパス (例: META-INF/jarjar/foo.jar)。
+     * @param {string|null} version - JARのバージョン (分からなければnull)。
+     */
+    addNestedJar(mod, nestedJar, version) {
+        const entry = this.#entry(mod);
+        if (!entry.nestedJars[nestedJar]) entry.nestedJars[nestedJar] = { version, files: {} };
+    }
+
+    /**
+     * ネストしたJARで見つけたファイルの数を記録します (Modの数は `addFiles` で別に記録する)。
+     * @param {string} mod
+     * @param {string} nestedJar
+     * @param {string} kind
+     * @param {number} [count=1]
+     */
+    addNestedFiles(mod, nestedJar, kind, count = 1) {
+        const entry = this.#entry(mod);
+        if (!entry.nestedJars[nestedJar]) entry.nestedJars[nestedJar] = { version: null, files: {} };
+        const files = entry.nestedJars[nestedJar].files;
+        files[kind] = (files[kind] || 0) + count;
+    }
+
+    /**
+     * キーの数を記録します。
+     * @param {string} mod
+     * @param {'translated'|'cacheHits'|'restored'|'official'|'overridden'|'kept'|'fallbacks'} name - 数え方 (KEY_COUNTS)。
+     * @param {number} [count=1]
+     */
+    countKeys(mod, name, count = 1) {
+        if (!KEY_COUNTS.includes(name)) throw new Error(`Unknown key count "${name}"`);
+        this.#entry(mod).keys[name] += count;
+    }
+
+    /**
+     * エラーを記録します。
+     * @param {string} mod
+     * @param {string} message
+     */
+    addError(mod, message) {
+        const entry = this.#entry(mod);
+        entry.errorCount++;
+        if (entry.errors.length < MAX_ERRORS_PER_MOD) entry.errors.push(message);
+    }
+
+    /**
+     * かかった時間を記録します。翻訳の時間は、複数のModの文字列をまとめたリクエストではテキストの数で按分します。
+     * @param {string} mod
+     * @param {'scan'|'translate'} phase - scan: JARの読み込み、translate: 翻訳 (APIの呼び出しを含む)。
+     * @param {number} ms
+     */
+    addTime(mod, phase, ms) {
+        this.#entry(mod).timeMs[phase] += ms;
+    }
+
+    /**
+     * 実行の終わりを記録します。
+     * @param {'completed'|'aborted'} status
+     * @param {string|null} [fatalError=null] - 止まった理由。
+     */
+    finish(status, fatalError = null) {
+        this.#status = status;
+        this.#fatalError = fatalError;
+        this.#finishedAt = new Date();
+    }
+
+    /**
+     * 全Modの合計を返します。
+     * @returns {{mods: number, files: number, keys: Object<string, number>, errors: number}}
+     */
+    getTotals() {
+        const totals = { mods: this.#mods.size, files: 0, keys: Object.fromEntries(KEY_COUNTS.map(name => [name, 0])), errors: 0 };
+        this.#mods.forEach(entry => {
+            totals.files += Object.values(entry.files).reduce((sum, count) => sum + count, 0);
+            KEY_COUNTS.forEach(name => { totals.keys[name] += entry.keys[name]; });
+            totals.errors += entry.errorCount;
+        });
+        return totals;
+    }
+
+    /**
+     * Modごとの結果を返します (JSONとして保存する想定)。
+     * @returns {object}
+     */
+    getReport() {
+        const finishedAt = this.#finishedAt || new Date();
+        const mods = {};
+        [...this.#mods.keys()].sort().forEach(mod => {
+            const entry = this.#mods.get(mod);
+            mods[mod] = {
+                namespaces: [...entry.namespaces].sort(), files: entry.files, ...(Object.keys(entry.nestedJars).length > 0 ? { nestedJars: entry.nestedJars } : {}), keys: entry.keys,
+                errorCount: entry.errorCount, errors: entry.errors,
+                timeMs: { scan: Math.round(entry.timeMs.scan), translate: Math.round(entry.timeMs.translate) },
+            };
+        });
+        return {
+            pipeline: this.#pipeline, status: this.#status, fatalError: this.#fatalError,
+            startedAt: this.#startedAt.toISOString(), finishedAt: finishedAt.toISOString(), durationMs: finishedAt - this.#startedAt,
+            totals: this.getTotals(), mods,
+        };
+    }
+
+    /**
+     * 合計と、エラーや英語のままのキーがあったMod (多い順) のサマリーを返します。
+     * @returns {string}
+     */
+    formatSummary() {
+        const totals = this.getTotals();
+        const lines = [`  ${totals.mods} mod(s), ${totals.files} file(s): ${KEY_COUNTS.filter(name => totals.keys[name] > 0).map(name => `${totals.keys[name]} ${name}`).join(', ') || 'no keys'}, ${totals.errors} error(s)`];
+        const problems = [...this.#mods.entries()]
+            .filter(([, entry]) => entry.errorCount > 0 || entry.keys.fallbacks > 0)
+            .sort(([a, entryA], [b, entryB]) => (entryB.errorCount - entryA.errorCount) || (entryB.keys.fallbacks - entryA.keys.fallbacks) || a.localeCompare(b));
+        problems.slice(0, SUMMARY_MOD_LIMIT).forEach(([mod, entry]) => {
+            const time = formatDuration(entry.timeMs.scan + entry.timeMs.translate);
+            lines.push(`  ${mod}: ${entry.errorCount} error(s), ${entry.keys.fallbacks} fallback(s) to the source language, ${time}${entry.errors.length > 0 ? ` - ${entry.errors[0]}` : ''}`);
+        });
+        if (problems.length > SUMMARY_MOD_LIMIT) lines.push(`  ... and ${problems.length - SUMMARY_MOD_LIMIT} more mod(s) with problems`);
+        if (problems.length === 0 && totals.mods > 0) lines.push('  No errors and no fallbacks to the source language.');
+        return lines.join('\n');
+    }
+}
+
+module.exports = RunReport;
@@ -0,0 +1,170 @@
+// snbtFormat.js
+// FTB Quests などが使う SNBT (文字列形式のNBT、config/ftbquests/quests/**/*.snbt) の解析/書き出しヘルパー
+// 翻訳結果を書き戻すときは、文字列の位置だけを置き換えて元のファイルの書式 (インデントや数値の接尾辞) を保ちます。
+
+const UNQUOTED_CHARACTER = /[A-Za-z0-9_\-.+]/;
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// 数値 (1L, 0.5d, 3b など) や引用符なしの値。元の表記をそのまま保持する
+class SnbtLiteral {
+    constructor(raw) {
+        this.raw = raw;
+    }
+
+    toString() {
+        return this.raw;
+    }
+}
+
+// [I; 1, 2, 3] のような型付き配列
+class SnbtTypedArray {
+    constructor(type, values) {
+        this.type = type;
+        this.values = values;
+    }
+}
+
+/**
+ * SNBTの内容を解析します。
+ * @param {string} content - SNBTファイルの全内容。
+ * @returns {{value: object, strings: Array<{path: Array<string|number>, value: string, start: number, end: number}>}}
+ *   valueは解析結果 (compoundはオブジェクト、listは配列、文字列はstring、true/falseはboolean、それ以外は SnbtLiteral / SnbtTypedArray)。
+ *   stringsは引用符で囲まれた全ての値の、ルートからのパスと元の内容での位置 (引用符を含む [start, end))。
+ * @throws {Error} 構文が不正な場合 (行番号付き)。
+ */
+function parseSnbt(content) {
+    let pos = 0;
+    const strings = [];
+    const fail = (message) => new Error(`SNBT parse error at line ${content.slice(0, pos).split('\n').length}: ${message}`);
+    const skipWhitespace = () => { while (pos < content.length && /\s/.test(content[pos])) pos++; };
+    const skipSeparators = () => { while (pos < content.length && (/\s/.test(content[pos]) || content[pos] === ',')) pos++; };
+
+    const readQuoted = () => {
+        const quote = content[pos];
+        const start = pos++;
+        let value = '';
+        for (;;) {
+            if (pos >= content.length) throw fail('Unterminated string');
+            const ch = content[pos++];
+            if (ch === quote) break;
+            if (ch === '\\') {
+                const escaped = content[pos++];
+                value += ESCAPES[escaped] ?? escaped;
+            } else value += ch;
+        }
+        return { value, start, end: pos };
+    };
+    const readUnquoted = () => {
+        const start = pos;
+        while (pos < content.length && UNQUOTED_CHARACTER.test(content[pos])) pos++;
+        if (start === pos) throw fail(`Unexpected ${pos < content.length ? `character "${content[pos]}"` : 'end of file'}`);
+        return content.slice(start, pos);
+    };
+
+    const readValue = (path) => {
+        skipWhitespace();
+        const ch = content[pos];
+        if (ch === '{') return readCompound(path);
+        if (ch === '[') return readList(path);
+        if (ch === '"' || ch === "'") {
+            const { value, start, end } = readQuoted();
+            strings.push({ path, value, start, end });
+            return value;
+        }
+        const raw = readUnquoted();
+        if (raw === 'true' || raw === 'false') return raw === 'true';
+        return new SnbtLiteral(raw);
+    };
+    const readCompound = (path) => {
+        pos++; // {
+        const compound = {};
+        for (;;) {
+            skipSeparators();
+            if (pos >= content.length) throw fail('Unterminated compound');
+            if (content[pos] === '}') { pos++; return compound; }
+            const key = (content[pos] === '"' || content[pos] === "'") ? readQuoted().value : readUnquoted();
+            skipWhitespace();
+            if (content[pos] !== ':') throw fail(`Expected ":" after key "${key}"`);
+            pos++;
+            compound[key] = readValue([...path, key]);
+        }
+    };
+    const readList = (path) => {
+        pos++; // [
+        skipWhitespace();
+        const typedMatch = content.slice(pos).match(/^([BIL])\s*;/);
+        if (typedMatch) {
+            pos += typedMatch[0].length;
+            const values = [];
+            for (;;) {
+                skipSeparators();
+                if (pos >= content.length) throw fail('Unterminated array');
+                if (content[pos] === ']') { pos++; return new SnbtTypedArray(typedMatch[1], values); }
+                values.push(readUnquoted());
+            }
+        }
+        const list = [];
+        for (;;) {
+            skipSeparators();
+            if (pos >= content.length) throw fail('Unterminated list');
+            if (content[pos] === ']') { pos++; return list; }
+            list.push(readValue([...path, list.length]));
+        }
+    };
+
+    const value = readValue([]);
+    skipWhitespace();
+    if (pos < content.length) throw fail('Unexpected content after the root value');
+    return { value, strings };
+}
+
+/**
+ * 文字列をSNBTの引用符付き文字列にします。
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteSnbtString(text) {
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(/\r/g, '\\r')}"`;
+}
+
+/**
+ * 値をSNBTとして書き出します (FTB Library と同じくタブインデント、1行1要素、カンマなし)。
+ * @param {*} value - `parseSnbt` が返す形式の値。
+ * @param {string} [indent=''] - 現在のインデント。
+ * @returns {string}
+ */
+function stringifySnbt(value, indent = '') {
+    const inner = `${indent}\t`;
+    if (typeof value === 'string') return quoteSnbtString(value);
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : `${value}d`;
+    if (value instanceof SnbtLiteral) return value.raw;
+    if (value instanceof SnbtTypedArray) return `[${value.type}; ${value.values.join(', ')}]`;
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[ ]';
+        return `[\n${value.map(item => `${inner}${stringifySnbt(item, inner)}`).join('\n')}\n${indent}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0) return '{ }';
+        const formatKey = key => /^[A-Za-z0-9_\-.+]+$/.test(key) ? key : quoteSnbtString(key);
+        return `{\n${keys.map(key => `${inner}${formatKey(key)}: ${stringifySnbt(value[key], inner)}`).join('\n')}\n${indent}}`;
+    }
+    throw new Error(`Cannot write ${typeof value} as SNBT`);
+}
+
+/**
+ * SNBTの内容のうち、指定した文字列だけを置き換えます。それ以外の部分は1文字も変えません。
+ * @param {string} content - SNBTファイルの全内容。
+ * @param {Array<{start: number, end: number, value: string}>} replacements - `parseSnbt` の strings の位置と新しい文字列。
+ * @returns {string}
+ */
+function replaceSnbtStrings(content, replacements) {
+    let result = content;
+    [...replacements].sort((a, b) => b.start - a.start).forEach(({ start, end, value }) => {
+        result = result.slice(0, start) + quoteSnbtString(value) + result.slice(end);
+    });
+    return result;
+}
+
+module.exports = { parseSnbt, stringifySnbt, quoteSnbtString, replaceSnbtStrings, SnbtLiteral, SnbtTypedArray };
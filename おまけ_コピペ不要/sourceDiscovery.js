@@ -0,0 +1,197 @@
+// sourceDiscovery.js
+// 翻訳元 (Modのjar、リソースパックのzip/フォルダ、KubeJSのassets) を見つけ、Minecraftのリソースパックの重ね順に並べます。
+// 言語ファイルは重ねたパックのキーごとに上のものが使われ、ほかのファイル (Patchouliのブックなど) は同じパスのファイルごと上のもので置き換わるので、
+// 同じように重ねた結果 (ゲームで実際に表示される原文) だけを翻訳します。
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('./logger');
+
+// ソースは次の順に下から重なる (上のものが下のものを上書きする)
+// Modのjar (mod) < KubeJSのassets (kubejs) < Global Packs/OpenLoaderのパック (global-pack、常に有効) < resourcepacks/ (resourcepack、options.txt で有効にした順)
+// Global Packs / OpenLoader がリソースパックを読み込むフォルダ (インスタンスのフォルダからの相対パス)
+const GLOBAL_PACK_DIRECTORIES = ['global_packs/required_resources', 'global_packs/optional_resources', 'config/openloader/resources', 'config/openloader/packs'];
+
+async function isDirectory(directoryPath) {
+    try { return (await fs.stat(directoryPath)).isDirectory(); }
+    catch (error) { if (error.code === 'ENOENT') return false; throw error; }
+}
+
+/**
+ * フォルダにあるリソースパック (.zip と、pack.mcmeta か assets/ があるフォルダ) を名前順に返します。
+ * @param {string} root - インスタンスのフォルダ (ソースの名前の基準)。
+ * @param {string} directory - 探すフォルダ (root からの相対パス)。
+ * @param {'global-pack'|'resourcepack'} layer - ソースの種類。
+ * @returns {Promise<object[]>} priority のないソース。
+ */
+async function listPackSources(root, directory, layer) {
+    const absoluteDirectory = path.join(root, directory);
+    if (!await isDirectory(absoluteDirectory)) return [];
+    const sources = [];
+    const entries = (await fs.readdir(absoluteDirectory, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+    for (const dirent of entries) {
+        const packPath = path.join(absoluteDirectory, dirent.name);
+        const name = path.posix.join(directory, dirent.name);
+        if (dirent.isFile() && dirent.name.toLowerCase().endsWith('.zip')) {
+            sources.push({ type: 'zip', path: packPath, name, layer });
+        } else if (dirent.isDirectory() && (await isDirectory(path.join(packPath, 'assets')) || await fs.access(path.join(packPath, 'pack.mcmeta')).then(() => true, () => false))) {
+            sources.push({ type: 'directory', path: packPath, name, layer });
+        }
+    }
+    return sources;
+}
+
+/**
+ * options.txt で有効になっているリソースパック (resourcepacks/ の中のもの) を、重ね順 (下から上) に返します。
+ * @param {string} root - インスタンスのフォルダ。
+ * @returns {Promise<string[]|null>} resourcepacks/ からのパックの名前。options.txt がない/読めない場合はnull。
+ */
+async function readEnabledResourcePacks(root) {
+    let content;
+    try { content = await fs.readFile(path.join(root, 'options.txt'), 'utf8'); }
+    catch { return null; }
+    const match = content.match(/^resourcePacks:(.*)$/m);
+    if (!match) return null;
+    try {
+        const packs = JSON.parse(match[1].trim());
+        return Array.isArray(packs) ? packs.filter(pack => typeof pack === 'string' && pack.startsWith('file/')).map(pack => pack.slice('file/'.length)) : null;
+    } catch (e) {
+        log.warn(`[Sources] Ignoring unreadable resourcePacks in options.txt: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * 入力フォルダから翻訳元のソースを探し、重ね順 (priority の小さい順 = 下から) に返します。
+ * 入力フォルダに mods/ がある場合はインスタンス (modpack) のフォルダとして、mods/*.jar、kubejs/ の assets と data、
+ * Global Packs/OpenLoader のパック、resourcepacks/ のパックを探します。mods/ がなければ、これまで通りフォルダ直下の .jar だけを探します。
+ * resourcepacks/ のパックは options.txt で有効になっているものだけを有効にした順に使います (options.txt がなければ全てを名前順に使う)。
+ * このツール自身の出力 (翻訳したリソースパック、原文のスナップショット、ジャーナル) は、resourcepacks/ などに置かれていても翻訳元にしません
+ * (前回の機械翻訳を公式の訳として扱ったり、古い原文で今の原文を上書きしたりしないように)。
+ * @param {string} inputDirectory - modsフォルダ、またはインスタンスのフォルダ。
+ * @param {object} [options]
+ * @param {string[]} [options.exclude=[]] - 翻訳元にしないパス (このパスそのものと、その中にあるソースを除く)。
+ * @returns {Promise<{instanceRoot: string|null, sources: {type: 'jar'|'zip'|'directory', path: string, name: string, layer: string, priority: number}[]}>}
+ *   name はレポートなどに出す名前 (jarはファイル名、ほかはインスタンスのフォルダからの相対パス)。Modのjarは全て同じ priority。
+ * @throws {Error} 入力フォルダを読めない場合。
+ */
+async function discoverSources(inputDirectory, { exclude = [] } = {}) {
+    const absoluteInput = path.resolve(inputDirectory);
+    const excludedPaths = exclude.filter(Boolean).map(excludedPath => path.resolve(excludedPath));
+    const isExcluded = source => excludedPaths.some(excludedPath => {
+        const relative = path.relative(excludedPath, source.path);
+        return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    });
+    const instanceRoot = await isDirectory(path.join(absoluteInput, 'mods')) ? absoluteInput : null;
+    const modsDirectory = instanceRoot ? path.join(instanceRoot, 'mods') : absoluteInput;
+    const jarEntries = await fs.readdir(modsDirectory, { withFileTypes: true });
+    const sources = jarEntries
+        .filter(dirent => dirent.isFile() && dirent.name.toLowerCase().endsWith('.jar'))
+        .map(dirent => ({ type: 'jar', path: path.join(modsDirectory, dirent.name), name: dirent.name, layer: 'mod' }));
+
+    if (instanceRoot) {
+        if (await isDirectory(path.join(instanceRoot, 'kubejs'))) sources.push({ type: 'directory', path: path.join(instanceRoot, 'kubejs'), name: 'kubejs', layer: 'kubejs' });
+        for (const directory of GLOBAL_PACK_DIRECTORIES) sources.push(...await listPackSources(instanceRoot, directory, 'global-pack'));
+        const resourcePacks = await listPackSources(instanceRoot, 'resourcepacks', 'resourcepack');
+        const enabledPacks = await readEnabledResourcePacks(instanceRoot);
+        if (enabledPacks) {
+            const enabled = enabledPacks.map(packName => resourcePacks.find(source => source.name === `resourcepacks/${packName}`)).filter(Boolean);
+            const disabled = resourcePacks.filter(source => !enabled.includes(source));
+            if (disabled.length > 0) log.info(`[Sources] Skipping ${disabled.length} resource pack(s) not enabled in options.txt: ${disabled.map(source => source.name).join(', ')}`);
+            sources.push(...enabled);
+        } else {
+            sources.push(...resourcePacks);
+        }
+    }
+
+    const ownOutputs = sources.filter(isExcluded);
+    if (ownOutputs.length > 0) log.info(`[Sources] Skipping ${ownOutputs.length} source(s) written by this tool: ${ownOutputs.map(source => source.name).join(', ')}`);
+    const usedSources = sources.filter(source => !isExcluded(source));
+
+    // Modのjarは全て同じ高さ (0)、それより上のソースは1つずつ上に重ねる
+    let nextPriority = 1;
+    usedSources.forEach(source => { source.priority = source.layer === 'mod' ? 0 : nextPriority++; });
+    return { instanceRoot, sources: usedSources };
+}
+
+function byPriority(a, b) {
+    return (a.sourcePriority - b.sourcePriority) || a.originalJar.localeCompare(b.originalJar) || (a.nestedJar || '').localeCompare(b.nestedJar || '');
+}
+
+/**
+ * 言語ファイル (.json) を、同じフォルダ (assets/<ns>/lang) と言語のものごとに、下のソースから順にキーを重ねて1つにします。
+ * 重ねたファイルは一番下のソースのファイルとして扱い、重ねたソースの名前を layers に入れます。
+ * @returns {{fileInfos: object[], merged: number}}
+ */
+function mergeLangLayers(fileInfos, groupKeyOf) {
+    const groups = new Map();
+    fileInfos.forEach(fileInfo => {
+        const key = fileInfo.format === 'json' ? groupKeyOf(fileInfo) : null; // .local / .lang はファイルごと (重ねない)
+        if (key === null) return groups.set(Symbol('local'), [fileInfo]);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(fileInfo);
+    });
+    let merged = 0;
+    const result = [];
+    groups.forEach(group => {
+        if (group.length === 1) return result.push(group[0]);
+        const layers = [...group].sort(byPriority);
+        let data;
+        try {
+            data = Object.assign({}, ...layers.map(fileInfo => JSON.parse(fileInfo.content)));
+        } catch (e) {
+            // 読めないファイルがあれば重ねずにそのまま渡し、翻訳するときに警告させる
+            log.warn(`[Sources] Could not merge ${layers[0].originalPathInJar} across ${layers.map(fileInfo => fileInfo.originalJar).join(', ')}: ${e.message}`);
+            return result.push(...group);
+        }
+        merged += layers.length - 1;
+        result.push({ ...layers[0], content: JSON.stringify(data, null, 2), layers: layers.map(fileInfo => fileInfo.originalJar) });
+    });
+    return { fileInfos: result, merged };
+}
+
+/**
+ * 同じパスのファイルが複数のソースにある場合、一番上のソースのものだけを残します (同じ高さのModのjarのファイルは全て残す)。
+ * @returns {{fileInfos: object[], replaced: number}}
+ */
+function keepTopLayer(fileInfos, pathKeyOf) {
+    const topPriority = new Map();
+    fileInfos.forEach(fileInfo => {
+        const key = pathKeyOf(fileInfo);
+        topPriority.set(key, Math.max(topPriority.get(key) ?? -Infinity, fileInfo.sourcePriority));
+    });
+    const kept = fileInfos.filter(fileInfo => fileInfo.sourcePriority === topPriority.get(pathKeyOf(fileInfo)));
+    return { fileInfos: kept, replaced: fileInfos.length - kept.length };
+}
+
+/**
+ * jarScanner.js の `scanSources` の結果を、ソースの重ね順で実際に使われるファイルに絞ります。
+ * 原文/公式の訳の言語ファイルはキーごとに重ね、Patchouli/Modonomiconのブック、AE2のガイドのページは上のソースのファイルで置き換えます。
+ * 公式の訳は、同じフォルダの原文の言語ファイルと同じソースのものとして扱います (上のリソースパックが訳を足している場合も使えるように)。
+ * @param {object} scanResult - `scanSources` の結果。
+ * @returns {{scanResult: object, merged: number, replaced: number}} merged は重ねて1つにした言語ファイルの数、replaced は上のソースで置き換えられたファイルの数。
+ */
+function resolveEffectiveFiles(scanResult) {
+    const langDirOf = fileInfo => path.posix.dirname(fileInfo.originalPathInJar);
+    const sourceLang = mergeLangLayers(scanResult.langFileInfos, langDirOf);
+    const officialLang = mergeLangLayers(scanResult.officialLangInfos, fileInfo => `${langDirOf(fileInfo)}|${fileInfo.targetLangCode}`);
+    const sourceJarByLangDir = new Map(sourceLang.fileInfos.filter(fileInfo => fileInfo.format === 'json').map(fileInfo => [langDirOf(fileInfo), fileInfo.originalJar]));
+    const officialLangInfos = officialLang.fileInfos.map(fileInfo => {
+        const sourceJar = sourceJarByLangDir.get(langDirOf(fileInfo));
+        return sourceJar && sourceJar !== fileInfo.originalJar ? { ...fileInfo, originalJar: sourceJar } : fileInfo;
+    });
+    const byPath = fileInfo => fileInfo.originalPathInJar;
+    const patchouli = keepTopLayer(scanResult.patchouliBookInfos, byPath);
+    const bookDefinitions = keepTopLayer(scanResult.bookDefinitionInfos, byPath);
+    const modonomicon = keepTopLayer(scanResult.modonomiconInfos, byPath);
+    const ae2Guide = keepTopLayer(scanResult.ae2GuideInfos, byPath);
+    return {
+        scanResult: {
+            langFileInfos: sourceLang.fileInfos, officialLangInfos, patchouliBookInfos: patchouli.fileInfos,
+            bookDefinitionInfos: bookDefinitions.fileInfos, modonomiconInfos: modonomicon.fileInfos, ae2GuideInfos: ae2Guide.fileInfos,
+        },
+        merged: sourceLang.merged + officialLang.merged,
+        replaced: patchouli.replaced + bookDefinitions.replaced + modonomicon.replaced + ae2Guide.replaced,
+    };
+}
+
+module.exports = { discoverSources, resolveEffectiveFiles };
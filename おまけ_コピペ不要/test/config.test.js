@@ -0,0 +1,61 @@
+// config.test.js
+// 設定の読み込み (既定値 < 環境変数 < 設定ファイル < コマンドライン引数) と値の検証のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseCliArgs, loadOptions } = require('../config');
+
+// 環境変数を書き換え、テストの終わりに元に戻す
+function setEnv(t, values) {
+    const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+    Object.assign(process.env, values);
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+}
+
+async function writeConfig(t, config) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const configPath = path.join(directory, 'translator.config.json');
+    await fs.writeFile(configPath, JSON.stringify(config), 'utf8');
+    return configPath;
+}
+
+test('OpenAI互換サーバーの設定は環境変数、設定ファイル、コマンドライン引数の順に上書きする', async (t) => {
+    setEnv(t, { OPENAI_BASE_URL: 'http://localhost:11434/v1', OPENAI_TEMPERATURE: '0.3', OPENAI_MAX_TOKENS: '2048', OPENAI_JSON_MODE: 'false' });
+    const config = await writeConfig(t, { mods: { temperature: 0.5, jsonMode: true } });
+
+    const options = await loadOptions('mods', { config, ...parseCliArgs(['--max-tokens', '4096']).values });
+    assert.equal(options.baseUrl, 'http://localhost:11434/v1');
+    assert.equal(options.temperature, 0.5);
+    assert.equal(options.maxTokens, 4096);
+    assert.equal(options.jsonMode, 'true');
+});
+
+test('指定がなければ temperature 0.1、jsonMode auto、maxTokens なし', async (t) => {
+    setEnv(t, { OPENAI_BASE_URL: '', OPENAI_TEMPERATURE: '', OPENAI_MAX_TOKENS: '', OPENAI_JSON_MODE: '' });
+    const options = await loadOptions('mods', { config: await writeConfig(t, {}) });
+    assert.equal(options.baseUrl, undefined);
+    assert.equal(options.temperature, 0.1);
+    assert.equal(options.maxTokens, undefined);
+    assert.equal(options.jsonMode, 'auto');
+});
+
+test('数値でない値、範囲外の値、選択肢にない値はエラーにする', async (t) => {
+    assert.throws(() => parseCliArgs(['--temperature', 'warm']), /Invalid number for --temperature/);
+    assert.throws(() => parseCliArgs(['--temperature', '3']), /maximum 2/);
+    assert.throws(() => parseCliArgs(['--max-tokens', '0']), /minimum 1/);
+    assert.throws(() => parseCliArgs(['--max-tokens', '1.5']), /expected an integer/);
+    assert.throws(() => parseCliArgs(['--json-mode', 'yes']), /use auto \/ true \/ false/);
+
+    setEnv(t, { OPENAI_TEMPERATURE: 'abc' });
+    await assert.rejects(loadOptions('mods', { config: await writeConfig(t, {}) }), /Invalid number for OPENAI_TEMPERATURE/);
+    process.env.OPENAI_TEMPERATURE = '';
+    await assert.rejects(loadOptions('mods', { config: await writeConfig(t, { maxTokens: -1 }) }), /translator\.config\.json\.maxTokens: -1 \(minimum 1\)/);
+});
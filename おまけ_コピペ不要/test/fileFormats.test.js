@@ -0,0 +1,116 @@
+// fileFormats.test.js
+// 形式ごとのアダプター (fileFormats.js) とSNBT (snbtFormat.js) の、解析 -> 書き戻しの往復のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LANG_FILE_FORMATS, getFormat, langFileFormatOf, formatOfFileName, readEntries, checkRoundTrip } = require('../fileFormats');
+const { parseSnbt, stringifySnbt, replaceSnbtStrings } = require('../snbtFormat');
+
+// 値を変えずに書き戻すと元の内容に戻り、全ての値を書き直しても同じ文字列が読み出せることを確かめる
+function assertLossless(formatName, content) {
+    const format = getFormat(formatName);
+    const document = format.parse(content);
+    assert.equal(checkRoundTrip(formatName, content), null);
+    const rewritten = format.serialize(document, undefined, { rewrite: true });
+    assert.deepEqual(format.entries(format.parse(rewritten)), format.entries(document));
+    return document;
+}
+
+// 全ての文字列を「訳」に置き換えて書き戻す
+const translateAll = (formatName, content, translate) => {
+    const format = getFormat(formatName);
+    return format.serialize(format.parse(content), ({ value }) => translate(value));
+};
+
+test('全ての形式のアダプターが同じメソッドを持つ', () => {
+    for (const formatName of ['json', 'local', 'lang', 'mcfunction']) {
+        const format = getFormat(formatName);
+        for (const method of ['parse', 'entries', 'toObject', 'serialize']) assert.equal(typeof format[method], 'function', `${formatName}.${method}`);
+    }
+    LANG_FILE_FORMATS.forEach(formatName => assert.equal(typeof getFormat(formatName).targetFileName, 'function'));
+    assert.throws(() => getFormat('yaml'), /Unknown file format/);
+});
+
+test('json: 往復してもデータが変わらず、翻訳できなかったキーは除く', () => {
+    const content = '{\n  "item.a": "Apple",\n  "item.b": "Line\\nbreak \\"quoted\\" \\u00e9",\n  "count": 3,\n  "empty": ""\n}';
+    const document = assertLossless('json', content);
+    assert.deepEqual(getFormat('json').entries(document).map(entry => entry.key), ['item.a', 'item.b', 'empty']);
+    const translated = JSON.parse(getFormat('json').serialize(document, ({ key, value }) => key === 'item.a' ? undefined : `JA:${value}`));
+    assert.deepEqual(translated, { 'item.b': 'JA:Line\nbreak "quoted" é', count: 3, empty: 'JA:' });
+});
+
+test('local: コメント、空行、BOM、混在した改行をそのまま残す', () => {
+    const content = '\uFEFF# comment\r\n\r\nmenu.title = Title = with equals\nmenu.body=Body\r\n  # indented comment\n=no key\nmenu.end=End';
+    const document = assertLossless('local', content);
+    assert.deepEqual(readEntries('local', content), { 'menu.title': ' Title = with equals', 'menu.body': 'Body', 'menu.end': 'End' });
+    const translated = translateAll('local', content, value => value === 'Body' ? undefined : `JA:${value}\nnext`);
+    assert.equal(translated, '\uFEFF# comment\r\n\r\nmenu.title=JA: Title = with equals next\n\r\n  # indented comment\n=no key\nmenu.end=JA:End next');
+    assert.equal(document.lines.length, 7);
+});
+
+test('lang: #PARSE_ESCAPES があるファイルだけエスケープを解釈し、書き戻しでもエスケープする', () => {
+    const content = '#PARSE_ESCAPES\n\ntile.foo.name=Foo\\nBar \\u00e9 \\\\ \\q\nitem.bar.name =Spaced key\n# comment';
+    const document = assertLossless('lang', content);
+    const entries = getFormat('lang').entries(document);
+    assert.deepEqual(entries, [{ key: 'tile.foo.name', value: 'Foo\nBar é \\ \\q' }, { key: 'item.bar.name ', value: 'Spaced key' }]);
+    const translated = translateAll('lang', content, value => `${value}\t!`);
+    assert.deepEqual(readEntries('lang', translated), { 'tile.foo.name': 'Foo\nBar é \\ \\q\t!', 'item.bar.name ': 'Spaced key\t!' });
+    assert.match(translated, /^tile\.foo\.name=Foo\\nBar é \\\\ \\\\q\\t!$/m);
+});
+
+test('lang: #PARSE_ESCAPES がなければバックスラッシュは文字のまま', () => {
+    const content = 'tile.foo.name=C:\\path\\n\r\n';
+    assertLossless('lang', content);
+    assert.deepEqual(readEntries('lang', content), { 'tile.foo.name': 'C:\\path\\n' });
+    assert.equal(translateAll('lang', content, () => 'two\nlines'), 'tile.foo.name=two lines\r\n');
+});
+
+test('lang: 翻訳先のファイル名は原文の大文字/小文字に合わせる', () => {
+    assert.equal(getFormat('lang').targetFileName('en_US.lang', 'ja_jp'), 'ja_JP.lang');
+    assert.equal(getFormat('lang').targetFileName('en_us.lang', 'ja_jp'), 'ja_jp.lang');
+    assert.equal(getFormat('json').targetFileName('en_us.json', 'ZH_CN'), 'zh_cn.json');
+    assert.equal(langFileFormatOf('en_US.lang', 'en_us'), 'lang');
+    assert.equal(langFileFormatOf('ja_jp.json', 'en_us'), null);
+    assert.equal(formatOfFileName('data/pack/functions/a.mcfunction'), 'mcfunction');
+});
+
+test('mcfunction: テキストコンポーネントの文字列だけを取り出し、他の行は1文字も変えない', () => {
+    const content = [
+        '# tellraw @a {"text":"comment"}',
+        '',
+        'tellraw @a[tag=new, limit=1] {"text":"Welcome","color":"gold","extra":[{"text":"Press \\"E\\"\\n"},{"translate":"key.inventory"}]}',
+        'execute as @a run title @s subtitle ["",{"text":"Sub","hoverEvent":{"action":"show_text","contents":"Hover"}}]',
+        'bossbar add pack:boss {"text":"Boss \\u00e9"}',
+        'tellraw @a {text:"SNBT is not JSON"}',
+        'say Hello',
+    ].join('\r\n') + '\n';
+    const document = assertLossless('mcfunction', content);
+    assert.deepEqual(getFormat('mcfunction').entries(document), [
+        { key: '3.text', value: 'Welcome' },
+        { key: '3.extra.0.text', value: 'Press "E"\n' },
+        { key: '4.1.text', value: 'Sub' },
+        { key: '4.1.hoverEvent.contents', value: 'Hover' },
+        { key: '5.text', value: 'Boss é' },
+    ]);
+    const translated = translateAll('mcfunction', content, value => value === 'Sub' ? undefined : `JA:${value}`);
+    const lines = translated.split('\r\n');
+    assert.equal(lines[0], '# tellraw @a {"text":"comment"}');
+    assert.equal(lines[2], 'tellraw @a[tag=new, limit=1] {"text":"JA:Welcome","color":"gold","extra":[{"text":"JA:Press \\"E\\"\\n"},{"translate":"key.inventory"}]}');
+    assert.equal(lines[3], 'execute as @a run title @s subtitle ["",{"text":"Sub","hoverEvent":{"action":"show_text","contents":"JA:Hover"}}]');
+    assert.equal(lines.slice(5).join('\r\n'), 'tellraw @a {text:"SNBT is not JSON"}\r\nsay Hello\n');
+});
+
+test('SNBT: 文字列だけを置き換え、書式 (インデント、数値の接尾辞、エスケープ) を保つ', () => {
+    const content = '{\n\tid: "2EE5"\n\tx: 1.5d\n\tarr: [I; 1, 2]\n\tquests: [\n\t\t{\n\t\t\ttitle: "Say \\"hi\\""\n\t\t\tdescription: [\n\t\t\t\t"Line\\nnext"\n\t\t\t\t""\n\t\t\t]\n\t\t}\n\t]\n}\n';
+    const { value, strings } = parseSnbt(content);
+    assert.equal(replaceSnbtStrings(content, strings), content);
+    assert.deepEqual(strings.map(info => info.value), ['2EE5', 'Say "hi"', 'Line\nnext', '']);
+
+    const replaced = replaceSnbtStrings(content, strings.filter(info => info.value === 'Say "hi"').map(info => ({ ...info, value: 'JA:"\\' })));
+    assert.deepEqual(parseSnbt(replaced).strings.map(info => info.value), ['2EE5', 'JA:"\\', 'Line\nnext', '']);
+    assert.equal(replaced.replace('"JA:\\"\\\\"', '"Say \\"hi\\""'), content);
+
+    // 書き出したものを読み直すと同じ値になる
+    const reparsed = parseSnbt(stringifySnbt(value));
+    assert.deepEqual(reparsed.strings.map(info => info.value), strings.map(info => info.value));
+    assert.equal(stringifySnbt(reparsed.value), stringifySnbt(value));
+});
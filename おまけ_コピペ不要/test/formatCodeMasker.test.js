@@ -0,0 +1,39 @@
+// formatCodeMasker.test.js
+// 書式コードのセンチネルへの置き換えと復元のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FormatCodeMasker = require('../formatCodeMasker');
+
+test('&記法の色コードは数字の後に続いていても置き換える', () => {
+    assert.deepEqual(FormatCodeMasker.mask('&f4&6 Into the Box'), { masked: '⟦0⟧4⟦1⟧ Into the Box', tokens: ['&f', '&6'] });
+    assert.deepEqual(FormatCodeMasker.mask('&l&6Gold'), { masked: '⟦0⟧Gold', tokens: ['&l&6'] });
+    // 単語の中の & は色コードではない
+    assert.deepEqual(FormatCodeMasker.mask('R&D and Q&A'), { masked: 'R&D and Q&A', tokens: [] });
+});
+
+test('printf は言語ファイルで使われる形だけを置き換える', () => {
+    assert.deepEqual(FormatCodeMasker.extractCodes('%s of %1$s at %.1f%% (%d, %-5d, %05.2f)'), ['%s', '%1$s', '%.1f', '%%', '%d', '%-5d', '%05.2f']);
+    assert.deepEqual(FormatCodeMasker.extractCodes('50%off, 100%effective, 10%'), []);
+    // 大文字の %S / %D / %F は printf ではない
+    assert.deepEqual(FormatCodeMasker.mask('100%Dark, 50%Fast, %S'), { masked: '100%Dark, 50%Fast, %S', tokens: [] });
+    assert.deepEqual(FormatCodeMasker.extractCodes('%D %F %S %1$S %s'), ['%s']);
+});
+
+test('色コードは大文字でも置き換える', () => {
+    assert.deepEqual(FormatCodeMasker.mask('§L§6Gold &LBold &R'), { masked: '⟦0⟧Gold ⟦1⟧Bold ⟦2⟧', tokens: ['§L§6', '&L', '&R'] });
+    assert.deepEqual(FormatCodeMasker.extractCodes('§X§F &A'), ['§X§F', '&A']);
+});
+
+test('全てのセンチネルが1回ずつ戻った場合だけ ok になる', () => {
+    const { masked, tokens } = FormatCodeMasker.mask('§6Gold§r: %s $(item)Ingot$()', { style: 'xml' });
+    assert.equal(masked, '<m i="0"/>Gold<m i="1"/>: <m i="2"/> <m i="3"/>Ingot<m i="4"/>');
+    assert.deepEqual(FormatCodeMasker.unmask('<m i="3"/>インゴット<m i="4"/>: <m i="2"/> <m i="0"/>金<m i="1"/>', tokens, { style: 'xml' }),
+        { text: '$(item)インゴット$(): %s §6金§r', ok: true });
+    assert.equal(FormatCodeMasker.unmask('⟦0⟧⟦0⟧', ['&f']).ok, false);
+    assert.equal(FormatCodeMasker.unmask('⟦0⟧', ['&f', '&6']).ok, false);
+});
+
+test('色コードは1コードずつ、マスクと同じ条件で取り出す', () => {
+    assert.deepEqual(FormatCodeMasker.extractColorCodes('&f4&6 Into the Box §L§6Gold R&D'), ['&f', '&6', '§l', '§6']);
+    assert.deepEqual(FormatCodeMasker.extractColorCodes(undefined), []);
+});
@@ -0,0 +1,22 @@
+// guideBooks.test.js
+// ガイドブックの種類の判定 (i18n のブック、data/ にある古い形式のブック) のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GuideBookCatalog } = require('../guideBooks');
+
+const bookFile = (rootFolder, namespace, bookIdFolder, content = '{"name":"Entry","pages":[]}') =>
+    ({ rootFolder, namespace, bookIdFolder, originalJar: 'a.jar', originalPathInJar: `${rootFolder}/${namespace}/patchouli_books/${bookIdFolder}/en_us/entries/a.json`, content });
+
+test('data/ にあるブックはリソースパックでは読み込まれないので翻訳しないものとして扱う', () => {
+    const patchouliBookInfos = [bookFile('assets', 'new', 'guide'), bookFile('data', 'old', 'manual'), bookFile('data', 'keys', 'book', '{"name":"book.keys.entry"}')];
+    const bookDefinitionInfos = [{ ...bookFile('data', 'keys', 'book', '{"i18n":true,"name":"book.keys.name"}'), originalPathInJar: 'data/keys/patchouli_books/book/book.json' }];
+    const catalog = new GuideBookCatalog({ bookDefinitionInfos, patchouliBookInfos });
+    assert.deepEqual(patchouliBookInfos.map(info => GuideBookCatalog.isDataFolderBook(info)), [false, true, true]);
+    assert.deepEqual(patchouliBookInfos.map(info => catalog.isI18nPatchouliBook(info)), [false, false, true]);
+
+    const summary = catalog.formatSummary(new Set(['book.keys.name', 'book.keys.entry']));
+    assert.match(summary, /new:guide \(Patchouli, a\.jar\): 1 file\(s\) translated as JSON/);
+    assert.match(summary, /old:manual \(Patchouli in data\/, a\.jar\): 1 file\(s\) not translated/);
+    // i18n のブックは data/ にあっても言語ファイルで翻訳される
+    assert.match(summary, /keys:book \(Patchouli i18n, a\.jar\): 2 file\(s\), 2 key\(s\) translated via lang files/);
+});
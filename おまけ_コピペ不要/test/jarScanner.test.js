@@ -0,0 +1,43 @@
+// jarScanner.test.js
+// Modに同梱されたJAR (jar-in-jar) のファイルの重複の除き方のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dedupeFileInfos, jarLabel } = require('../jarScanner');
+
+const fileInfo = (originalJar, nestedJar, jarModId, jarVersion, content, originalPathInJar = 'assets/minecraft/lang/en_us.json') =>
+    ({ fileType: 'lang_file', originalPathInJar, originalJar, nestedJar, jarModId, jarVersion, content });
+
+test('modsフォルダ直下のJAR同士は、同じパス/バージョンでも除かない', () => {
+    const fileInfos = [
+        fileInfo('a.jar', null, 'mod_a', '1.0.0', '{"a":"A"}'),
+        fileInfo('b.jar', null, 'mod_b', '1.0.0', '{"b":"B"}'),
+        fileInfo('c.jar', null, 'mod_c', '1.0.0', '{"a":"A"}'), // 内容が同じでも別のMod
+    ];
+    const { kept, skipped } = dedupeFileInfos(fileInfos);
+    assert.equal(skipped, 0);
+    assert.deepEqual(kept.map(jarLabel), ['a.jar', 'b.jar', 'c.jar']);
+});
+
+test('同梱されたJARは、同じModのID/バージョンのものを1つにし、直下のJARと浅いネストを優先する', () => {
+    const fileInfos = [
+        fileInfo('z.jar', 'META-INF/jarjar/lib.jar', 'lib', '2.0', '{"x":"bundled"}'),
+        fileInfo('y.jar', 'META-INF/jars/mid.jar!/META-INF/jars/lib.jar', 'lib', '2.0', '{"x":"deep"}'),
+        fileInfo('lib-2.0.jar', null, 'lib', '2.0', '{"x":"standalone"}'),
+        fileInfo('x.jar', 'META-INF/jarjar/lib.jar', 'lib', '3.0', '{"x":"newer"}'),
+        fileInfo('w.jar', 'META-INF/jarjar/other.jar', 'other', '2.0', '{"x":"other lib"}'),
+    ];
+    const { kept, skipped } = dedupeFileInfos(fileInfos);
+    assert.equal(skipped, 2);
+    assert.deepEqual(kept.map(jarLabel), ['lib-2.0.jar', 'w.jar!/META-INF/jarjar/other.jar', 'x.jar!/META-INF/jarjar/lib.jar']);
+});
+
+test('IDやバージョンが分からない同梱のJARは、内容が同じ場合だけ除く', () => {
+    const fileInfos = [
+        fileInfo('a.jar', 'META-INF/jars/lib.jar', null, null, '{"k":"same"}'),
+        fileInfo('b.jar', 'META-INF/jars/lib.jar', null, '1.0', '{"k":"same"}'),
+        fileInfo('c.jar', 'META-INF/jars/lib.jar', null, null, '{"k":"different"}'),
+        fileInfo('d.jar', 'META-INF/jars/lib.jar', null, null, '{"k":"same"}', 'assets/lib/lang/en_us.json'),
+    ];
+    const { kept } = dedupeFileInfos(fileInfos);
+    assert.deepEqual(kept.map(jarLabel), ['a.jar!/META-INF/jars/lib.jar', 'c.jar!/META-INF/jars/lib.jar', 'd.jar!/META-INF/jars/lib.jar']);
+});
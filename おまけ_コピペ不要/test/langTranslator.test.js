@@ -0,0 +1,93 @@
+// langTranslator.test.js
+// DeepLエンジンの言語ファイルの翻訳 (翻訳メモリ/用語集/実行のジャーナルは基底クラスの translateTextsBatch を通る) のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const deepl = require('deepl-node');
+const LangTranslate = require('../langTranslator');
+const TranslationMemory = require('../translationMemory');
+const RunJournal = require('../runJournal');
+const Glossary = require('../glossary');
+const { RequestScheduler, isFatalApiError } = require('../requestScheduler');
+
+// DeepLのAPIの代わりに、送られた原文を記録して訳を返す
+function mockDeepL(t, translate) {
+    const sent = [];
+    t.mock.method(deepl.Translator.prototype, 'translateText', async (text) => {
+        sent.push(text);
+        return { text: translate(text), billedCharacters: text.length };
+    });
+    t.mock.method(deepl.Translator.prototype, 'listGlossaries', async () => []);
+    t.mock.method(deepl.Translator.prototype, 'createGlossary', async () => ({ glossaryId: 'glossary-1', entryCount: 1 }));
+    return sent;
+}
+
+function createTranslator() {
+    const translator = new LangTranslate('test-key', 'JA', null, 0);
+    translator.setRequestScheduler(new RequestScheduler({ baseDelayMs: 0 }));
+    return translator;
+}
+
+test('execJSON は翻訳メモリと実行のジャーナルにある訳を使い、用語集に合わない訳と未翻訳の文字列だけをDeepLに送る', async (t) => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'deepl-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const translator = createTranslator();
+    const scope = translator.getMemoryScope();
+
+    const seed = new TranslationMemory(path.join(directory, 'memory'));
+    await seed.store('Andesite Casing', '安山岩ケーシング', scope);
+    await seed.store('Brass Casing', '黄銅の筐体', scope); // 用語集を追加する前の訳
+    await seed.flush();
+    const memory = new TranslationMemory(path.join(directory, 'memory'));
+    const journal = new RunJournal(path.join(directory, 'run.journal.jsonl'));
+    await journal.start({ run: {} });
+    await journal.record([['Shaft', 'シャフト']], scope);
+    translator.setTranslationMemory(memory);
+    translator.setRunJournal(journal);
+    translator.setGlossary(new Glossary([{ source: 'Brass Casing', target: '真鍮ケーシング' }]));
+
+    const sent = mockDeepL(t, text => ({ 'Brass Casing': '真鍮ケーシング', Gear: '歯車' })[text]);
+    const translated = await translator.execJSON({
+        'block.create.andesite_casing': 'Andesite Casing',
+        'block.create.brass_casing': 'Brass Casing',
+        'block.create.shaft': 'Shaft',
+        'block.create.gear': 'Gear',
+        'item.create.gear': 'Gear',
+        'block.create.empty': '',
+    }, ['create']);
+
+    assert.deepEqual(translated, {
+        'block.create.andesite_casing': '安山岩ケーシング',
+        'block.create.brass_casing': '真鍮ケーシング',
+        'block.create.shaft': 'シャフト',
+        'block.create.gear': '歯車',
+        'item.create.gear': '歯車',
+        'block.create.empty': '',
+    });
+    assert.deepEqual(sent, ['Brass Casing', 'Gear']); // 同じ原文は1回だけ送る
+    assert.equal(memory.getStats().invalidated, 1);
+    await memory.flush();
+    const reloaded = new TranslationMemory(path.join(directory, 'memory'));
+    assert.equal(await reloaded.lookup('Brass Casing', scope), '真鍮ケーシング');
+    assert.equal(await reloaded.lookup('Gear', scope), '歯車');
+    assert.equal(await reloaded.lookup('Shaft', scope), 'シャフト');
+    // APIで翻訳したものはジャーナルにも記録する
+    const resumed = new RunJournal(path.join(directory, 'run.journal.jsonl'));
+    await resumed.start({ resume: true, run: {} });
+    assert.equal(resumed.get('Gear', scope), '歯車');
+});
+
+test('execJSON は翻訳できなかったキーを除いて続け、Quota超過などの致命的なエラーでは止まる', async (t) => {
+    const translator = createTranslator();
+    mockDeepL(t, text => {
+        if (text === 'Broken') throw new deepl.DeepLError('Bad request');
+        return `訳:${text}`;
+    });
+    assert.deepEqual(await translator.execJSON({ a: 'Gear', b: 'Broken', c: 'Shaft' }), { a: '訳:Gear', c: '訳:Shaft' });
+    assert.deepEqual(translator.getFailures().map(failure => failure.text), ['Broken']);
+
+    mockDeepL(t, () => { throw new deepl.QuotaExceededError('Quota exceeded'); });
+    await assert.rejects(translator.execJSON({ a: 'Cog' }), error => isFatalApiError(error) && error.message === 'DeepL Quota Exceeded');
+});
@@ -0,0 +1,25 @@
+// langValidator.test.js
+// 翻訳結果の検証 (書式コードの増減、プレースホルダ) のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LangValidator = require('../langValidator');
+
+const issueTypes = (sourceValue, translatedValue) => {
+    const validator = new LangValidator('ja_jp');
+    validator.validateValue('foo', 'en_us.json', 'key', sourceValue, translatedValue);
+    return validator.getReport().issues.map(issue => issue.type);
+};
+
+test('数字の後に続く &記法の色コードが消えたら format_code_lost になる', () => {
+    assert.ok(issueTypes('&f4&6 Into the Box', '&f4 箱の中へ').includes('format_code_lost'));
+    assert.ok(!issueTypes('&f4&6 Into the Box', '&f4&6 箱の中へ').includes('format_code_lost'));
+    // 単語の中の & は色コードとして数えない
+    assert.ok(!issueTypes('R&D Lab', '研究開発ラボ').includes('format_code_lost'));
+});
+
+test('"50%off" の % はプレースホルダとして数えない', () => {
+    assert.deepEqual(issueTypes('50%off for %s', '%s は50%オフ'), []);
+    assert.ok(issueTypes('%s and %d', '%s と').includes('placeholder_count'));
+    // 大文字の %D / %F は数えない
+    assert.deepEqual(issueTypes('100%Dark, 50%Fast for %s', '%s は100%ダーク、50%高速'), []);
+});
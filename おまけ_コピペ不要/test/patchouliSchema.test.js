@@ -0,0 +1,59 @@
+// patchouliSchema.test.js
+// Patchouliのファイル/ページの種類ごとに翻訳するフィールドを決めるスキーマのテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PatchouliSchema = require('../patchouliSchema');
+
+const texts = items => items.map(({ path, text }) => `${path.join('.')}=${text}`);
+
+test('言語フォルダ内のパスからファイルの種類を決める', () => {
+    assert.equal(PatchouliSchema.fileKind('categories/basics.json'), 'category');
+    assert.equal(PatchouliSchema.fileKind('templates\\comparison.json'), 'template');
+    assert.equal(PatchouliSchema.fileKind('entries/basics/intro.json'), 'entry');
+});
+
+test('リソースロケーションと言語ファイルのキーは識別子として翻訳しない', () => {
+    for (const text of ['minecraft:stone', 'create:textures/gui/press.png', 'book.create.entry.press', ' item.create.gear ']) {
+        assert.equal(PatchouliSchema.isIdentifier(text), true, text);
+    }
+    for (const text of ['Mechanical Press', 'See: the press', 'Version 2 of book.create', 'Create:Above and Beyond']) {
+        assert.equal(PatchouliSchema.isIdentifier(text), false, text);
+    }
+
+    const entry = {
+        name: 'book.create.entry.press',
+        category: 'create:basics',
+        icon: 'create:mechanical_press',
+        pages: [
+            { type: 'patchouli:text', title: 'Pressing', text: ['First line', 'create:iron_sheet', ''] },
+            { type: 'patchouli:crafting', recipe: 'create:press', title: 'create:press', text: 'Craft it' },
+        ],
+    };
+    assert.deepEqual(texts(new PatchouliSchema().extract(entry, 'entry')), ['pages.0.title=Pressing', 'pages.0.text.0=First line', 'pages.1.text=Craft it']);
+    assert.deepEqual(texts(new PatchouliSchema().extract(entry, 'entry', { skipIdentifiers: false })), [
+        'name=book.create.entry.press', 'pages.0.title=Pressing', 'pages.0.text.0=First line', 'pages.0.text.1=create:iron_sheet', 'pages.1.title=create:press', 'pages.1.text=Craft it',
+    ]);
+    assert.deepEqual(texts(new PatchouliSchema().extract({ name: 'Basics', description: 'Start here', icon: 'minecraft:book' }, 'category')), ['name=Basics', 'description=Start here']);
+    assert.deepEqual(new PatchouliSchema().extract({ components: [{ type: 'text', text: '#text' }] }, 'template'), []);
+});
+
+test('独自のページの種類を登録でき、登録されていない種類は title と text だけを翻訳して記録する', () => {
+    const schema = new PatchouliSchema({ 'mymod:comparison': ['title', 'before', 'after'], 'Patchouli:Spotlight': ['text'] });
+    const entry = {
+        name: 'Gears',
+        pages: [
+            { type: 'mymod:comparison', title: 'Before and after', text: 'Not a field of this type', before: 'Old gear', after: ['New gear', 'Shiny'] },
+            { type: 'spotlight', title: 'Ignored title', text: 'Spotlight text', item: 'create:cogwheel' },
+            { type: 'othermod:chart', title: 'Chart', text: 'Chart text', caption: 'Not translated' },
+            { type: 'patchouli:empty' },
+        ],
+    };
+    assert.deepEqual(texts(schema.extract(entry, 'entry')), [
+        'name=Gears',
+        'pages.0.title=Before and after', 'pages.0.before=Old gear', 'pages.0.after.0=New gear', 'pages.0.after.1=Shiny',
+        'pages.1.text=Spotlight text',
+        'pages.2.title=Chart', 'pages.2.text=Chart text',
+    ]);
+    assert.deepEqual(schema.getUnknownPageTypes(), ['othermod:chart']);
+    assert.throws(() => new PatchouliSchema({ 'mymod:broken': 'text' }), /must map to an array of field names/);
+});
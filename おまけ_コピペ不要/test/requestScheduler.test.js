@@ -0,0 +1,140 @@
+// requestScheduler.test.js
+// APIリクエストの再試行 (バックオフ、Retry-After)、同時実行数の調整、エラーの分類と実行全体を止めるエラー (FatalApiError) のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler, RequestFailedError, FatalApiError, isFatalApiError, parseRetryAfter } = require('../requestScheduler');
+const UsageMeter = require('../usageMeter');
+
+const failWith = error => () => Promise.reject(error);
+
+// 再試行までの待ち時間を記録し、実際には待たずに進める
+function recordDelays(t) {
+    const delays = [];
+    const realSetTimeout = setTimeout;
+    t.mock.method(globalThis, 'setTimeout', (callback, ms) => { delays.push(ms); return realSetTimeout(callback, 0); });
+    return delays;
+}
+
+// 最初の failures 回は kind のエラーで失敗し、その後は成功するリクエスト
+function failTimes(failures, kind, retryAfterMs = null) {
+    let calls = 0;
+    return {
+        request: () => (++calls <= failures ? Promise.reject(new Error(`${kind} ${calls}`)) : Promise.resolve(`ok after ${calls}`)),
+        classifyError: () => ({ kind, retryAfterMs: typeof retryAfterMs === 'function' ? retryAfterMs(calls) : retryAfterMs }),
+    };
+}
+
+test('fatal に分類されたエラーは再試行せず FatalApiError として投げる', async () => {
+    const scheduler = new RequestScheduler({ baseDelayMs: 0 });
+    const original = Object.assign(new Error('429 You exceeded your current quota'), { status: 429 });
+    const error = await scheduler.run(failWith(original), { classifyError: () => ({ kind: 'fatal', message: 'OpenAI Quota Exceeded (insufficient_quota).' }) }).catch(e => e);
+    assert.ok(isFatalApiError(error));
+    assert.equal(error.message, 'OpenAI Quota Exceeded (insufficient_quota).');
+    assert.equal(error.cause, original);
+    assert.equal(scheduler.getStats().requests, 1);
+
+    // message がなければ元のエラーのメッセージを使う
+    const unnamed = await scheduler.run(failWith(new Error('Forbidden')), { classifyError: () => ({ kind: 'fatal' }) }).catch(e => e);
+    assert.ok(unnamed instanceof FatalApiError);
+    assert.equal(unnamed.message, 'Forbidden');
+});
+
+test('再試行しても駄目だったエラーは実行を止めない', async () => {
+    const scheduler = new RequestScheduler({ maxRetries: 1, baseDelayMs: 0 });
+    const error = await scheduler.run(failWith(new Error('Quota Exceeded in the message only')), { classifyError: () => ({ kind: 'transient' }) }).catch(e => e);
+    assert.ok(error instanceof RequestFailedError);
+    assert.equal(isFatalApiError(error), false);
+    assert.equal(isFatalApiError(new Error('Budget Exceeded')), false);
+});
+
+test('予算を超えるリクエストは送る前に FatalApiError で止める', () => {
+    const meter = new UsageMeter({ maxBudget: 1 });
+    assert.throws(() => meter.reserve({ engine: 'deepl', model: 'deepl', characters: 100000 }), error => isFatalApiError(error) && /^Budget Exceeded/.test(error.message));
+    assert.equal(typeof meter.reserve({ engine: 'deepl', model: 'deepl', characters: 10 }), 'number');
+});
+
+test('待ち時間は baseDelayMs から倍々に増え (maxDelayMs が上限)、ジッターでその50〜100%になる', async (t) => {
+    const delays = recordDelays(t);
+    const randoms = [0, 0.5, 0, 0.5];
+    const scheduler = new RequestScheduler({ maxRetries: 4, baseDelayMs: 8, maxDelayMs: 20, random: () => randoms.shift() });
+    const { request, classifyError } = failTimes(Infinity, 'transient');
+    const error = await scheduler.run(request, { classifyError }).catch(e => e);
+    // 8ms*0.5, 16ms*0.75, 20ms (上限)*0.5, 20ms*0.75
+    assert.deepEqual(delays, [4, 12, 10, 15]);
+    assert.ok(error instanceof RequestFailedError);
+    assert.deepEqual(scheduler.getStats(), { requests: 5, retries: 4, rateLimited: 0, failed: 1, concurrency: 5 });
+});
+
+test('Retry-After はバックオフより長ければ maxDelayMs を超えても従い、短ければバックオフを使う', async (t) => {
+    const delays = recordDelays(t);
+    const scheduler = new RequestScheduler({ baseDelayMs: 8, maxDelayMs: 10, random: () => 0 });
+    const retryAfter = [30, 1, null];
+    const { request, classifyError } = failTimes(3, 'rateLimit', calls => retryAfter[calls - 1]);
+    assert.equal(await scheduler.run(request, { classifyError }), 'ok after 4');
+    assert.deepEqual(delays, [30, 5, 5]);
+});
+
+test('Retry-After ヘッダーは秒数でもHTTP日付でも読める', (t) => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter('0.5'), 500);
+    assert.equal(parseRetryAfter('-3'), 0);
+    t.mock.method(Date, 'now', () => Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'));
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT'), 30000);
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT'), 0); // 過ぎた日時は待たない
+    for (const value of [null, undefined, '', 'soon']) assert.equal(parseRetryAfter(value), null);
+});
+
+test('レート制限を受けると同時実行数を半分にし、10回続けて成功したら1つ戻す', async (t) => {
+    recordDelays(t);
+    const scheduler = new RequestScheduler({ maxConcurrency: 8, baseDelayMs: 1 });
+    const succeed = () => scheduler.run(() => Promise.resolve('ok'), { classifyError: () => ({ kind: 'transient' }) });
+
+    // 8 -> 4 -> 2 -> 1 (1より下げない)
+    const limited = failTimes(4, 'rateLimit');
+    await scheduler.run(limited.request, { classifyError: limited.classifyError }); // 成功1回目
+    assert.equal(scheduler.concurrency, 1);
+    assert.equal(scheduler.getStats().rateLimited, 4);
+
+    // 同時実行数が1なら、同時に呼んでも1つずつ実行する
+    let active = 0;
+    let maxActive = 0;
+    const tracked = () => scheduler.run(async () => {
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise(resolve => setImmediate(resolve));
+        active--;
+    }, { classifyError: () => ({ kind: 'transient' }) });
+    await Promise.all([tracked(), tracked(), tracked()]); // 成功2〜4回目
+    assert.equal(maxActive, 1);
+
+    for (let i = 0; i < 5; i++) await succeed(); // 成功9回目
+    assert.equal(scheduler.concurrency, 1);
+    await succeed(); // 成功10回目
+    assert.equal(scheduler.concurrency, 2);
+
+    // レート制限を受けると連続成功の数え直し
+    for (let i = 0; i < 9; i++) await succeed();
+    const limitedAgain = failTimes(1, 'rateLimit');
+    await scheduler.run(limitedAgain.request, { classifyError: limitedAgain.classifyError });
+    assert.equal(scheduler.concurrency, 1);
+    for (let i = 0; i < 9; i++) await succeed();
+    assert.equal(scheduler.concurrency, 2);
+    for (let i = 0; i < 10; i++) await succeed();
+    assert.equal(scheduler.concurrency, 3);
+});
+
+test('maxRetries 回再試行しても駄目なら、最後のエラーを cause にした RequestFailedError を投げる', async (t) => {
+    recordDelays(t);
+    const scheduler = new RequestScheduler({ maxRetries: 2, baseDelayMs: 1 });
+    const { request, classifyError } = failTimes(Infinity, 'transient');
+    const error = await scheduler.run(request, { classifyError, label: 'DeepL request' }).catch(e => e);
+    assert.ok(error instanceof RequestFailedError);
+    assert.equal(error.attempts, 3);
+    assert.equal(error.cause.message, 'transient 3');
+    assert.equal(error.message, 'DeepL request failed after 3 attempt(s): transient 3');
+
+    // failed に分類されたエラーは再試行しない
+    const failed = failTimes(Infinity, 'failed');
+    const notRetried = await scheduler.run(failed.request, { classifyError: failed.classifyError }).catch(e => e);
+    assert.equal(notRetried.attempts, 1);
+    assert.deepEqual(scheduler.getStats(), { requests: 4, retries: 2, rateLimited: 0, failed: 2, concurrency: 5 });
+});
@@ -0,0 +1,63 @@
+// resourcePack.test.js
+// pack.mcmeta の pack_format / supported_formats / min_format・max_format とオーバーレイのテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { getPackFormat, versionRangeToFormats, createPackMeta, loadOverlays } = require('../resourcePack');
+
+test('Minecraftのバージョンから pack_format を決める', () => {
+    assert.equal(getPackFormat('1.12.2'), 3);
+    assert.equal(getPackFormat('1.20'), 15);
+    assert.equal(getPackFormat('1.20.1'), 15);
+    assert.equal(getPackFormat('1.21.4'), 46);
+    assert.equal(getPackFormat('1.21.9'), 69);
+    assert.equal(getPackFormat('1.21.10'), 69);
+    assert.throws(() => getPackFormat('1.5.2'), /Unknown pack_format/);
+    assert.throws(() => getPackFormat('latest'), /Invalid Minecraft version/);
+});
+
+test('バージョン範囲を pack_format の範囲にする', () => {
+    assert.deepEqual(versionRangeToFormats('1.20.1-1.21.1'), [15, 34]);
+    assert.deepEqual(versionRangeToFormats('1.21.4'), [46, 46]);
+    assert.throws(() => versionRangeToFormats('1.21.1-1.20.1'), /newer than/);
+});
+
+test('pack.mcmeta: 範囲がなければ pack_format だけ、1.21.9以降は min_format / max_format も書く', () => {
+    assert.deepEqual(createPackMeta({ description: 'JP', minecraftVersion: '1.20.1' }), { pack: { pack_format: 15, description: 'JP' } });
+    assert.deepEqual(createPackMeta({ description: 'JP', minecraftVersion: '1.21.10' }), { pack: { pack_format: 69, description: 'JP', min_format: 69, max_format: 69 } });
+    assert.deepEqual(createPackMeta({ description: 'JP', minecraftVersion: '1.21.9' }).pack, { pack_format: 69, description: 'JP', min_format: 69, max_format: 69 });
+});
+
+test('pack.mcmeta: 対応範囲は 1.20.2 以降を含む場合だけ supported_formats を書く', () => {
+    assert.deepEqual(createPackMeta({ description: 'JP', minecraftVersion: '1.20.1', supportedVersions: '1.20-1.21.1' }).pack,
+        { pack_format: 15, description: 'JP', supported_formats: [15, 34] });
+    assert.deepEqual(createPackMeta({ description: 'JP', minecraftVersion: '1.19.2', supportedVersions: '1.18-1.19.2' }).pack,
+        { pack_format: 9, description: 'JP' });
+    assert.deepEqual(createPackMeta({ description: 'JP', minecraftVersion: '1.21.1', supportedVersions: '1.21-1.21.10' }).pack,
+        { pack_format: 34, description: 'JP', supported_formats: [34, 69], min_format: 34, max_format: 69 });
+    assert.throws(() => createPackMeta({ description: 'JP', minecraftVersion: '1.19.2', supportedVersions: '1.20-1.21' }), /outside the supported versions/);
+});
+
+test('オーバーレイ: サブフォルダ名をバージョン範囲として読み、pack.mcmeta に書く', async (t) => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'overlays-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    await fs.mkdir(path.join(directory, '1.21-1.21.4', 'assets'), { recursive: true });
+    await fs.mkdir(path.join(directory, '1.21.9-1.21.10'));
+    await fs.writeFile(path.join(directory, 'README.txt'), '');
+
+    const overlays = (await loadOverlays(directory)).sort((a, b) => a.versions.localeCompare(b.versions));
+    assert.deepEqual(overlays.map(({ directory: name, versions, formats }) => ({ name, versions, formats })), [
+        { name: 'overlay_1_21-1_21_4', versions: '1.21-1.21.4', formats: [34, 46] },
+        { name: 'overlay_1_21_9-1_21_10', versions: '1.21.9-1.21.10', formats: [69, 69] },
+    ]);
+    assert.deepEqual(createPackMeta({ description: 'JP', minecraftVersion: '1.21.1', overlays }).overlays, { entries: [
+        { formats: [34, 46], directory: 'overlay_1_21-1_21_4' },
+        { formats: [69, 69], min_format: 69, max_format: 69, directory: 'overlay_1_21_9-1_21_10' },
+    ] });
+    assert.deepEqual(await loadOverlays(path.join(directory, 'missing')), []);
+
+    await fs.mkdir(path.join(directory, 'latest'));
+    await assert.rejects(loadOverlays(directory), /Invalid Minecraft version/);
+});
@@ -0,0 +1,67 @@
+// runJournal.test.js
+// 中断した実行の再開 (--resume) に使うジャーナルのテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RunJournal = require('../runJournal');
+
+const scope = { targetLang: 'Japanese', engine: 'openai', model: 'gpt-4o-mini', promptVersion: '1.3' };
+const run = { input: '/mods', targetLangs: ['ja_jp'] };
+
+async function createJournalPath(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return path.join(directory, 'translated_rp.journal.jsonl');
+}
+
+test('再開すると前回の訳を使い、最後まで終わったらジャーナルを消す', async (t) => {
+    const journalPath = await createJournalPath(t);
+    const first = new RunJournal(journalPath);
+    assert.equal(await first.start({ run }), false);
+    await first.record([['Gear', '歯車'], ['Shaft', 'シャフト']], scope);
+
+    const resumed = new RunJournal(journalPath);
+    assert.equal(await resumed.start({ resume: true, run }), true);
+    assert.equal(resumed.size, 2);
+    assert.equal(resumed.get('Gear', scope), '歯車');
+    assert.equal(resumed.get('Gear', { ...scope, targetLang: 'Korean' }), undefined);
+    assert.equal(resumed.restored, 1);
+    await resumed.complete();
+    await assert.rejects(fs.access(journalPath));
+
+    // --resume なしで始めると前回のジャーナルは捨てる
+    await first.start({ run });
+    await first.record([['Gear', '歯車']], scope);
+    const restarted = new RunJournal(journalPath);
+    await restarted.start({ run });
+    assert.equal(restarted.size, 0);
+});
+
+test('書き込み中に止まった行を捨てて書き直すので、再開後に追記しても次の再開で全ての訳が読める', async (t) => {
+    const journalPath = await createJournalPath(t);
+    const first = new RunJournal(journalPath);
+    await first.start({ run });
+    await first.record([['Gear', '歯車']], scope);
+    await fs.appendFile(journalPath, '{"scope":["Japanese","openai","gpt-4o-mini","1.3"],"pairs":[["Sha', 'utf8'); // 追記の途中で強制終了
+
+    const second = new RunJournal(journalPath);
+    assert.equal(await second.start({ resume: true, run }), true);
+    assert.equal(second.size, 1);
+    await second.record([['Shaft', 'シャフト']], scope);
+    await second.record([['Cog', 'コグ']], scope);
+
+    const third = new RunJournal(journalPath);
+    assert.equal(await third.start({ resume: true, run }), true);
+    assert.deepEqual(['Gear', 'Shaft', 'Cog'].map(text => third.get(text, scope)), ['歯車', 'シャフト', 'コグ']);
+    assert.equal((await fs.readFile(journalPath, 'utf8')).split('\n').filter(Boolean).length, 4);
+});
+
+test('途中の行が壊れていれば読み込まずにエラーにする', async (t) => {
+    const journalPath = await createJournalPath(t);
+    const journal = new RunJournal(journalPath);
+    await journal.start({ run });
+    await fs.appendFile(journalPath, 'not json\n{"scope":["Japanese","openai","gpt-4o-mini","1.3"],"pairs":[]}\n', 'utf8');
+    await assert.rejects(new RunJournal(journalPath).start({ resume: true, run }), /corrupted at line 2/);
+});
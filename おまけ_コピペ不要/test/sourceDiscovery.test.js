@@ -0,0 +1,63 @@
+// sourceDiscovery.test.js
+// インスタンス (modpack) のフォルダからの翻訳元の検出と、このツール自身の出力の除外のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { discoverSources, resolveEffectiveFiles } = require('../sourceDiscovery');
+const { scanSources } = require('../jarScanner');
+
+async function writeFile(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+}
+
+// mods/ のjar、KubeJS、有効なリソースパック、前回の実行で resourcepacks/ に書いた出力があるインスタンス
+async function createInstance() {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'instance-'));
+    const jar = new AdmZip();
+    jar.addFile('assets/foo/lang/en_us.json', Buffer.from(JSON.stringify({ 'item.foo.gear': 'Gear', 'item.foo.new': 'New item' })));
+    await fs.mkdir(path.join(root, 'mods'));
+    jar.writeZip(path.join(root, 'mods', 'foo-1.0.0.jar'));
+    await writeFile(path.join(root, 'kubejs/assets/foo/lang/en_us.json'), JSON.stringify({ 'item.foo.kube': 'Kube' }));
+    await writeFile(path.join(root, 'resourcepacks/tweaks/assets/foo/lang/en_us.json'), JSON.stringify({ 'item.foo.gear': 'Cog' }));
+    // 前回の出力: 翻訳したパック、原文のスナップショット、zip、ジャーナル
+    const output = path.join(root, 'resourcepacks/translated_rp_openai');
+    await writeFile(path.join(output, 'pack.mcmeta'), '{}');
+    await writeFile(path.join(output, 'assets/foo/lang/ja_jp.json'), JSON.stringify({ 'item.foo.gear': '古い機械翻訳' }));
+    await writeFile(path.join(`${output}_en_us`, 'assets/foo/lang/en_us.json'), JSON.stringify({ 'item.foo.gear': 'Old gear' }));
+    await fs.writeFile(`${output}.zip`, new AdmZip().toBuffer());
+    await fs.writeFile(`${output}.journal.jsonl`, '');
+    return { root, exclude: [output, `${output}.zip`, `${output}_en_us`, `${output}.journal.jsonl`] };
+}
+
+test('インスタンスのフォルダでは、出力先/スナップショット/zip/ジャーナルを除いて重ね順に並べる', async (t) => {
+    const { root, exclude } = await createInstance();
+    t.after(() => fs.rm(root, { recursive: true, force: true }));
+
+    const { instanceRoot, sources } = await discoverSources(root, { exclude });
+    assert.equal(instanceRoot, root);
+    assert.deepEqual(sources.map(source => [source.name, source.layer, source.priority]), [
+        ['foo-1.0.0.jar', 'mod', 0],
+        ['kubejs', 'kubejs', 1],
+        ['resourcepacks/tweaks', 'resourcepack', 2],
+    ]);
+
+    // 除かなければ前回の出力も翻訳元に入ってしまう
+    const { sources: unfiltered } = await discoverSources(root);
+    assert.ok(unfiltered.some(source => source.name === 'resourcepacks/translated_rp_openai'));
+    assert.ok(unfiltered.some(source => source.name === 'resourcepacks/translated_rp_openai_en_us'));
+});
+
+test('前回の出力は公式の訳にも、原文の上書きにも使われない', async (t) => {
+    const { root, exclude } = await createInstance();
+    t.after(() => fs.rm(root, { recursive: true, force: true }));
+
+    const { sources } = await discoverSources(root, { exclude });
+    const { scanResult } = resolveEffectiveFiles(await scanSources(sources, 1, 'en_us', ['ja_jp']));
+    assert.deepEqual(scanResult.officialLangInfos, []);
+    assert.equal(scanResult.langFileInfos.length, 1);
+    assert.deepEqual(JSON.parse(scanResult.langFileInfos[0].content), { 'item.foo.gear': 'Cog', 'item.foo.new': 'New item', 'item.foo.kube': 'Kube' });
+});
@@ -0,0 +1,95 @@
+// textContext.test.js
+// 原文と一緒に送る文脈 (キー/ネームスペース/ファイルの種類) の並べ替え、まとめ方、バッチへの分け方のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const deepl = require('deepl-node');
+const { createTextContext, mergeTextContexts, compareTextContexts, splitIntoContextBatches, describeTextContext } = require('../textContext');
+const TranslationEngine = require('../translationEngine');
+const LangTranslate = require('../langTranslator');
+
+const contextByText = new Map([
+    ['Mechanical Press', createTextContext('block.create.mechanical_press', 'create', 'lang')],
+    ['Press', createTextContext('key.create.press', 'create', 'lang')],
+    ['Brass Casing', createTextContext('block.create.brass_casing', 'create', 'lang')],
+    ['Controller', createTextContext('block.ae2.controller', 'ae2', 'lang')],
+    ['Cable', createTextContext('item.ae2.fluix_cable', 'ae2', 'lang')],
+    ['Drive', createTextContext('block.ae2.drive', 'ae2', 'lang')],
+]);
+
+test('並べ替えると同じMod、同じキーの接頭辞の文字列が隣り合い、文脈のないものは元の順で後ろに残る', () => {
+    const texts = ['Press', 'Untracked B', 'Cable', 'Mechanical Press', 'Untracked A', 'Controller', 'Brass Casing', 'Drive'];
+    const sorted = [...texts].sort((a, b) => compareTextContexts(contextByText.get(a), contextByText.get(b)));
+    assert.deepEqual(sorted, ['Controller', 'Drive', 'Cable', 'Brass Casing', 'Mechanical Press', 'Press', 'Untracked B', 'Untracked A']);
+});
+
+test('同じ原文の文脈は、キーを重複なく最大3つまでまとめ、引数は変えない', () => {
+    const first = createTextContext('block.create.gearbox', 'create', 'lang');
+    let merged = mergeTextContexts(null, first);
+    assert.notEqual(merged, first);
+    for (const key of ['block.create.gearbox', 'item.create.gearbox', 'block.create.vertical_gearbox', 'item.create.vertical_gearbox']) {
+        merged = mergeTextContexts(merged, createTextContext(key, 'other', 'patchouli_entry'));
+    }
+    assert.deepEqual(merged, { keys: ['block.create.gearbox', 'item.create.gearbox', 'block.create.vertical_gearbox'], namespace: 'create', kind: 'lang' });
+    assert.deepEqual(first.keys, ['block.create.gearbox']);
+    assert.deepEqual(mergeTextContexts(null, { keys: ['a', 'b', 'c', 'd'], namespace: null, kind: 'lang' }).keys, ['a', 'b', 'c']);
+    assert.equal(mergeTextContexts(merged, null), merged);
+    assert.equal(mergeTextContexts(null, undefined), null);
+});
+
+test('バッチの contexts は promptIndices と1対1で、同じ位置のテキストの文脈になる', () => {
+    const texts = ['Press', 'Cable', 'Untracked', 'Mechanical Press', 'Controller', 'Brass Casing', 'Drive'];
+    const batches = splitIntoContextBatches(texts, contextByText, 3);
+    assert.deepEqual(batches.map(batch => batch.texts), [['Controller', 'Drive', 'Cable'], ['Brass Casing', 'Mechanical Press', 'Press'], ['Untracked']]);
+    for (const batch of batches) {
+        assert.deepEqual(batch.promptIndices, batch.texts.map((_, i) => i));
+        assert.deepEqual(batch.contexts, batch.texts.map(text => contextByText.get(text) ?? null));
+    }
+    assert.equal(texts[0], 'Press'); // 引数は並べ替えない
+});
+
+test('translateTextsBatch は重複をまとめた原文と、その文脈を同じ順で translateBatchInternal に渡す', async () => {
+    const calls = [];
+    class CapturingEngine extends TranslationEngine {
+        getMemoryScope() { return { targetLang: 'ja_jp', engine: 'capture', model: 'capture', promptVersion: '1' }; }
+        async translateBatchInternal(texts, promptIndices, currentSplitDepth, namespaces, contexts) {
+            calls.push({ texts, promptIndices, contexts });
+            return new Map(promptIndices.map((promptIndex, i) => [promptIndex, `訳:${texts[i]}`]));
+        }
+    }
+    const results = await new CapturingEngine().translateTextsBatch(['Gear', 'Shaft', 'Gear', ''], ['create'], [
+        createTextContext('block.create.gear', 'create', 'lang'),
+        createTextContext('block.create.shaft', 'create', 'lang'),
+        createTextContext('item.create.gear', 'create', 'lang'),
+        createTextContext('empty', 'create', 'lang'),
+    ]);
+    assert.deepEqual(results, ['訳:Gear', '訳:Shaft', '訳:Gear', '']);
+    assert.deepEqual(calls, [{
+        texts: ['Gear', 'Shaft'],
+        promptIndices: [0, 1],
+        contexts: [
+            { keys: ['block.create.gear', 'item.create.gear'], namespace: 'create', kind: 'lang' },
+            { keys: ['block.create.shaft'], namespace: 'create', kind: 'lang' },
+        ],
+    }]);
+});
+
+test('DeepLには各テキストの文脈を英文にして context パラメーターで送る', async (t) => {
+    const context = mergeTextContexts(createTextContext('block.create.mechanical_press', 'create', 'lang'), createTextContext('item.create.mechanical_press', 'create', 'lang'));
+    assert.equal(describeTextContext(context), 'Text from the Minecraft mod "create" (lang file) used as block.create.mechanical_press, item.create.mechanical_press.');
+    assert.equal(describeTextContext({ keys: [], namespace: null, kind: 'ae2guide' }), 'Text from a Minecraft mod (ae2guide file).');
+    assert.equal(describeTextContext(null), null);
+
+    const sent = [];
+    t.mock.method(deepl.Translator.prototype, 'translateText', async (text, sourceLang, targetLang, options) => {
+        sent.push({ text, context: options.context });
+        return { text: `訳:${text}`, billedCharacters: text.length };
+    });
+    const translator = new LangTranslate('test-key', 'JA', null, 0);
+    const results = await translator.translateBatchInternal(['Mechanical Press', 'Press', 'Untracked'], [5, 2, 9], 0, ['create'], [context, contextByText.get('Press'), null]);
+    assert.deepEqual([...results], [[5, '訳:Mechanical Press'], [2, '訳:Press'], [9, '訳:Untracked']]);
+    assert.deepEqual(sent, [
+        { text: 'Mechanical Press', context: describeTextContext(context) },
+        { text: 'Press', context: 'Text from the Minecraft mod "create" (lang file) used as key.create.press.' },
+        { text: 'Untracked', context: undefined },
+    ]);
+});
@@ -0,0 +1,81 @@
+// translationMemory.test.js
+// 翻訳メモリの言語ごとの削除 (cache clear --target-lang) のテスト
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TranslationMemory = require('../translationMemory');
+const { createTranslator, getMemoryLanguages } = require('../translationEngines');
+
+// 各エンジンが実際に使うスコープで保存する (APIは呼ばないのでドライランで作る)
+async function createMemory(targetLangCodes) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-'));
+    const memory = new TranslationMemory(directory);
+    for (const targetLangCode of targetLangCodes) {
+        for (const engine of ['openai', 'deepl', 'mock']) {
+            await memory.store('Gear', `${engine}:${targetLangCode}`, createTranslator(engine, { targetLangCode, dryRun: true }).getMemoryScope());
+        }
+    }
+    await memory.flush();
+    return directory;
+}
+
+test('Minecraftの言語コードを、エンジンごとに翻訳メモリに記録される言語に変換する', () => {
+    assert.deepEqual(getMemoryLanguages('ja_jp'), { openai: 'Japanese', deepl: 'JA', mock: 'ja_jp' });
+    assert.deepEqual(getMemoryLanguages('ZH_CN'), { openai: 'Simplified Chinese', deepl: 'ZH-HANS', mock: 'zh_cn' });
+    assert.throws(() => getMemoryLanguages('xx_xx'), /Unsupported target language/);
+});
+
+test('言語コードで絞り込むと、全エンジンのその言語のエントリだけを削除する', async (t) => {
+    const directory = await createMemory(['ja_jp', 'ko_kr']);
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    assert.equal(await TranslationMemory.clear(directory, { lang: 'ja_jp' }), 1); // 言語コードのままでは mock の分しか消えない
+    assert.equal(await TranslationMemory.clear(directory, { lang: getMemoryLanguages('ja_jp'), engine: 'deepl' }), 1);
+    assert.equal(await TranslationMemory.clear(directory, { lang: getMemoryLanguages('ja_jp') }), 1);
+    const { groups } = await TranslationMemory.inspect(directory);
+    assert.deepEqual(groups.map(group => `${group.engine}/${group.lang}`).sort(), ['deepl/KO', 'mock/ko_kr', 'openai/Korean']);
+});
+
+test('用語集に合わない訳は翻訳し直し、新しい訳が保存されなくても古い訳を消す', async (t) => {
+    const MockTranslator = require('../mockTranslator');
+    const Glossary = require('../glossary');
+    const TranslationEngine = require('../translationEngine');
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const glossary = new Glossary([{ source: 'Brass Casing', target: '真鍮ケーシング' }]);
+    const scope = new MockTranslator('ja_jp').getMemoryScope();
+    const seed = async (readOnly = false) => {
+        const memory = new TranslationMemory(directory);
+        await memory.store('Brass Casing', '黄銅の筐体', scope); // 用語集を追加する前の訳
+        await memory.store('Andesite Casing', '安山岩ケーシング', scope);
+        await memory.flush();
+        return new TranslationMemory(directory, { readOnly });
+    };
+    const translatorWith = (translator, memory) => { translator.setTranslationMemory(memory); translator.setGlossary(glossary); return translator; };
+
+    // 翻訳し直した訳で上書きする
+    let memory = await seed();
+    assert.deepEqual(await translatorWith(new MockTranslator('ja_jp'), memory).translateTextsBatch(['Brass Casing', 'Andesite Casing']), ['【真鍮ケーシング】', '安山岩ケーシング']);
+    await memory.flush();
+    assert.equal(await new TranslationMemory(directory).lookup('Brass Casing', scope), '【真鍮ケーシング】');
+
+    // 翻訳に失敗しても古い訳は次の実行で使わない
+    class FailingTranslator extends TranslationEngine {
+        getMemoryScope() { return scope; }
+        async translateBatchInternal() { return new Map(); }
+    }
+    memory = await seed();
+    assert.deepEqual(await translatorWith(new FailingTranslator(), memory).translateTextsBatch(['Brass Casing']), [undefined]);
+    await memory.flush();
+    assert.equal(await new TranslationMemory(directory).lookup('Brass Casing', scope), null);
+    assert.equal(await new TranslationMemory(directory).lookup('Andesite Casing', scope), '安山岩ケーシング');
+    assert.equal(memory.getStats().invalidated, 1);
+
+    // ドライラン (readOnly) ではメモリを変えない
+    memory = await seed(true);
+    await translatorWith(new FailingTranslator(), memory).translateTextsBatch(['Brass Casing']);
+    await memory.flush();
+    assert.equal(await new TranslationMemory(directory).lookup('Brass Casing', scope), '黄銅の筐体');
+});
@@ -0,0 +1,118 @@
+// textContext.js
+// 翻訳するテキストに添える文脈 (どのModの、どのキーの、どの種類のファイルの文字列か)。
+// 同じ "Press" でも block.create.mechanical_press なら名詞、key.create.press なら動詞になるため、
+// OpenAIにはプロンプトのJSONに、DeepLには context パラメーターにテキストと一緒に渡す (文脈自体は翻訳されない)。
+
+/**
+ * @typedef {object} TextContext
+ * @property {string[]} keys - テキストが使われている言語ファイルのキー/ファイル内の位置 (同じ原文は1回だけ翻訳するため複数になることがある)。
+ * @property {string|null} namespace - テキストが属するModのネームスペース。
+ * @property {string} kind - ファイルの種類 (lang / patchouli_entry / ftbquests / mcfunction / ae2guide など)。
+ */
+
+// 同じ原文が多くのキーで使われていても、プロンプトに載せるキーはこの数まで
+const MAX_KEYS_PER_TEXT = 3;
+
+/**
+ * 文脈を作ります。
+ * @param {string|null} key - 言語ファイルのキー/ファイル内の位置。
+ * @param {string|null} namespace - Modのネームスペース。
+ * @param {string} kind - ファイルの種類。
+ * @returns {TextContext}
+ */
+function createTextContext(key, namespace, kind) {
+    return { keys: key ? [key] : [], namespace: namespace || null, kind };
+}
+
+/**
+ * 同じ原文の文脈に、別の出現位置の文脈を加えます (ネームスペースと種類は最初のものを使い、キーだけを足す)。
+ * @param {TextContext|null|undefined} context - これまでの文脈。
+ * @param {TextContext|null|undefined} other - 加える文脈。
+ * @returns {TextContext|null} 新しい文脈 (引数は変更しない)。
+ */
+function mergeTextContexts(context, other) {
+    if (!context) return other ? { ...other, keys: other.keys.slice(0, MAX_KEYS_PER_TEXT) } : null;
+    if (!other) return context;
+    const keys = [...context.keys];
+    other.keys.forEach(key => { if (keys.length < MAX_KEYS_PER_TEXT && !keys.includes(key)) keys.push(key); });
+    return { ...context, keys };
+}
+
+/**
+ * キーの最後の区切りより前の部分を返します (block.create.mechanical_press → block.create)。
+ * @param {string} key
+ * @returns {string}
+ */
+function keyPrefix(key) {
+    const lastDot = key.lastIndexOf('.');
+    return lastDot > 0 ? key.slice(0, lastDot) : '';
+}
+
+/**
+ * バッチに分ける前に並べ替えるための比較関数。同じMod、同じキーの接頭辞の文字列が隣り合うように並べます。
+ * 文脈がないものは後ろに置き、元の順序を保ちます (Array.prototype.sort は安定ソート)。
+ * @param {TextContext|null|undefined} a
+ * @param {TextContext|null|undefined} b
+ * @returns {number}
+ */
+function compareTextContexts(a, b) {
+    if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+    const keyA = a.keys[0] ?? '';
+    const keyB = b.keys[0] ?? '';
+    return (a.namespace ?? '').localeCompare(b.namespace ?? '')
+        || keyPrefix(keyA).localeCompare(keyPrefix(keyB))
+        || keyA.localeCompare(keyB);
+}
+
+/**
+ * 翻訳するテキストを、同じMod、同じキーの接頭辞の文字列が同じバッチに入るように並べてからバッチに分けます。
+ * @param {string[]} texts - 翻訳するテキスト (重複なし。引数は変更しない)。
+ * @param {Map<string, TextContext>} contextByText - テキスト -> 文脈。
+ * @param {number} batchSize - 1バッチのテキストの最大数。
+ * @returns {Array<{texts: string[], promptIndices: number[], contexts: Array<TextContext|null>}>}
+ *   `translateBatchInternal` にそのまま渡せる形。contexts[i] は texts[i] (結果のキーは promptIndices[i]) の文脈。
+ */
+function splitIntoContextBatches(texts, contextByText, batchSize) {
+    const sorted = [...texts].sort((a, b) => compareTextContexts(contextByText.get(a), contextByText.get(b)));
+    const batches = [];
+    for (let i = 0; i < sorted.length; i += batchSize) {
+        const batchTexts = sorted.slice(i, i + batchSize);
+        batches.push({
+            texts: batchTexts,
+            promptIndices: batchTexts.map((_, idx) => idx),
+            contexts: batchTexts.map(text => contextByText.get(text) ?? null),
+        });
+    }
+    return batches;
+}
+
+/**
+ * プロンプトのJSONに入れる形にします。
+ * @param {string} text - 翻訳するテキスト (マスク済み)。
+ * @param {TextContext|null|undefined} context
+ * @returns {string|{text: string, keys?: string[], mod?: string, kind?: string}} 文脈がなければテキストそのもの。
+ */
+function toPromptValue(text, context) {
+    if (!context) return text;
+    return {
+        text,
+        ...(context.keys.length > 0 ? { keys: context.keys } : {}),
+        ...(context.namespace ? { mod: context.namespace } : {}),
+        ...(context.kind ? { kind: context.kind } : {}),
+    };
+}
+
+/**
+ * DeepLの context パラメーターに渡す英文にします。
+ * @param {TextContext|null|undefined} context
+ * @returns {string|null} 文脈がなければnull。
+ */
+function describeTextContext(context) {
+    if (!context) return null;
+    const parts = [`Text from ${context.namespace ? `the Minecraft mod "${context.namespace}"` : 'a Minecraft mod'}`];
+    if (context.kind) parts.push(`(${context.kind} file)`);
+    if (context.keys.length > 0) parts.push(`used as ${context.keys.join(', ')}`);
+    return `${parts.join(' ')}.`;
+}
+
+module.exports = { createTextContext, mergeTextContexts, compareTextContexts, splitIntoContextBatches, toPromptValue, describeTextContext };
@@ -0,0 +1,351 @@
+// translationEngine.js
+const { getFormat, isText } = require('./fileFormats');
+const PatchouliSchema = require('./patchouliSchema');
+const { createTextContext, mergeTextContexts } = require('./textContext');
+const { RequestScheduler } = require('./requestScheduler');
+const { log } = require('./logger');
+
+const DEFAULT_PATCHOULI_SCHEMA = new PatchouliSchema();
+
+/**
+ * 翻訳エンジンの共通インターフェース兼基底クラス。
+ * サブクラスは `getMemoryScope` と `translateBatchInternal` を実装すれば、
+ * 翻訳メモリ/用語集を考慮した `translateTextsBatch`、Patchouliブック、言語ファイルなど (fileFormats.js の形式) の翻訳がそのまま使えます。
+ */
+class TranslationEngine {
+    #memory = null; // TranslationMemory (任意)
+    #glossary = null; // Glossary (任意)
+    #runJournal = null; // RunJournal (任意)
+    #requestScheduler = null; // RequestScheduler (未設定ならエンジンごとに既定の設定で作る)
+    #failures = new Map(); // 翻訳できなかった原文 -> 理由
+    #usageMeter = null; // UsageMeter (任意)
+
+    /**
+     * 翻訳メモリを設定します。設定後は translateTextsBatch などがメモリにある文字列をAPIに送らなくなります。
+     * @param {import('./translationMemory')|null} memory - TranslationMemoryインスタンス。nullで無効化。
+     */
+    setTranslationMemory(memory) {
+        this.#memory = memory;
+    }
+
+    /**
+     * 用語集を設定します。
+     * @param {import('./glossary')|null} glossary - Glossaryインスタンス。nullで無効化。
+     */
+    setGlossary(glossary) {
+        this.#glossary = glossary;
+    }
+
+    /**
+     * 実行のジャーナルを設定します。設定後は translateTextsBatch がジャーナルにある訳を使い、APIで翻訳した結果を追記します。
+     * @param {import('./runJournal')|null} runJournal - RunJournalインスタンス。nullで無効化。
+     */
+    setRunJournal(runJournal) {
+        this.#runJournal = runJournal;
+    }
+
+    /**
+     * APIリクエストのスケジューラーを設定します。複数のエンジン (翻訳先の言語ごと) で同じものを共有すると、
+     * 同時実行数の上限とレート制限による調整が全体にかかります。
+     * @param {RequestScheduler} scheduler - RequestSchedulerインスタンス。
+     */
+    setRequestScheduler(scheduler) {
+        this.#requestScheduler = scheduler;
+    }
+
+    get requestScheduler() {
+        if (!this.#requestScheduler) this.#requestScheduler = new RequestScheduler();
+        return this.#requestScheduler;
+    }
+
+    /**
+     * APIの使用量の記録先を設定します。設定後はリクエストごとに使用量を記録し、予算 (--max-budget) を超える前に止めます。
+     * @param {import('./usageMeter')|null} usageMeter - UsageMeterインスタンス。nullで無効化。
+     */
+    setUsageMeter(usageMeter) {
+        this.#usageMeter = usageMeter;
+    }
+
+    get usageMeter() {
+        return this.#usageMeter;
+    }
+
+    /**
+     * テキストをAPIに送った場合の使用量を見積もります (ドライランの見積もりに使う)。
+     * 既定は文字数で数えます。トークンで課金されるエンジンはオーバーライドします。
+     * @param {string[]} texts - 1回のリクエストで送るテキスト。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース。
+     * @param {Array<import('./textContext').TextContext|null>|null} [contexts=null] - textsに対応する文脈 (DeepLの context は課金されないため既定では数えない)。
+     * @returns {{engine: string, model: string, promptTokens?: number, completionTokens?: number, characters?: number}}
+     */
+    estimateUsage(texts, namespaces = null, contexts = null) {
+        const { engine, model } = this.getMemoryScope();
+        return { engine, model, characters: texts.reduce((total, text) => total + text.length, 0) };
+    }
+
+    /**
+     * APIのアカウントの使用量を返します (対応しているエンジンのみ)。
+     * @returns {Promise<{characters: number, limit: number|null}|null>} 対応していなければnull。
+     */
+    async getAccountUsage() {
+        return null;
+    }
+
+    /**
+     * 翻訳できなかった原文を記録します (同じ原文は最初の理由だけを残す)。
+     * @param {string} sourceText - 原文。
+     * @param {string} reason - 翻訳できなかった理由。
+     */
+    recordFailure(sourceText, reason) {
+        if (!this.#failures.has(sourceText)) this.#failures.set(sourceText, reason);
+    }
+
+    /**
+     * これまでに翻訳できなかった原文を返します。
+     * @returns {Array<{text: string, reason: string}>}
+     */
+    getFailures() {
+        return [...this.#failures].map(([text, reason]) => ({ text, reason }));
+    }
+
+    get memory() {
+        return this.#memory;
+    }
+
+    get glossary() {
+        return this.#glossary;
+    }
+
+    get runJournal() {
+        return this.#runJournal;
+    }
+
+    /**
+     * 翻訳メモリのキーに使うスコープを返します。サブクラスで実装します。
+     * @returns {{targetLang: string, engine: string, model: string, promptVersion: string}}
+     */
+    getMemoryScope() {
+        throw new Error(`${this.constructor.name} must implement getMemoryScope().`);
+    }
+
+    /**
+     * テキストをまとめて翻訳します (翻訳メモリは参照しない)。サブクラスで実装します。
+     * @param {string[]} texts - 翻訳するテキスト。
+     * @param {number[]} promptIndices - textsに対応する、結果Mapのキーとして使用するインデックス。
+     * @param {number} [currentSplitDepth=0] - バッチ分割の再帰深度 (分割しないエンジンでは無視してよい)。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース (用語集の適用範囲の判定に使用)。
+     * @param {Array<import('./textContext').TextContext|null>|null} [contexts=null] - textsに対応する文脈 (キー、ネームスペース、ファイルの種類)。
+     *   訳の参考としてテキストと一緒に送る。結果は必ず promptIndices で対応付ける。
+     * @returns {Promise<Map<number, string>>} インデックスをキー、翻訳/元テキストを値とするMap。
+     *   再試行しても翻訳できなかったテキストのインデックスは含めず、`recordFailure` で記録しておく。
+     * @throws {FatalApiError} 致命的なAPIエラー (認証、Quota超過など) の場合。
+     */
+    async translateBatchInternal(texts, promptIndices, currentSplitDepth = 0, namespaces = null, contexts = null) {
+        throw new Error(`${this.constructor.name} must implement translateBatchInternal().`);
+    }
+
+    /**
+     * 公開メソッド: テキストの配列を受け取り、翻訳（または元のテキスト）を含む配列を返します。
+     * 内部で空文字列を除外し、翻訳メモリ/実行のジャーナルにある文字列と重複する文字列はAPIに送らずにtranslateBatchInternalを呼び出します。
+     * @param {string[]} texts - 翻訳する元のテキスト配列（空文字列を含む可能性あり）。
+     * @param {string[]|null} [namespaces=null] - テキストが属するModのネームスペース (用語集の適用範囲の判定に使用)。
+     * @param {Array<import('./textContext').TextContext|null>|null} [contexts=null] - textsに対応する文脈。同じ文字列の文脈はまとめて送る。
+     * @returns {Promise<Array<string|undefined>>} 翻訳結果（翻訳対象外は元のテキスト）を含む完全な配列。
+     *   翻訳できなかったテキストの位置はundefined (`getFailures` に記録される)。
+     */
+     async translateTextsBatch(texts, namespaces = null, contexts = null) {
+         if (!Array.isArray(texts) || texts.length === 0) return [];
+
+         const finalResults = [...texts]; // 元の配列のコピーで初期化
+
+         // 翻訳対象の文字列ごとに、元の配列での出現位置をまとめる (同じ文字列は1回だけ翻訳する)
+         const positionsByText = new Map();
+         const contextByText = new Map(); // 文字列 -> 出現位置の文脈をまとめたもの
+         texts.forEach((text, index) => {
+             if (typeof text === 'string' && text.trim() !== '') {
+                 if (!positionsByText.has(text)) positionsByText.set(text, []);
+                 positionsByText.get(text).push(index);
+                 if (contexts?.[index]) contextByText.set(text, mergeTextContexts(contextByText.get(text), contexts[index]));
+             }
+         });
+         let uniqueTexts = [...positionsByText.keys()];
+         const translatedByText = new Map();
+
+         if (this.memory && uniqueTexts.length > 0) {
+             const scope = this.getMemoryScope();
+             const { hits, misses } = await this.memory.partition(uniqueTexts, scope);
+             for (const [i, translatedText] of hits) {
+                 // 用語集の訳語が使われていないもの (用語集を後から追加した場合など) は古い訳を消して翻訳し直す
+                 if (this.glossary && this.glossary.findViolations(uniqueTexts[i], translatedText, namespaces).length > 0) {
+                     await this.memory.invalidate(uniqueTexts[i], scope);
+                     misses.push(i);
+                 } else {
+                     translatedByText.set(uniqueTexts[i], translatedText);
+                 }
+             }
+             uniqueTexts = misses.sort((a, b) => a - b).map(i => uniqueTexts[i]);
+         }
+
+         // 中断した実行を再開した場合、前回翻訳し終わった文字列はジャーナルの訳を使う
+         if (this.runJournal && uniqueTexts.length > 0) {
+             const scope = this.getMemoryScope();
+             const remaining = [];
+             for (const text of uniqueTexts) {
+                 const journaled = this.runJournal.get(text, scope);
+                 if (journaled === undefined) { remaining.push(text); continue; }
+                 translatedByText.set(text, journaled);
+                 if (this.memory && journaled !== text) await this.memory.store(text, journaled, scope);
+             }
+             uniqueTexts = remaining;
+         }
+
+         if (uniqueTexts.length > 0) {
+             // translateBatchInternal に渡すのは、uniqueTexts 内での 0 から始まるインデックス
+             const promptIndicesForApi = uniqueTexts.map((_, idx) => idx);
+             const translatedMapFromApi = await this.translateBatchInternal(uniqueTexts, promptIndicesForApi, 0, namespaces, contexts ? uniqueTexts.map(text => contextByText.get(text) ?? null) : null);
+             for (const [promptIndexFromApi, translatedText] of translatedMapFromApi) {
+                 const sourceText = uniqueTexts[promptIndexFromApi];
+                 translatedByText.set(sourceText, translatedText);
+                 // 原文のまま返ってきたものはAPIエラー時のフォールバックと区別できないため保存しない
+                 if (this.memory && translatedText !== sourceText) {
+                     await this.memory.store(sourceText, translatedText, this.getMemoryScope());
+                 }
+             }
+             if (this.runJournal) {
+                 await this.runJournal.record([...translatedMapFromApi].map(([promptIndexFromApi, translatedText]) => [uniqueTexts[promptIndexFromApi], translatedText]), this.getMemoryScope());
+             }
+             // 翻訳できなかったテキストは原文で埋めずに失敗として返す
+             uniqueTexts.forEach((sourceText, promptIndexFromApi) => {
+                 if (translatedMapFromApi.has(promptIndexFromApi)) return;
+                 this.recordFailure(sourceText, 'No translation was returned');
+                 positionsByText.get(sourceText).forEach(index => { finalResults[index] = undefined; });
+             });
+         }
+
+         translatedByText.forEach((translatedText, sourceText) => {
+             positionsByText.get(sourceText).forEach(index => { finalResults[index] = translatedText; });
+         });
+         return finalResults;
+     }
+
+    /**
+     * PatchouliブックのJSONオブジェクトを受け取り、翻訳可能な文字列を翻訳して新しいオブジェクトを返します。
+     * @param {object} bookJsonData - パース済みのPatchouliブックのJSONオブジェクト。
+     * @param {Map<string, string>} [preservedTranslations] - 翻訳せずにそのまま使う既存の訳。キーはJSON.stringifyしたパス配列 (差分翻訳用)。
+     * @param {string[]|null} [namespaces=null] - ブックが属するModのネームスペース (用語集の適用範囲の判定に使用)。
+     * @param {object} [options]
+     * @param {PatchouliSchema} [options.schema] - 翻訳するフィールドの定義 (Mod独自のページの種類を追加したもの)。
+     * @param {'category'|'entry'|'template'} [options.fileKind='entry'] - ファイルの種類 (`PatchouliSchema.fileKind` で判定)。
+     * @returns {Promise<object>} 翻訳された文字列を含む新しいJSONオブジェクト (翻訳できなかった文字列は原文のまま。`getFailures` に記録される)。
+     * @throws {FatalApiError} 致命的なAPIエラーの場合。
+     */
+    async translatePatchouliBookObject(bookJsonData, preservedTranslations = new Map(), namespaces = null, { schema = DEFAULT_PATCHOULI_SCHEMA, fileKind = 'entry' } = {}) {
+        if (typeof bookJsonData !== 'object' || bookJsonData === null) {
+            log.warn("[Translator] translatePatchouliBookObject: Input is not a valid object.");
+            return bookJsonData;
+        }
+
+        // 翻訳するフィールドはファイル/ページの種類ごとに決める (リソースロケーションや言語ファイルのキーは除く)
+        const extractedItems = schema.extract(bookJsonData, fileKind).map(({ path, text }) => ({ path, originalText: text }));
+
+        const translatedBookJson = JSON.parse(JSON.stringify(bookJsonData));
+        if (extractedItems.length === 0) {
+            return translatedBookJson;
+        }
+
+        // 既存の訳を使うものは翻訳対象から外す
+        const itemsToTranslate = extractedItems.filter(item => !preservedTranslations.has(JSON.stringify(item.path)));
+        const originalTextsArray = itemsToTranslate.map(item => item.originalText);
+        let translatedTextsArray = [];
+        if (originalTextsArray.length > 0) {
+            log.debug(`[Translator] translatePatchouliBookObject: Translating ${originalTextsArray.length} strings...`);
+            // フィールドのパス (pages.0.text など) とファイルの種類を文脈として送る
+            const contexts = itemsToTranslate.map(item => createTextContext(item.path.join('.'), namespaces?.[0], `patchouli_${fileKind}`));
+            translatedTextsArray = await this.translateTextsBatch(originalTextsArray, namespaces, contexts); // ここで全体のバッチ処理を呼び出す
+        }
+
+        function setValueByPath(obj, pathArray, value) {
+            let current = obj;
+            for (let i = 0; i < pathArray.length - 1; i++) {
+                current = current[pathArray[i]];
+                if (typeof current !== 'object' || current === null) return;
+            }
+            current[pathArray[pathArray.length - 1]] = value;
+        }
+        extractedItems.forEach(item => {
+            const preserved = preservedTranslations.get(JSON.stringify(item.path));
+            if (preserved !== undefined) setValueByPath(translatedBookJson, item.path, preserved);
+        });
+        itemsToTranslate.forEach((item, index) => {
+            if (translatedTextsArray[index] !== undefined) setValueByPath(translatedBookJson, item.path, translatedTextsArray[index]);
+        });
+        return translatedBookJson;
+    }
+
+    /**
+     * JSONデータ (言語ファイル) の文字列の値を翻訳します。
+     * @param {object} jsonData - 翻訳対象のJSONオブジェクト。
+     * @param {string[]|null} [namespaces=null] - ファイルが属するModのネームスペース (用語集の適用範囲の判定に使用)。
+     * @param {Object<string, import('./textContext').TextContext>|null} [contexts=null] - JSONのキー -> 文脈。
+     *   省略した場合はJSONのキーを言語ファイルのキー (種類は lang) として送る。
+     * @returns {Promise<object>} 翻訳後のJSONオブジェクト (キー構造は維持。翻訳できなかったキーは含めない)。
+     */
+    async execJSON(jsonData, namespaces = null, contexts = null) {
+        if (typeof jsonData !== 'object' || jsonData === null) {
+            return jsonData;
+        }
+        const keysToTranslate = [];
+        const textsToTranslate = [];
+        Object.keys(jsonData).forEach((key) => {
+            const value = jsonData[key];
+            if (typeof value === 'string' && value.trim() !== '') {
+                textsToTranslate.push(value);
+                keysToTranslate.push(key);
+            }
+        });
+        if (textsToTranslate.length === 0) {
+            return { ...jsonData };
+        }
+        const textContexts = keysToTranslate.map(key => contexts ? contexts[key] ?? null : createTextContext(key, namespaces?.[0], 'lang'));
+        const translatedTexts = await this.translateTextsBatch(textsToTranslate, namespaces, textContexts);
+        const translatedData = { ...jsonData };
+        translatedTexts.forEach((translatedText, index) => {
+             const originalJsonKey = keysToTranslate[index];
+             if (originalJsonKey === undefined) return;
+             // 原文のまま出力せず、キーごと除く (ゲーム側では翻訳元の言語が使われ、次回の実行で翻訳し直される)
+             if (translatedText === undefined) delete translatedData[originalJsonKey];
+             else translatedData[originalJsonKey] = translatedText;
+        });
+        return translatedData;
+    }
+
+    /**
+     * fileFormats.js の形式のファイル (言語ファイル、.mcfunction など) を翻訳し、元の書式のまま書き戻した内容を返します。
+     * 文字列は execJSON でまとめて翻訳します。翻訳できなかった文字列の扱いは形式ごと (言語ファイルではキー/行を除き、.mcfunction では原文のまま)。
+     * @param {string} formatName - 形式の名前 (json / local / lang / mcfunction)。
+     * @param {string} content - 翻訳対象のファイルの全内容。
+     * @param {string[]|null} [namespaces=null] - ファイルが属するModのネームスペース (用語集の適用範囲の判定に使用)。
+     * @param {Map<string, string>} [fixedTranslations] - APIに送らずにそのまま使う訳 (手修正の訳など。key -> 訳)。
+     * @returns {Promise<{content: string, texts: number, failed: number}>} 翻訳後の内容と、翻訳しようとした文字列/翻訳できなかった文字列の数。
+     * @throws {Error} 内容を解析できない場合。
+     */
+    async execFile(formatName, content, namespaces = null, fixedTranslations = new Map()) {
+        const format = getFormat(formatName);
+        const document = format.parse(content);
+        const texts = {}; // 文字列の位置 (entries の順) -> 原文
+        const contexts = {}; // 文字列の位置 -> 文脈 (形式ごとのキー。.mcfunction では "行.パス")
+        format.entries(document).forEach(({ key, value }, index) => {
+            if (fixedTranslations.has(key) || !isText(value)) return;
+            texts[index] = value;
+            contexts[index] = createTextContext(key, namespaces?.[0], formatName === 'mcfunction' ? 'mcfunction' : 'lang');
+        });
+        const translated = Object.keys(texts).length > 0 ? await this.execJSON(texts, namespaces, contexts) : {};
+        const translatedContent = format.serialize(document, ({ key, value }, index) => {
+            if (fixedTranslations.has(key)) return fixedTranslations.get(key);
+            return index in texts ? translated[index] : value;
+        });
+        return { content: translatedContent, texts: Object.keys(texts).length, failed: Object.keys(texts).filter(index => !(index in translated)).length };
+    }
+}
+
+module.exports = TranslationEngine;
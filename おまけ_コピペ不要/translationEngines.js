@@ -0,0 +1,126 @@
+// translationEngines.js
+// 翻訳エンジンのレジストリ。設定 (TRANSLATION_ENGINE / 設定ファイル) かコマンドライン引数 (--engine=xxx) でエンジンを選びます。
+const DryRunTranslator = require('./dryRunTranslator');
+
+// Minecraftの言語コード -> 各エンジンでの言語の指定
+const TARGET_LANGUAGES = {
+    ja_jp: { name: 'Japanese', deepl: 'JA' },
+    zh_cn: { name: 'Simplified Chinese', deepl: 'ZH-HANS' },
+    zh_tw: { name: 'Traditional Chinese (Taiwan)', deepl: 'ZH-HANT' },
+    ko_kr: { name: 'Korean', deepl: 'KO' },
+    ru_ru: { name: 'Russian', deepl: 'RU' },
+    uk_ua: { name: 'Ukrainian', deepl: 'UK' },
+    de_de: { name: 'German', deepl: 'DE' },
+    fr_fr: { name: 'French', deepl: 'FR' },
+    es_es: { name: 'Spanish', deepl: 'ES' },
+    pt_br: { name: 'Brazilian Portuguese', deepl: 'PT-BR' },
+};
+
+// エンジンのモジュールは使うときにだけ読み込む (mockはAPIのライブラリを必要としない)
+// memoryLang は翻訳メモリに記録される翻訳先言語 (エンジンの getMemoryScope().targetLang と同じ値)
+const ENGINES = {
+    openai: {
+        description: 'OpenAI or OpenAI-compatible server (Chat Completions)',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        // baseUrl (--base-url / OPENAI_BASE_URL) でローカルのサーバー (llama.cpp, Ollama, vLLM, LM Studio など) を使う場合はキー不要
+        needsApiKey: ({ baseUrl }) => !baseUrl,
+        memoryLang: ({ language }) => language.name,
+        create: ({ language, model, apiKey, baseUrl, temperature = 0.1, maxTokens = null, jsonMode = 'auto' }) => {
+            const OpenAITranslator = require('./openaiTranslator');
+            return new OpenAITranslator(apiKey, language.name, model || 'gpt-4o-mini', {
+                baseURL: baseUrl,
+                temperature,
+                maxTokens,
+                jsonMode: { true: true, false: false }[jsonMode] ?? 'auto',
+            });
+        },
+    },
+    deepl: {
+        description: 'DeepL API',
+        apiKeyEnv: 'DEEPL_API_KEY',
+        needsApiKey: () => true,
+        memoryLang: ({ language }) => language.deepl,
+        create: ({ language, apiKey }) => {
+            const LangTranslate = require('./langTranslator');
+            return new LangTranslate(apiKey, language.deepl);
+        },
+    },
+    mock: {
+        description: 'Offline pseudo-localization (no API key, deterministic)',
+        apiKeyEnv: null,
+        needsApiKey: () => false,
+        memoryLang: ({ targetLangCode }) => targetLangCode,
+        create: ({ targetLangCode }) => {
+            const MockTranslator = require('./mockTranslator');
+            return new MockTranslator(targetLangCode);
+        },
+    },
+};
+
+/**
+ * エンジンの情報を返します。
+ * @param {string} engineName - エンジン名。
+ * @returns {{description: string, apiKeyEnv: string|null}}
+ * @throws {Error} 未知のエンジン名の場合。
+ */
+function getEngineInfo(engineName) {
+    const engine = ENGINES[engineName];
+    if (!engine) throw new Error(`Unknown translation engine "${engineName}". Available: ${Object.keys(ENGINES).join(', ')}`);
+    return { description: engine.description, apiKeyEnv: engine.apiKeyEnv };
+}
+
+/**
+ * 翻訳エンジンを作成します。
+ * @param {string} engineName - エンジン名 (openai / deepl / mock)。
+ * @param {object} [options]
+ * @param {string} [options.targetLangCode='ja_jp'] - 翻訳先のMinecraft言語コード。
+ * @param {string} [options.model] - モデル名 (openaiのみ)。
+ * @param {string} [options.baseUrl] - OpenAI互換サーバーのURL (openaiのみ。指定した場合はAPIキー不要)。
+ * @param {number} [options.temperature] - 生成時のtemperature (openaiのみ)。
+ * @param {number} [options.maxTokens] - 最大出力トークン数 (openaiのみ。省略時はサーバーのデフォルト)。
+ * @param {'auto'|'true'|'false'} [options.jsonMode] - response_format: json_object を送るか (openaiのみ)。
+ * @param {boolean} [options.dryRun=false] - trueならAPIを呼ばない DryRunTranslator で包んで返す (APIキーも不要)。
+ * @returns {import('./translationEngine')} TranslationEngineのサブクラスのインスタンス。
+ * @throws {Error} 未知のエンジン/言語、またはAPIキーが設定されていない場合。
+ */
+function createTranslator(engineName, { targetLangCode = 'ja_jp', model, baseUrl, temperature, maxTokens, jsonMode, dryRun = false } = {}) {
+    const { apiKeyEnv } = getEngineInfo(engineName);
+    const engine = ENGINES[engineName];
+    const language = TARGET_LANGUAGES[targetLangCode.toLowerCase()];
+    if (!language) throw new Error(`Unsupported target language "${targetLangCode}". Available: ${listTargetLanguages().join(', ')}`);
+    const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : undefined;
+    if (!dryRun && engine.needsApiKey({ baseUrl }) && !apiKey) throw new Error(`${apiKeyEnv} is not set in .env (required by the "${engineName}" engine).`);
+    // ドライランではAPIを呼ばないので、キーがなくてもクライアントを作れるよう仮のキーを渡す
+    const translator = engine.create({ targetLangCode: targetLangCode.toLowerCase(), language, model, baseUrl, temperature, maxTokens, jsonMode, apiKey: dryRun ? (apiKey || 'dry-run') : apiKey });
+    return dryRun ? new DryRunTranslator(translator) : translator;
+}
+
+/**
+ * Minecraftの言語コードが、各エンジンの翻訳メモリでどの言語として記録されているかを返します。
+ * @param {string} targetLangCode - 翻訳先のMinecraft言語コード。
+ * @returns {Object<string, string>} エンジン名 -> 翻訳メモリの翻訳先言語 (例: { openai: 'Japanese', deepl: 'JA', mock: 'ja_jp' })。
+ * @throws {Error} 未知の言語の場合。
+ */
+function getMemoryLanguages(targetLangCode) {
+    const language = TARGET_LANGUAGES[targetLangCode.toLowerCase()];
+    if (!language) throw new Error(`Unsupported target language "${targetLangCode}". Available: ${listTargetLanguages().join(', ')}`);
+    return Object.fromEntries(Object.entries(ENGINES).map(([engineName, engine]) => [engineName, engine.memoryLang({ targetLangCode: targetLangCode.toLowerCase(), language })]));
+}
+
+/**
+ * 登録されているエンジン名の一覧を返します。
+ * @returns {string[]}
+ */
+function listEngines() {
+    return Object.keys(ENGINES);
+}
+
+/**
+ * 翻訳先に指定できる言語コードの一覧を返します。
+ * @returns {string[]}
+ */
+function listTargetLanguages() {
+    return Object.keys(TARGET_LANGUAGES);
+}
+
+module.exports = { createTranslator, getEngineInfo, getMemoryLanguages, listEngines, listTargetLanguages };
@@ -0,0 +1,244 @@
+// translationMemory.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+class TranslationMemory {
+    #directory;
+    #enabled;
+    #readOnly;
+    #shards = new Map(); // shardId -> Promise<Map<key, entry>>
+    #dirtyShards = new Set();
+    #stats = { hits: 0, misses: 0, stored: 0, invalidated: 0 };
+
+    /**
+     * 原文1文字列単位で翻訳結果を保存する翻訳メモリを作成します。
+     * キーは「原文 + 翻訳先言語 + エンジン/モデル + プロンプトバージョン」のハッシュなので、
+     * JAR名やファイルパスが変わっても同じ原文なら再利用され、原文が変われば自動的に再翻訳されます。
+     * @param {string} directory - メモリを保存するフォルダ (シャード単位のJSONファイルが置かれる)。
+     * @param {object} [options]
+     * @param {boolean} [options.enabled=true] - falseの場合、参照も保存も行わない。
+     * @param {boolean} [options.readOnly=false] - trueの場合、参照だけ行い、保存も削除もしない (ドライラン用)。
+     */
+    constructor(directory, { enabled = true, readOnly = false } = {}) {
+        if (typeof directory !== 'string' || !directory) {
+            throw new Error('TranslationMemory directory is required.');
+        }
+        this.#directory = directory;
+        this.#enabled = enabled;
+        this.#readOnly = readOnly;
+    }
+
+    get enabled() {
+        return this.#enabled;
+    }
+
+    get directory() {
+        return this.#directory;
+    }
+
+    /**
+     * 原文とスコープからメモリのキーを生成します。
+     * @param {string} sourceText - 原文。
+     * @param {{targetLang: string, engine: string, model: string, promptVersion: string}} scope - 翻訳条件。
+     * @returns {string} sha256の16進文字列。
+     */
+    static createKey(sourceText, scope) {
+        const keyMaterial = JSON.stringify([scope.targetLang, scope.engine, scope.model, scope.promptVersion, sourceText]);
+        return crypto.createHash('sha256').update(keyMaterial).digest('hex');
+    }
+
+    #shardPath(shardId) {
+        return path.join(this.#directory, `${shardId}.json`);
+    }
+
+    #loadShard(shardId) {
+        if (!this.#shards.has(shardId)) {
+            const loading = fs.readFile(this.#shardPath(shardId), 'utf8')
+                .then(content => new Map(Object.entries(JSON.parse(content))))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') log.warn(`[Memory] Error reading shard ${shardId}: ${error.message}`);
+                    return new Map();
+                });
+            this.#shards.set(shardId, loading);
+        }
+        return this.#shards.get(shardId);
+    }
+
+    /**
+     * 翻訳済みの文字列を取得します。
+     * @param {string} sourceText - 原文。
+     * @param {object} scope - `createKey` と同じスコープ。
+     * @returns {Promise<string|null>} 翻訳結果。未登録ならnull。
+     */
+    async lookup(sourceText, scope) {
+        if (!this.#enabled) return null;
+        const key = TranslationMemory.createKey(sourceText, scope);
+        const shard = await this.#loadShard(key.substring(0, 2));
+        const entry = shard.get(key);
+        // ハッシュ衝突に備えて原文も照合する
+        if (entry && entry.source === sourceText) {
+            this.#stats.hits++;
+            return entry.target;
+        }
+        this.#stats.misses++;
+        return null;
+    }
+
+    /**
+     * 翻訳結果をメモリに登録します。ディスクへの書き込みは `flush` で行われます。
+     * @param {string} sourceText - 原文。
+     * @param {string} translatedText - 翻訳結果。
+     * @param {object} scope - `createKey` と同じスコープ。
+     * @returns {Promise<void>}
+     */
+    async store(sourceText, translatedText, scope) {
+        if (!this.#enabled || this.#readOnly || typeof translatedText !== 'string') return;
+        const key = TranslationMemory.createKey(sourceText, scope);
+        const shardId = key.substring(0, 2);
+        const shard = await this.#loadShard(shardId);
+        shard.set(key, { source: sourceText, target: translatedText, lang: scope.targetLang, engine: scope.engine, model: scope.model, promptVersion: scope.promptVersion });
+        this.#dirtyShards.add(shardId);
+        this.#stats.stored++;
+    }
+
+    /**
+     * 使えなくなった訳 (用語集の訳語が使われていないものなど) をメモリから削除します。ディスクへの書き込みは `flush` で行われます。
+     * 翻訳し直した訳が原文と同じだったり、翻訳に失敗したりして `store` されなかった場合も、古い訳が次の実行で使われないようにします。
+     * @param {string} sourceText - 原文。
+     * @param {object} scope - `createKey` と同じスコープ。
+     * @returns {Promise<void>}
+     */
+    async invalidate(sourceText, scope) {
+        if (!this.#enabled || this.#readOnly) return;
+        const key = TranslationMemory.createKey(sourceText, scope);
+        const shardId = key.substring(0, 2);
+        const shard = await this.#loadShard(shardId);
+        if (!shard.delete(key)) return;
+        this.#dirtyShards.add(shardId);
+        this.#stats.invalidated++;
+    }
+
+    /**
+     * テキスト配列をメモリにあるもの (hits) とないもの (misses) に振り分けます。
+     * @param {string[]} texts - 原文の配列。
+     * @param {object} scope - `createKey` と同じスコープ。
+     * @returns {Promise<{hits: Map<number, string>, misses: number[]}>} hitsは配列インデックス→翻訳結果、missesは未登録の配列インデックス。
+     */
+    async partition(texts, scope) {
+        const hits = new Map();
+        const misses = [];
+        for (let i = 0; i < texts.length; i++) {
+            const cached = await this.lookup(texts[i], scope);
+            if (cached !== null) hits.set(i, cached);
+            else misses.push(i);
+        }
+        return { hits, misses };
+    }
+
+    /**
+     * 変更のあったシャードをディスクに書き出します。
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (!this.#enabled || this.#dirtyShards.size === 0) return;
+        await fs.mkdir(this.#directory, { recursive: true });
+        const shardIds = [...this.#dirtyShards];
+        this.#dirtyShards.clear();
+        for (const shardId of shardIds) {
+            const shard = await this.#loadShard(shardId);
+            const shardPath = this.#shardPath(shardId);
+            const tempPath = `${shardPath}.tmp`;
+            try {
+                await fs.writeFile(tempPath, JSON.stringify(Object.fromEntries(shard)), 'utf8');
+                await fs.rename(tempPath, shardPath);
+            } catch (error) {
+                log.warn(`[Memory] Error writing shard ${shardId}: ${error.message}`);
+                this.#dirtyShards.add(shardId);
+            }
+        }
+    }
+
+    /**
+     * メモリのフォルダにあるシャードファイルを読み込みます (cache コマンド用)。
+     * @param {string} directory - メモリのフォルダ。
+     * @returns {Promise<Array<{fileName: string, bytes: number, entries: Object<string, object>}>>} フォルダがなければ空配列。
+     */
+    static async #readShardFiles(directory) {
+        let fileNames;
+        try {
+            fileNames = (await fs.readdir(directory)).filter(name => /^[0-9a-f]{2}\.json$/.test(name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const shards = [];
+        for (const fileName of fileNames.sort()) {
+            const content = await fs.readFile(path.join(directory, fileName), 'utf8');
+            shards.push({ fileName, bytes: Buffer.byteLength(content), entries: JSON.parse(content) });
+        }
+        return shards;
+    }
+
+    /**
+     * メモリの内容を集計します。
+     * @param {string} directory - メモリのフォルダ。
+     * @returns {Promise<{shards: number, bytes: number, entries: number, groups: Array<{lang: string, engine: string, model: string, promptVersion: string, entries: number}>}>}
+     *   groupsは翻訳先言語/エンジン/モデル/プロンプトバージョンごとの件数 (多い順)。
+     */
+    static async inspect(directory) {
+        const shards = await TranslationMemory.#readShardFiles(directory);
+        const groups = new Map();
+        let entries = 0;
+        shards.forEach(shard => Object.values(shard.entries).forEach(entry => {
+            const groupKey = JSON.stringify([entry.lang, entry.engine, entry.model, entry.promptVersion]);
+            if (!groups.has(groupKey)) groups.set(groupKey, { lang: entry.lang, engine: entry.engine, model: entry.model, promptVersion: entry.promptVersion, entries: 0 });
+            groups.get(groupKey).entries++;
+            entries++;
+        }));
+        return {
+            shards: shards.length,
+            bytes: shards.reduce((sum, shard) => sum + shard.bytes, 0),
+            entries,
+            groups: [...groups.values()].sort((a, b) => b.entries - a.entries),
+        };
+    }
+
+    /**
+     * メモリから条件に合うエントリを削除します。条件を省略するとすべて削除します。
+     * @param {string} directory - メモリのフォルダ。
+     * @param {object} [filter]
+     * @param {string|Object<string, string>} [filter.lang] - 翻訳先言語がこれに一致するものだけ削除。
+     *   エンジンごとに記録される言語の表し方が違うので、エンジン名 -> 言語のオブジェクトも指定できる (translationEngines.js の `getMemoryLanguages`)。
+     * @param {string} [filter.engine] - エンジンがこれに一致するものだけ削除。
+     * @param {string} [filter.model] - モデルがこれに一致するものだけ削除。
+     * @returns {Promise<number>} 削除したエントリ数。
+     */
+    static async clear(directory, { lang, engine, model } = {}) {
+        const matches = entry => (lang === undefined || entry.lang === (typeof lang === 'object' ? lang[entry.engine] : lang))
+            && (engine === undefined || entry.engine === engine)
+            && (model === undefined || entry.model === model);
+        let removed = 0;
+        for (const shard of await TranslationMemory.#readShardFiles(directory)) {
+            const remaining = Object.fromEntries(Object.entries(shard.entries).filter(([, entry]) => !matches(entry)));
+            const removedHere = Object.keys(shard.entries).length - Object.keys(remaining).length;
+            if (removedHere === 0) continue;
+            removed += removedHere;
+            const shardPath = path.join(directory, shard.fileName);
+            if (Object.keys(remaining).length === 0) await fs.unlink(shardPath);
+            else await fs.writeFile(shardPath, JSON.stringify(remaining), 'utf8');
+        }
+        return removed;
+    }
+
+    /**
+     * 今回の実行でのヒット数などを返します。
+     * @returns {{hits: number, misses: number, stored: number, invalidated: number}}
+     */
+    getStats() {
+        return { ...this.#stats };
+    }
+}
+
+module.exports = TranslationMemory;
@@ -0,0 +1,233 @@
+// usageMeter.js
+// APIの使用量 (OpenAIのトークン数、DeepLの文字数) と料金を、エンジン/モデルごとと Mod (ネームスペース) ごとに集計します。
+// --max-budget を指定した場合は、リクエストを送る前に見積もった料金が予算を超えないかを確認します。
+// ドライランでは DryRunTranslator が「送るはずだった文字列」から見積もった使用量を同じ形で記録します。
+const { FatalApiError } = require('./requestScheduler');
+
+// 料金 (USD)。OpenAIは100万トークンあたり (input: プロンプト、output: 生成したテキスト)、DeepLは100万文字あたり (API Pro)。
+// 料金は変わることがあるため、設定ファイルの pricing で上書き/追加できる。
+const DEFAULT_PRICING = {
+    openai: {
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4.1': { input: 2, output: 8 },
+        'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+        'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    },
+    deepl: { deepl: { characters: 25 } },
+    mock: { pseudo: { characters: 0 } },
+};
+
+// 生成されるトークン数は原文の何倍になるかの目安 (日本語などは英語の原文より多くなる。予算の確認に使うので多めにする)
+const COMPLETION_TOKEN_RATIO = 2;
+// 1メッセージあたりの付加トークン (role など)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const UNKNOWN_NAMESPACE = '(unknown)';
+
+function emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, characters: 0, cost: 0, unpriced: false };
+}
+
+class UsageMeter {
+    #pricing;
+    #maxBudget;
+    #spent = 0; // 記録した使用量の料金の合計
+    #reserved = 0; // 送信中のリクエストの見積もり料金
+    #engines = new Map(); // "engine/model" -> totals
+    #namespaces = new Map(); // namespace -> totals
+    #textNamespaces = null; // 原文 -> ネームスペース (Set) (言語ファイルのように複数のModの文字列をまとめて送る場合)
+
+    /**
+     * @param {object} [options]
+     * @param {Object<string, Object<string, object>>} [options.pricing={}] - DEFAULT_PRICING に追加/上書きする料金。
+     *   例: { "openai": { "my-model": { "input": 0.5, "output": 1.5 } }, "deepl": { "deepl": { "characters": 20 } } }
+     * @param {number|null} [options.maxBudget=null] - 料金の上限 (USD)。nullなら上限なし。
+     * @throws {Error} pricing の形式が不正な場合。
+     */
+    constructor({ pricing = {}, maxBudget = null } = {}) {
+        this.#pricing = {};
+        Object.entries(DEFAULT_PRICING).forEach(([engine, models]) => { this.#pricing[engine] = { ...models }; });
+        Object.entries(pricing || {}).forEach(([engine, models]) => {
+            if (typeof models !== 'object' || models === null || Array.isArray(models)) throw new Error(`pricing.${engine} must map model names to prices`);
+            Object.entries(models).forEach(([model, price]) => {
+                if (typeof price !== 'object' || price === null || !Object.values(price).every(value => typeof value === 'number')) {
+                    throw new Error(`pricing.${engine}.${model} must be an object of numbers, e.g. {"input": 0.15, "output": 0.6} or {"characters": 25}`);
+                }
+            });
+            this.#pricing[engine] = { ...(this.#pricing[engine] || {}), ...models };
+        });
+        this.#maxBudget = maxBudget;
+    }
+
+    get maxBudget() {
+        return this.#maxBudget;
+    }
+
+    /** これまでに記録した使用量の料金 (USD)。 */
+    get spent() {
+        return this.#spent;
+    }
+
+    /**
+     * テキストのトークン数を見積もります (ASCIIは約4文字で1トークン、それ以外は1文字1トークン)。
+     * @param {string} text
+     * @returns {number}
+     */
+    static estimateTokens(text) {
+        let ascii = 0;
+        let other = 0;
+        for (const char of text) {
+            if (char.charCodeAt(0) < 128) ascii++;
+            else other++;
+        }
+        return Math.ceil(ascii / 4) + other;
+    }
+
+    /**
+     * OpenAIのリクエスト1回分の使用量を見積もります。
+     * @param {string[]} messages - 送るメッセージ (システムプロンプトとユーザープロンプト)。
+     * @param {string[]} texts - 翻訳するテキスト (生成されるトークン数の見積もりに使う)。
+     * @returns {{promptTokens: number, completionTokens: number}}
+     */
+    static estimateOpenAIUsage(messages, texts) {
+        const promptTokens = messages.reduce((total, message) => total + UsageMeter.estimateTokens(message) + MESSAGE_OVERHEAD_TOKENS, 0);
+        const completionTokens = Math.ceil(UsageMeter.estimateTokens(JSON.stringify(texts)) * COMPLETION_TOKEN_RATIO);
+        return { promptTokens, completionTokens };
+    }
+
+    /**
+     * エンジン/モデルの料金を返します。モデル名が完全に一致しない場合は、前方一致する最も長い名前の料金を使います (gpt-4o-mini-2024-07-18 など)。
+     * @param {string} engine
+     * @param {string} model
+     * @returns {{input?: number, output?: number, characters?: number}|null} 料金が分からなければnull。
+     */
+    getPrice(engine, model) {
+        const models = this.#pricing[engine];
+        if (!models) return null;
+        if (models[model]) return models[model];
+        const prefix = Object.keys(models).filter(name => model.startsWith(`${name}-`)).sort((a, b) => b.length - a.length)[0];
+        return prefix ? models[prefix] : null;
+    }
+
+    /**
+     * 使用量の料金を計算します。
+     * @param {{engine: string, model: string, promptTokens?: number, completionTokens?: number, characters?: number}} usage
+     * @returns {number|null} 料金 (USD)。料金が分からなければnull。
+     */
+    getCost({ engine, model, promptTokens = 0, completionTokens = 0, characters = 0 }) {
+        const price = this.getPrice(engine, model);
+        if (!price) return null;
+        return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0) + characters * (price.characters || 0)) / 1e6;
+    }
+
+    /**
+     * 言語ファイルの文字列のように、複数のModの文字列をまとめて送る場合に、原文ごとのネームスペースを設定します。
+     * 設定していない文字列は、記録するときに渡されたネームスペースに割り当てます。
+     * @param {Map<string, Iterable<string>>|null} textNamespaces - 原文 -> ネームスペース。nullで解除。
+     */
+    setTextNamespaces(textNamespaces) {
+        this.#textNamespaces = textNamespaces;
+    }
+
+    /**
+     * リクエストを送る前に見積もった料金を確保します。予算を超える場合は送らずに止めます。
+     * @param {{engine: string, model: string, promptTokens?: number, completionTokens?: number, characters?: number}} estimate - 見積もった使用量。
+     * @returns {number} 確保した料金。リクエストが終わったら `record` または `release` に渡す。
+     * @throws {FatalApiError} 予算を超える場合 ("Budget Exceeded")。
+     */
+    reserve(estimate) {
+        const cost = this.getCost(estimate) ?? 0;
+        if (this.#maxBudget !== null && this.#spent + this.#reserved + cost > this.#maxBudget) {
+            throw new FatalApiError(`Budget Exceeded: $${(this.#spent + this.#reserved).toFixed(4)} used, the next request (~$${cost.toFixed(4)}) would exceed --max-budget $${this.#maxBudget}`);
+        }
+        this.#reserved += cost;
+        return cost;
+    }
+
+    /**
+     * 送らなかった/失敗したリクエストのために確保した料金を戻します。
+     * @param {number} reserved - `reserve` が返した料金。
+     */
+    release(reserved) {
+        this.#reserved = Math.max(0, this.#reserved - reserved);
+    }
+
+    /**
+     * リクエスト1回分の使用量を記録します。Modごとの使用量は、テキストの文字数の割合で分けます。
+     * @param {{engine: string, model: string, promptTokens?: number, completionTokens?: number, characters?: number}} usage - 使用量 (APIが返した実際の値、ドライランでは見積もり)。
+     * @param {object} [options]
+     * @param {string[]} [options.texts=[]] - このリクエストで送った原文。
+     * @param {string[]|null} [options.namespaces=null] - 原文ごとのネームスペースが設定されていない場合に使うネームスペース。
+     * @param {number} [options.reserved=0] - `reserve` で確保した料金 (戻してから実際の料金を足す)。
+     */
+    record(usage, { texts = [], namespaces = null, reserved = 0 } = {}) {
+        this.release(reserved);
+        const cost = this.getCost(usage);
+        const amounts = { requests: 1, promptTokens: usage.promptTokens || 0, completionTokens: usage.completionTokens || 0, characters: usage.characters || 0, cost: cost ?? 0 };
+        this.#spent += amounts.cost;
+        UsageMeter.#add(this.#totalsOf(this.#engines, `${usage.engine}/${usage.model}`), amounts, 1, cost === null);
+
+        // テキストの文字数の割合で、テキストが属するModに分ける (複数のModにある文字列はそれらで等分する)
+        const totalLength = texts.reduce((total, text) => total + text.length, 0);
+        const shares = new Map(); // namespace -> share
+        texts.forEach(text => {
+            const textNamespaces = [...(this.#textNamespaces?.get(text) || namespaces || [UNKNOWN_NAMESPACE])];
+            const share = (totalLength > 0 ? text.length / totalLength : 1 / texts.length) / textNamespaces.length;
+            textNamespaces.forEach(namespace => shares.set(namespace, (shares.get(namespace) || 0) + share));
+        });
+        if (shares.size === 0) shares.set(UNKNOWN_NAMESPACE, 1);
+        shares.forEach((share, namespace) => UsageMeter.#add(this.#totalsOf(this.#namespaces, namespace), amounts, share, cost === null));
+    }
+
+    #totalsOf(map, key) {
+        if (!map.has(key)) map.set(key, emptyTotals());
+        return map.get(key);
+    }
+
+    static #add(totals, amounts, share, unpriced) {
+        ['requests', 'promptTokens', 'completionTokens', 'characters', 'cost'].forEach(key => { totals[key] += amounts[key] * share; });
+        if (unpriced) totals.unpriced = true;
+    }
+
+    static #round(totals) {
+        return {
+            requests: Math.round(totals.requests), promptTokens: Math.round(totals.promptTokens), completionTokens: Math.round(totals.completionTokens),
+            characters: Math.round(totals.characters), cost: totals.unpriced ? null : Number(totals.cost.toFixed(6)),
+        };
+    }
+
+    static #formatTotals(totals) {
+        const rounded = UsageMeter.#round(totals);
+        const parts = [];
+        if (rounded.promptTokens + rounded.completionTokens > 0) parts.push(`${rounded.promptTokens} prompt + ${rounded.completionTokens} completion token(s)`);
+        if (rounded.characters > 0) parts.push(`${rounded.characters} character(s)`);
+        parts.push(rounded.cost === null ? 'price unknown (add it to pricing in the config file)' : `$${rounded.cost.toFixed(4)}`);
+        return parts.join(', ');
+    }
+
+    /**
+     * エンジン/モデルごと、Modごとの使用量を返します (JSONとして保存する想定)。Modごとの値は文字数の割合で分けた概算です。
+     * @returns {object}
+     */
+    getReport() {
+        const toObject = map => Object.fromEntries([...map.keys()].sort().map(key => [key, UsageMeter.#round(map.get(key))]));
+        return { generatedAt: new Date().toISOString(), totalCost: Number(this.#spent.toFixed(6)), maxBudget: this.#maxBudget, engines: toObject(this.#engines), namespaces: toObject(this.#namespaces) };
+    }
+
+    /**
+     * エンジン/モデルごとと、Modごと (料金の高い順) のサマリーを返します。
+     * @returns {string}
+     */
+    formatSummary() {
+        if (this.#engines.size === 0) return '  (no API requests)';
+        const lines = [...this.#engines.keys()].sort().map(key => `  ${key}: ${Math.round(this.#engines.get(key).requests)} request(s), ${UsageMeter.#formatTotals(this.#engines.get(key))}`);
+        lines.push('  Per mod (split by text length):');
+        [...this.#namespaces.entries()]
+            .sort(([a, totalsA], [b, totalsB]) => (totalsB.cost - totalsA.cost) || (totalsB.characters + totalsB.promptTokens - totalsA.characters - totalsA.promptTokens) || a.localeCompare(b))
+            .forEach(([namespace, totals]) => lines.push(`    ${namespace}: ${UsageMeter.#formatTotals(totals)}`));
+        return lines.join('\n');
+    }
+}
+
+module.exports = UsageMeter;
@@ -1,92 +1,287 @@
 // worker.js
 const { parentPort, workerData } = require('worker_threads');
 const AdmZip = require('adm-zip');
+const fs = require('fs');
 const path = require('path');
+const { langFileFormatOf } = require('./fileFormats');
 
-const { jarPath } = workerData;
+// source: sourceDiscovery.js のソース ({ type: 'jar'|'zip'|'directory', path, name, priority })
+const { source, sourceLangCode = 'en_us', targetLangCodes = [], maxNestedDepth = 2 } = workerData;
 
-// 通常の言語ファイル用正規表現 (変更なし)
-const langFileRegex = /^assets\/([^/]+)\/lang\/(en_us\.(?:json|local))$/i;
+// 言語ファイルのフォルダ。ファイル名から形式 (en_us.json / en_us.local / en_US.lang) と言語を fileFormats.js で判定する
+// 原文の言語コードは --source-lang で指定 (既定は en_us)。Mod自身が同梱している翻訳先言語のファイル (公式の訳) も探す
+// キャプチャグループ: 1: namespace, 2: ファイル名
+const langFileRegex = /^assets\/([^/]+)\/lang\/([^/]+)$/i;
 
 // Patchouliブックファイル用正規表現 (修正)
 // キャプチャグループ:
-// 1: namespace (例: ad_astra)
-// 2: book_id_folder (例: astrodux)
-// 3: path_and_filename_under_en_us (例: entries/the_moon/space_station.json または category.json)
-const patchouliFileRegex = /^assets\/([^/]+)\/patchouli_books\/([^/]+)\/en_us\/(.+)$/i;
+// 1: root_folder (assets、または古い形式のブックでは data)
+// 2: namespace (例: ad_astra)
+// 3: book_id_folder (例: astrodux)
+// 4: path_and_filename_under_en_us (例: entries/the_moon/space_station.json または category.json)
+const patchouliFileRegex = new RegExp(`^(assets|data)/([^/]+)/patchouli_books/([^/]+)/${sourceLangCode}/(.+)$`, 'i');
+// Patchouliの book.json (1.20 では data/ にある)。i18n: true かどうかの判定に使う
+// キャプチャグループ: 1: root_folder, 2: namespace, 3: book_id_folder
+const patchouliBookDefinitionRegex = /^(assets|data)\/([^/]+)\/patchouli_books\/([^/]+)\/book\.json$/i;
+// Modonomiconのブック (book.json、categories/、entries/ の全て)
+// キャプチャグループ: 1: namespace, 2: book_id, 3: ブック内のパス
+const modonomiconFileRegex = /^data\/([^/]+)\/modonomicon\/books\/([^/]+)\/(.+\.json)$/i;
+// AE2 (とアドオン) のガイドのページ。原文 (言語フォルダなし) と、Modが同梱している翻訳先の言語フォルダ (_ja_jp/ など) のもの
+// キャプチャグループ: 1: namespace, 2: 言語フォルダの言語コード (原文ではundefined), 3: ページのパス
+const ae2GuideFileRegex = /^assets\/([^/]+)\/ae2guide\/(?:_([a-z]{2,3}_[a-z0-9]{2,4})\/)?(.+\.md)$/i;
+// Modに同梱されたJAR (jar-in-jar)。Forge/NeoForge の JarJar (META-INF/jarjar/) と Fabric/Quilt の Nested JARs (META-INF/jars/)
+const nestedJarRegex = /^META-INF\/(?:jarjar|jars)\/[^/]+\.jar$/i;
 // 注意: Patchouliのファイルは .json のみと仮定。必要なら (.+\.(?:json|txt)) などに拡張。
 
 
-async function processJar() {
-    const results = [];
-    const jarName = path.basename(jarPath);
+// フォルダのソース (KubeJS、展開されたリソースパック) で探すフォルダ。ほか (kubejs/server_scripts など) は見ない
+const DIRECTORY_SOURCE_ROOTS = ['assets', 'data'];
 
-    try {
-        const zip = new AdmZip(jarPath);
-        const zipEntries = zip.getEntries();
+/**
+ * フォルダを AdmZip と同じように読むためのもの (collectEntries で使うメソッドだけ)。
+ */
+class DirectoryArchive {
+    #root;
 
-        for (const entry of zipEntries) {
-            if (entry.isDirectory) {
-                continue;
+    /** @param {string} root - リソースパックのフォルダ (assets/ や data/ があるフォルダ)。 */
+    constructor(root) {
+        this.#root = root;
+    }
+
+    getEntries() {
+        const entries = [];
+        const walk = relativeDir => {
+            let dirents;
+            try { dirents = fs.readdirSync(path.join(this.#root, relativeDir), { withFileTypes: true }); }
+            catch (error) { if (error.code === 'ENOENT') return; throw error; }
+            for (const dirent of dirents) {
+                const entryName = path.posix.join(relativeDir, dirent.name);
+                if (dirent.isDirectory()) walk(entryName);
+                else if (dirent.isFile()) entries.push(this.#entry(entryName));
             }
+        };
+        DIRECTORY_SOURCE_ROOTS.forEach(walk);
+        return entries;
+    }
+
+    getEntry(entryName) {
+        return fs.existsSync(path.join(this.#root, entryName)) ? this.#entry(entryName) : null;
+    }
+
+    #entry(entryName) {
+        const filePath = path.join(this.#root, entryName);
+        return { entryName, isDirectory: false, getData: () => fs.readFileSync(filePath) };
+    }
+}
 
-            const entryPath = entry.entryName.replace(/\\/g, '/');
-            let match;
+/**
+ * JAR (ZIP) の中から翻訳対象のファイルを集めます。ネストしたJARは maxNestedDepth の深さまで中を見ます。
+ * @param {AdmZip|DirectoryArchive} zip
+ * @param {{originalJar: string, nestedJar: string|null, jarModId: string|null, jarVersion: string|null, sourcePriority: number}} origin - 結果に付けるJARの情報。
+ *   originalJar はソースの名前 (modsフォルダのJAR名、resourcepacks/foo.zip など)、nestedJar はその中のネストしたJARのパス ("!/" 区切り、直下のJARではnull)、
+ *   jarModId/jarVersion はファイルがあったJARのModのIDとバージョン (分からなければnull)、
+ *   sourcePriority はソースの重ね順 (sourceDiscovery.js)。
+ * @param {number} depth - ネストの深さ (modsフォルダのJARは0)。
+ * @param {object[]} results - 見つけたファイルの情報を追加する配列。
+ */
+function collectEntries(zip, origin, depth, results) {
+    const jarLabel = origin.nestedJar ? `${origin.originalJar}!/${origin.nestedJar}` : origin.originalJar;
+    const zipEntries = zip.getEntries();
 
-            match = entryPath.match(patchouliFileRegex);
-            if (match && entryPath.toLowerCase().endsWith('.json')) { // Ensure it's a JSON file
+    for (const entry of zipEntries) {
+        if (entry.isDirectory) {
+            continue;
+        }
+
+        const entryPath = entry.entryName.replace(/\\/g, '/');
+        let match;
+
+        if (depth < maxNestedDepth && nestedJarRegex.test(entryPath)) {
+            collectNestedJar(entry, entryPath, origin, depth, results);
+            continue;
+        }
+
+        match = entryPath.match(patchouliFileRegex);
+        if (match && entryPath.toLowerCase().endsWith('.json')) { // Ensure it's a JSON file
+            const rootFolder = match[1].toLowerCase();
+            const namespace = match[2];
+            const bookIdFolder = match[3];
+            const pathUnderEnUs = match[4]; // これが 'entries/the_moon/space_station.json' などになる
+
+            try {
+                const content = entry.getData().toString('utf8');
+                results.push({
+                    fileType: 'patchouli_book',
+                    rootFolder: rootFolder,             // 出力先も同じ assets/ または data/ にする
+                    namespace: namespace,
+                    bookIdFolder: bookIdFolder,         // ★変更: ブックIDフォルダ名
+                    pathAndFilenameUnderSourceLang: pathUnderEnUs, // ★変更: en_us以下のパス+ファイル名
+                    content: content,
+                    ...origin,
+                    originalPathInJar: entryPath,
+                    isJson: true
+                });
+            } catch (readError) {
+                 parentPort.postMessage({ type: 'error', error: `Error reading Patchouli entry ${entryPath} in ${jarLabel}: ${readError.message}` });
+            }
+        } else if ((match = entryPath.match(patchouliBookDefinitionRegex))) {
+            try {
+                results.push({
+                    fileType: 'patchouli_book_definition',
+                    rootFolder: match[1].toLowerCase(),
+                    namespace: match[2],
+                    bookIdFolder: match[3],
+                    content: entry.getData().toString('utf8'),
+                    ...origin,
+                    originalPathInJar: entryPath,
+                });
+            } catch (readError) {
+                 parentPort.postMessage({ type: 'error', error: `Error reading Patchouli book.json ${entryPath} in ${jarLabel}: ${readError.message}` });
+            }
+        } else if ((match = entryPath.match(modonomiconFileRegex))) {
+            try {
+                results.push({
+                    fileType: 'modonomicon_book',
+                    namespace: match[1],
+                    bookId: match[2],
+                    pathInBook: match[3],
+                    content: entry.getData().toString('utf8'),
+                    ...origin,
+                    originalPathInJar: entryPath,
+                });
+            } catch (readError) {
+                 parentPort.postMessage({ type: 'error', error: `Error reading Modonomicon entry ${entryPath} in ${jarLabel}: ${readError.message}` });
+            }
+        } else if ((match = entryPath.match(ae2GuideFileRegex))) {
+            const langCode = match[2] ? match[2].toLowerCase() : null;
+            if (langCode !== null && !targetLangCodes.includes(langCode)) continue; // 関係のない言語の訳
+            try {
+                results.push({
+                    fileType: 'ae2_guide_page',
+                    namespace: match[1],
+                    langCode: langCode,                 // null なら原文のページ
+                    pagePath: match[3],
+                    content: entry.getData().toString('utf8'),
+                    ...origin,
+                    originalPathInJar: entryPath,
+                });
+            } catch (readError) {
+                 parentPort.postMessage({ type: 'error', error: `Error reading AE2 guide page ${entryPath} in ${jarLabel}: ${readError.message}` });
+            }
+        } else {
+            match = entryPath.match(langFileRegex);
+            const sourceFormat = match ? langFileFormatOf(match[2], sourceLangCode) : null;
+            const officialLangCode = match && !sourceFormat ? targetLangCodes.find(langCode => langFileFormatOf(match[2], langCode)) : undefined;
+            if (sourceFormat) {
                 const namespace = match[1];
-                const bookIdFolder = match[2];
-                const pathUnderEnUs = match[3]; // これが 'entries/the_moon/space_station.json' などになる
+                const sourceFilename = match[2];
 
                 try {
                     const content = entry.getData().toString('utf8');
                     results.push({
-                        fileType: 'patchouli_book',
+                        fileType: 'lang_file',
                         namespace: namespace,
-                        bookIdFolder: bookIdFolder,         // ★変更: ブックIDフォルダ名
-                        pathAndFilenameUnderSourceLang: pathUnderEnUs, // ★変更: en_us以下のパス+ファイル名
+                        sourceFilename: sourceFilename,
+                        format: sourceFormat,               // fileFormats.js の形式 (json / local / lang)
                         content: content,
-                        originalJar: jarName,
+                        ...origin,
                         originalPathInJar: entryPath,
-                        isJson: true
                     });
                 } catch (readError) {
-                     parentPort.postMessage({ type: 'error', error: `Error reading Patchouli entry ${entryPath} in ${jarName}: ${readError.message}` });
+                     parentPort.postMessage({ type: 'error', error: `Error reading lang entry ${entryPath} in ${jarLabel}: ${readError.message}` });
                 }
-            } else {
-                match = entryPath.match(langFileRegex);
-                if (match) {
-                    const namespace = match[1];
-                    const sourceFilename = match[2];
-                    const isJson = sourceFilename.toLowerCase().endsWith('.json');
-
-                    try {
-                        const content = entry.getData().toString('utf8');
-                        results.push({
-                            fileType: 'lang_file',
-                            namespace: namespace,
-                            sourceFilename: sourceFilename,
-                            isJson: isJson,
-                            content: content,
-                            originalJar: jarName,
-                            originalPathInJar: entryPath,
-                        });
-                    } catch (readError) {
-                         parentPort.postMessage({ type: 'error', error: `Error reading lang entry ${entryPath} in ${jarName}: ${readError.message}` });
-                    }
+            } else if (officialLangCode) {
+                try {
+                    results.push({
+                        fileType: 'official_lang',
+                        namespace: match[1],
+                        targetLangCode: officialLangCode,
+                        format: langFileFormatOf(match[2], officialLangCode),
+                        content: entry.getData().toString('utf8'),
+                        ...origin,
+                        originalPathInJar: entryPath,
+                    });
+                } catch (readError) {
+                     parentPort.postMessage({ type: 'error', error: `Error reading official lang entry ${entryPath} in ${jarLabel}: ${readError.message}` });
                 }
             }
         }
+    }
+}
+
+/**
+ * ネストしたJARを開いて、その中のファイルを集めます。
+ * @param {object} entry - ネストしたJARのZIPエントリ。
+ * @param {string} entryPath - 親のJARの中でのパス。
+ * @param {object} parentOrigin - 親のJARの情報 (collectEntries の origin)。
+ * @param {number} depth - 親のJARのネストの深さ。
+ * @param {object[]} results
+ */
+function collectNestedJar(entry, entryPath, parentOrigin, depth, results) {
+    const nestedJar = parentOrigin.nestedJar ? `${parentOrigin.nestedJar}!/${entryPath}` : entryPath;
+    try {
+        const nestedZip = new AdmZip(entry.getData());
+        const { modId: jarModId, version: jarVersion } = readJarIdentity(nestedZip);
+        parentPort.postMessage({ type: 'nested_jar', nestedJar, version: jarVersion });
+        collectEntries(nestedZip, { ...parentOrigin, nestedJar, jarModId, jarVersion }, depth + 1, results);
+    } catch (nestedError) {
+        parentPort.postMessage({ type: 'error', error: `Error processing nested JAR ${nestedJar} in ${parentOrigin.originalJar}: ${nestedError.message}` });
+    }
+}
+
+/**
+ * JARのメタデータ (fabric.mod.json / quilt.mod.json / mods.toml / MANIFEST.MF) からModのIDとバージョンを読みます。
+ * 同じライブラリが複数のModに同梱されている場合の重複の判定に使います。
+ * @param {AdmZip|DirectoryArchive} zip
+ * @returns {{modId: string|null, version: string|null}} 分からないものはnull。
+ */
+function readJarIdentity(zip) {
+    const readText = name => {
+        const entry = zip.getEntry(name);
+        return entry ? entry.getData().toString('utf8') : null;
+    };
+    // mods.toml の ${file.jarVersion} はここに入っている
+    const manifest = readText('META-INF/MANIFEST.MF');
+    const implementationVersion = manifest?.match(/^Implementation-Version:\s*(.+?)\s*$/m)?.[1] || null;
+    // Modのメタデータがないライブラリは、Javaのモジュール名 (なければ Implementation-Title) をIDの代わりにする
+    const manifestId = manifest?.match(/^(?:Automatic-Module-Name|Implementation-Title):\s*(.+?)\s*$/m)?.[1] || null;
+    try {
+        const fabricMod = readText('fabric.mod.json');
+        if (fabricMod) {
+            const { id, version } = JSON.parse(fabricMod);
+            return { modId: id || manifestId, version: version || implementationVersion };
+        }
+        const quiltMod = readText('quilt.mod.json');
+        if (quiltMod) {
+            const loader = JSON.parse(quiltMod).quilt_loader;
+            return { modId: loader?.id || manifestId, version: loader?.version || implementationVersion };
+        }
+    } catch { /* 読めないメタデータはIDとバージョンなしとして扱う */ }
+    const modsToml = readText('META-INF/mods.toml') ?? readText('META-INF/neoforge.mods.toml');
+    const tomlModId = modsToml?.match(/^\s*modId\s*=\s*["']([^"']+)["']/m)?.[1];
+    const tomlVersion = modsToml?.match(/^\s*version\s*=\s*["']([^"']+)["']/m)?.[1];
+    return {
+        modId: tomlModId || manifestId,
+        version: tomlVersion && !tomlVersion.includes('${') ? tomlVersion : implementationVersion,
+    };
+}
+
+async function processSource() {
+    const results = [];
+
+    try {
+        const zip = source.type === 'directory' ? new DirectoryArchive(source.path) : new AdmZip(source.path);
+        const { modId: jarModId, version: jarVersion } = source.type === 'jar' ? readJarIdentity(zip) : { modId: null, version: null };
+        collectEntries(zip, { originalJar: source.name, nestedJar: null, jarModId, jarVersion, sourcePriority: source.priority }, 0, results);
         if (results.length > 0) {
              parentPort.postMessage({ type: 'data', payload: results });
         }
 
     } catch (zipError) {
-         parentPort.postMessage({ type: 'error', error: `Error processing JAR ${jarName}: ${zipError.message}` });
+         parentPort.postMessage({ type: 'error', error: `Error processing ${source.type === 'directory' ? 'folder' : source.type.toUpperCase()} ${source.name}: ${zipError.message}` });
     } finally {
         parentPort.postMessage({ type: 'done' });
     }
 }
 
-processJar();
\ No newline at end of file
+processSource();
\ No newline at end of file